@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -11,6 +12,9 @@ const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 const logger = require('./utils/logger');
 const { connectSupabase } = require('./config/supabase');
 const { connectCache } = require('./config/cache');
+const socketService = require('./services/socketService');
+const receiptService = require('./services/receiptService');
+const jobRunner = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -23,6 +27,12 @@ const bookingRoutes = require('./routes/bookingRoutes');
 const communityRoutes = require('./routes/communityRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const itineraryRoutes = require('./routes/itineraryRoutes');
 
 const app = express();
 
@@ -30,10 +40,12 @@ const app = express();
 app.use(helmet());
 
 // CORS configuration
+const corsOrigins = process.env.NODE_ENV === 'production' 
+  ? ['https://pearlpath.lk', 'https://www.pearlpath.lk']
+  : ['http://localhost:3000', 'http://localhost:3001'];
+
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://pearlpath.lk', 'https://www.pearlpath.lk']
-    : ['http://localhost:3000', 'http://localhost:3001'],
+  origin: corsOrigins,
   credentials: true
 }));
 
@@ -79,6 +91,19 @@ app.use('/api/bookings', bookingRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/itineraries', itineraryRoutes);
+
+// Files written by the local storage driver (development and tests only)
+if (process.env.STORAGE_DRIVER === 'local') {
+  app.use('/uploads', express.static(path.resolve(process.env.UPLOAD_PATH || 'uploads'), {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -97,9 +122,15 @@ app.use(errorHandler);
 // Initialize connections
 const initializeApp = async () => {
   try {
+    receiptService.checkFonts();
     await connectSupabase();
     await connectCache();
     logger.info('Database and cache connections established successfully');
+
+    // Scheduled jobs (set JOBS_ENABLED=false on instances that should not run them)
+    if (process.env.JOBS_ENABLED !== 'false') {
+      jobRunner.start();
+    }
   } catch (error) {
     logger.error('Failed to initialize app:', error);
     process.exit(1);
@@ -113,9 +144,13 @@ const server = app.listen(PORT, () => {
   initializeApp();
 });
 
+// Real-time ride tracking and notifications
+socketService.initialize(server, { corsOrigins });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  jobRunner.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -124,6 +159,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  jobRunner.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
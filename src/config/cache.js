@@ -72,29 +72,16 @@ const cache = {
   }
 };
 
-// Rate limiting helper (in-memory implementation)
+// Rate limiting helper (in-memory implementation). Each key keeps the window it was
+// counted under, so limits with different windows can share the store.
 const rateLimit = {
   async checkLimit(key, limit, window) {
     try {
       const now = Date.now();
-      const windowMs = window * 1000;
-      
-      // Clean up expired entries
-      for (const [k, v] of rateLimitStore.entries()) {
-        if (now - v.timestamp > windowMs) {
-          rateLimitStore.delete(k);
-        }
-      }
-      
       const current = rateLimitStore.get(key);
       
-      if (!current) {
-        rateLimitStore.set(key, { count: 1, timestamp: now });
-        return true;
-      }
-      
-      if (now - current.timestamp > windowMs) {
-        rateLimitStore.set(key, { count: 1, timestamp: now });
+      if (!current || now >= current.expiresAt) {
+        rateLimitStore.set(key, { count: 1, expiresAt: now + (window * 1000) });
         return true;
       }
       
@@ -113,14 +100,7 @@ const rateLimit = {
   async getRemaining(key, limit) {
     try {
       const current = rateLimitStore.get(key);
-      if (!current) return limit;
-      
-      const now = Date.now();
-      const windowMs = 15 * 60 * 1000; // 15 minutes default
-      
-      if (now - current.timestamp > windowMs) {
-        return limit;
-      }
+      if (!current || Date.now() >= current.expiresAt) return limit;
       
       return Math.max(0, limit - current.count);
     } catch (error) {
@@ -159,9 +139,9 @@ const cleanupExpiredEntries = () => {
     }
   }
   
-  // Clean rate limit entries
+  // Clean rate limit entries whose window has passed
   for (const [key, item] of rateLimitStore.entries()) {
-    if (now - item.timestamp > 15 * 60 * 1000) { // 15 minutes
+    if (now >= item.expiresAt) {
       rateLimitStore.delete(key);
     }
   }
@@ -0,0 +1,49 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+// Fake timers before the module starts its cleanup interval, so it can be driven from here
+jest.useFakeTimers();
+
+const { rateLimit } = require('./cache');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+async function exhaust(key, limit, window) {
+  for (let i = 0; i < limit; i++) {
+    await expect(rateLimit.checkLimit(key, limit, window)).resolves.toBe(true);
+  }
+  await expect(rateLimit.checkLimit(key, limit, window)).resolves.toBe(false);
+}
+
+describe('rateLimit.checkLimit', () => {
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps an hourly count when a shorter limit is checked', async () => {
+    await exhaust('phone_otp:+94771234567', 5, 60 * 60);
+
+    jest.advanceTimersByTime(20 * MINUTE);
+    await rateLimit.checkLimit('login:someone', 5, 60);
+
+    await expect(rateLimit.checkLimit('phone_otp:+94771234567', 5, 60 * 60)).resolves.toBe(false);
+    await expect(rateLimit.getRemaining('phone_otp:+94771234567', 5)).resolves.toBe(0);
+  });
+
+  it('keeps an hourly count through the periodic cleanup', async () => {
+    await exhaust('password_reset:a@example.com', 3, 60 * 60);
+
+    jest.advanceTimersByTime(30 * MINUTE);
+
+    await expect(rateLimit.checkLimit('password_reset:a@example.com', 3, 60 * 60)).resolves.toBe(false);
+  });
+
+  it('starts a new count once the window has passed', async () => {
+    await exhaust('email_verification:b@example.com', 3, 60 * 60);
+
+    jest.advanceTimersByTime(HOUR);
+
+    await expect(rateLimit.getRemaining('email_verification:b@example.com', 3)).resolves.toBe(3);
+    await expect(rateLimit.checkLimit('email_verification:b@example.com', 3, 60 * 60)).resolves.toBe(true);
+  });
+});
@@ -182,7 +182,7 @@ const db = {
 
     async findNearby(lat, lng, radius = 5) {
       const { data, error } = await supabase
-        .rpc('find_drivers_nearby', {
+        .rpc('find_nearby_drivers', {
           user_lat: lat,
           user_lng: lng,
           radius_km: radius
@@ -290,7 +290,8 @@ const db = {
           *,
           guide:guides(*),
           driver:drivers(*),
-          user:users(*)
+          user:users(*),
+          legs:booking_legs(*)
         `)
         .eq('id', id)
         .single();
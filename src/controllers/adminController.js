@@ -5,6 +5,18 @@ const Booking = require('../models/Booking');
 const { responseUtils } = require('../utils/helpers');
 const { handleNotFoundError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
+const jobRunner = require('../jobs');
+const KycVerification = require('../models/KycVerification');
+const kycService = require('../services/kycService');
+const PaymentWebhook = require('../models/PaymentWebhook');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const PayoutBatch = require('../models/PayoutBatch');
+const Payout = require('../models/Payout');
+const payoutService = require('../services/payoutService');
+const ledgerService = require('../services/ledgerService');
+const commissionPolicy = require('../services/commissionPolicy');
+const currencyService = require('../services/currencyService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
 
 // Get all users
 const getAllUsers = async (req, res, next) => {
@@ -294,6 +306,366 @@ const getSystemHealth = async (req, res, next) => {
   }
 };
 
+// List scheduled jobs with their last run
+const getJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobRunner.listJobs();
+
+    res.json(responseUtils.success({
+      jobs,
+      schedulerRunning: jobRunner.started
+    }, 'Jobs retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run history for a job
+const getJobRuns = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { page, limit, offset } = req.pagination;
+
+    const { runs, total } = await jobRunner.getRuns(name, limit, offset);
+
+    res.json(responseUtils.success({
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Job runs retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Trigger a job manually
+const runJob = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+
+    const outcome = await jobRunner.runJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    logger.info(`Job ${name} triggered manually by ${req.user.id}: ${outcome.status}`);
+
+    if (outcome.status === 'skipped') {
+      return res.status(409).json(responseUtils.error(outcome.reason, 409));
+    }
+
+    res.json(responseUtils.success(outcome, `Job ${outcome.status}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// KYC review queue (oldest first)
+const getKycQueue = async (req, res, next) => {
+  try {
+    const { status = 'pending', documentType } = req.query;
+    const { page, limit, offset } = req.pagination;
+
+    const { verifications, total } = await KycVerification.findQueue({ status, documentType, limit, offset });
+
+    res.json(responseUtils.success({
+      verifications: verifications.map(verification => verification.toReviewObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'KYC queue retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A single submission with signed links to the document images
+const getKycVerification = async (req, res, next) => {
+  try {
+    const verification = await KycVerification.findById(req.params.id);
+    if (!verification) {
+      throw handleNotFoundError('Document not found');
+    }
+
+    res.json(responseUtils.success({
+      verification: await kycService.getReviewDetails(verification)
+    }, 'KYC verification retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve, reject or request more information
+const reviewKycVerification = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const verification = await kycService.review(id, req.user.id, req.body);
+
+    logger.info(`KYC verification ${id} ${verification.status} by admin: ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      verification: verification.toReviewObject()
+    }, 'KYC verification reviewed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Payment notifications awaiting manual review (or any other status)
+const getPaymentWebhooks = async (req, res, next) => {
+  try {
+    const { status = 'review', orderId } = req.query;
+    const { page, limit, offset } = req.pagination;
+
+    const { webhooks, total } = await PaymentWebhook.findQueue({ status, orderId, limit, offset });
+
+    res.json(responseUtils.success({
+      webhooks: webhooks.map(webhook => webhook.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Payment webhooks retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPaymentWebhook = async (req, res, next) => {
+  try {
+    const webhook = await PaymentWebhook.findById(req.params.id);
+    if (!webhook) {
+      throw handleNotFoundError('Webhook not found');
+    }
+
+    res.json(responseUtils.success({
+      webhook: webhook.toSafeObject()
+    }, 'Payment webhook retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-process a stored notification
+const replayPaymentWebhook = async (req, res, next) => {
+  try {
+    const { acceptAmountMismatch = false, note } = req.body;
+
+    const webhook = await paymentWebhookService.replay(req.params.id, req.user.id, { acceptAmountMismatch, note });
+
+    res.json(responseUtils.success({
+      webhook: webhook.toSafeObject()
+    }, `Payment webhook replayed (${webhook.status})`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const dismissPaymentWebhook = async (req, res, next) => {
+  try {
+    const webhook = await paymentWebhookService.dismiss(req.params.id, req.user.id, req.body.note);
+
+    logger.info(`Payment webhook ${webhook.id} dismissed by admin: ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      webhook: webhook.toSafeObject()
+    }, 'Payment webhook dismissed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Settlement batches, newest first
+const getPayoutBatches = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, offset } = req.pagination;
+
+    const { batches, total } = await PayoutBatch.findAll({ status, limit, offset });
+
+    res.json(responseUtils.success({
+      batches: batches.map(batch => batch.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Payout batches retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPayoutBatch = async (req, res, next) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) {
+      throw handleNotFoundError('Payout batch not found');
+    }
+
+    const payouts = await Payout.findByBatchId(batch.id);
+
+    res.json(responseUtils.success({
+      batch: batch.toSafeObject(),
+      payouts: payouts.map(payout => ({
+        ...payout.toSafeObject(),
+        user: payout.user ? {
+          id: payout.user.id,
+          firstName: payout.user.first_name,
+          lastName: payout.user.last_name,
+          email: payout.user.email
+        } : null
+      }))
+    }, 'Payout batch retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Transfer file for the bank / wallet providers (CSV, optionally one method type)
+const exportPayoutBatch = async (req, res, next) => {
+  try {
+    const { batch, csv } = await payoutService.exportBatch(req.params.id, { type: req.query.type });
+
+    logger.info(`Payout batch ${batch.reference} exported by admin: ${req.user.id}`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.reference}${req.query.type ? `-${req.query.type}` : ''}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record whether a payout was paid or bounced
+const updatePayoutStatus = async (req, res, next) => {
+  try {
+    const payout = await payoutService.updatePayoutStatus(req.params.id, req.body, req.user.id);
+
+    res.json(responseUtils.success({
+      payout: payout.toSafeObject()
+    }, 'Payout status updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Balance of every ledger account, with the commission rates in force
+const getLedgerAccounts = async (req, res, next) => {
+  try {
+    const accounts = await ledgerService.getAccountBalances();
+
+    res.json(responseUtils.success({
+      accounts,
+      rates: commissionPolicy.getRates()
+    }, 'Ledger accounts retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Daily reconciliation report (date is an Asia/Colombo calendar day)
+const getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const report = await ledgerService.reconcile(req.query.date);
+
+    res.json(responseUtils.success({
+      report
+    }, 'Ledger reconciliation generated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBookingLedger = async (req, res, next) => {
+  try {
+    const transactions = await ledgerService.getBookingLedger(req.params.id);
+
+    res.json(responseUtils.success({
+      transactions: transactions.map(transaction => transaction.toSafeObject())
+    }, 'Booking ledger retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Display currency rates (LKR per unit); settlement always stays in LKR
+const getFxRates = async (req, res, next) => {
+  try {
+    const currencies = await currencyService.getSupportedCurrencies();
+
+    res.json(responseUtils.success(currencies, 'FX rates retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create or update the rate for a display currency. Existing bookings keep their locked rate.
+const updateFxRate = async (req, res, next) => {
+  try {
+    const fxRate = await currencyService.setRate(req.params.currency, req.body.rate, req.user.id);
+
+    res.json(responseUtils.success({
+      fxRate: fxRate.toSafeObject()
+    }, 'FX rate updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// All cancellation policies, including retired ones still snapshotted on bookings
+const getCancellationPolicies = async (req, res, next) => {
+  try {
+    const policies = await cancellationPolicyService.getPolicies({ activeOnly: false });
+
+    res.json(responseUtils.success({
+      policies: policies.map(policy => policy.toSafeObject())
+    }, 'Cancellation policies retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createCancellationPolicy = async (req, res, next) => {
+  try {
+    const policy = await cancellationPolicyService.createPolicy(req.body);
+
+    logger.info(`Cancellation policy ${policy.code} created by admin ${req.user.id}`);
+
+    res.status(201).json(responseUtils.success({
+      policy: policy.toSafeObject()
+    }, 'Cancellation policy created successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Changes apply to bookings made afterwards; existing bookings keep their snapshot
+const updateCancellationPolicy = async (req, res, next) => {
+  try {
+    const policy = await cancellationPolicyService.updatePolicy(req.params.id, req.body);
+
+    logger.info(`Cancellation policy ${policy.code} updated by admin ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      policy: policy.toSafeObject()
+    }, 'Cancellation policy updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -306,5 +678,27 @@ module.exports = {
   getPlatformStats,
   getReports,
   handleReport,
-  getSystemHealth
+  getSystemHealth,
+  getJobs,
+  getJobRuns,
+  runJob,
+  getKycQueue,
+  getKycVerification,
+  reviewKycVerification,
+  getPaymentWebhooks,
+  getPaymentWebhook,
+  replayPaymentWebhook,
+  dismissPaymentWebhook,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  updatePayoutStatus,
+  getLedgerAccounts,
+  getLedgerReconciliation,
+  getBookingLedger,
+  getFxRates,
+  updateFxRate,
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy
 };
@@ -1,8 +1,27 @@
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const UserSession = require('../models/UserSession');
+const PhoneOtp = require('../models/PhoneOtp');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const currencyService = require('../services/currencyService');
+const { rateLimit } = require('../config/cache');
 const { responseUtils, validationUtils, jwtUtils } = require('../utils/helpers');
-const { handleAuthError, handleValidationError, handleConflictError } = require('../middleware/errorMiddleware');
+const { handleAuthError, handleValidationError, handleConflictError, handleRateLimitError, handleNotFoundError, AppError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 24;
+
+// Per-email limits for requests that send mail
+const EMAIL_REQUEST_LIMIT = 3;
+const EMAIL_REQUEST_WINDOW_SECONDS = 60 * 60;
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_HOURLY_LIMIT = parseInt(process.env.OTP_HOURLY_LIMIT) || 5;
+
 // Register new user
 const register = async (req, res, next) => {
   try {
@@ -33,8 +52,11 @@ const register = async (req, res, next) => {
       nationality
     });
 
-    // Generate tokens
-    const tokens = user.generateTokens();
+    // Registration succeeds even if the verification email cannot be sent
+    await sendEmailVerification(user);
+
+    // Start a session and issue its tokens
+    const { tokens } = await UserSession.create(user, getSessionMeta(req));
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -72,8 +94,8 @@ const login = async (req, res, next) => {
     // Update last login
     await user.updateLastLogin();
 
-    // Generate tokens
-    const tokens = user.generateTokens();
+    // Start a session and issue its tokens
+    const { tokens } = await UserSession.create(user, getSessionMeta(req));
 
     logger.info(`User logged in: ${user.email}`);
 
@@ -99,12 +121,17 @@ const refreshToken = async (req, res, next) => {
     const decoded = jwtUtils.verifyRefreshToken(refreshToken);
     const user = await User.findById(decoded.id);
 
-    if (!user || user.status !== 'active') {
+    if (!decoded.sid || !user || user.status !== 'active' || user.isTokenRevoked(decoded.iat)) {
+      throw handleAuthError('Invalid refresh token');
+    }
+
+    // Rotate - the presented token can never be used again
+    const rotated = await UserSession.rotate(refreshToken, user);
+    if (!rotated) {
       throw handleAuthError('Invalid refresh token');
     }
 
-    // Generate new tokens
-    const tokens = user.generateTokens();
+    const { tokens } = rotated;
 
     res.json(responseUtils.success({
       tokens
@@ -139,6 +166,13 @@ const updateProfile = async (req, res, next) => {
     delete updates.verificationTier;
     delete updates.status;
 
+    // Only currencies with a stored FX rate can be used for display
+    if (updates.preferredCurrency) {
+      const quote = await currencyService.getQuote(updates.preferredCurrency);
+      updates.preferred_currency = quote.currency;
+      delete updates.preferredCurrency;
+    }
+
     const updatedUser = await req.user.update(updates);
 
     logger.info(`User profile updated: ${updatedUser.email}`);
@@ -177,8 +211,9 @@ const changePassword = async (req, res, next) => {
 // Logout user
 const logout = async (req, res, next) => {
   try {
-    // In a real implementation, you would invalidate the token
-    // For now, we'll just return success
+    // Revoking the session invalidates both its access and refresh tokens
+    await UserSession.revokeById(req.sessionId, 'logout');
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.json(responseUtils.success(null, 'Logout successful'));
@@ -187,6 +222,52 @@ const logout = async (req, res, next) => {
   }
 };
 
+// List active sessions (devices) for the current user
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await UserSession.findActiveByUserId(req.user.id);
+
+    res.json(responseUtils.success({
+      sessions: sessions.map(session => session.toSafeObject(req.sessionId))
+    }, 'Sessions retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a single session
+const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await UserSession.findActiveById(id);
+    if (!session || session.userId !== req.user.id) {
+      throw handleNotFoundError('Session not found');
+    }
+
+    await UserSession.revokeById(session.id, 'user_revoked');
+
+    logger.info(`Session ${session.id} revoked by user: ${req.user.email}`);
+
+    res.json(responseUtils.success(null, 'Session revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke every session except the current one
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await UserSession.revokeAllForUser(req.user.id, 'user_revoked', req.sessionId);
+
+    logger.info(`${revoked} other sessions revoked by user: ${req.user.email}`);
+
+    res.json(responseUtils.success({ revoked }, 'Other sessions revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Delete user account
 const deleteAccount = async (req, res, next) => {
   try {
@@ -214,12 +295,22 @@ const deleteAccount = async (req, res, next) => {
 const verifyEmail = async (req, res, next) => {
   try {
     const { token } = req.params;
-    
-    // In a real implementation, you would verify the email token
-    // For now, we'll just mark the email as verified
-    await req.user.verifyEmail();
 
-    logger.info(`Email verified for user: ${req.user.email}`);
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    if (!authToken) {
+      throw new AppError('Verification link is invalid or has expired', 400);
+    }
+
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      throw new AppError('Verification link is invalid or has expired', 400);
+    }
+
+    if (!user.isEmailVerified) {
+      await user.verifyEmail();
+    }
+
+    logger.info(`Email verified for user: ${user.email}`);
 
     res.json(responseUtils.success(null, 'Email verified successfully'));
   } catch (error) {
@@ -236,7 +327,20 @@ const resendEmailVerification = async (req, res, next) => {
       return res.status(400).json(responseUtils.error('Email is already verified', 400));
     }
 
-    // In a real implementation, you would send verification email
+    const allowed = await rateLimit.checkLimit(
+      `email_verification:${user.email.toLowerCase()}`,
+      EMAIL_REQUEST_LIMIT,
+      EMAIL_REQUEST_WINDOW_SECONDS
+    );
+    if (!allowed) {
+      throw handleRateLimitError('Too many verification emails requested. Please try again later.');
+    }
+
+    const sent = await sendEmailVerification(user);
+    if (!sent) {
+      throw new AppError('Could not send verification email. Please try again later.', 502);
+    }
+
     logger.info(`Email verification resent for user: ${user.email}`);
 
     res.json(responseUtils.success(null, 'Verification email sent'));
@@ -250,13 +354,30 @@ const forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
+    // Limit by email before the lookup so the response never reveals whether it exists
+    const allowed = await rateLimit.checkLimit(
+      `password_reset:${email.toLowerCase()}`,
+      EMAIL_REQUEST_LIMIT,
+      EMAIL_REQUEST_WINDOW_SECONDS
+    );
+    if (!allowed) {
+      throw handleRateLimitError('Too many password reset requests. Please try again later.');
+    }
+
     const user = await User.findByEmail(email);
-    if (!user) {
+    if (!user || user.status !== 'active') {
       // Don't reveal if email exists or not
       return res.json(responseUtils.success(null, 'If email exists, password reset instructions have been sent'));
     }
 
-    // In a real implementation, you would generate reset token and send email
+    const { token } = await AuthToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+
+    try {
+      await emailService.sendPasswordResetEmail(user, token);
+    } catch (emailError) {
+      logger.error(`Error sending password reset email to ${user.email}:`, emailError);
+    }
+
     logger.info(`Password reset requested for user: ${user.email}`);
 
     res.json(responseUtils.success(null, 'If email exists, password reset instructions have been sent'));
@@ -271,19 +392,190 @@ const resetPassword = async (req, res, next) => {
     const { token } = req.params;
     const { newPassword } = req.body;
 
-    // In a real implementation, you would verify the reset token
-    // For now, we'll just update the password
-    const user = await User.findById(req.user.id);
-    await user.update({ password: newPassword });
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    if (!authToken) {
+      throw new AppError('Reset link is invalid or has expired', 400);
+    }
+
+    const user = await User.findById(authToken.userId);
+    if (!user || user.status !== 'active') {
+      throw new AppError('Reset link is invalid or has expired', 400);
+    }
+
+    // Sign out everywhere - also rejects any token issued before now
+    await user.resetPassword(newPassword);
+    await UserSession.revokeAllForUser(user.id, 'password_reset');
 
     logger.info(`Password reset for user: ${user.email}`);
 
-    res.json(responseUtils.success(null, 'Password reset successfully'));
+    res.json(responseUtils.success(null, 'Password reset successfully. Please log in again.'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a 6-digit SMS code to verify a phone number or log in without a password
+const sendPhoneOtp = async (req, res, next) => {
+  try {
+    const { phone, purpose = 'verify' } = req.body;
+    const normalizedPhone = PhoneOtp.normalizePhone(phone);
+
+    let user;
+    if (purpose === 'verify') {
+      user = req.user;
+      if (!user) {
+        throw handleAuthError('Authentication required to verify a phone number');
+      }
+      if (PhoneOtp.normalizePhone(user.phone) !== normalizedPhone) {
+        throw new AppError('Phone number does not match your account', 400);
+      }
+      if (user.isPhoneVerified) {
+        return res.status(400).json(responseUtils.error('Phone number is already verified', 400));
+      }
+    }
+
+    const latest = await PhoneOtp.findLatest(normalizedPhone, purpose);
+    if (latest) {
+      const elapsedSeconds = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+      if (elapsedSeconds < OTP_RESEND_COOLDOWN_SECONDS) {
+        const wait = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        throw handleRateLimitError(`Please wait ${wait} seconds before requesting another code`);
+      }
+    }
+
+    const allowed = await rateLimit.checkLimit(`phone_otp:${normalizedPhone}`, OTP_HOURLY_LIMIT, 60 * 60);
+    if (!allowed) {
+      throw handleRateLimitError('Too many codes requested for this number. Please try again later.');
+    }
+
+    const response = responseUtils.success({
+      expiresInSeconds: OTP_TTL_MINUTES * 60,
+      resendAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS
+    }, 'If the number is registered, a verification code has been sent');
+
+    if (purpose === 'login') {
+      user = await findUserByPhone(normalizedPhone);
+      // Only a number the account holder has verified can sign in. Don't reveal which
+      // numbers are registered or verified.
+      if (!user || user.status !== 'active' || !user.isPhoneVerified) {
+        return res.json(response);
+      }
+    }
+
+    const { code } = await PhoneOtp.issue(normalizedPhone, purpose, user.id, OTP_TTL_MINUTES);
+    const result = await notificationService.sendSMS(
+      normalizedPhone,
+      `Your PearlPath code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Never share this code with anyone.`
+    );
+
+    if (!result.success) {
+      throw new AppError('Could not send verification code. Please try again later.', 502);
+    }
+
+    logger.info(`Phone OTP (${purpose}) sent for user: ${user.id}`);
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Check an SMS code - verifies the phone, or for login (verified phones only) starts a session
+const verifyPhoneOtp = async (req, res, next) => {
+  try {
+    const { phone, code, purpose = 'verify' } = req.body;
+    const normalizedPhone = PhoneOtp.normalizePhone(phone);
+
+    let user;
+    if (purpose === 'verify') {
+      user = req.user;
+      if (!user) {
+        throw handleAuthError('Authentication required to verify a phone number');
+      }
+      if (PhoneOtp.normalizePhone(user.phone) !== normalizedPhone) {
+        throw new AppError('Phone number does not match your account', 400);
+      }
+    } else {
+      user = await findUserByPhone(normalizedPhone);
+      if (user && !user.isPhoneVerified) {
+        user = null;
+      }
+    }
+
+    const otp = await PhoneOtp.findLatest(normalizedPhone, purpose);
+    if (!user || !otp || otp.userId !== user.id) {
+      throw new AppError('Invalid or expired code', 400);
+    }
+
+    const status = await otp.verify(code, OTP_MAX_ATTEMPTS);
+
+    if (status === 'locked') {
+      throw handleRateLimitError('Too many incorrect attempts. Please request a new code.');
+    }
+    if (status === 'expired') {
+      throw new AppError('Code has expired. Please request a new one.', 400);
+    }
+    if (status !== 'verified') {
+      throw new AppError(`Invalid code. ${OTP_MAX_ATTEMPTS - otp.attempts} attempts remaining.`, 400);
+    }
+
+    if (purpose === 'verify') {
+      // Receiving the code proves ownership of the number
+      await user.verifyPhone();
+      logger.info(`Phone verified for user: ${user.email}`);
+
+      return res.json(responseUtils.success({
+        user: user.toSafeObject()
+      }, 'Phone number verified successfully'));
+    }
+
+    if (user.status !== 'active') {
+      throw handleAuthError('Account is not active');
+    }
+
+    await user.updateLastLogin();
+    const { tokens } = await UserSession.create(user, getSessionMeta(req));
+
+    logger.info(`User logged in with phone OTP: ${user.email}`);
+
+    res.json(responseUtils.success({
+      user: user.toSafeObject(),
+      tokens
+    }, 'Login successful'));
   } catch (error) {
     next(error);
   }
 };
 
+// Helper Functions
+
+// Phones may be stored in local (07X...) or E.164 (+947X...) format
+async function findUserByPhone(normalizedPhone) {
+  const user = await User.findByPhone(normalizedPhone);
+  if (user || !normalizedPhone.startsWith('+94')) return user;
+
+  return User.findByPhone(`0${normalizedPhone.substring(3)}`);
+}
+
+function getSessionMeta(req) {
+  return {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  };
+}
+
+// Issue a verification token and email it; returns false if the email could not be sent
+async function sendEmailVerification(user) {
+  try {
+    const { token } = await AuthToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+    await emailService.sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending verification email to ${user.email}:`, error);
+    return false;
+  }
+}
+
 module.exports = {
   register,
   login,
@@ -292,9 +584,14 @@ module.exports = {
   updateProfile,
   changePassword,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   deleteAccount,
   verifyEmail,
   resendEmailVerification,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  sendPhoneOtp,
+  verifyPhoneOtp
 };
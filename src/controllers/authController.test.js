@@ -0,0 +1,165 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../models/User');
+jest.mock('../models/AuthToken', () => ({}));
+jest.mock('../models/UserSession', () => ({ create: jest.fn() }));
+jest.mock('../models/PhoneOtp', () => ({
+  normalizePhone: jest.requireActual('../models/PhoneOtp').normalizePhone,
+  findLatest: jest.fn(),
+  issue: jest.fn()
+}));
+jest.mock('../services/emailService', () => ({}));
+jest.mock('../services/notificationService', () => ({ sendSMS: jest.fn() }));
+jest.mock('../services/currencyService', () => ({}));
+jest.mock('../config/cache', () => ({ rateLimit: { checkLimit: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const PhoneOtp = require('../models/PhoneOtp');
+const notificationService = require('../services/notificationService');
+const { rateLimit } = require('../config/cache');
+const authController = require('./authController');
+
+const PHONE = '+94771234567';
+
+// Run a handler and return what it responded with, or the error it passed on
+async function call(handler, body, user) {
+  const req = { body, user, ip: '127.0.0.1', get: () => undefined };
+  const res = { status: jest.fn(() => res), json: jest.fn() };
+  const next = jest.fn();
+
+  await handler(req, res, next);
+  return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+}
+
+function sendOtp(body) {
+  return call(authController.sendPhoneOtp, body, { id: 'user-1', phone: '0771234567', isPhoneVerified: false });
+}
+
+function buildUser(overrides = {}) {
+  return {
+    id: 'user-1',
+    email: 'a@example.com',
+    phone: '0771234567',
+    status: 'active',
+    isPhoneVerified: true,
+    verifyPhone: jest.fn(),
+    updateLastLogin: jest.fn(),
+    toSafeObject: () => ({ id: 'user-1' }),
+    ...overrides
+  };
+}
+
+describe('authController.sendPhoneOtp', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimit.checkLimit.mockResolvedValue(true);
+    PhoneOtp.issue.mockResolvedValue({ code: '123456' });
+    notificationService.sendSMS.mockResolvedValue({ success: true });
+  });
+
+  it('sends a code when none was sent recently', async () => {
+    PhoneOtp.findLatest.mockResolvedValue(null);
+
+    const { res, error } = await sendOtp({ phone: PHONE });
+
+    expect(error).toBeUndefined();
+    expect(PhoneOtp.issue).toHaveBeenCalledWith(PHONE, 'verify', 'user-1', 5);
+    expect(notificationService.sendSMS).toHaveBeenCalledWith(PHONE, expect.stringContaining('123456'));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: { expiresInSeconds: 300, resendAfterSeconds: 60 }
+    }));
+  });
+
+  it('makes the caller wait out the resend cooldown', async () => {
+    PhoneOtp.findLatest.mockResolvedValue({ createdAt: new Date(Date.now() - 20 * 1000).toISOString() });
+
+    const { error } = await sendOtp({ phone: PHONE });
+
+    expect(error.statusCode).toBe(429);
+    expect(error.message).toMatch(/wait (40|41) seconds/);
+    expect(rateLimit.checkLimit).not.toHaveBeenCalled();
+    expect(PhoneOtp.issue).not.toHaveBeenCalled();
+  });
+
+  it('sends again once the cooldown has passed', async () => {
+    PhoneOtp.findLatest.mockResolvedValue({ createdAt: new Date(Date.now() - 61 * 1000).toISOString() });
+
+    const { error } = await sendOtp({ phone: PHONE });
+
+    expect(error).toBeUndefined();
+    expect(PhoneOtp.issue).toHaveBeenCalled();
+  });
+
+  it('refuses more codes than the hourly limit for the number', async () => {
+    PhoneOtp.findLatest.mockResolvedValue(null);
+    rateLimit.checkLimit.mockResolvedValue(false);
+
+    const { error } = await sendOtp({ phone: '077 123 4567' });
+
+    expect(rateLimit.checkLimit).toHaveBeenCalledWith(`phone_otp:${PHONE}`, 5, 60 * 60);
+    expect(error.statusCode).toBe(429);
+    expect(PhoneOtp.issue).not.toHaveBeenCalled();
+  });
+});
+
+describe('phone OTP login', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimit.checkLimit.mockResolvedValue(true);
+    PhoneOtp.findLatest.mockResolvedValue(null);
+    PhoneOtp.issue.mockResolvedValue({ code: '123456' });
+    notificationService.sendSMS.mockResolvedValue({ success: true });
+    UserSession.create.mockResolvedValue({ tokens: { accessToken: 'access' } });
+  });
+
+  it('texts a login code to a verified number', async () => {
+    User.findByPhone.mockResolvedValue(buildUser());
+
+    const { error } = await call(authController.sendPhoneOtp, { phone: PHONE, purpose: 'login' });
+
+    expect(error).toBeUndefined();
+    expect(PhoneOtp.issue).toHaveBeenCalledWith(PHONE, 'login', 'user-1', 5);
+  });
+
+  it('sends no login code to an unverified number but answers the same way', async () => {
+    User.findByPhone.mockResolvedValue(buildUser({ isPhoneVerified: false }));
+
+    const { res, error } = await call(authController.sendPhoneOtp, { phone: PHONE, purpose: 'login' });
+
+    expect(error).toBeUndefined();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'If the number is registered, a verification code has been sent'
+    }));
+    expect(PhoneOtp.issue).not.toHaveBeenCalled();
+    expect(notificationService.sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('does not log in or verify an unverified number, even with a valid code', async () => {
+    const user = buildUser({ isPhoneVerified: false });
+    const otp = { userId: 'user-1', verify: jest.fn().mockResolvedValue('verified') };
+    User.findByPhone.mockResolvedValue(user);
+    PhoneOtp.findLatest.mockResolvedValue(otp);
+
+    const { error } = await call(authController.verifyPhoneOtp, { phone: PHONE, code: '123456', purpose: 'login' });
+
+    expect(error).toMatchObject({ statusCode: 400, message: 'Invalid or expired code' });
+    expect(otp.verify).not.toHaveBeenCalled();
+    expect(user.verifyPhone).not.toHaveBeenCalled();
+    expect(UserSession.create).not.toHaveBeenCalled();
+  });
+
+  it('logs in a verified number without touching its verification', async () => {
+    const user = buildUser();
+    User.findByPhone.mockResolvedValue(user);
+    PhoneOtp.findLatest.mockResolvedValue({ userId: 'user-1', verify: jest.fn().mockResolvedValue('verified') });
+
+    const { res, error } = await call(authController.verifyPhoneOtp, { phone: PHONE, code: '123456', purpose: 'login' });
+
+    expect(error).toBeUndefined();
+    expect(user.verifyPhone).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: { user: { id: 'user-1' }, tokens: { accessToken: 'access' } }
+    }));
+  });
+});
@@ -1,9 +1,18 @@
 const Booking = require('../models/Booking');
 const Guide = require('../models/Guide');
 const Driver = require('../models/Driver');
-const { responseUtils, businessUtils } = require('../utils/helpers');
+const { responseUtils } = require('../utils/helpers');
 const { handleNotFoundError, handleValidationError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
+const refundService = require('../services/refundService');
+const commissionPolicy = require('../services/commissionPolicy');
+const subscriptionService = require('../services/subscriptionService');
+const currencyService = require('../services/currencyService');
+const receiptService = require('../services/receiptService');
+const guideAvailabilityService = require('../services/guideAvailabilityService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const bookingLegService = require('../services/bookingLegService');
 
 // Create booking
 const createBooking = async (req, res, next) => {
@@ -12,19 +21,23 @@ const createBooking = async (req, res, next) => {
     const bookingData = { ...req.body, userId };
 
     // Validate guide/driver availability
+    let guide = null;
+    let driver = null;
+
     if (bookingData.guideId) {
-      const guide = await Guide.findById(bookingData.guideId);
+      guide = await Guide.findById(bookingData.guideId);
       if (!guide) {
         throw handleNotFoundError('Guide not found');
       }
 
-      if (!guide.isAvailableForBooking(bookingData.startDate, bookingData.duration)) {
-        return res.status(400).json(responseUtils.error('Guide not available for the selected time', 400));
+      const slot = await guideAvailabilityService.checkSlot(guide, bookingData.startDate, bookingData.endDate);
+      if (!slot.available) {
+        return res.status(400).json(responseUtils.error(`Guide not available for the selected time: ${slot.reason}`, 400));
       }
     }
 
     if (bookingData.driverId) {
-      const driver = await Driver.findById(bookingData.driverId);
+      driver = await Driver.findById(bookingData.driverId);
       if (!driver) {
         throw handleNotFoundError('Driver not found');
       }
@@ -34,7 +47,29 @@ const createBooking = async (req, res, next) => {
       }
     }
 
-    const booking = await Booking.create(bookingData);
+    // A combined order is split into a guide leg and a driver leg, priced before anything is saved
+    const legs = bookingData.type === 'combined'
+      ? await bookingLegService.quoteLegs(bookingData, { guide, driver })
+      : null;
+
+    // Lock the display currency rate for the life of the booking
+    const quote = await currencyService.getQuoteForRequest(req);
+    bookingData.displayCurrency = quote.currency;
+    bookingData.fxRate = quote.rate;
+
+    // Later edits to the package's or driver's policy do not change this booking's terms
+    bookingData.cancellationPolicy = await cancellationPolicyService.resolveForBooking(bookingData);
+
+    // Guide bookings go through a reservation so two travellers cannot take the same slot
+    const booking = bookingData.guideId
+      ? await guideAvailabilityService.reserveBooking(bookingData)
+      : await Booking.create(bookingData);
+
+    if (legs) {
+      await bookingLegService.createLegs(booking, legs);
+    }
+
+    await bookingStateMachine.recordCreated(booking, bookingStateMachine.actorFor(booking, req.user));
 
     logger.info(`Booking created: ${booking.id} by user: ${userId}`);
 
@@ -64,6 +99,29 @@ const getBooking = async (req, res, next) => {
   }
 };
 
+// Download the booking's invoice or payment receipt as a PDF (`type`, `lang` = en/si/ta)
+const getBookingReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      throw handleNotFoundError('Booking not found');
+    }
+
+    const { pdf, filename } = await receiptService.getBookingReceipt(booking, {
+      type: req.query.type,
+      lang: req.query.lang || req.user.language
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update booking
 const updateBooking = async (req, res, next) => {
   try {
@@ -76,12 +134,8 @@ const updateBooking = async (req, res, next) => {
       throw handleNotFoundError('Booking not found');
     }
 
-    // Check if user can update this booking
-    const canUpdate = 
-      booking.userId === userId ||
-      booking.guideId === userId ||
-      booking.driverId === userId ||
-      ['admin', 'moderator'].includes(req.user.role);
+    // Check if user can update this booking; status changes go through the state machine
+    const canUpdate = bookingStateMachine.actorFor(booking, req.user).roles.length > 0;
 
     if (!canUpdate) {
       return res.status(403).json(responseUtils.error('Access denied', 403));
@@ -99,63 +153,41 @@ const updateBooking = async (req, res, next) => {
   }
 };
 
-// Confirm booking
+// Confirm booking (guide, driver or admin; combined orders leg by leg)
 const confirmBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-
     const booking = await Booking.findById(id);
     if (!booking) {
       throw handleNotFoundError('Booking not found');
     }
 
-    // Check if user can confirm this booking
-    const canConfirm = 
-      booking.guideId === userId ||
-      booking.driverId === userId ||
-      ['admin', 'moderator'].includes(req.user.role);
-
-    if (!canConfirm) {
-      return res.status(403).json(responseUtils.error('Access denied', 403));
+    // On a combined order each provider confirms their own leg
+    const actor = bookingStateMachine.actorFor(booking, req.user);
+    if (booking.hasLegs()) {
+      await bookingLegService.confirm(booking, actor);
+    } else {
+      await bookingStateMachine.transition(booking, 'confirm', actor);
     }
 
-    await booking.confirm();
-
-    logger.info(`Booking confirmed: ${id} by user: ${userId}`);
-
     res.json(responseUtils.success({
       booking: booking.toSafeObject()
-    }, 'Booking confirmed successfully'));
+    }, booking.status === 'confirmed' ? 'Booking confirmed successfully' : 'Your part of the booking is confirmed'));
   } catch (error) {
     next(error);
   }
 };
 
-// Start booking
+// Start booking (guide, driver or admin; the booking must be paid)
 const startBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-
     const booking = await Booking.findById(id);
     if (!booking) {
       throw handleNotFoundError('Booking not found');
     }
 
-    // Check if user can start this booking
-    const canStart = 
-      booking.guideId === userId ||
-      booking.driverId === userId ||
-      ['admin', 'moderator'].includes(req.user.role);
-
-    if (!canStart) {
-      return res.status(403).json(responseUtils.error('Access denied', 403));
-    }
-
-    await booking.start();
-
-    logger.info(`Booking started: ${id} by user: ${userId}`);
+    await bookingStateMachine.transition(booking, 'start', bookingStateMachine.actorFor(booking, req.user));
 
     res.json(responseUtils.success({
       booking: booking.toSafeObject()
@@ -165,61 +197,82 @@ const startBooking = async (req, res, next) => {
   }
 };
 
-// Complete booking
+// Complete booking (guide, driver or admin). Commission, earnings, the invoice and
+// booking counters are handled by the state machine.
 const completeBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-
     const booking = await Booking.findById(id);
     if (!booking) {
       throw handleNotFoundError('Booking not found');
     }
 
-    // Check if user can complete this booking
-    const canComplete = 
-      booking.guideId === userId ||
-      booking.driverId === userId ||
-      ['admin', 'moderator'].includes(req.user.role);
+    await bookingStateMachine.transition(booking, 'complete', bookingStateMachine.actorFor(booking, req.user));
 
-    if (!canComplete) {
-      return res.status(403).json(responseUtils.error('Access denied', 403));
-    }
+    res.json(responseUtils.success({
+      booking: booking.toSafeObject()
+    }, 'Booking completed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel booking (tourist, guide, driver or admin)
+const cancelBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
 
-    await booking.complete();
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      throw handleNotFoundError('Booking not found');
+    }
 
-    // Update commission
-    await booking.updateCommission();
+    await bookingStateMachine.transition(booking, 'cancel', bookingStateMachine.actorFor(booking, req.user), {
+      reason: reason || null
+    });
+    const refundAmount = booking.calculateRefundAmount();
 
-    // Increment booking counts
-    if (booking.guideId) {
-      const guide = await Guide.findById(booking.guideId);
-      if (guide) {
-        await guide.incrementBookings();
+    // Refund what the policy allows, less anything already refunded (e.g. for a cancelled leg);
+    // a failed refund can be retried via POST /api/payments/refund
+    let refund = null;
+    if (refundAmount > 0 && refundService.hasRefundablePayment(booking)) {
+      try {
+        ({ refund } = await refundService.refundBooking(booking, {
+          limit: refundAmount,
+          reason: `Booking ${booking.bookingReference} cancelled${reason ? `: ${reason}` : ''}`,
+          idempotencyKey: `booking-cancel:${id}`,
+          requestedBy: userId
+        }));
+      } catch (error) {
+        logger.error(`Error refunding cancelled booking ${id}:`, error);
       }
     }
 
-    if (booking.driverId) {
-      const driver = await Driver.findById(booking.driverId);
-      if (driver) {
-        await driver.incrementRides();
-      }
+    try {
+      await cancellationPolicyService.retainCancellationFees(booking);
+    } catch (error) {
+      logger.error(`Error retaining the cancellation fee of booking ${id}:`, error);
     }
 
-    logger.info(`Booking completed: ${id} by user: ${userId}`);
+    logger.info(`Booking cancelled: ${id} by user: ${userId}, refund: ${refundAmount}`);
 
     res.json(responseUtils.success({
-      booking: booking.toSafeObject()
-    }, 'Booking completed successfully'));
+      booking: booking.toSafeObject(),
+      refundAmount,
+      cancellationTerms: booking.cancellationTerms,
+      refund: refund ? refund.toSafeObject() : null
+    }, 'Booking cancelled successfully'));
   } catch (error) {
     next(error);
   }
 };
 
-// Cancel booking
-const cancelBooking = async (req, res, next) => {
+// Cancel one leg of a combined order, refunding only that leg
+const cancelBookingLeg = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { id, legId } = req.params;
     const { reason } = req.body;
     const userId = req.user.id;
 
@@ -228,30 +281,71 @@ const cancelBooking = async (req, res, next) => {
       throw handleNotFoundError('Booking not found');
     }
 
-    // Check if user can cancel this booking
-    const canCancel = 
-      booking.userId === userId ||
-      booking.guideId === userId ||
-      booking.driverId === userId ||
-      ['admin', 'moderator'].includes(req.user.role);
+    const { leg, terms } = await bookingLegService.cancelLeg(booking, legId, bookingStateMachine.actorFor(booking, req.user), {
+      reason: reason || null
+    });
 
-    if (!canCancel) {
-      return res.status(403).json(responseUtils.error('Access denied', 403));
+    // Cancelling the last leg cancelled the whole order: refund as for /cancel
+    const refundAmount = leg ? terms.refundAmount : booking.calculateRefundAmount();
+
+    let refund = null;
+    if (refundAmount > 0 && refundService.hasRefundablePayment(booking)) {
+      try {
+        ({ refund } = await refundService.refundBooking(booking, {
+          ...(leg ? { amount: refundAmount } : { limit: refundAmount }),
+          reason: `Booking ${booking.bookingReference} ${leg ? `${leg.providerType} leg ` : ''}cancelled${reason ? `: ${reason}` : ''}`,
+          idempotencyKey: leg ? `booking-leg-cancel:${legId}` : `booking-cancel:${id}`,
+          requestedBy: userId
+        }));
+      } catch (error) {
+        logger.error(`Error refunding cancelled leg ${legId} of booking ${id}:`, error);
+      }
     }
 
-    if (!booking.canBeCancelled()) {
-      return res.status(400).json(responseUtils.error('Booking cannot be cancelled at this time', 400));
+    try {
+      await cancellationPolicyService.retainCancellationFees(booking);
+    } catch (error) {
+      logger.error(`Error retaining the cancellation fee of booking ${id}:`, error);
     }
 
-    const refundAmount = booking.calculateRefundAmount();
-    await booking.cancel(userId, reason, refundAmount);
-
-    logger.info(`Booking cancelled: ${id} by user: ${userId}, refund: ${refundAmount}`);
+    logger.info(`Booking leg cancelled: ${legId} of ${id} by user: ${userId}, refund: ${refundAmount}`);
 
     res.json(responseUtils.success({
       booking: booking.toSafeObject(),
-      refundAmount
-    }, 'Booking cancelled successfully'));
+      refundAmount,
+      cancellationTerms: terms,
+      refund: refund ? refund.toSafeObject() : null
+    }, leg ? 'Booking leg cancelled successfully' : 'Booking cancelled successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Policies guides and drivers can offer, for showing the terms before booking
+const getCancellationPolicies = async (req, res, next) => {
+  try {
+    const policies = await cancellationPolicyService.getPolicies();
+
+    res.json(responseUtils.success({
+      policies: policies.map(policy => policy.toSafeObject())
+    }, 'Cancellation policies retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Status history of a booking, oldest first, with what the caller can do next
+const getBookingTimeline = async (req, res, next) => {
+  try {
+    const booking = req.booking;
+    const events = await bookingStateMachine.getTimeline(booking);
+
+    res.json(responseUtils.success({
+      bookingId: booking.id,
+      status: booking.status,
+      events: events.map(event => event.toSafeObject()),
+      availableEvents: bookingStateMachine.getAvailableEvents(booking, bookingStateMachine.actorFor(booking, req.user))
+    }, 'Booking timeline retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -371,9 +465,10 @@ const getBookingStats = async (req, res, next) => {
 // Calculate booking price
 const calculatePrice = async (req, res, next) => {
   try {
-    const { guideId, driverId, duration, groupSize = 1, distance, surgeMultiplier = 1 } = req.body;
+    const { guideId, driverId, duration, groupSize = 1, distance, surgeMultiplier = 1, pickupLocation, dropoffLocation } = req.body;
 
     let totalAmount = 0;
+    let commission = 0;
     let breakdown = {};
 
     if (guideId) {
@@ -384,6 +479,7 @@ const calculatePrice = async (req, res, next) => {
 
       const guidePrice = guide.calculatePrice(parseInt(duration), parseInt(groupSize));
       totalAmount += guidePrice;
+      commission += commissionPolicy.calculateCommission(guidePrice, 'guide');
       breakdown.guide = {
         hourlyRate: guide.hourlyRate,
         duration: parseInt(duration),
@@ -398,30 +494,37 @@ const calculatePrice = async (req, res, next) => {
         throw handleNotFoundError('Driver not found');
       }
 
+      // Without an explicit distance, the route from pickup to dropoff, as combined bookings are priced
+      const tripDistance = distance !== undefined
+        ? parseFloat(distance)
+        : await bookingLegService.getTripDistance(pickupLocation, dropoffLocation);
+
       const driverPrice = driver.calculatePrice(
-        parseFloat(distance || 0),
+        tripDistance,
         parseInt(duration),
         parseFloat(surgeMultiplier)
       );
       totalAmount += driverPrice;
+      commission += commissionPolicy.calculateCommission(driverPrice, 'driver', await subscriptionService.getTier(driver.id));
       breakdown.driver = {
         baseRate: driver.baseRate,
         perKmRate: driver.perKmRate,
         perMinuteRate: driver.perMinuteRate,
-        distance: parseFloat(distance || 0),
+        distance: tripDistance,
         duration: parseInt(duration),
         surgeMultiplier: parseFloat(surgeMultiplier),
         amount: driverPrice
       };
     }
 
-    const commission = businessUtils.calculateGuideCommission(totalAmount, true) + 
-                     businessUtils.calculateDriverCommission(totalAmount);
+    totalAmount = Math.round(totalAmount * 100) / 100;
+    const quote = await currencyService.getQuoteForRequest(req);
 
     res.json(responseUtils.success({
-      totalAmount: Math.round(totalAmount * 100) / 100,
+      totalAmount,
       commission: Math.round(commission * 100) / 100,
-      breakdown
+      breakdown,
+      displayPrices: currencyService.convertFields({ totalAmount }, ['totalAmount'], quote)
     }, 'Price calculated successfully'));
   } catch (error) {
     next(error);
@@ -431,11 +534,15 @@ const calculatePrice = async (req, res, next) => {
 module.exports = {
   createBooking,
   getBooking,
+  getBookingReceipt,
   updateBooking,
   confirmBooking,
   startBooking,
   completeBooking,
   cancelBooking,
+  cancelBookingLeg,
+  getCancellationPolicies,
+  getBookingTimeline,
   rateBooking,
   getUserBookings,
   getBookingStats,
@@ -3,6 +3,7 @@ const { handleNotFoundError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
 const { db } = require('../config/database');
 const { cache } = require('../config/cache');
+const mediaService = require('../services/mediaService');
 
 // Time-boxed expiration based on update type
 const EXPIRATION_PERIODS = {
@@ -109,10 +110,10 @@ const createCommunityUpdate = async (req, res, next) => {
     const userId = req.user.id;
     const updateData = req.body;
 
-    // Require photo/video verification
-    if (!updateData.images || updateData.images.length === 0) {
+    // Require photo verification
+    if (!updateData.mediaIds || updateData.mediaIds.length === 0) {
       return res.status(400).json(responseUtils.error(
-        'Photo or video verification is required for all community updates',
+        'Photo verification is required for all community updates',
         400
       ));
     }
@@ -129,6 +130,9 @@ const createCommunityUpdate = async (req, res, next) => {
     const expirationMs = EXPIRATION_PERIODS[updateData.type];
     const expiresAt = new Date(Date.now() + expirationMs);
 
+    // Evidence must be the user's own uploads from /api/media
+    const media = await mediaService.resolve(updateData.mediaIds, req.user, 'community');
+
     // Create the update
     const { data: update, error } = await db.supabase
       .from('community_updates')
@@ -141,7 +145,7 @@ const createCommunityUpdate = async (req, res, next) => {
         location: updateData.location,
         severity: updateData.severity || 'medium',
         expires_at: expiresAt.toISOString(),
-        images: updateData.images,
+        images: mediaService.getUrls(media),
         tags: updateData.tags || [],
         upvotes: 0,
         downvotes: 0,
@@ -157,6 +161,8 @@ const createCommunityUpdate = async (req, res, next) => {
 
     if (error) throw error;
 
+    await mediaService.attach(media, 'community_update', update.id);
+
     logger.info(`Community update created: ${update.id} by user: ${userId}, type: ${updateData.type}, expires: ${expiresAt}`);
 
     // Clear cache for nearby updates
@@ -352,21 +358,6 @@ const reportUpdate = async (req, res, next) => {
   }
 };
 
-module.exports = {
-  getCommunityUpdates,
-  createCommunityUpdate,
-  getNearbyUpdates,
-  getEvents,
-  createEvent,
-  getEvent,
-  updateEvent,
-  deleteEvent,
-  voteOnUpdate,
-  reportUpdate,
-  verifyUpdate,
-  getEmergencyServices
-};
-
 // Get nearby updates with real-time filtering
 const getNearbyUpdates = async (req, res, next) => {
   try {
@@ -606,3 +597,18 @@ function calculateUrgency(severity, expiresAt) {
   if (severity === 'medium' || daysUntilExpiration <= 7) return 'medium';
   return 'low';
 }
+
+module.exports = {
+  getCommunityUpdates,
+  createCommunityUpdate,
+  getNearbyUpdates,
+  getEvents,
+  createEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+  voteOnUpdate,
+  reportUpdate,
+  verifyUpdate,
+  getEmergencyServices
+};
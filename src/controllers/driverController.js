@@ -7,6 +7,15 @@ const { cache } = require('../config/cache');
 const { db } = require('../config/database');
 const locationService = require('../services/locationService');
 const weatherService = require('../services/weatherService');
+const socketService = require('../services/socketService');
+const commissionPolicy = require('../services/commissionPolicy');
+const subscriptionService = require('../services/subscriptionService');
+const currencyService = require('../services/currencyService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+
+// LKR price fields converted for display in the traveller's currency
+const DRIVER_RATE_FIELDS = ['baseRate', 'perKmRate', 'perMinuteRate'];
+const FARE_FIELDS = ['subtotal', 'estimatedFare', 'platformFee', 'totalFare'];
 
 // Create driver profile with KYC verification requirement
 const createDriver = async (req, res, next) => {
@@ -62,8 +71,14 @@ const getDriver = async (req, res, next) => {
       throw handleNotFoundError('Driver not found');
     }
 
+    const [driverData] = currencyService.withDisplayPrices(
+      [driver.toPublicObject()],
+      DRIVER_RATE_FIELDS,
+      await currencyService.getQuoteForRequest(req)
+    );
+
     res.json(responseUtils.success({
-      driver: driver.toPublicObject()
+      driver: driverData
     }, 'Driver profile retrieved successfully'));
   } catch (error) {
     next(error);
@@ -111,12 +126,15 @@ const findNearbyDrivers = async (req, res, next) => {
     // Validate coordinates
     const coords = locationService.validateCoordinates(parseFloat(latitude), parseFloat(longitude));
 
+    // Results are cached in LKR and converted to the display currency per request
+    const quote = await currencyService.getQuoteForRequest(req);
+
     // Check cache first
     const cacheKey = `drivers_${coords.latitude}_${coords.longitude}_${radius}_${vehicleType || 'all'}_${sortBy}`;
-    const cached = cache.get(cacheKey);
+    const cached = await cache.get(cacheKey);
     if (cached) {
       logger.info(`Returning cached drivers near ${coords.latitude}, ${coords.longitude}`);
-      return res.json(responseUtils.success(cached, 'Nearby drivers found (cached)'));
+      return res.json(responseUtils.success(withDriverDisplayPrices(cached, quote), 'Nearby drivers found (cached)'));
     }
 
     // Build filters
@@ -141,6 +159,8 @@ const findNearbyDrivers = async (req, res, next) => {
       filters
     );
 
+    const premiumDriverIds = await subscriptionService.getPremiumDriverIds(drivers.map(driver => driver.id));
+
     // Calculate distances and prepare response with privacy-blurred locations
     const driversWithData = drivers.map(driver => {
       const distance = locationService.calculateDistance(
@@ -177,12 +197,17 @@ const findNearbyDrivers = async (req, res, next) => {
         location: blurredLocation,
         estimatedArrival: calculateETA(distance), // minutes
         isOnline: driver.isOnline,
-        lastActive: driver.lastLocationUpdate
+        lastActive: driver.lastLocationUpdate,
+        featured: premiumDriverIds.has(driver.id)
       };
     });
 
-    // Sort drivers
-    const sortedDrivers = sortDrivers(driversWithData, sortBy);
+    // Sort drivers, then lift premium subscribers to the top keeping that order
+    const ranked = sortDrivers(driversWithData, sortBy);
+    const sortedDrivers = [
+      ...ranked.filter(driver => driver.featured),
+      ...ranked.filter(driver => !driver.featured)
+    ];
 
     const result = {
       drivers: sortedDrivers,
@@ -202,7 +227,7 @@ const findNearbyDrivers = async (req, res, next) => {
     // Cache for 1 minute (drivers move frequently)
     cache.set(cacheKey, result, 60);
 
-    res.json(responseUtils.success(result, 'Nearby drivers found successfully'));
+    res.json(responseUtils.success(withDriverDisplayPrices(result, quote), 'Nearby drivers found successfully'));
   } catch (error) {
     next(error);
   }
@@ -237,6 +262,38 @@ const updateOnlineStatus = async (req, res, next) => {
   }
 };
 
+// Choose the cancellation policy for pre-bookings (rides keep free cancellation until pickup)
+const updateCancellationPolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cancellationPolicyId } = req.body;
+
+    const driver = await Driver.findById(id);
+    if (!driver) {
+      throw handleNotFoundError('Driver not found');
+    }
+
+    if (driver.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json(responseUtils.error('Access denied', 403));
+    }
+
+    const policy = cancellationPolicyId
+      ? await cancellationPolicyService.getAssignablePolicy(cancellationPolicyId)
+      : null;
+
+    const updatedDriver = await driver.update({ cancellation_policy_id: policy ? policy.id : null });
+
+    logger.info(`Driver ${id} cancellation policy set to ${policy ? policy.code : 'default'}`);
+
+    res.json(responseUtils.success({
+      driver: updatedDriver.toSafeObject(),
+      cancellationPolicy: policy ? policy.toSafeObject() : null
+    }, 'Cancellation policy updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update driver location
 const updateLocation = async (req, res, next) => {
   try {
@@ -256,6 +313,9 @@ const updateLocation = async (req, res, next) => {
 
     await driver.updateLocation(parseFloat(lat), parseFloat(lng));
 
+    // Push the new position to riders tracking an active ride with this driver
+    await publishRideLocations(driver);
+
     logger.info(`Driver location updated: ${id} - ${lat}, ${lng}`);
 
     res.json(responseUtils.success({
@@ -298,7 +358,7 @@ const calculateFare = async (req, res, next) => {
     const estimatedDuration = (distance / 25) * 60; // minutes
 
     // Get base rates for vehicle type
-    const baseRates = getBaseRates(vehicleType);
+    const baseRates = Driver.getBaseRates(vehicleType);
 
     // Calculate base fare
     let breakdown = {
@@ -356,8 +416,8 @@ const calculateFare = async (req, res, next) => {
     // Calculate final fare
     breakdown.estimatedFare = Math.round((breakdown.subtotal + breakdown.totalSurgeAmount) * 100) / 100;
     
-    // Add platform fee (5%)
-    breakdown.platformFee = Math.round(breakdown.estimatedFare * 0.05 * 100) / 100;
+    // Add platform fee
+    breakdown.platformFee = commissionPolicy.calculatePlatformFee(breakdown.estimatedFare);
     breakdown.totalFare = Math.round((breakdown.estimatedFare + breakdown.platformFee) * 100) / 100;
 
     // Fare range (±10% variance for final fare)
@@ -366,9 +426,18 @@ const calculateFare = async (req, res, next) => {
       max: Math.round(breakdown.totalFare * 1.10 * 100) / 100
     };
 
+    const quote = await currencyService.getQuoteForRequest(req);
+
     res.json(responseUtils.success({
       breakdown,
       fareRange,
+      displayPrices: {
+        ...currencyService.convertFields(breakdown, FARE_FIELDS, quote),
+        fareRange: {
+          min: currencyService.convert(fareRange.min, quote),
+          max: currencyService.convert(fareRange.max, quote)
+        }
+      },
       distance: Math.round(distance * 100) / 100,
       estimatedDuration: Math.round(estimatedDuration),
       vehicleType,
@@ -405,8 +474,8 @@ const calculateDriverFare = async (req, res, next) => {
     const surgeAmount = subtotal * (totalMultiplier - 1);
     const estimatedFare = subtotal + surgeAmount;
 
-    // Platform fee (5%)
-    const platformFee = estimatedFare * 0.05;
+    // Platform fee
+    const platformFee = commissionPolicy.calculatePlatformFee(estimatedFare);
     const totalFare = estimatedFare + platformFee;
 
     const breakdown = {
@@ -424,6 +493,7 @@ const calculateDriverFare = async (req, res, next) => {
 
     res.json(responseUtils.success({
       breakdown,
+      displayPrices: currencyService.convertFields(breakdown, FARE_FIELDS, await currencyService.getQuoteForRequest(req)),
       driver: {
         id: driver.id,
         name: driver.user?.firstName + ' ' + driver.user?.lastName,
@@ -531,63 +601,6 @@ const deleteDriver = async (req, res, next) => {
   }
 };
 
-// Update subscription tier (Freemium/Premium)
-const updateSubscriptionTier = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { subscriptionTier, paymentId } = req.body;
-    const userId = req.user.id;
-
-    const driver = await Driver.findById(id);
-    if (!driver) {
-      throw handleNotFoundError('Driver not found');
-    }
-
-    if (driver.userId !== userId) {
-      return res.status(403).json(responseUtils.error('Access denied', 403));
-    }
-
-    // Premium tier requires payment verification
-    if (subscriptionTier === 'premium' && !paymentId) {
-      return res.status(400).json(responseUtils.error('Payment verification required for premium tier', 400));
-    }
-
-    // Update subscription
-    const { data, error } = await db.supabase
-      .from('drivers')
-      .update({
-        subscription_tier: subscriptionTier,
-        subscription_updated_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    logger.info(`Driver subscription updated: ${id} - ${subscriptionTier}`);
-
-    const premiumFeatures = subscriptionTier === 'premium' ? {
-      priorityInSearch: true,
-      featuredPlacement: true,
-      detailedAnalytics: true,
-      customBranding: true,
-      reducedCommission: '8% (instead of 10%)'
-    } : null;
-
-    res.json(responseUtils.success({
-      subscriptionTier,
-      premiumFeatures,
-      message: subscriptionTier === 'premium' ? 
-        'Premium subscription activated! You now have priority placement in search results.' :
-        'Subscription updated successfully'
-    }, 'Subscription updated successfully'));
-  } catch (error) {
-    next(error);
-  }
-};
-
 // Get driver earnings dashboard
 const getDriverEarnings = async (req, res, next) => {
   try {
@@ -640,7 +653,7 @@ const getDriverAnalytics = async (req, res, next) => {
     }
 
     // Check if driver has premium subscription
-    if (driver.subscriptionTier !== 'premium') {
+    if (await subscriptionService.getTier(driver.id) !== 'premium') {
       return res.status(403).json(responseUtils.error(
         'Detailed analytics are only available for Premium subscribers. Upgrade to access this feature.',
         403
@@ -703,12 +716,12 @@ module.exports = {
   findNearbyDrivers,
   updateOnlineStatus,
   updateLocation,
+  updateCancellationPolicy,
   calculateFare,
   calculateDriverFare,
   getDriverRides,
   getDriverStats,
   deleteDriver,
-  updateSubscriptionTier,
   getDriverEarnings,
   getDriverAnalytics
 };
@@ -736,6 +749,13 @@ function maskVehicleNumber(vehicleNumber) {
   return `${first}${masked}${last}`;
 }
 
+function withDriverDisplayPrices(result, quote) {
+  return {
+    ...result,
+    drivers: currencyService.withDisplayPrices(result.drivers, DRIVER_RATE_FIELDS, quote)
+  };
+}
+
 function getDistanceText(distance) {
   if (!distance) return 'Distance unknown';
   if (distance < 1) return `${Math.round(distance * 1000)}m away`;
@@ -748,6 +768,45 @@ function calculateETA(distance) {
   return minutes < 1 ? 1 : minutes;
 }
 
+async function publishRideLocations(driver) {
+  try {
+    const { data: rides, error } = await db.supabase
+      .from('bookings')
+      .select('id, status, pickup_location, dropoff_location')
+      .eq('driver_id', driver.id)
+      .eq('type', 'ride')
+      .in('status', ['confirmed', 'in_progress']);
+
+    if (error) throw error;
+
+    for (const ride of rides || []) {
+      // Heading to pickup until the ride starts, then to dropoff
+      const target = ride.status === 'in_progress' ? ride.dropoff_location : ride.pickup_location;
+      const distance = target?.latitude && target?.longitude
+        ? locationService.calculateDistance(
+          driver.currentLat,
+          driver.currentLng,
+          parseFloat(target.latitude),
+          parseFloat(target.longitude)
+        )
+        : null;
+
+      socketService.emitRideLocation(ride.id, {
+        latitude: driver.currentLat,
+        longitude: driver.currentLng
+      }, {
+        status: ride.status,
+        heading: ride.status === 'in_progress' ? 'dropoff' : 'pickup',
+        distanceRemaining: distance !== null ? Math.round(distance * 100) / 100 : null,
+        eta: distance !== null ? calculateETA(distance) : null
+      });
+    }
+  } catch (error) {
+    // Live tracking is best effort - never fail the location update
+    logger.error('Error publishing ride location:', error);
+  }
+}
+
 function sortDrivers(drivers, sortBy) {
   switch (sortBy) {
     case 'rating':
@@ -762,28 +821,6 @@ function sortDrivers(drivers, sortBy) {
   }
 }
 
-function getBaseRates(vehicleType) {
-  const rates = {
-    standard: {
-      base: 300,
-      perKm: 50,
-      perMinute: 5
-    },
-    air_conditioned: {
-      base: 400,
-      perKm: 60,
-      perMinute: 6
-    },
-    luxury: {
-      base: 500,
-      perKm: 75,
-      perMinute: 8
-    }
-  };
-
-  return rates[vehicleType] || rates.standard;
-}
-
 async function calculateDriverEarnings(driverId, startDate, endDate) {
   try {
     const { data: bookings, error } = await db.supabase
@@ -6,8 +6,15 @@ const logger = require('../utils/logger');
 const { cache } = require('../config/cache');
 const { db } = require('../config/database');
 const locationService = require('../services/locationService');
+const mediaService = require('../services/mediaService');
+const currencyService = require('../services/currencyService');
+const guideAvailabilityService = require('../services/guideAvailabilityService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
 const { v4: uuidv4 } = require('uuid');
 
+// LKR price fields converted for display in the traveller's currency
+const GUIDE_PRICE_FIELDS = ['hourlyRate'];
+
 // Create guide profile with KYC verification requirement
 const createGuide = async (req, res, next) => {
   try {
@@ -55,7 +62,7 @@ const createGuide = async (req, res, next) => {
 };
 
 // Get guide profile
-const getGuide = async (req, res, next) => {
+const getGuideById = async (req, res, next) => {
   try {
     const { id } = req.params;
     const guide = await Guide.findById(id);
@@ -64,8 +71,14 @@ const getGuide = async (req, res, next) => {
       throw handleNotFoundError('Guide not found');
     }
 
+    const [guideData] = currencyService.withDisplayPrices(
+      [guide.toPublicObject()],
+      GUIDE_PRICE_FIELDS,
+      await currencyService.getQuoteForRequest(req)
+    );
+
     res.json(responseUtils.success({
-      guide: guide.toPublicObject()
+      guide: guideData
     }, 'Guide profile retrieved successfully'));
   } catch (error) {
     next(error);
@@ -130,13 +143,16 @@ const searchGuides = async (req, res, next) => {
       return res.status(400).json(responseUtils.error(coordValidation.error, 400));
     }
 
+    // Results are cached in LKR and converted to the display currency per request
+    const quote = await currencyService.getQuoteForRequest(req);
+
     // Check cache
     const cacheKey = `guides_${lat}_${lng}_${radius}_${sortBy}_${languages || 'all'}_${specializations || 'all'}`;
     const cachedResult = await cache.get(cacheKey);
     
     if (cachedResult) {
       logger.debug(`Cache hit for guide search: ${cacheKey}`);
-      return res.json(responseUtils.success(cachedResult, 'Guides found (cached)'));
+      return res.json(responseUtils.success(withGuideDisplayPrices(cachedResult, quote), 'Guides found (cached)'));
     }
 
     // Build filters
@@ -170,7 +186,7 @@ const searchGuides = async (req, res, next) => {
     // Calculate enhanced data for each guide
     const guidesWithEnhancedData = await Promise.all(filteredGuides.map(async (guide) => {
       const distance = guide.calculateDistance(parseFloat(lat), parseFloat(lng));
-      const availability = await getGuideAvailability(guide.id);
+      const availability = await getGuideAvailability(guide);
       const responseTime = await getAverageResponseTime(guide.id);
       const lastMinuteDeals = await getLastMinuteDeals(guide.id);
       
@@ -186,7 +202,7 @@ const searchGuides = async (req, res, next) => {
         responseTime: responseTime,
         hasLastMinuteDeals: lastMinuteDeals.length > 0,
         lastMinuteDeals: lastMinuteDeals,
-        packages: await getGuidePackages(guide.id)
+        packages: await fetchGuidePackages(guide.id)
       };
     }));
 
@@ -218,7 +234,7 @@ const searchGuides = async (req, res, next) => {
     // Cache for 3 minutes
     await cache.set(cacheKey, result, 180);
 
-    res.json(responseUtils.success(result, `${paginatedGuides.length} verified guides found near you`));
+    res.json(responseUtils.success(withGuideDisplayPrices(result, quote), `${paginatedGuides.length} verified guides found near you`));
   } catch (error) {
     next(error);
   }
@@ -286,7 +302,7 @@ const updateLocation = async (req, res, next) => {
 const addToPortfolio = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const portfolioItem = req.body;
+    const { title, description, mediaIds } = req.body;
     const userId = req.user.id;
 
     const guide = await Guide.findById(id);
@@ -299,7 +315,17 @@ const addToPortfolio = async (req, res, next) => {
       return res.status(403).json(responseUtils.error('Access denied', 403));
     }
 
-    await guide.addToPortfolio(portfolioItem);
+    // Photos must be the guide's own uploads from /api/media
+    const media = await mediaService.resolve(mediaIds, req.user, 'portfolio');
+
+    const portfolioItem = await guide.addToPortfolio({
+      title,
+      description,
+      mediaIds: media.map(item => item.id),
+      images: mediaService.getUrls(media),
+      thumbnails: mediaService.getUrls(media, 'thumb')
+    });
+    await mediaService.attach(media, 'guide_portfolio', portfolioItem.id);
 
     logger.info(`Portfolio item added to guide: ${id}`);
 
@@ -398,20 +424,6 @@ const deleteGuide = async (req, res, next) => {
   }
 };
 
-module.exports = {
-  createGuide,
-  getAllGuides,
-  getGuideById,
-  updateGuide,
-  deleteGuide,
-  searchGuides,
-  getGuidePackages,
-  upsertGuidePackage,
-  getAvailabilityCalendar,
-  checkInstantBooking,
-  getEarningsDashboard
-};
-
 // Get guide packages
 const getGuidePackages = async (req, res, next) => {
   try {
@@ -422,7 +434,7 @@ const getGuidePackages = async (req, res, next) => {
       throw handleNotFoundError('Guide not found');
     }
 
-    const packages = await getGuidePackages(id);
+    const packages = await fetchGuidePackages(id);
 
     res.json(responseUtils.success({
       packages,
@@ -450,6 +462,11 @@ const upsertGuidePackage = async (req, res, next) => {
       return res.status(403).json(responseUtils.error('Access denied', 403));
     }
 
+    // Bookings of the package snapshot this policy; without one they follow the default
+    const policy = packageData.cancellationPolicyId
+      ? await cancellationPolicyService.getAssignablePolicy(packageData.cancellationPolicyId)
+      : null;
+
     const { data, error } = await db.supabase
       .from('guide_packages')
       .upsert({
@@ -464,6 +481,7 @@ const upsertGuidePackage = async (req, res, next) => {
         exclusions: packageData.exclusions || [],
         max_group_size: packageData.maxGroupSize || guide.maxGroupSize,
         available_days: packageData.availableDays || guide.availableDays,
+        cancellation_policy_id: policy ? policy.id : null,
         is_active: true,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -483,24 +501,24 @@ const upsertGuidePackage = async (req, res, next) => {
   }
 };
 
-// Get guide availability calendar
+// Get guide availability calendar with the free hourly slots of each day (Colombo time)
 const getAvailabilityCalendar = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, duration } = req.query;
 
     const guide = await Guide.findById(id);
     if (!guide) {
       throw handleNotFoundError('Guide not found');
     }
 
-    const start = startDate ? new Date(startDate) : new Date();
-    const end = endDate ? new Date(endDate) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
-
-    const calendar = await generateAvailabilityCalendar(id, start, end);
+    const calendar = await guideAvailabilityService.getCalendar(guide, startDate, endDate, {
+      slotHours: duration ? parseInt(duration) : undefined
+    });
 
     res.json(responseUtils.success({
       calendar,
+      bufferMinutes: guideAvailabilityService.bufferMinutes,
       guide: {
         id: guide.id,
         name: guide.user?.first_name + ' ' + guide.user?.last_name,
@@ -542,7 +560,8 @@ const checkInstantBooking = async (req, res, next) => {
     }
 
     // Check if guide is available
-    const isAvailable = await checkGuideAvailability(id, bookingStart, parseInt(duration));
+    const bookingEnd = new Date(bookingStart.getTime() + parseInt(duration) * 60 * 60 * 1000);
+    const isAvailable = await guideAvailabilityService.checkSlot(guide, bookingStart, bookingEnd);
 
     res.json(responseUtils.success({
       available: isAvailable.available,
@@ -592,38 +611,19 @@ const getEarningsDashboard = async (req, res, next) => {
 
 // Helper Functions
 
-async function getGuideAvailability(guideId) {
+async function getGuideAvailability(guide) {
   try {
-    const today = new Date();
-    const endOfWeek = new Date(today);
-    endOfWeek.setDate(today.getDate() + 7);
-
-    const { data: bookings, error } = await db.supabase
-      .from('bookings')
-      .select('start_date, end_date, status')
-      .eq('guide_id', guideId)
-      .in('status', ['confirmed', 'in_progress'])
-      .gte('start_date', today.toISOString())
-      .lte('start_date', endOfWeek.toISOString());
-
-    if (error) throw error;
-
-    const guide = await Guide.findById(guideId);
-    const todayDayName = today.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    
-    const availableToday = guide.isAvailable && 
-                          guide.availableDays.includes(todayDayName) &&
-                          !bookings.some(b => {
-                            const start = new Date(b.start_date);
-                            return start.toDateString() === today.toDateString();
-                          });
-
-    const availableThisWeek = bookings.length < 7; // Has slots available this week
+    const calendar = await guideAvailabilityService.getCalendar(
+      guide,
+      new Date(),
+      new Date(Date.now() + 29 * 24 * 60 * 60 * 1000)
+    );
+    const nextAvailable = calendar.find(day => day.available);
 
     return {
-      today: availableToday,
-      thisWeek: availableThisWeek,
-      nextAvailable: findNextAvailableDate(guide, bookings)
+      today: calendar[0].available,
+      thisWeek: calendar.slice(0, 7).some(day => day.available),
+      nextAvailable: nextAvailable ? nextAvailable.date : null
     };
   } catch (error) {
     logger.error('Error getting guide availability:', error);
@@ -692,11 +692,11 @@ async function getLastMinuteDeals(guideId) {
   }
 }
 
-async function getGuidePackages(guideId) {
+async function fetchGuidePackages(guideId) {
   try {
     const { data: packages, error } = await db.supabase
       .from('guide_packages')
-      .select('*')
+      .select('*, cancellation_policy:cancellation_policies(code, name, description, min_notice_hours, refund_tiers, provider_penalty_tiers, force_majeure_refund_percentage)')
       .eq('guide_id', guideId)
       .eq('is_active', true)
       .order('price', { ascending: true });
@@ -710,6 +710,13 @@ async function getGuidePackages(guideId) {
   }
 }
 
+function withGuideDisplayPrices(result, quote) {
+  return {
+    ...result,
+    guides: currencyService.withDisplayPrices(result.guides, GUIDE_PRICE_FIELDS, quote)
+  };
+}
+
 function getDistanceText(distance) {
   if (!distance) return 'Distance unknown';
   if (distance < 1) return `${Math.round(distance * 1000)}m away`;
@@ -732,117 +739,6 @@ function sortGuides(guides, sortBy) {
   }
 }
 
-function findNextAvailableDate(guide, bookings) {
-  const today = new Date();
-  const bookedDates = new Set(bookings.map(b => new Date(b.start_date).toDateString()));
-
-  for (let i = 0; i < 30; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    
-    if (guide.availableDays.includes(dayName) && !bookedDates.has(date.toDateString())) {
-      return date.toISOString().split('T')[0];
-    }
-  }
-
-  return null;
-}
-
-async function generateAvailabilityCalendar(guideId, startDate, endDate) {
-  try {
-    const guide = await Guide.findById(guideId);
-    const { data: bookings, error } = await db.supabase
-      .from('bookings')
-      .select('start_date, end_date, status')
-      .eq('guide_id', guideId)
-      .in('status', ['confirmed', 'pending', 'in_progress'])
-      .gte('start_date', startDate.toISOString())
-      .lte('start_date', endDate.toISOString());
-
-    if (error) throw error;
-
-    const calendar = [];
-    const currentDate = new Date(startDate);
-
-    while (currentDate <= endDate) {
-      const dayName = currentDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-      const dateStr = currentDate.toISOString().split('T')[0];
-      
-      const isWorkingDay = guide.availableDays.includes(dayName);
-      const hasBooking = bookings.some(b => 
-        new Date(b.start_date).toDateString() === currentDate.toDateString()
-      );
-
-      calendar.push({
-        date: dateStr,
-        dayOfWeek: dayName,
-        isWorkingDay,
-        available: isWorkingDay && !hasBooking && guide.isAvailable,
-        hasBooking,
-        workingHours: isWorkingDay ? guide.workingHours : null
-      });
-
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    return calendar;
-  } catch (error) {
-    logger.error('Error generating availability calendar:', error);
-    return [];
-  }
-}
-
-async function checkGuideAvailability(guideId, startDate, duration) {
-  try {
-    const guide = await Guide.findById(guideId);
-    
-    if (!guide.isAvailable) {
-      return { available: false, reason: 'Guide is currently unavailable' };
-    }
-
-    const dayName = startDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    if (!guide.availableDays.includes(dayName)) {
-      return { available: false, reason: 'Guide is not available on this day' };
-    }
-
-    // Check working hours
-    const startHour = startDate.getHours();
-    const workingStart = parseInt(guide.workingHours.start.split(':')[0]);
-    const workingEnd = parseInt(guide.workingHours.end.split(':')[0]);
-    const endHour = startHour + duration;
-
-    if (startHour < workingStart || endHour > workingEnd) {
-      return { 
-        available: false, 
-        reason: `Outside working hours (${guide.workingHours.start} - ${guide.workingHours.end})` 
-      };
-    }
-
-    // Check for conflicting bookings
-    const endDate = new Date(startDate);
-    endDate.setHours(endDate.getHours() + duration);
-
-    const { data: conflicts, error } = await db.supabase
-      .from('bookings')
-      .select('id')
-      .eq('guide_id', guideId)
-      .in('status', ['confirmed', 'pending', 'in_progress'])
-      .or(`and(start_date.lte.${endDate.toISOString()},end_date.gte.${startDate.toISOString()})`);
-
-    if (error) throw error;
-
-    if (conflicts && conflicts.length > 0) {
-      return { available: false, reason: 'Guide has another booking at this time' };
-    }
-
-    return { available: true, reason: 'Slot available' };
-  } catch (error) {
-    logger.error('Error checking guide availability:', error);
-    return { available: false, reason: 'Error checking availability' };
-  }
-}
-
 async function calculateEarnings(guideId, startDate, endDate) {
   try {
     const { data: bookings, error } = await db.supabase
@@ -892,3 +788,17 @@ async function calculateEarnings(guideId, startDate, endDate) {
     };
   }
 }
+
+module.exports = {
+  createGuide,
+  getGuideById,
+  updateGuide,
+  deleteGuide,
+  searchGuides,
+  addToPortfolio,
+  getGuidePackages,
+  upsertGuidePackage,
+  getAvailabilityCalendar,
+  checkInstantBooking,
+  getEarningsDashboard
+};
@@ -0,0 +1,220 @@
+const Itinerary = require('../models/Itinerary');
+const itineraryService = require('../services/itineraryService');
+const itineraryGenerator = require('../services/itineraryGenerator');
+const currencyService = require('../services/currencyService');
+const { responseUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const createItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.createItinerary(req.user.id, req.body);
+
+    logger.info(`Itinerary created: ${itinerary.id} by user: ${req.user.id}`);
+
+    res.status(201).json(responseUtils.success({
+      itinerary: itinerary.toSafeObject()
+    }, 'Itinerary created successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getItineraries = async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+
+    const { itineraries, total } = await Itinerary.findByUserId(req.user.id, { limit, offset });
+
+    res.json(responseUtils.success({
+      itineraries: itineraries.map(itinerary => itinerary.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Itineraries retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The itinerary with its day-by-day plan
+const getItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    const plan = await itineraryService.buildPlan(itinerary);
+
+    res.json(responseUtils.success({
+      itinerary: itinerary.toSafeObject(),
+      plan
+    }, 'Itinerary retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    await itineraryService.updateItinerary(itinerary, req.body);
+
+    res.json(responseUtils.success({
+      itinerary: itinerary.toSafeObject()
+    }, 'Itinerary updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    await itineraryService.deleteItinerary(itinerary);
+
+    logger.info(`Itinerary deleted: ${itinerary.id} by user: ${req.user.id}`);
+
+    res.json(responseUtils.success(null, 'Itinerary deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const addStop = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    const stop = await itineraryService.addStop(itinerary, req.body);
+
+    res.status(201).json(responseUtils.success({
+      stop: stop.toSafeObject()
+    }, 'Stop added successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateStop = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    const stop = await itineraryService.updateStop(itinerary, req.params.stopId, req.body);
+
+    res.json(responseUtils.success({
+      stop: stop.toSafeObject()
+    }, 'Stop updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removeStop = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    await itineraryService.removeStop(itinerary, req.params.stopId);
+
+    res.json(responseUtils.success(null, 'Stop removed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suggest a route from preferences; saved as a draft itinerary when `save` is set
+const generateItinerary = async (req, res, next) => {
+  try {
+    const generated = await itineraryGenerator.generate(req.body);
+
+    if (!req.body.save) {
+      return res.json(responseUtils.success({
+        generated
+      }, 'Itinerary generated successfully'));
+    }
+
+    const itinerary = await itineraryGenerator.save(req.user.id, req.body, generated);
+
+    res.status(201).json(responseUtils.success({
+      itinerary: itinerary.toSafeObject(),
+      generated
+    }, 'Itinerary generated successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Read-only link for anyone, signed in or not
+const shareItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    await itinerary.share();
+
+    res.json(responseUtils.success({
+      shareToken: itinerary.shareToken,
+      shareUrl: `${process.env.FRONTEND_URL}/itineraries/shared/${itinerary.shareToken}`
+    }, 'Itinerary shared successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unshareItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+    await itinerary.unshare();
+
+    res.json(responseUtils.success(null, 'Itinerary is no longer shared'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSharedItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getSharedItinerary(req.params.token);
+    const plan = await itineraryService.buildPlan(itinerary);
+
+    res.json(responseUtils.success({
+      itinerary: itinerary.toSafeObject({ shared: true }),
+      plan
+    }, 'Itinerary retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Book the itinerary's guide and driver as one order; pay it with /api/payments/create-request
+const checkoutItinerary = async (req, res, next) => {
+  try {
+    const itinerary = await itineraryService.getOwnItinerary(req.params.id, req.user.id);
+
+    // Lock the display currency rate for the life of the booking
+    const quote = await currencyService.getQuoteForRequest(req);
+
+    const { booking, plan } = await itineraryService.checkout(itinerary, req.user, {
+      displayCurrency: quote.currency,
+      fxRate: quote.rate,
+      specialRequests: req.body.specialRequests
+    });
+
+    res.status(201).json(responseUtils.success({
+      itinerary: itinerary.toSafeObject(),
+      booking: booking.toSafeObject(),
+      plan
+    }, 'Itinerary booked successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createItinerary,
+  getItineraries,
+  getItinerary,
+  updateItinerary,
+  deleteItinerary,
+  addStop,
+  updateStop,
+  removeStop,
+  generateItinerary,
+  shareItinerary,
+  unshareItinerary,
+  getSharedItinerary,
+  checkoutItinerary
+};
@@ -0,0 +1,60 @@
+const { responseUtils } = require('../utils/helpers');
+const kycService = require('../services/kycService');
+const logger = require('../utils/logger');
+
+// Current tier, required documents and submission history
+const getKycStatus = async (req, res, next) => {
+  try {
+    const status = await kycService.getStatus(req.user);
+
+    res.json(responseUtils.success(status, 'KYC status retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload a document (multipart: front, optional back)
+const submitDocument = async (req, res, next) => {
+  try {
+    const verification = await kycService.submitDocument(req.user, req.body, getUploadedFiles(req));
+
+    res.status(201).json(responseUtils.success({
+      verification: verification.toSafeObject()
+    }, 'Document submitted for review', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Respond to a reviewer's request for more information
+const resubmitDocument = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const verification = await kycService.resubmitDocument(req.user, id, req.body, getUploadedFiles(req));
+
+    logger.info(`KYC document ${id} returned to review queue by user ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      verification: verification.toSafeObject()
+    }, 'Document resubmitted for review'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper Functions
+
+// multer .fields() gives arrays per field name
+function getUploadedFiles(req) {
+  return {
+    front: req.files?.front?.[0] || null,
+    back: req.files?.back?.[0] || null
+  };
+}
+
+module.exports = {
+  getKycStatus,
+  submitDocument,
+  resubmitDocument
+};
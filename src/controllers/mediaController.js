@@ -0,0 +1,68 @@
+const Media = require('../models/Media');
+const mediaService = require('../services/mediaService');
+const { responseUtils } = require('../utils/helpers');
+const { handleNotFoundError, handleConflictError, AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Upload images (multipart: files[], purpose) - returns media IDs to reference elsewhere
+const uploadMedia = async (req, res, next) => {
+  try {
+    const { purpose } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      throw new AppError('At least one image is required', 400);
+    }
+
+    const media = await mediaService.uploadMany(req.user, req.files, purpose);
+
+    res.status(201).json(responseUtils.success({
+      media: media.map(item => item.toSafeObject())
+    }, 'Media uploaded successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a media item with its variant URLs
+const getMedia = async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      throw handleNotFoundError('Media not found');
+    }
+
+    res.json(responseUtils.success({
+      media: media.toSafeObject()
+    }, 'Media retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an upload that has not been used yet
+const deleteMedia = async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media || (media.ownerId !== req.user.id && !['admin', 'moderator'].includes(req.user.role))) {
+      throw handleNotFoundError('Media not found');
+    }
+
+    if (media.isAttached()) {
+      throw handleConflictError('Media is in use and cannot be deleted');
+    }
+
+    await mediaService.deleteMedia(media);
+
+    logger.info(`Media deleted: ${media.id} by user ${req.user.id}`);
+
+    res.json(responseUtils.success(null, 'Media deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadMedia,
+  getMedia,
+  deleteMedia
+};
@@ -0,0 +1,142 @@
+const { responseUtils } = require('../utils/helpers');
+const { handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+const notificationService = require('../services/notificationService');
+const NotificationPreference = require('../models/NotificationPreference');
+
+// List notifications (cursor paginated, newest first)
+const getNotifications = async (req, res, next) => {
+  try {
+    const { limit = 20, cursor, type, unread } = req.query;
+
+    const result = await notificationService.getUserNotifications(req.user.id, {
+      limit: parseInt(limit),
+      cursor,
+      type,
+      unreadOnly: unread === 'true'
+    });
+
+    res.json(responseUtils.success({
+      notifications: result.notifications.map(formatNotification),
+      pagination: result.pagination
+    }, 'Notifications retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unread badge count
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json(responseUtils.success({ unreadCount }, 'Unread count retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a single notification as read
+const markAsRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await notificationService.markAsRead(id, req.user.id);
+    if (!notification) {
+      throw handleNotFoundError('Notification not found');
+    }
+
+    res.json(responseUtils.success({
+      notification: formatNotification(notification)
+    }, 'Notification marked as read'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark all (optionally of one type) as read
+const markAllAsRead = async (req, res, next) => {
+  try {
+    const { type } = req.body;
+
+    const updated = await notificationService.markAllAsRead(req.user.id, type);
+
+    logger.info(`Notifications marked as read: ${updated} for user ${req.user.id}`);
+
+    res.json(responseUtils.success({ updated }, 'All notifications marked as read'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete notification
+const deleteNotification = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await notificationService.deleteNotification(id, req.user.id);
+    if (!deleted) {
+      throw handleNotFoundError('Notification not found');
+    }
+
+    res.json(responseUtils.success(null, 'Notification deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get notification preferences (defaults if never saved)
+const getPreferences = async (req, res, next) => {
+  try {
+    const preferences = await NotificationPreference.findByUserId(req.user.id);
+
+    res.json(responseUtils.success({
+      preferences: preferences.toSafeObject(),
+      categories: NotificationPreference.CATEGORIES,
+      channels: NotificationPreference.CHANNELS
+    }, 'Notification preferences retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update notification preferences (partial updates are merged)
+const updatePreferences = async (req, res, next) => {
+  try {
+    const preferences = await NotificationPreference.upsert(req.user.id, req.body);
+    await notificationService.clearPreferencesCache(req.user.id);
+
+    logger.info(`Notification preferences updated for user ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      preferences: preferences.toSafeObject(),
+      note: 'Safety alerts are always delivered in-app and ignore quiet hours'
+    }, 'Notification preferences updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
+
+// Helper Functions
+
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: typeof notification.data === 'string' ? JSON.parse(notification.data) : notification.data,
+    isRead: notification.is_read,
+    createdAt: notification.created_at
+  };
+}
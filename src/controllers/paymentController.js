@@ -1,24 +1,23 @@
-const crypto = require('crypto');
 const axios = require('axios');
-const { responseUtils } = require('../utils/helpers');
-const { handleNotFoundError } = require('../middleware/errorMiddleware');
+const { responseUtils, stringUtils } = require('../utils/helpers');
+const { handleNotFoundError, handleConflictError, AppError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
-
-// PayHere configuration
-const PAYHERE_CONFIG = {
-  merchantId: process.env.PAYHERE_MERCHANT_ID,
-  merchantSecret: process.env.PAYHERE_MERCHANT_SECRET,
-  sandboxUrl: 'https://sandbox.payhere.lk/pay/checkout',
-  liveUrl: 'https://www.payhere.lk/pay/checkout',
-  notifyUrl: process.env.PAYHERE_NOTIFY_URL || `${process.env.BASE_URL}/api/payments/notify`,
-  returnUrl: process.env.PAYHERE_RETURN_URL || `${process.env.FRONTEND_URL}/payment/success`,
-  cancelUrl: process.env.PAYHERE_CANCEL_URL || `${process.env.FRONTEND_URL}/payment/cancel`
-};
-
-// Create PayHere payment request
+const refundService = require('../services/refundService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const currencyService = require('../services/currencyService');
+const guideAvailabilityService = require('../services/guideAvailabilityService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const { buildCheckout } = require('../services/payment/payhereCheckout');
+const Payment = require('../models/Payment');
+
+// Upper bound on rows in a single CSV export
+const PAYMENT_EXPORT_LIMIT = 5000;
+
+// Create PayHere payment request. `purpose` is 'booking' for the booking total, or
+// 'fare_adjustment' for the extra due when a ride's final fare came in over the quote.
 const createPaymentRequest = async (req, res, next) => {
   try {
-    const { bookingId, amount, currency = 'LKR' } = req.body;
+    const { bookingId, purpose = 'booking' } = req.body;
     const userId = req.user.id;
 
     // Validate booking exists and belongs to user
@@ -33,59 +32,61 @@ const createPaymentRequest = async (req, res, next) => {
       return res.status(403).json(responseUtils.error('Access denied', 403));
     }
 
-    // Generate unique order ID
+    let amount;
+    if (purpose === 'fare_adjustment') {
+      if (booking.status !== 'completed' || booking.fareAdjustment <= 0) {
+        throw new AppError('This booking has no fare adjustment to pay', 400);
+      }
+
+      const payments = await Payment.findByBookingId(bookingId);
+      if (payments.some(payment => payment.purpose === 'fare_adjustment' && Payment.SETTLED_STATUSES.includes(payment.status))) {
+        throw handleConflictError('The fare adjustment has already been paid');
+      }
+
+      amount = booking.fareAdjustment;
+    } else {
+      if (Payment.SETTLED_STATUSES.includes(booking.paymentStatus)) {
+        throw handleConflictError('Booking has already been paid');
+      }
+
+      // Keep the guide's slot held for the length of the checkout
+      await guideAvailabilityService.extendHold(booking);
+
+      // Charge the booking total, never an amount supplied by the client
+      amount = Number(booking.totalAmount);
+    }
+
+    // PayHere always settles in LKR; the display currency only changes what the traveller is shown
+    const currency = currencyService.settlementCurrency;
+
+    // Generate unique order ID - each attempt gets its own payment record
     const orderId = `PP_${bookingId}_${Date.now()}`;
+    await Payment.create({
+      orderId,
+      bookingId,
+      userId,
+      amount,
+      currency,
+      purpose
+    });
     
-    // Create payment data for PayHere
-    const paymentData = {
-      merchant_id: PAYHERE_CONFIG.merchantId,
-      return_url: PAYHERE_CONFIG.returnUrl,
-      cancel_url: PAYHERE_CONFIG.cancelUrl,
-      notify_url: PAYHERE_CONFIG.notifyUrl,
-      first_name: req.user.firstName,
-      last_name: req.user.lastName,
-      email: req.user.email,
-      phone: req.user.phone,
-      address: booking.pickupLocation?.address || 'Colombo, Sri Lanka',
-      city: 'Colombo',
-      country: 'Sri Lanka',
-      order_id: orderId,
-      items: `Booking ${booking.bookingReference}`,
-      currency: currency,
-      amount: amount.toFixed(2),
-      custom_1: bookingId,
-      custom_2: userId
-    };
-
-    // Generate hash for PayHere
-    const hashString = 
-      PAYHERE_CONFIG.merchantId +
-      orderId +
-      amount.toFixed(2) +
-      currency +
-      paymentData.first_name +
-      paymentData.last_name +
-      paymentData.email +
-      paymentData.phone +
-      paymentData.address +
-      paymentData.city +
-      paymentData.country +
-      PAYHERE_CONFIG.merchantSecret;
-
-    const hash = crypto.createHash('sha1').update(hashString).digest('hex').toUpperCase();
-    paymentData.hash = hash;
-
-    // Determine PayHere URL based on environment
-    const payHereUrl = process.env.NODE_ENV === 'production' 
-      ? PAYHERE_CONFIG.liveUrl 
-      : PAYHERE_CONFIG.sandboxUrl;
+    const { paymentData, payHereUrl } = buildCheckout({
+      orderId,
+      amount,
+      currency,
+      items: purpose === 'fare_adjustment' ? `Fare adjustment for booking ${booking.bookingReference}` : `Booking ${booking.bookingReference}`,
+      user: req.user,
+      address: booking.pickupLocation?.address,
+      custom: [bookingId, userId]
+    });
 
     logger.info(`PayHere payment request created for booking: ${bookingId}, order: ${orderId}`);
 
     res.json(responseUtils.success({
       paymentData,
       payHereUrl,
-      orderId
+      orderId,
+      displayPrices: booking.getDisplayPrices()
     }, 'Payment request created successfully'));
   } catch (error) {
     next(error);
@@ -95,75 +96,13 @@ const createPaymentRequest = async (req, res, next) => {
 // Handle PayHere notification/callback
 const handlePayHereNotification = async (req, res, next) => {
   try {
-    const {
-      merchant_id,
-      order_id,
-      payment_id,
-      payhere_amount,
-      payhere_currency,
-      status_code,
-      md5sig,
-      custom_1, // bookingId
-      custom_2  // userId
-    } = req.body;
-
-    // Verify the payment
-    const verificationString = 
-      PAYHERE_CONFIG.merchantSecret +
-      merchant_id +
-      order_id +
-      payment_id +
-      payhere_amount +
-      payhere_currency +
-      status_code;
-
-    const verificationHash = crypto.createHash('md5').update(verificationString).digest('hex').toUpperCase();
-
-    if (verificationHash !== md5sig) {
-      logger.error('PayHere notification verification failed');
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    const bookingId = custom_1;
-    const userId = custom_2;
+    const webhook = await paymentWebhookService.receivePayHere(req.body, { ip: req.ip });
 
-    // Update booking payment status based on PayHere response
-    const Booking = require('../models/Booking');
-    const booking = await Booking.findById(bookingId);
-    
-    if (!booking) {
-      logger.error(`Booking not found for PayHere notification: ${bookingId}`);
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-
-    let paymentStatus;
-    switch (status_code) {
-      case '2': // Success
-        paymentStatus = 'completed';
-        await booking.updatePaymentStatus('completed', 'payhere', payment_id);
-        logger.info(`PayHere payment completed for booking: ${bookingId}, payment: ${payment_id}`);
-        break;
-      case '-1': // Canceled
-        paymentStatus = 'canceled';
-        await booking.updatePaymentStatus('canceled', 'payhere', payment_id);
-        logger.info(`PayHere payment canceled for booking: ${bookingId}, payment: ${payment_id}`);
-        break;
-      case '-2': // Failed
-        paymentStatus = 'failed';
-        await booking.updatePaymentStatus('failed', 'payhere', payment_id);
-        logger.info(`PayHere payment failed for booking: ${bookingId}, payment: ${payment_id}`);
-        break;
-      case '0': // Pending
-        paymentStatus = 'pending';
-        await booking.updatePaymentStatus('pending', 'payhere', payment_id);
-        logger.info(`PayHere payment pending for booking: ${bookingId}, payment: ${payment_id}`);
-        break;
-      default:
-        logger.warn(`Unknown PayHere status code: ${status_code} for booking: ${bookingId}`);
-        paymentStatus = 'unknown';
+    if (webhook.status === 'rejected') {
+      return res.status(400).json({ error: 'Invalid signature' });
     }
 
-    // Return success response to PayHere
+    // Duplicates and notifications held for review are acknowledged so PayHere stops retrying
     res.json({ status: 'success' });
   } catch (error) {
     logger.error('Error handling PayHere notification:', error);
@@ -175,27 +114,38 @@ const handlePayHereNotification = async (req, res, next) => {
 const getPaymentStatus = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const userId = req.user.id;
 
-    // This would typically query PayHere API for payment status
-    // For now, returning a placeholder response
-    const paymentStatus = {
-      orderId,
-      status: 'pending',
-      amount: 0,
-      currency: 'LKR',
-      paymentId: null,
-      createdAt: new Date().toISOString()
-    };
+    const payment = await Payment.findByOrderId(orderId);
+    if (!payment) {
+      throw handleNotFoundError('Payment not found');
+    }
+
+    if (payment.userId !== req.user.id && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json(responseUtils.error('Access denied', 403));
+    }
 
     res.json(responseUtils.success({
-      paymentStatus
+      paymentStatus: {
+        ...payment.toSafeObject(),
+        timeline: await payment.getEvents()
+      }
     }, 'Payment status retrieved successfully'));
   } catch (error) {
     next(error);
   }
 };
 
+// Get display currencies and their current rates
+const getCurrencies = async (req, res, next) => {
+  try {
+    const currencies = await currencyService.getSupportedCurrencies();
+
+    res.json(responseUtils.success(currencies, 'Currencies retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get payment methods (PayHere supported methods)
 const getPaymentMethods = async (req, res, next) => {
   try {
@@ -249,19 +199,25 @@ const getPaymentMethods = async (req, res, next) => {
 const getPaymentHistory = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { startDate, endDate, limit = 20, offset = 0 } = req.query;
+    const { startDate, endDate, status } = req.query;
+    const { page, limit, offset } = req.pagination;
 
-    // This would typically query the payments table
-    // For now, returning a placeholder response
-    const payments = [];
+    const { payments, total } = await Payment.findByUserId(userId, {
+      status,
+      startDate,
+      endDate,
+      limit,
+      offset
+    });
 
     res.json(responseUtils.success({
-      payments,
-      total: payments.length,
+      payments: payments.map(payment => payment.toSafeObject()),
+      total,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: false
+        page,
+        limit,
+        offset,
+        hasMore: offset + payments.length < total
       }
     }, 'Payment history retrieved successfully'));
   } catch (error) {
@@ -269,28 +225,129 @@ const getPaymentHistory = async (req, res, next) => {
   }
 };
 
+// Export payment history as CSV
+const exportPaymentHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { startDate, endDate, status } = req.query;
+
+    const { payments } = await Payment.findByUserId(userId, {
+      status,
+      startDate,
+      endDate,
+      limit: PAYMENT_EXPORT_LIMIT,
+      offset: 0
+    });
+
+    const csv = stringUtils.toCsv(
+      ['Date', 'Order ID', 'Booking Reference', 'Amount', 'Currency', 'Method', 'Card', 'Status', 'Transaction ID'],
+      payments.map(payment => [
+        payment.createdAt,
+        payment.orderId,
+        payment.booking?.booking_reference,
+        payment.amount.toFixed(2),
+        payment.currency,
+        payment.paymentMethod,
+        payment.cardMask,
+        payment.status,
+        payment.transactionId
+      ])
+    );
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payments-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Refund payment
 const refundPayment = async (req, res, next) => {
   try {
-    const { paymentId, amount, reason } = req.body;
+    const { bookingId, amount, reason } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key');
     const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!idempotencyKey || idempotencyKey.length > 255) {
+      throw new AppError('An Idempotency-Key header (up to 255 characters) is required', 400);
+    }
+
+    const Booking = require('../models/Booking');
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      throw handleNotFoundError('Booking not found');
+    }
+
+    if (booking.userId !== userId && !isAdmin) {
+      return res.status(403).json(responseUtils.error('Access denied', 403));
+    }
+
+    // Travellers can only reclaim what the cancellation policy allows; admins can refund up to the captured amount
+    if (!isAdmin && booking.status !== 'cancelled') {
+      throw new AppError('Only cancelled bookings can be refunded', 400);
+    }
 
-    // This would typically process the refund through PayHere
-    // For now, returning a placeholder response
-    const refund = {
-      id: require('uuid').v4(),
-      paymentId,
+    const { refund, replayed } = await refundService.refundBooking(booking, {
       amount,
       reason,
-      status: 'pending',
-      createdAt: new Date().toISOString()
-    };
+      idempotencyKey,
+      requestedBy: userId,
+      limit: isAdmin ? null : booking.calculateRefundAmount()
+    });
 
-    logger.info(`Refund requested: ${refund.id} for payment: ${paymentId}`);
+    if (refund.status === 'failed') {
+      throw new AppError(`Refund could not be processed: ${refund.failureReason}`, 502);
+    }
+
+    logger.info(`Refund ${refund.id} (${refund.status}) for booking ${bookingId} requested by ${userId}${replayed ? ' [replayed]' : ''}`);
+
+    // A retried cancellation refund settles the cancellation
+    try {
+      await cancellationPolicyService.retainCancellationFees(booking);
+    } catch (error) {
+      logger.error(`Error retaining the cancellation fee of booking ${bookingId}:`, error);
+    }
+
+    const statusCode = replayed ? 200 : 201;
+    res.status(statusCode).json(responseUtils.success({
+      refund: refund.toSafeObject(),
+      booking: {
+        id: booking.id,
+        paymentStatus: booking.paymentStatus,
+        refundAmount: booking.refundAmount
+      }
+    }, 'Refund processed successfully', statusCode));
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.status(201).json(responseUtils.success({
-      refund
-    }, 'Refund requested successfully', 201));
+// Get a refund with its status history
+const getRefund = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Refund = require('../models/Refund');
+    const Booking = require('../models/Booking');
+
+    const refund = await Refund.findById(id);
+    if (!refund) {
+      throw handleNotFoundError('Refund not found');
+    }
+
+    const booking = await Booking.findById(refund.bookingId);
+    if (booking?.userId !== req.user.id && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json(responseUtils.error('Access denied', 403));
+    }
+
+    res.json(responseUtils.success({
+      refund: {
+        ...refund.toSafeObject(),
+        events: await refund.getEvents()
+      }
+    }, 'Refund retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -318,7 +375,10 @@ module.exports = {
   handlePayHereNotification,
   getPaymentStatus,
   getPaymentMethods,
+  getCurrencies,
   getPaymentHistory,
+  exportPaymentHistory,
   refundPayment,
+  getRefund,
   validatePayHereConfig
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const PayoutMethod = require('../models/PayoutMethod');
+const ProviderEarning = require('../models/ProviderEarning');
+const Payout = require('../models/Payout');
+const { responseUtils } = require('../utils/helpers');
+const { handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Saved payout methods
+const getPayoutMethods = async (req, res, next) => {
+  try {
+    const methods = await PayoutMethod.findByUserId(req.user.id);
+
+    res.json(responseUtils.success({
+      methods: methods.map(method => method.toSafeObject())
+    }, 'Payout methods retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a bank account or mobile wallet; the first one becomes the default
+const addPayoutMethod = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const existing = await PayoutMethod.findByUserId(userId);
+    const method = await PayoutMethod.create({ ...req.body, userId });
+
+    if (existing.length === 0 || req.body.isDefault) {
+      await method.makeDefault();
+    }
+
+    logger.info(`Payout method ${method.id} (${method.type}) added by user: ${userId}`);
+
+    res.status(201).json(responseUtils.success({
+      method: method.toSafeObject()
+    }, 'Payout method added successfully', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setDefaultPayoutMethod = async (req, res, next) => {
+  try {
+    const method = await findOwnMethod(req.params.id, req.user.id);
+    await method.makeDefault();
+
+    res.json(responseUtils.success({
+      method: method.toSafeObject()
+    }, 'Default payout method updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removePayoutMethod = async (req, res, next) => {
+  try {
+    const method = await findOwnMethod(req.params.id, req.user.id);
+    await method.remove();
+
+    logger.info(`Payout method ${method.id} removed by user: ${req.user.id}`);
+
+    res.json(responseUtils.success(null, 'Payout method removed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Per-booking earnings with their payout status
+const getEarnings = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, offset } = req.pagination;
+
+    const { earnings, total } = await ProviderEarning.findByUserId(req.user.id, { status, limit, offset });
+
+    res.json(responseUtils.success({
+      earnings: earnings.map(earning => earning.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Earnings retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Net totals by status (pending, held, available, batched, paid)
+const getEarningsSummary = async (req, res, next) => {
+  try {
+    const totals = await ProviderEarning.summarize(req.user.id);
+    const methods = await PayoutMethod.findByUserId(req.user.id);
+
+    res.json(responseUtils.success({
+      totals,
+      currency: 'LKR',
+      hasPayoutMethod: methods.some(method => method.isDefault)
+    }, 'Earnings summary retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPayouts = async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+
+    const { payouts, total } = await Payout.findByUserId(req.user.id, { limit, offset });
+
+    res.json(responseUtils.success({
+      payouts: payouts.map(payout => payout.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Payouts retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper Functions
+
+async function findOwnMethod(id, userId) {
+  const method = await PayoutMethod.findById(id);
+  if (!method || method.userId !== userId) {
+    throw handleNotFoundError('Payout method not found');
+  }
+  return method;
+}
+
+module.exports = {
+  getPayoutMethods,
+  addPayoutMethod,
+  setDefaultPayoutMethod,
+  removePayoutMethod,
+  getEarnings,
+  getEarningsSummary,
+  getPayouts
+};
@@ -3,29 +3,22 @@ const { responseUtils } = require('../utils/helpers');
 const { handleNotFoundError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
 const locationService = require('../services/locationService');
+const mediaService = require('../services/mediaService');
+const currencyService = require('../services/currencyService');
 const { cache } = require('../config/cache');
 
-// Create POI with photo/video verification requirement
+// LKR price fields converted for display in the traveller's currency
+const POI_PRICE_FIELDS = ['entryFee'];
+
+// Create POI
 const createPOI = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const poiData = { ...req.body, createdBy: userId };
-
-    // Require photo/video verification for all contributions
-    if (!poiData.images || poiData.images.length === 0) {
-      return res.status(400).json(responseUtils.error(
-        'Photo verification required. Please upload at least one image.',
-        400
-      ));
-    }
+    const { mediaIds, ...poiData } = { ...req.body, createdBy: userId };
 
-    // Validate minimum image requirement (at least 1 photo)
-    if (poiData.images.length < 1) {
-      return res.status(400).json(responseUtils.error(
-        'At least one verification photo is required',
-        400
-      ));
-    }
+    // Photos are optional; any given must be the user's own uploads from /api/media
+    const media = await mediaService.resolve(mediaIds, req.user, 'poi');
+    poiData.images = mediaService.getUrls(media);
 
     // Check if location is in Sri Lanka
     if (!locationService.isInSriLanka(poiData.latitude, poiData.longitude)) {
@@ -36,6 +29,7 @@ const createPOI = async (req, res, next) => {
     }
 
     const poi = await POI.create(poiData);
+    await mediaService.attach(media, 'poi', poi.id);
 
     logger.info(`POI created: ${poi.id} by user: ${userId}`);
 
@@ -64,8 +58,14 @@ const getPOI = async (req, res, next) => {
     // Increment visit count
     await poi.incrementVisitCount();
 
+    const [poiData] = currencyService.withDisplayPrices(
+      [poi.toPublicObject()],
+      POI_PRICE_FIELDS,
+      await currencyService.getQuoteForRequest(req)
+    );
+
     res.json(responseUtils.success({
-      poi: poi.toPublicObject()
+      poi: poiData
     }, 'POI retrieved successfully'));
   } catch (error) {
     next(error);
@@ -79,6 +79,9 @@ const updatePOI = async (req, res, next) => {
     const updates = req.body;
     const userId = req.user.id;
 
+    // Images are only added through uploaded media (POST /:id/images)
+    delete updates.images;
+
     const poi = await POI.findById(id);
     if (!poi) {
       throw handleNotFoundError('POI not found');
@@ -133,8 +136,10 @@ const searchPOIs = async (req, res, next) => {
       return result;
     });
 
+    const quote = await currencyService.getQuoteForRequest(req);
+
     res.json(responseUtils.success({
-      pois: poisWithDistance,
+      pois: currencyService.withDisplayPrices(poisWithDistance, POI_PRICE_FIELDS, quote),
       total: poisWithDistance.length,
       searchParams: { query, category, city, lat, lng, radius }
     }, 'POIs found successfully'));
@@ -166,13 +171,16 @@ const findNearbyPOIs = async (req, res, next) => {
       return res.status(400).json(responseUtils.error(coordValidation.error, 400));
     }
 
+    // Results are cached in LKR and converted to the display currency per request
+    const quote = await currencyService.getQuoteForRequest(req);
+
     // Check cache first for performance
     const cacheKey = `nearby_pois_${lat}_${lng}_${radius}_${category || 'all'}`;
     const cachedResult = await cache.get(cacheKey);
     
     if (cachedResult) {
       logger.debug(`Cache hit for nearby POIs: ${cacheKey}`);
-      return res.json(responseUtils.success(cachedResult, 'Nearby POIs found (cached)'));
+      return res.json(responseUtils.success(withPOIDisplayPrices(cachedResult, quote), 'Nearby POIs found (cached)'));
     }
 
     const pois = await POI.findNearby(
@@ -227,7 +235,7 @@ const findNearbyPOIs = async (req, res, next) => {
     // Cache results for 5 minutes
     await cache.set(cacheKey, result, 300);
 
-    res.json(responseUtils.success(result, 'Nearby POIs found successfully'));
+    res.json(responseUtils.success(withPOIDisplayPrices(result, quote), 'Nearby POIs found successfully'));
   } catch (error) {
     next(error);
   }
@@ -237,7 +245,7 @@ const findNearbyPOIs = async (req, res, next) => {
 const addImage = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { imageUrl } = req.body;
+    const { mediaId } = req.body;
     const userId = req.user.id;
 
     const poi = await POI.findById(id);
@@ -250,7 +258,9 @@ const addImage = async (req, res, next) => {
       return res.status(403).json(responseUtils.error('Access denied', 403));
     }
 
-    await poi.addImage(imageUrl);
+    const [media] = await mediaService.resolve([mediaId], req.user, 'poi');
+    await poi.addImage(mediaService.getUrls([media])[0]);
+    await mediaService.attach([media], 'poi', poi.id);
 
     logger.info(`Image added to POI: ${id}`);
 
@@ -357,8 +367,10 @@ const getPOIsByCategory = async (req, res, next) => {
 
     const paginatedPOIs = pois.slice(offset, offset + parseInt(limit));
 
+    const quote = await currencyService.getQuoteForRequest(req);
+
     res.json(responseUtils.success({
-      pois: paginatedPOIs.map(poi => poi.toPublicObject()),
+      pois: currencyService.withDisplayPrices(paginatedPOIs.map(poi => poi.toPublicObject()), POI_PRICE_FIELDS, quote),
       total: pois.length,
       pagination: {
         limit: parseInt(limit),
@@ -515,6 +527,14 @@ module.exports = {
   getPOIApprovalStats
 };
 
+// Helper function to convert cached nearby results to the display currency
+function withPOIDisplayPrices(result, quote) {
+  return {
+    ...result,
+    pois: currencyService.withDisplayPrices(result.pois, POI_PRICE_FIELDS, quote)
+  };
+}
+
 // Helper function to get crowd level
 async function getCrowdLevel(poiId) {
   try {
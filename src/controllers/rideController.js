@@ -3,47 +3,73 @@ const { handleNotFoundError } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
 const { db } = require('../config/database');
 const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
 const User = require('../models/User');
 const locationService = require('../services/locationService');
 const notificationService = require('../services/notificationService');
+const socketService = require('../services/socketService');
+const dispatchService = require('../services/dispatchService');
+const payoutService = require('../services/payoutService');
+const refundService = require('../services/refundService');
+const commissionPolicy = require('../services/commissionPolicy');
+const currencyService = require('../services/currencyService');
+const bookingStateMachine = require('../services/bookingStateMachine');
 const { v4: uuidv4 } = require('uuid');
 
-// Request a ride
+const VEHICLE_TYPES = ['standard', 'air_conditioned', 'luxury'];
+
+// Request a ride - a driver is assigned by the dispatch engine
 const requestRide = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const {
-      driverId,
+      driverId, // Optional preferred driver, offered first if eligible
+      vehicleType = 'standard',
       pickupLat,
       pickupLng,
       pickupAddress,
       dropoffLat,
       dropoffLng,
       dropoffAddress,
-      estimatedDistance,
       estimatedDuration,
       estimatedFare,
+      totalFare, // The total quoted by /api/drivers/fare-estimate, platform fee included
       passengers = 1,
       specialRequests
     } = req.body;
 
-    // Validate driver
-    const driver = await Driver.findById(driverId);
-    if (!driver) {
-      throw handleNotFoundError('Driver not found');
-    }
-
-    if (!driver.isOnline) {
-      return res.status(400).json(responseUtils.error('Driver is currently offline', 400));
+    if (!pickupLat || !pickupLng || !dropoffLat || !dropoffLng) {
+      return res.status(400).json(responseUtils.error(
+        'Pickup and dropoff coordinates are required',
+        400
+      ));
     }
 
-    if (driver.verificationStatus !== 'verified') {
-      return res.status(400).json(responseUtils.error('Driver is not verified', 400));
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      return res.status(400).json(responseUtils.error(
+        `Invalid vehicle type. Use one of: ${VEHICLE_TYPES.join(', ')}`,
+        400
+      ));
     }
 
     // Calculate distance
     const distance = locationService.calculateDistance(pickupLat, pickupLng, dropoffLat, dropoffLng);
 
+    // The rider pays the fare plus the platform fee, and only the total they were quoted
+    const fare = parseFloat(estimatedFare);
+    const platformFee = commissionPolicy.calculatePlatformFee(fare);
+    const quotedTotal = Math.round((fare + platformFee) * 100) / 100;
+
+    if (!(fare > 0) || totalFare === undefined || Math.round(parseFloat(totalFare) * 100) !== Math.round(quotedTotal * 100)) {
+      return res.status(400).json(responseUtils.error(
+        'The fare quote is missing or out of date. Request a new fare estimate and confirm its totalFare.',
+        400
+      ));
+    }
+
+    // Lock the display currency rate for the life of the booking
+    const quote = await currencyService.getQuoteForRequest(req);
+
     // Generate booking reference
     const bookingReference = generateBookingReference();
 
@@ -53,7 +79,7 @@ const requestRide = async (req, res, next) => {
       .insert({
         id: uuidv4(),
         user_id: userId,
-        driver_id: driverId,
+        driver_id: null,
         type: 'ride',
         booking_reference: bookingReference,
         start_date: new Date().toISOString(),
@@ -70,9 +96,14 @@ const requestRide = async (req, res, next) => {
           longitude: dropoffLng,
           address: dropoffAddress
         },
+        requested_vehicle_type: vehicleType,
         special_requests: specialRequests,
-        total_amount: estimatedFare,
-        commission: Math.round(estimatedFare * 0.10 * 100) / 100, // 10% commission
+        total_amount: quotedTotal,
+        platform_fee: platformFee,
+        commission: 0, // Set from the assigned driver's tier when the ride completes
+        display_currency: quote.currency,
+        fx_rate: quote.rate,
+        fx_rate_locked_at: new Date().toISOString(),
         status: 'pending',
         payment_status: 'pending',
         created_at: new Date().toISOString(),
@@ -83,41 +114,87 @@ const requestRide = async (req, res, next) => {
 
     if (error) throw error;
 
-    // Send notification to driver
-    await notificationService.sendRideRequest(driverId, {
-      bookingId: booking.id,
-      bookingReference,
-      pickup: pickupAddress,
-      distance: Math.round(distance * 10) / 10,
-      estimatedFare
-    });
+    await bookingStateMachine.recordCreated(new Booking(booking), { id: userId, roles: ['tourist'] });
 
-    logger.info(`Ride requested: ${booking.id} - User: ${userId}, Driver: ${driverId}`);
+    // Offer the ride to the best ranked nearby driver
+    const offer = await dispatchService.startDispatch(booking, { preferredDriverId: driverId });
+
+    if (!offer) {
+      return res.status(503).json(responseUtils.error(
+        'No drivers available nearby. Please try again shortly.',
+        503
+      ));
+    }
+
+    logger.info(`Ride requested: ${booking.id} - User: ${userId}, offered to driver: ${offer.driver.id}`);
 
     res.status(201).json(responseUtils.success({
       booking: {
         id: booking.id,
         bookingReference,
         status: 'pending',
-        driver: {
-          id: driver.id,
-          name: driver.user?.firstName + ' ' + driver.user?.lastName,
-          profileImage: driver.user?.profileImage,
-          vehicleType: driver.vehicleType,
-          vehicleModel: driver.vehicleModel,
-          vehicleNumber: driver.vehicleNumber,
-          vehicleYear: driver.vehicleYear,
-          rating: driver.rating,
-          phone: driver.user?.phone // For safety
+        vehicleType,
+        dispatch: {
+          status: 'searching',
+          offerExpiresAt: offer.expiresAt
         },
         pickup: { latitude: pickupLat, longitude: pickupLng, address: pickupAddress },
         dropoff: { latitude: dropoffLat, longitude: dropoffLng, address: dropoffAddress },
         estimatedDistance: Math.round(distance * 100) / 100,
         estimatedDuration,
-        estimatedFare,
+        estimatedFare: fare,
+        platformFee,
+        totalAmount: booking.total_amount,
+        displayPrices: currencyService.convertFields(
+          { estimatedFare: fare, platformFee, totalAmount: booking.total_amount },
+          ['estimatedFare', 'platformFee', 'totalAmount'],
+          quote
+        ),
         createdAt: booking.created_at
       }
-    }, 'Ride request sent to driver. Waiting for acceptance...', 201));
+    }, 'Finding a driver near you...', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Dispatch attempts for a ride (rider sees progress, admins audit)
+const getDispatchAttempts = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: booking, error } = await db.supabase
+      .from('bookings')
+      .select('id, user_id, status, driver_id')
+      .eq('id', id)
+      .eq('type', 'ride')
+      .single();
+
+    if (error || !booking) {
+      throw handleNotFoundError('Ride not found');
+    }
+
+    if (booking.user_id !== req.user.id && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json(responseUtils.error('Access denied', 403));
+    }
+
+    const attempts = await dispatchService.getAttempts(id);
+
+    res.json(responseUtils.success({
+      bookingId: id,
+      status: booking.status,
+      attempts: attempts.map(attempt => ({
+        attemptNumber: attempt.attempt_number,
+        driverId: attempt.driver_id,
+        status: attempt.status,
+        rankScore: attempt.rank_score,
+        distanceKm: attempt.distance_km,
+        offeredAt: attempt.offered_at,
+        expiresAt: attempt.expires_at,
+        respondedAt: attempt.responded_at,
+        declineReason: attempt.decline_reason
+      }))
+    }, 'Dispatch attempts retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -141,7 +218,7 @@ const respondToRideRequest = async (req, res, next) => {
       throw handleNotFoundError('Ride request not found');
     }
 
-    if (booking.drivers.user_id !== userId) {
+    if (!booking.drivers || booking.drivers.user_id !== userId) {
       return res.status(403).json(responseUtils.error('Access denied', 403));
     }
 
@@ -153,18 +230,16 @@ const respondToRideRequest = async (req, res, next) => {
     }
 
     if (action === 'accept') {
-      // Accept ride
-      const { data: updated, error: updateError } = await db.supabase
-        .from('bookings')
-        .update({
-          status: 'confirmed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      // Claim the offer first so a concurrent timeout cannot hand the ride to someone else
+      const claimed = await dispatchService.handleAccept(id, booking.driver_id);
+      if (!claimed) {
+        return res.status(409).json(responseUtils.error('This ride offer has expired', 409));
+      }
+
+      // Accept ride; the rider is notified below with the ride-specific messages
+      await bookingStateMachine.transition(new Booking(booking), 'confirm', { id: userId, roles: ['driver'] }, {
+        sideEffects: false
+      });
 
       // Notify user
       await notificationService.sendRideConfirmed(booking.user_id, {
@@ -173,6 +248,12 @@ const respondToRideRequest = async (req, res, next) => {
         eta: calculateETA(booking.pickup_location)
       });
 
+      // Push status to rider and driver tracking this ride
+      socketService.emitRideStatus(id, 'accepted', {
+        bookingStatus: 'confirmed',
+        driverId: booking.driver_id
+      });
+
       logger.info(`Ride accepted: ${id} by driver ${userId}`);
 
       res.json(responseUtils.success({
@@ -181,32 +262,13 @@ const respondToRideRequest = async (req, res, next) => {
       }, 'Ride request accepted successfully'));
 
     } else if (action === 'decline') {
-      // Decline ride
-      const { data: updated, error: updateError } = await db.supabase
-        .from('bookings')
-        .update({
-          status: 'cancelled',
-          cancelled_by: userId,
-          cancellation_reason: reason || 'Declined by driver',
-          cancelled_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
-
-      // Notify user
-      await notificationService.sendRideDeclined(booking.user_id, {
-        bookingId: id,
-        reason: reason || 'Driver unavailable'
-      });
+      // Pass the ride on to the next ranked driver instead of cancelling it
+      const nextOffer = await dispatchService.handleDecline(id, booking.driver_id, reason || 'Declined by driver');
 
       logger.info(`Ride declined: ${id} by driver ${userId}`);
 
       res.json(responseUtils.success({
-        status: 'cancelled',
+        status: nextOffer ? 'pending' : 'cancelled',
         message: 'Ride request declined'
       }, 'Ride request declined'));
     } else {
@@ -244,19 +306,11 @@ const startRide = async (req, res, next) => {
       ));
     }
 
-    // Update status to in_progress
-    const { data: updated, error: updateError } = await db.supabase
-      .from('bookings')
-      .update({
-        status: 'in_progress',
-        start_date: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    // Update status to in_progress; the ride starts at pickup, not when it was requested
+    const ride = await bookingStateMachine.transition(new Booking(booking), 'start', { id: userId, roles: ['driver'] }, {
+      changes: { start_date: new Date().toISOString() },
+      sideEffects: false
+    });
 
     // Notify user that ride has started
     await notificationService.sendRideStarted(booking.user_id, {
@@ -264,11 +318,16 @@ const startRide = async (req, res, next) => {
       trackingLink: `https://app.pearlpath.lk/track/${id}`
     });
 
+    socketService.emitRideStatus(id, 'started', {
+      bookingStatus: 'in_progress',
+      startedAt: ride.startDate
+    });
+
     logger.info(`Ride started: ${id}`);
 
     res.json(responseUtils.success({
       status: 'in_progress',
-      startedAt: updated.start_date,
+      startedAt: ride.startDate,
       trackingLink: `https://app.pearlpath.lk/track/${id}`
     }, 'Ride started successfully'));
   } catch (error) {
@@ -304,48 +363,77 @@ const completeRide = async (req, res, next) => {
       ));
     }
 
-    // Calculate final fare if not provided
-    const fare = finalFare || booking.total_amount;
-    const commission = Math.round(fare * 0.10 * 100) / 100;
-
-    // Update booking
-    const { data: updated, error: updateError } = await db.supabase
-      .from('bookings')
-      .update({
-        status: 'completed',
+    // The booking keeps the total the rider was quoted and paid. A different final fare is
+    // recorded as a fare adjustment and settled on its own: the rider pays an extra with a
+    // separate payment request, and a lower fare is refunded.
+    const totalAmount = Number(booking.total_amount);
+    const platformFee = Number(booking.platform_fee || 0);
+    const estimatedFare = Math.round((totalAmount - platformFee) * 100) / 100;
+    const fare = finalFare ? Math.round(parseFloat(finalFare) * 100) / 100 : estimatedFare;
+    const fareAdjustment = Math.round((fare - estimatedFare) * 100) / 100;
+    const { commission } = await commissionPolicy.splitBooking(new Booking(booking));
+
+    // Ride stats, earnings and notifications follow below
+    const ride = await bookingStateMachine.transition(new Booking(booking), 'complete', { id: userId, roles: ['driver'] }, {
+      changes: {
         end_date: new Date().toISOString(),
         duration: actualDuration || booking.duration,
-        total_amount: fare,
         commission: commission,
-        completed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+        fare_adjustment: fareAdjustment
+      },
+      metadata: { finalFare: fare, fareAdjustment },
+      sideEffects: false
+    });
 
     // Update driver stats
     await db.supabase.rpc('increment_driver_rides', { driver_id: booking.driver_id });
 
+    // Accrue the driver's net earnings; a miss is picked up by the next payout batch
+    try {
+      await payoutService.accrueForBooking(ride);
+    } catch (accrualError) {
+      logger.error(`Error accruing earnings for ride ${id}:`, accrualError);
+    }
+
+    // A ride that is not paid yet is refunded the difference once its payment is captured
+    if (fareAdjustment < 0) {
+      try {
+        await refundService.refundFareAdjustment(ride);
+      } catch (refundError) {
+        logger.error(`Error refunding fare adjustment on ride ${id}:`, refundError);
+      }
+    }
+
     // Notify user
     await notificationService.sendRideCompleted(booking.user_id, {
       bookingId: id,
+      // What the rider pays in the end, platform fee and fare adjustment included
+      finalFare: Math.round((totalAmount + fareAdjustment) * 100) / 100,
+      estimatedFare: totalAmount,
+      fareAdjustment,
+      variance: fareAdjustment
+    });
+
+    socketService.emitRideStatus(id, 'completed', {
+      bookingStatus: 'completed',
+      completedAt: ride.completedAt,
       finalFare: fare,
-      estimatedFare: booking.total_amount,
-      variance: Math.round((fare - booking.total_amount) * 100) / 100
+      fareAdjustment
     });
 
-    logger.info(`Ride completed: ${id} - Final fare: ${fare}`);
+    logger.info(`Ride completed: ${id} - Final fare: ${fare}, adjustment: ${fareAdjustment}`);
 
     res.json(responseUtils.success({
       status: 'completed',
-      completedAt: updated.completed_at,
-      estimatedFare: booking.total_amount,
+      completedAt: ride.completedAt,
+      estimatedFare,
       finalFare: fare,
-      variance: Math.round((fare - booking.total_amount) * 100) / 100,
-      variancePercentage: Math.round(((fare - booking.total_amount) / booking.total_amount) * 100),
+      platformFee,
+      totalAmount,
+      // Positive: paid with POST /api/payments/create-request (`purpose: 'fare_adjustment'`); negative: refunded
+      fareAdjustment,
+      variance: fareAdjustment,
+      variancePercentage: Math.round((fareAdjustment / estimatedFare) * 100),
       message: 'Please rate your driver'
     }, 'Ride completed successfully'));
   } catch (error) {
@@ -402,6 +490,11 @@ const trackRide = async (req, res, next) => {
         rating: booking.drivers.rating,
         currentLocation: driverLocation
       },
+      realtime: {
+        namespace: '/rides',
+        joinEvent: 'ride:join',
+        events: ['ride:location', 'ride:status']
+      },
       safetyFeatures: {
         sosButton: true,
         shareTripLink: `https://app.pearlpath.lk/track/${id}`,
@@ -437,22 +530,23 @@ const shareTripLink = async (req, res, next) => {
     const trackingLink = `https://app.pearlpath.lk/track/${id}`;
     const message = `${req.user.firstName} is taking a ride with PearlPath. Track their trip: ${trackingLink}`;
 
-    // Send tracking link to contacts
-    for (const contact of contacts) {
-      if (contact.includes('@')) {
-        // Email
-        await notificationService.sendEmail(contact, 'Trip Tracking', message);
-      } else {
-        // SMS
-        await notificationService.sendSMS(contact, message);
-      }
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      return res.status(400).json(responseUtils.error('At least one contact is required', 400));
     }
 
-    logger.info(`Trip link shared: ${id} with ${contacts.length} contacts`);
+    // Send tracking link to contacts
+    const deliveries = await Promise.all(contacts.map(contact => contact.includes('@')
+      ? notificationService.sendEmail(contact, 'Trip Tracking', message)
+      : notificationService.sendSMS(contact, message)
+    ));
+    const delivered = deliveries.filter(d => d.success).length;
+
+    logger.info(`Trip link shared: ${id} with ${delivered}/${contacts.length} contacts`);
 
     res.json(responseUtils.success({
       trackingLink,
-      sharedWith: contacts.length
+      sharedWith: delivered,
+      failed: contacts.length - delivered
     }, 'Trip tracking link shared successfully'));
   } catch (error) {
     next(error);
@@ -602,6 +696,7 @@ function calculateETA(pickupLocation) {
 
 module.exports = {
   requestRide,
+  getDispatchAttempts,
   respondToRideRequest,
   startRide,
   completeRide,
@@ -0,0 +1,137 @@
+const subscriptionService = require('../services/subscriptionService');
+const { responseUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Active premium plans and what they include
+const getPlans = async (req, res, next) => {
+  try {
+    const plans = await subscriptionService.getPlans();
+
+    res.json(responseUtils.success({
+      plans: plans.map(plan => plan.toSafeObject()),
+      perks: subscriptionService.getPremiumPerks()
+    }, 'Subscription plans retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSubscription = async (req, res, next) => {
+  try {
+    const { driver, subscription } = await subscriptionService.getSubscription(req.user.id);
+
+    res.json(responseUtils.success({
+      subscription: subscription ? subscription.toSafeObject() : null,
+      subscriptionTier: subscription && subscription.isEntitled() ? 'premium' : 'basic',
+      driverId: driver.id
+    }, 'Subscription retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a subscription and return the PayHere checkout for its first invoice
+const subscribe = async (req, res, next) => {
+  try {
+    const { subscription, invoice, checkout } = await subscriptionService.subscribe(req.user, req.body);
+
+    logger.info(`Subscription ${subscription.id} created by user: ${req.user.id}`);
+
+    res.status(201).json(responseUtils.success({
+      subscription: subscription.toSafeObject(),
+      invoice: invoice.toSafeObject(),
+      paymentData: checkout.paymentData,
+      payHereUrl: checkout.payHereUrl
+    }, 'Subscription created, complete the payment to activate it', 201));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upgrades return a prorated invoice to pay; downgrades are scheduled for the next renewal
+const changePlan = async (req, res, next) => {
+  try {
+    const { subscription, invoice, checkout } = await subscriptionService.changePlan(req.user, req.body);
+
+    res.json(responseUtils.success({
+      subscription: subscription.toSafeObject(),
+      invoice: invoice ? invoice.toSafeObject() : null,
+      paymentData: checkout ? checkout.paymentData : null,
+      payHereUrl: checkout ? checkout.payHereUrl : null
+    }, invoice ? 'Plan change invoiced, complete the payment to switch plans' : 'Plan change scheduled for the next renewal'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const renewSubscription = async (req, res, next) => {
+  try {
+    const { subscription, invoice, checkout } = await subscriptionService.renew(req.user);
+
+    res.json(responseUtils.success({
+      subscription: subscription.toSafeObject(),
+      invoice: invoice.toSafeObject(),
+      paymentData: checkout.paymentData,
+      payHereUrl: checkout.payHereUrl
+    }, 'Renewal invoice ready for payment'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.cancel(req.user);
+
+    logger.info(`Subscription ${subscription.id} cancelled by user: ${req.user.id}`);
+
+    res.json(responseUtils.success({
+      subscription: subscription.toSafeObject()
+    }, 'Subscription cancelled successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getInvoices = async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+
+    const { invoices, total } = await subscriptionService.getInvoices(req.user.id, { limit, offset });
+
+    res.json(responseUtils.success({
+      invoices: invoices.map(invoice => invoice.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Invoices retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await subscriptionService.getInvoice(req.user.id, req.params.id);
+
+    res.json(responseUtils.success({
+      invoice: invoice.toSafeObject()
+    }, 'Invoice retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPlans,
+  getSubscription,
+  subscribe,
+  changePlan,
+  renewSubscription,
+  cancelSubscription,
+  getInvoices,
+  getInvoice
+};
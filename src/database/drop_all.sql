@@ -12,9 +12,23 @@ DROP TRIGGER IF EXISTS update_reviews_updated_at ON reviews CASCADE;
 DROP TRIGGER IF EXISTS update_community_updates_updated_at ON community_updates CASCADE;
 DROP TRIGGER IF EXISTS update_events_updated_at ON events CASCADE;
 DROP TRIGGER IF EXISTS update_payments_updated_at ON payments CASCADE;
+DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds CASCADE;
+DROP TRIGGER IF EXISTS update_payout_methods_updated_at ON payout_methods CASCADE;
+DROP TRIGGER IF EXISTS update_payout_batches_updated_at ON payout_batches CASCADE;
+DROP TRIGGER IF EXISTS update_payouts_updated_at ON payouts CASCADE;
+DROP TRIGGER IF EXISTS update_provider_earnings_updated_at ON provider_earnings CASCADE;
+DROP TRIGGER IF EXISTS update_subscription_plans_updated_at ON subscription_plans CASCADE;
+DROP TRIGGER IF EXISTS update_driver_subscriptions_updated_at ON driver_subscriptions CASCADE;
+DROP TRIGGER IF EXISTS update_subscription_invoices_updated_at ON subscription_invoices CASCADE;
+DROP TRIGGER IF EXISTS update_fx_rates_updated_at ON fx_rates CASCADE;
+DROP TRIGGER IF EXISTS update_cancellation_policies_updated_at ON cancellation_policies CASCADE;
+DROP TRIGGER IF EXISTS update_booking_legs_updated_at ON booking_legs CASCADE;
+DROP TRIGGER IF EXISTS update_itineraries_updated_at ON itineraries CASCADE;
+DROP TRIGGER IF EXISTS update_itinerary_stops_updated_at ON itinerary_stops CASCADE;
 DROP TRIGGER IF EXISTS update_kyc_verifications_updated_at ON kyc_verifications CASCADE;
 DROP TRIGGER IF EXISTS update_reports_updated_at ON reports CASCADE;
 DROP TRIGGER IF EXISTS update_notifications_updated_at ON notifications CASCADE;
+DROP TRIGGER IF EXISTS update_notification_preferences_updated_at ON notification_preferences CASCADE;
 
 -- Drop functions
 DROP FUNCTION IF EXISTS auto_approve_poi() CASCADE;
@@ -23,13 +37,52 @@ DROP FUNCTION IF EXISTS check_poi_similarity(VARCHAR, DECIMAL, DECIMAL, DECIMAL,
 DROP FUNCTION IF EXISTS find_nearby_drivers(DECIMAL, DECIMAL, DECIMAL, INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS find_nearby_guides(DECIMAL, DECIMAL, DECIMAL, INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+DROP FUNCTION IF EXISTS acquire_job_lock(VARCHAR, VARCHAR, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS release_job_lock(VARCHAR, VARCHAR, UUID) CASCADE;
+DROP FUNCTION IF EXISTS refresh_guide_ratings() CASCADE;
+DROP FUNCTION IF EXISTS reserve_refund(UUID, UUID, VARCHAR, DECIMAL, DECIMAL, VARCHAR, TEXT, VARCHAR, VARCHAR) CASCADE;
+DROP FUNCTION IF EXISTS post_ledger_transaction(VARCHAR, UUID, UUID, TEXT, VARCHAR, TIMESTAMP WITH TIME ZONE, JSONB) CASCADE;
+DROP FUNCTION IF EXISTS ledger_account_balances() CASCADE;
+DROP FUNCTION IF EXISTS reserve_guide_booking(JSONB, INTEGER, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS extend_guide_hold(UUID, INTEGER, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS booking_holds_guide_slot(bookings) CASCADE;
+DROP FUNCTION IF EXISTS transition_booking(UUID, VARCHAR, VARCHAR[], VARCHAR[], VARCHAR, UUID, VARCHAR, TEXT, JSONB, JSONB) CASCADE;
 
 -- Drop tables (in reverse dependency order)
+DROP TABLE IF EXISTS itinerary_stops CASCADE;
+DROP TABLE IF EXISTS itineraries CASCADE;
+DROP TABLE IF EXISTS booking_legs CASCADE;
+DROP TABLE IF EXISTS booking_events CASCADE;
+DROP TABLE IF EXISTS receipts CASCADE;
+DROP SEQUENCE IF EXISTS receipt_number_seq CASCADE;
+DROP TABLE IF EXISTS fx_rates CASCADE;
+DROP TABLE IF EXISTS subscription_invoices CASCADE;
+DROP TABLE IF EXISTS driver_subscriptions CASCADE;
+DROP TABLE IF EXISTS subscription_plans CASCADE;
+DROP TABLE IF EXISTS ledger_entries CASCADE;
+DROP TABLE IF EXISTS ledger_transactions CASCADE;
+DROP TABLE IF EXISTS provider_earnings CASCADE;
+DROP TABLE IF EXISTS payouts CASCADE;
+DROP TABLE IF EXISTS payout_batches CASCADE;
+DROP TABLE IF EXISTS payout_methods CASCADE;
+DROP TABLE IF EXISTS refund_events CASCADE;
+DROP TABLE IF EXISTS refunds CASCADE;
+DROP TABLE IF EXISTS media CASCADE;
+DROP TABLE IF EXISTS phone_otps CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS auth_tokens CASCADE;
+DROP TABLE IF EXISTS job_runs CASCADE;
+DROP TABLE IF EXISTS job_locks CASCADE;
+DROP TABLE IF EXISTS notification_preferences CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS reports CASCADE;
 DROP TABLE IF EXISTS kyc_verifications CASCADE;
+DROP TABLE IF EXISTS payment_webhooks CASCADE;
+DROP TABLE IF EXISTS payment_events CASCADE;
 DROP TABLE IF EXISTS payments CASCADE;
 DROP TABLE IF EXISTS events CASCADE;
+DROP TABLE IF EXISTS dispatch_attempts CASCADE;
 DROP TABLE IF EXISTS community_updates CASCADE;
 DROP TABLE IF EXISTS reviews CASCADE;
 DROP TABLE IF EXISTS bookings CASCADE;
@@ -37,6 +90,7 @@ DROP TABLE IF EXISTS pois CASCADE;
 DROP TABLE IF EXISTS drivers CASCADE;
 DROP TABLE IF EXISTS guides CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS cancellation_policies CASCADE;
 
 -- Drop extensions
 DROP EXTENSION IF EXISTS "postgis" CASCADE;
@@ -14,6 +14,7 @@ CREATE TABLE users (
     last_name VARCHAR(100) NOT NULL,
     phone VARCHAR(20) UNIQUE NOT NULL,
     language VARCHAR(5) NOT NULL DEFAULT 'en',
+    preferred_currency VARCHAR(3) NOT NULL DEFAULT 'LKR',
     role VARCHAR(20) NOT NULL DEFAULT 'tourist',
     verification_tier INTEGER NOT NULL DEFAULT 1,
     status VARCHAR(20) NOT NULL DEFAULT 'active',
@@ -24,6 +25,23 @@ CREATE TABLE users (
     is_email_verified BOOLEAN DEFAULT FALSE,
     is_phone_verified BOOLEAN DEFAULT FALSE,
     last_login_at TIMESTAMP WITH TIME ZONE,
+    password_changed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cancellation Policies table (refund and provider penalty tiers by hours before start; attached to
+-- guide packages and driver pre-bookings and snapshotted onto each booking)
+CREATE TABLE cancellation_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(30) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    min_notice_hours INTEGER NOT NULL DEFAULT 2 CHECK (min_notice_hours >= 0),
+    refund_tiers JSONB NOT NULL DEFAULT '[]',
+    provider_penalty_tiers JSONB NOT NULL DEFAULT '[]',
+    force_majeure_refund_percentage INTEGER NOT NULL DEFAULT 100 CHECK (force_majeure_refund_percentage BETWEEN 0 AND 100),
+    is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -83,6 +101,7 @@ CREATE TABLE drivers (
     verification_documents JSONB DEFAULT '[]',
     subscription_tier VARCHAR(20) DEFAULT 'basic' CHECK (subscription_tier IN ('basic', 'premium')),
     subscription_updated_at TIMESTAMP WITH TIME ZONE,
+    cancellation_policy_id UUID REFERENCES cancellation_policies(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -125,6 +144,7 @@ CREATE TABLE bookings (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     guide_id UUID REFERENCES guides(id) ON DELETE SET NULL,
     driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    package_id UUID, -- guide_packages row the booking was made from; its policy is snapshotted below
     type VARCHAR(20) NOT NULL,
     booking_reference VARCHAR(20) UNIQUE NOT NULL,
     start_date TIMESTAMP WITH TIME ZONE NOT NULL,
@@ -133,9 +153,12 @@ CREATE TABLE bookings (
     group_size INTEGER NOT NULL DEFAULT 1,
     pickup_location JSONB NOT NULL,
     dropoff_location JSONB,
+    requested_vehicle_type VARCHAR(20) CHECK (requested_vehicle_type IN ('standard', 'air_conditioned', 'luxury')),
     special_requests TEXT,
     total_amount DECIMAL(10,2) NOT NULL,
+    platform_fee DECIMAL(10,2) DEFAULT 0.00,
     commission DECIMAL(10,2) DEFAULT 0.00,
+    fare_adjustment DECIMAL(10,2) DEFAULT 0.00, -- final ride fare less the quoted fare; settled with its own payment or refund
     status VARCHAR(20) NOT NULL DEFAULT 'pending',
     payment_status VARCHAR(20) NOT NULL DEFAULT 'pending',
     payment_method VARCHAR(50),
@@ -144,9 +167,18 @@ CREATE TABLE bookings (
     cancelled_by UUID REFERENCES users(id),
     cancellation_reason TEXT,
     refund_amount DECIMAL(10,2) DEFAULT 0.00,
+    cancellation_policy JSONB,
+    cancellation_terms JSONB,
+    cancellation_penalty DECIMAL(10,2) DEFAULT 0.00,
+    display_currency VARCHAR(3) NOT NULL DEFAULT 'LKR',
+    fx_rate DECIMAL(14,6) NOT NULL DEFAULT 1 CHECK (fx_rate > 0),
+    fx_rate_locked_at TIMESTAMP WITH TIME ZONE,
+    hold_expires_at TIMESTAMP WITH TIME ZONE,
     rating INTEGER,
     review TEXT,
     completed_at TIMESTAMP WITH TIME ZONE,
+    reminder_24h_sent_at TIMESTAMP WITH TIME ZONE,
+    reminder_2h_sent_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -187,6 +219,7 @@ CREATE TABLE guide_packages (
     available_days TEXT[] DEFAULT '{"monday","tuesday","wednesday","thursday","friday","saturday","sunday"}',
     is_active BOOLEAN DEFAULT TRUE,
     discount_percentage INTEGER DEFAULT 0,
+    cancellation_policy_id UUID REFERENCES cancellation_policies(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -205,6 +238,23 @@ CREATE TABLE guide_packages (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Dispatch Attempts table (audit trail of ride offers sent to drivers)
+CREATE TABLE dispatch_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    rank_score DECIMAL(6,4),
+    distance_km DECIMAL(10,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'declined', 'timed_out', 'cancelled')),
+    decline_reason TEXT,
+    offered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (booking_id, attempt_number)
+);
+
 -- Events table
 CREATE TABLE events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -257,22 +307,66 @@ CREATE TABLE events (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Payments table
+-- Payments table (one row per checkout attempt / gateway order ID)
 CREATE TABLE payments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id VARCHAR(100) UNIQUE NOT NULL,
     booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     amount DECIMAL(10,2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'LKR',
-    payment_method VARCHAR(50) NOT NULL,
+    gateway VARCHAR(20) NOT NULL DEFAULT 'payhere',
+    purpose VARCHAR(20) NOT NULL DEFAULT 'booking' CHECK (purpose IN ('booking', 'fare_adjustment')),
+    payment_method VARCHAR(50),
     payment_intent_id VARCHAR(100),
-    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'canceled', 'failed', 'chargedback', 'partially_refunded', 'refunded')),
+    status_message TEXT,
     transaction_id VARCHAR(100),
+    card_mask VARCHAR(30),
+    card_holder_name VARCHAR(100),
+    card_expiry VARCHAR(10),
     gateway_response JSONB,
+    paid_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Payment events table (status timeline: every gateway notification and refund update)
+CREATE TABLE payment_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    status_code INTEGER,
+    message TEXT,
+    amount DECIMAL(10,2),
+    currency VARCHAR(3),
+    payload JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Payment webhooks table (every inbound gateway notification, stored raw)
+CREATE TABLE payment_webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    gateway VARCHAR(20) NOT NULL,
+    order_id VARCHAR(100),
+    gateway_payment_id VARCHAR(100),
+    status_code INTEGER,
+    dedupe_key VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    signature_valid BOOLEAN NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'duplicate', 'rejected', 'review', 'failed', 'dismissed')),
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    review_reason TEXT,
+    processing_error TEXT,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution_note TEXT,
+    source_ip VARCHAR(45),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
 -- KYC Verifications table
 CREATE TABLE kyc_verifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -281,10 +375,18 @@ CREATE TABLE kyc_verifications (
     document_type VARCHAR(50) NOT NULL,
     document_number VARCHAR(100) NOT NULL,
     document_image TEXT,
-    status VARCHAR(20) DEFAULT 'pending',
+    document_back_image TEXT,
+    document_thumbnail TEXT,
+    document_back_thumbnail TEXT,
+    expires_at DATE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'more_info_required', 'expired', 'superseded')),
+    review_notes TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
     verified_by UUID REFERENCES users(id),
     verified_at TIMESTAMP WITH TIME ZONE,
     rejection_reason TEXT,
+    expiry_reminder_sent_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -315,9 +417,404 @@ CREATE TABLE notifications (
     message TEXT NOT NULL,
     data JSONB,
     is_read BOOLEAN DEFAULT FALSE,
+    digest_status VARCHAR(20) CHECK (digest_status IN ('pending', 'sent')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Job Locks table (one row per scheduled job, held by the running instance)
+CREATE TABLE job_locks (
+    job_name VARCHAR(100) PRIMARY KEY,
+    locked_by VARCHAR(200) NOT NULL,
+    lock_token UUID NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    locked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Job Runs table (scheduled job history)
+CREATE TABLE job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+    instance_id VARCHAR(200),
+    result JSONB,
+    error TEXT,
+    duration_ms INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Notification Preferences table (per-user categories x channels, quiet hours, digest)
+CREATE TABLE notification_preferences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    channels JSONB NOT NULL DEFAULT '{}',
+    quiet_hours_enabled BOOLEAN DEFAULT FALSE,
+    quiet_hours_start TIME DEFAULT '22:00',
+    quiet_hours_end TIME DEFAULT '07:00',
+    digest_frequency VARCHAR(20) DEFAULT 'off' CHECK (digest_frequency IN ('off', 'daily', 'weekly')),
+    last_digest_sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Auth Tokens table (single-use password reset / email verification tokens, stored hashed)
+CREATE TABLE auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- User Sessions table (one per login / device, a refresh token family)
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('logout', 'user_revoked', 'password_reset', 'token_reuse')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refresh Tokens table (hashed, single-use - rotated on every refresh)
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Phone OTPs table (SMS codes for phone verification and passwordless login, stored hashed)
+CREATE TABLE phone_otps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone VARCHAR(20) NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'login')),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Media table (processed image uploads; referenced by POIs, guide portfolios and community updates)
+CREATE TABLE media (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('poi', 'portfolio', 'community')),
+    storage_driver VARCHAR(20) NOT NULL,
+    bucket VARCHAR(100) NOT NULL,
+    variants JSONB NOT NULL DEFAULT '{}',
+    original_mime_type VARCHAR(50) NOT NULL,
+    original_size INTEGER,
+    width INTEGER,
+    height INTEGER,
+    attached_type VARCHAR(30),
+    attached_id UUID,
+    attached_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refunds table (one row per refund request; idempotent per requester and key)
+CREATE TABLE refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    requested_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'LKR',
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'succeeded', 'failed')),
+    gateway VARCHAR(20) NOT NULL,
+    gateway_payment_id VARCHAR(100) NOT NULL,
+    gateway_refund_id VARCHAR(100),
+    gateway_response JSONB,
+    failure_reason TEXT,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(requested_by, idempotency_key)
+);
+
+-- Refund events table (status history for each refund)
+CREATE TABLE refund_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    refund_id UUID NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Payout methods table (where guides and drivers get paid)
+CREATE TABLE payout_methods (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('bank_account', 'ezcash', 'mcash')),
+    account_name VARCHAR(100) NOT NULL,
+    bank_code VARCHAR(4),
+    bank_name VARCHAR(100),
+    branch_code VARCHAR(3),
+    account_number VARCHAR(20),
+    mobile_number VARCHAR(15),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (type = 'bank_account' AND bank_code IS NOT NULL AND branch_code IS NOT NULL AND account_number IS NOT NULL)
+        OR (type <> 'bank_account' AND mobile_number IS NOT NULL)
+    )
+);
+
+-- Payout batches table (weekly settlement runs)
+CREATE TABLE payout_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference VARCHAR(30) UNIQUE NOT NULL,
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'exported', 'completed')),
+    payout_count INTEGER NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    currency VARCHAR(3) DEFAULT 'LKR',
+    created_by UUID REFERENCES users(id),
+    exported_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Payouts table (one transfer per provider per batch)
+CREATE TABLE payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    payout_method_id UUID NOT NULL REFERENCES payout_methods(id),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    currency VARCHAR(3) DEFAULT 'LKR',
+    earnings_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'paid', 'failed')),
+    reference VARCHAR(100),
+    failure_reason TEXT,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Provider earnings table (net earnings accrued per completed booking and provider)
+CREATE TABLE provider_earnings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider_type VARCHAR(10) NOT NULL CHECK (provider_type IN ('guide', 'driver')),
+    provider_id UUID NOT NULL,
+    gross_amount DECIMAL(10,2) NOT NULL,
+    commission DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    net_amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'LKR',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'held', 'available', 'batched', 'paid')),
+    hold_reason TEXT,
+    available_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    payout_id UUID REFERENCES payouts(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'booking' CHECK (source IN ('booking', 'fare_adjustment')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(booking_id, provider_type, source)
+);
+
+-- Ledger transactions table (one balanced posting per money movement)
+CREATE TABLE ledger_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(30) NOT NULL CHECK (type IN ('payment', 'booking_completion', 'refund', 'chargeback', 'payout', 'subscription_payment', 'cancellation_penalty', 'cancellation_retention', 'fare_adjustment')),
+    reference_id UUID NOT NULL,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    description TEXT,
+    currency VARCHAR(3) DEFAULT 'LKR',
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(type, reference_id)
+);
+
+-- Ledger entries table (debit or credit lines of a ledger transaction)
+CREATE TABLE ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transaction_id UUID NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+    account VARCHAR(30) NOT NULL CHECK (account IN ('cash', 'customer_funds', 'provider_payable', 'commission_revenue', 'platform_fee_revenue', 'subscription_revenue', 'penalty_revenue', 'cancellation_fee_revenue', 'refund_expense', 'chargeback_expense')),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    debit DECIMAL(12,2) NOT NULL DEFAULT 0.00 CHECK (debit >= 0),
+    credit DECIMAL(12,2) NOT NULL DEFAULT 0.00 CHECK (credit >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((debit = 0) <> (credit = 0))
+);
+
+-- Subscription plans table (driver premium plans)
+CREATE TABLE subscription_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    tier VARCHAR(20) NOT NULL DEFAULT 'premium' CHECK (tier IN ('premium')),
+    billing_period VARCHAR(10) NOT NULL CHECK (billing_period IN ('monthly', 'annual')),
+    price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+    currency VARCHAR(3) DEFAULT 'LKR',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Driver subscriptions table (premium state; perks last until grace_period_ends_at)
+CREATE TABLE driver_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    pending_plan_id UUID REFERENCES subscription_plans(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'past_due', 'cancelled', 'expired')),
+    renewal_method VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (renewal_method IN ('payhere_recurring', 'manual')),
+    payhere_subscription_id VARCHAR(100),
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE,
+    grace_period_ends_at TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Subscription invoices table (sign-ups, renewals and prorated plan changes)
+CREATE TABLE subscription_invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_number VARCHAR(30) UNIQUE NOT NULL,
+    subscription_id UUID NOT NULL REFERENCES driver_subscriptions(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('subscription', 'renewal', 'plan_change')),
+    recurring BOOLEAN NOT NULL DEFAULT FALSE,
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    proration_credit DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (proration_credit >= 0),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    currency VARCHAR(3) DEFAULT 'LKR',
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'void')),
+    order_id VARCHAR(100) UNIQUE NOT NULL,
+    gateway_payment_id VARCHAR(100) UNIQUE,
+    line_items JSONB NOT NULL DEFAULT '[]',
+    due_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- FX rates table (LKR per unit of each display currency; LKR itself is implied at 1)
+CREATE TABLE fx_rates (
+    currency VARCHAR(3) PRIMARY KEY CHECK (currency ~ '^[A-Z]{3}$' AND currency <> 'LKR'),
+    rate DECIMAL(14,6) NOT NULL CHECK (rate > 0),
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Receipts table (numbered from a sequence; line items are stored without labels and rendered per language)
+CREATE SEQUENCE receipt_number_seq;
+
+CREATE TABLE receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    receipt_number VARCHAR(20) UNIQUE NOT NULL DEFAULT ('RCT-' || LPAD(nextval('receipt_number_seq')::TEXT, 8, '0')),
+    type VARCHAR(10) NOT NULL CHECK (type IN ('booking', 'payment')),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    line_items JSONB NOT NULL DEFAULT '[]',
+    subtotal DECIMAL(10,2) NOT NULL,
+    platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    total DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'LKR',
+    display_currency VARCHAR(3) NOT NULL DEFAULT 'LKR',
+    fx_rate DECIMAL(14,6) NOT NULL DEFAULT 1,
+    payment_details JSONB,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((type = 'payment') = (payment_id IS NOT NULL))
+);
+
+-- Booking events table (append-only status history; actor_id is null for system transitions)
+CREATE TABLE booking_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('created', 'confirm', 'start', 'complete', 'cancel', 'expire', 'lapse', 'leg_confirm', 'leg_cancel')),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('tourist', 'guide', 'driver', 'admin', 'system')),
+    reason TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Booking legs table (one per provider on a combined order; the order is paid once and each
+-- provider confirms, is paid out for and can be cancelled from their own leg)
+CREATE TABLE booking_legs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    provider_type VARCHAR(10) NOT NULL CHECK (provider_type IN ('guide', 'driver')),
+    provider_id UUID NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'cancelled')),
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by UUID REFERENCES users(id),
+    cancellation_reason TEXT,
+    cancellation_terms JSONB,
+    cancellation_penalty DECIMAL(10,2) DEFAULT 0.00,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(booking_id, provider_type)
+);
+
+-- Itineraries table (a traveller's multi-day plan; optionally with a guide and driver for the
+-- whole trip, booked as one order at checkout and shared read-only through share_token)
+CREATE TABLE itineraries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    start_date DATE NOT NULL,
+    days INTEGER NOT NULL CHECK (days BETWEEN 1 AND 30),
+    group_size INTEGER NOT NULL DEFAULT 1,
+    travel_mode VARCHAR(10) NOT NULL DEFAULT 'driving' CHECK (travel_mode IN ('driving', 'walking', 'cycling')),
+    guide_id UUID REFERENCES guides(id) ON DELETE SET NULL,
+    driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'booked')),
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    share_token VARCHAR(64) UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Itinerary stops table (POI visits; start_time is Colombo wall-clock time on the stop's day)
+CREATE TABLE itinerary_stops (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    itinerary_id UUID NOT NULL REFERENCES itineraries(id) ON DELETE CASCADE,
+    poi_id UUID NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+    day_number INTEGER NOT NULL CHECK (day_number >= 1),
+    start_time VARCHAR(5) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_phone ON users(phone);
@@ -344,6 +841,12 @@ CREATE INDEX idx_bookings_guide_id ON bookings(guide_id);
 CREATE INDEX idx_bookings_driver_id ON bookings(driver_id);
 CREATE INDEX idx_bookings_status ON bookings(status);
 CREATE INDEX idx_bookings_dates ON bookings(start_date, end_date);
+CREATE INDEX idx_bookings_guide_schedule ON bookings(guide_id, start_date, end_date) WHERE guide_id IS NOT NULL AND status IN ('pending', 'confirmed', 'in_progress');
+
+CREATE INDEX idx_dispatch_attempts_booking_id ON dispatch_attempts(booking_id);
+CREATE INDEX idx_dispatch_attempts_driver_id ON dispatch_attempts(driver_id);
+CREATE INDEX idx_dispatch_attempts_status ON dispatch_attempts(status);
+CREATE INDEX idx_dispatch_attempts_expires_at ON dispatch_attempts(expires_at) WHERE status = 'offered';
 
 CREATE INDEX idx_reviews_booking_id ON reviews(booking_id);
 CREATE INDEX idx_reviews_reviewee_id ON reviews(reviewee_id);
@@ -359,15 +862,71 @@ CREATE INDEX idx_events_location ON events USING gin(location);
 CREATE INDEX idx_payments_booking_id ON payments(booking_id);
 CREATE INDEX idx_payments_user_id ON payments(user_id);
 CREATE INDEX idx_payments_status ON payments(status);
+CREATE INDEX idx_payments_user_created ON payments(user_id, created_at DESC);
+CREATE INDEX idx_payments_transaction_id ON payments(transaction_id);
+CREATE INDEX idx_payment_events_payment_id ON payment_events(payment_id, created_at);
+-- One delivery per payment_id + status_code gets applied; later copies are marked duplicate
+CREATE UNIQUE INDEX idx_payment_webhooks_dedupe ON payment_webhooks(dedupe_key)
+    WHERE status IN ('processing', 'processed', 'review');
+CREATE INDEX idx_payment_webhooks_status ON payment_webhooks(status, received_at);
+CREATE INDEX idx_payment_webhooks_order_id ON payment_webhooks(order_id);
 
 CREATE INDEX idx_kyc_user_id ON kyc_verifications(user_id);
 CREATE INDEX idx_kyc_status ON kyc_verifications(status);
+CREATE INDEX idx_kyc_queue ON kyc_verifications(status, updated_at);
+CREATE INDEX idx_kyc_expires_at ON kyc_verifications(expires_at) WHERE status = 'approved';
 
 CREATE INDEX idx_reports_reporter_id ON reports(reporter_id);
 CREATE INDEX idx_reports_status ON reports(status);
 
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_read ON notifications(is_read);
+CREATE INDEX idx_notifications_user_created ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_bookings_reminders ON bookings(start_date) WHERE status = 'confirmed';
+
+CREATE INDEX idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+
+CREATE INDEX idx_auth_tokens_user_type ON auth_tokens(user_id, type) WHERE used_at IS NULL;
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+CREATE INDEX idx_phone_otps_phone_purpose ON phone_otps(phone, purpose, created_at DESC);
+
+CREATE INDEX idx_media_owner_id ON media(owner_id);
+CREATE INDEX idx_media_orphans ON media(created_at) WHERE attached_id IS NULL;
+
+CREATE INDEX idx_refunds_booking_id ON refunds(booking_id);
+CREATE INDEX idx_refunds_status ON refunds(status);
+CREATE INDEX idx_refund_events_refund_id ON refund_events(refund_id);
+CREATE INDEX idx_payout_methods_user_id ON payout_methods(user_id) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_payout_methods_default ON payout_methods(user_id) WHERE is_default;
+CREATE INDEX idx_payouts_batch_id ON payouts(batch_id);
+CREATE INDEX idx_payouts_user_id ON payouts(user_id, created_at DESC);
+CREATE INDEX idx_provider_earnings_user_id ON provider_earnings(user_id, created_at DESC);
+CREATE INDEX idx_provider_earnings_settleable ON provider_earnings(available_at) WHERE status IN ('pending', 'held', 'available');
+CREATE INDEX idx_provider_earnings_payout_id ON provider_earnings(payout_id);
+CREATE INDEX idx_ledger_transactions_occurred_at ON ledger_transactions(occurred_at);
+CREATE INDEX idx_ledger_transactions_booking_id ON ledger_transactions(booking_id);
+CREATE INDEX idx_ledger_entries_transaction_id ON ledger_entries(transaction_id);
+CREATE INDEX idx_ledger_entries_account ON ledger_entries(account, user_id);
+CREATE UNIQUE INDEX idx_driver_subscriptions_live ON driver_subscriptions(driver_id) WHERE status IN ('pending', 'active', 'past_due');
+CREATE INDEX idx_driver_subscriptions_period_end ON driver_subscriptions(status, current_period_end);
+CREATE INDEX idx_driver_subscriptions_grace ON driver_subscriptions(status, grace_period_ends_at);
+CREATE INDEX idx_subscription_invoices_subscription_id ON subscription_invoices(subscription_id, status);
+CREATE INDEX idx_subscription_invoices_user_id ON subscription_invoices(user_id, created_at DESC);
+CREATE INDEX idx_subscription_invoices_paid_at ON subscription_invoices(paid_at) WHERE status = 'paid';
+CREATE UNIQUE INDEX idx_receipts_booking ON receipts(booking_id) WHERE type = 'booking';
+CREATE UNIQUE INDEX idx_receipts_payment ON receipts(payment_id) WHERE type = 'payment';
+CREATE INDEX idx_receipts_user_id ON receipts(user_id, issued_at DESC);
+
+CREATE INDEX idx_booking_events_booking_id ON booking_events(booking_id, created_at);
+CREATE INDEX idx_booking_legs_booking_id ON booking_legs(booking_id);
+CREATE INDEX idx_booking_legs_penalties ON booking_legs(cancelled_at) WHERE cancellation_penalty > 0;
+CREATE INDEX idx_itineraries_user_id ON itineraries(user_id, start_date DESC);
+CREATE INDEX idx_itinerary_stops_itinerary_id ON itinerary_stops(itinerary_id, day_number, start_time);
+CREATE INDEX idx_notifications_digest ON notifications(digest_status) WHERE digest_status = 'pending';
 
 -- Create functions for location-based queries
 CREATE OR REPLACE FUNCTION find_guides_nearby(
@@ -566,8 +1125,15 @@ RETURNS TABLE (
     user_id UUID,
     vehicle_type VARCHAR,
     vehicle_number VARCHAR,
+    max_passengers INTEGER,
     base_rate DECIMAL,
     rating DECIMAL,
+    total_rides INTEGER,
+    is_online BOOLEAN,
+    current_lat DECIMAL,
+    current_lng DECIMAL,
+    verification_status VARCHAR,
+    subscription_tier VARCHAR,
     distance_km DECIMAL
 ) AS $$
 BEGIN
@@ -577,8 +1143,15 @@ BEGIN
         d.user_id,
         d.vehicle_type,
         d.vehicle_number,
+        d.max_passengers,
         d.base_rate,
         d.rating,
+        d.total_rides,
+        d.is_online,
+        d.current_lat,
+        d.current_lng,
+        d.verification_status,
+        d.subscription_tier,
         (
             6371 * acos(
                 cos(radians(user_lat)) * 
@@ -813,6 +1386,345 @@ CREATE TRIGGER auto_approve_poi_trigger
     FOR EACH ROW
     EXECUTE FUNCTION auto_approve_poi();
 
+-- Scheduled job locks: take the lock if it is free or its holder's lease has expired.
+-- Returns a token for this acquisition (NULL when the lock is held), so a holder whose
+-- lease expired cannot release the lock a later run took, even on the same instance.
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+    p_job_name VARCHAR,
+    p_owner VARCHAR,
+    p_ttl_seconds INTEGER
+)
+RETURNS UUID AS $$
+DECLARE
+    acquired_token UUID;
+BEGIN
+    INSERT INTO job_locks (job_name, locked_by, lock_token, locked_until, locked_at)
+    VALUES (p_job_name, p_owner, uuid_generate_v4(), NOW() + make_interval(secs => p_ttl_seconds), NOW())
+    ON CONFLICT (job_name) DO UPDATE
+        SET locked_by = EXCLUDED.locked_by,
+            lock_token = EXCLUDED.lock_token,
+            locked_until = EXCLUDED.locked_until,
+            locked_at = EXCLUDED.locked_at
+        WHERE job_locks.locked_until < NOW()
+    RETURNING lock_token INTO acquired_token;
+
+    RETURN acquired_token;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_job_lock(
+    p_job_name VARCHAR,
+    p_owner VARCHAR,
+    p_token UUID
+)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM job_locks
+    WHERE job_name = p_job_name
+      AND locked_by = p_owner
+      AND lock_token = p_token;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Recalculate guide ratings from reviews left for the guide's user
+CREATE OR REPLACE FUNCTION refresh_guide_ratings()
+RETURNS INTEGER AS $$
+DECLARE
+    updated_count INTEGER;
+BEGIN
+    WITH stats AS (
+        SELECT g.id,
+            COALESCE(ROUND(AVG(r.rating)::NUMERIC, 2), 0) AS avg_rating,
+            COUNT(r.id) AS review_count
+        FROM guides g
+        LEFT JOIN reviews r ON r.reviewee_id = g.user_id
+        GROUP BY g.id
+    )
+    UPDATE guides g
+    SET rating = stats.avg_rating,
+        total_reviews = stats.review_count
+    FROM stats
+    WHERE g.id = stats.id
+        AND (g.rating IS DISTINCT FROM stats.avg_rating OR g.total_reviews IS DISTINCT FROM stats.review_count);
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reserve a refund against a booking's captured amount.
+-- Locks the booking row so concurrent refunds cannot over-refund, and returns the
+-- existing refund when the same requester repeats an idempotency key.
+CREATE OR REPLACE FUNCTION reserve_refund(
+    p_booking_id UUID,
+    p_requested_by UUID,
+    p_idempotency_key VARCHAR,
+    p_amount DECIMAL,
+    p_captured_amount DECIMAL,
+    p_currency VARCHAR,
+    p_reason TEXT,
+    p_gateway VARCHAR,
+    p_gateway_payment_id VARCHAR
+)
+RETURNS SETOF refunds AS $$
+DECLARE
+    committed_amount DECIMAL;
+    created refunds;
+BEGIN
+    PERFORM 1 FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    RETURN QUERY
+        SELECT * FROM refunds
+        WHERE requested_by = p_requested_by AND idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO committed_amount
+    FROM refunds
+    WHERE booking_id = p_booking_id AND status IN ('pending', 'processing', 'succeeded');
+
+    IF committed_amount + p_amount > p_captured_amount THEN
+        RAISE EXCEPTION 'refund_exceeds_captured_amount';
+    END IF;
+
+    INSERT INTO refunds (booking_id, requested_by, idempotency_key, amount, currency, reason, status, gateway, gateway_payment_id)
+    VALUES (p_booking_id, p_requested_by, p_idempotency_key, p_amount, p_currency, p_reason, 'pending', p_gateway, p_gateway_payment_id)
+    RETURNING * INTO created;
+
+    INSERT INTO refund_events (refund_id, from_status, to_status, note)
+    VALUES (created.id, NULL, 'pending', 'Refund requested');
+
+    RETURN NEXT created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Post a ledger transaction and its entries atomically.
+-- Rejects unbalanced entries, and returns the existing transaction when the same
+-- type and reference was already posted.
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+    p_type VARCHAR,
+    p_reference_id UUID,
+    p_booking_id UUID,
+    p_description TEXT,
+    p_currency VARCHAR,
+    p_occurred_at TIMESTAMP WITH TIME ZONE,
+    p_entries JSONB
+)
+RETURNS SETOF ledger_transactions AS $$
+DECLARE
+    total_debit DECIMAL;
+    total_credit DECIMAL;
+    created ledger_transactions;
+BEGIN
+    RETURN QUERY
+        SELECT * FROM ledger_transactions
+        WHERE type = p_type AND reference_id = p_reference_id;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(debit), 0), COALESCE(SUM(credit), 0) INTO total_debit, total_credit
+    FROM jsonb_to_recordset(p_entries) AS e(account VARCHAR, user_id UUID, debit DECIMAL, credit DECIMAL);
+
+    IF total_debit = 0 OR total_debit <> total_credit THEN
+        RAISE EXCEPTION 'ledger_transaction_unbalanced';
+    END IF;
+
+    INSERT INTO ledger_transactions (type, reference_id, booking_id, description, currency, occurred_at)
+    VALUES (p_type, p_reference_id, p_booking_id, p_description, p_currency, COALESCE(p_occurred_at, NOW()))
+    RETURNING * INTO created;
+
+    INSERT INTO ledger_entries (transaction_id, account, user_id, debit, credit)
+    SELECT created.id, e.account, e.user_id, COALESCE(e.debit, 0), COALESCE(e.credit, 0)
+    FROM jsonb_to_recordset(p_entries) AS e(account VARCHAR, user_id UUID, debit DECIMAL, credit DECIMAL);
+
+    RETURN NEXT created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Debit and credit totals per ledger account
+CREATE OR REPLACE FUNCTION ledger_account_balances()
+RETURNS TABLE(account VARCHAR, debit DECIMAL, credit DECIMAL) AS $$
+    SELECT e.account, SUM(e.debit), SUM(e.credit)
+    FROM ledger_entries e
+    GROUP BY e.account
+    ORDER BY e.account;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a booking occupies its guide's time: confirmed and running bookings always do,
+-- pending ones only once paid or while their payment hold lasts
+CREATE OR REPLACE FUNCTION booking_holds_guide_slot(b bookings)
+RETURNS BOOLEAN AS $$
+    SELECT b.status IN ('confirmed', 'in_progress')
+        OR (b.status = 'pending' AND (
+            b.payment_status = 'completed'
+            OR b.hold_expires_at IS NULL
+            OR b.hold_expires_at > NOW()
+        ));
+$$ LANGUAGE sql STABLE;
+
+-- Create a guide booking only if the guide is free for its time plus the buffer on both sides,
+-- holding the slot for p_hold_minutes while the traveller pays.
+-- Locks the guide row so concurrent bookings for the same guide are checked one at a time.
+CREATE OR REPLACE FUNCTION reserve_guide_booking(
+    p_booking JSONB,
+    p_buffer_minutes INTEGER,
+    p_hold_minutes INTEGER
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    requested bookings := jsonb_populate_record(NULL::bookings, p_booking);
+    buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+    created bookings;
+BEGIN
+    PERFORM 1 FROM guides WHERE id = requested.guide_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.guide_id = requested.guide_id
+          AND booking_holds_guide_slot(b)
+          AND b.start_date < requested.end_date + buffer
+          AND b.end_date > requested.start_date - buffer
+    ) THEN
+        RAISE EXCEPTION 'guide_slot_unavailable';
+    END IF;
+
+    requested.hold_expires_at := NOW() + make_interval(mins => p_hold_minutes);
+
+    INSERT INTO bookings SELECT (requested).* RETURNING * INTO created;
+
+    RETURN NEXT created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Renew a pending guide booking's payment hold, unless its slot was taken after the hold lapsed
+CREATE OR REPLACE FUNCTION extend_guide_hold(
+    p_booking_id UUID,
+    p_buffer_minutes INTEGER,
+    p_hold_minutes INTEGER
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    target bookings;
+    buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+    updated bookings;
+BEGIN
+    SELECT * INTO target FROM bookings WHERE id = p_booking_id;
+    PERFORM 1 FROM guides WHERE id = target.guide_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.guide_id = target.guide_id
+          AND b.id <> target.id
+          AND booking_holds_guide_slot(b)
+          AND b.start_date < target.end_date + buffer
+          AND b.end_date > target.start_date - buffer
+    ) THEN
+        RAISE EXCEPTION 'guide_slot_unavailable';
+    END IF;
+
+    UPDATE bookings
+    SET hold_expires_at = NOW() + make_interval(mins => p_hold_minutes), updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO updated;
+
+    RETURN NEXT updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep a guide booking's slot for good once it is paid or confirmed: clears the payment hold,
+-- unless the slot was taken by another booking after the hold lapsed
+CREATE OR REPLACE FUNCTION secure_guide_slot(
+    p_booking_id UUID,
+    p_buffer_minutes INTEGER
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    target bookings;
+    buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+    updated bookings;
+BEGIN
+    SELECT * INTO target FROM bookings WHERE id = p_booking_id;
+    PERFORM 1 FROM guides WHERE id = target.guide_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.guide_id = target.guide_id
+          AND b.id <> target.id
+          AND booking_holds_guide_slot(b)
+          AND b.start_date < target.end_date + buffer
+          AND b.end_date > target.start_date - buffer
+    ) THEN
+        RAISE EXCEPTION 'guide_slot_unavailable';
+    END IF;
+
+    UPDATE bookings
+    SET hold_expires_at = NULL, updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO updated;
+
+    RETURN NEXT updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a booking between statuses and append the event in one transaction.
+-- Fails with 'booking_status_changed' if the booking left p_from (or p_payment_from, when given) meanwhile.
+-- p_changes may also set the columns a transition settles (ride fares, actual times).
+CREATE OR REPLACE FUNCTION transition_booking(
+    p_booking_id UUID,
+    p_event VARCHAR,
+    p_from VARCHAR[],
+    p_payment_from VARCHAR[],
+    p_to VARCHAR,
+    p_actor_id UUID,
+    p_actor_role VARCHAR,
+    p_reason TEXT,
+    p_changes JSONB,
+    p_metadata JSONB
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    existing bookings;
+    merged bookings;
+    updated bookings;
+BEGIN
+    SELECT * INTO existing FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND
+        OR NOT (existing.status = ANY(p_from))
+        OR (p_payment_from IS NOT NULL AND NOT (existing.payment_status = ANY(p_payment_from))) THEN
+        RAISE EXCEPTION 'booking_status_changed';
+    END IF;
+
+    merged := jsonb_populate_record(existing, COALESCE(p_changes, '{}'));
+
+    UPDATE bookings SET
+        status = p_to,
+        driver_id = merged.driver_id,
+        start_date = merged.start_date,
+        end_date = merged.end_date,
+        duration = merged.duration,
+        total_amount = merged.total_amount,
+        platform_fee = merged.platform_fee,
+        commission = merged.commission,
+        cancellation_terms = merged.cancellation_terms,
+        cancellation_penalty = merged.cancellation_penalty,
+        completed_at = CASE WHEN p_to = 'completed' THEN NOW() ELSE completed_at END,
+        cancelled_at = CASE WHEN p_to = 'cancelled' THEN NOW() ELSE cancelled_at END,
+        cancelled_by = CASE WHEN p_to = 'cancelled' THEN p_actor_id ELSE cancelled_by END,
+        cancellation_reason = CASE WHEN p_to = 'cancelled' THEN p_reason ELSE cancellation_reason END,
+        updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO updated;
+
+    INSERT INTO booking_events (booking_id, event, from_status, to_status, actor_id, actor_role, reason, metadata)
+    VALUES (p_booking_id, p_event, existing.status, p_to, p_actor_id, p_actor_role, p_reason, COALESCE(p_metadata, '{}'));
+
+    RETURN NEXT updated;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Create index for location-based queries
 CREATE INDEX idx_pois_approval_status ON pois(approval_status);
 CREATE INDEX idx_pois_location ON pois(latitude, longitude);
@@ -829,9 +1741,51 @@ CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payout_methods_updated_at BEFORE UPDATE ON payout_methods
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payout_batches_updated_at BEFORE UPDATE ON payout_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_provider_earnings_updated_at BEFORE UPDATE ON provider_earnings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscription_plans_updated_at BEFORE UPDATE ON subscription_plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_driver_subscriptions_updated_at BEFORE UPDATE ON driver_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscription_invoices_updated_at BEFORE UPDATE ON subscription_invoices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_fx_rates_updated_at BEFORE UPDATE ON fx_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_cancellation_policies_updated_at BEFORE UPDATE ON cancellation_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_booking_legs_updated_at BEFORE UPDATE ON booking_legs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_itineraries_updated_at BEFORE UPDATE ON itineraries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_itinerary_stops_updated_at BEFORE UPDATE ON itinerary_stops
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_kyc_verifications_updated_at BEFORE UPDATE ON kyc_verifications
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -845,6 +1799,26 @@ ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
 ALTER TABLE community_updates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refund_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_methods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_earnings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE receipts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cancellation_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_legs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE itineraries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE itinerary_stops ENABLE ROW LEVEL SECURITY;
 ALTER TABLE kyc_verifications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
@@ -869,4 +1843,25 @@ INSERT INTO users (email, password, first_name, last_name, phone, language, role
 ('driver@pearlpath.lk', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4J/4QZqK2O', 'Kasun', 'Silva', '+94771234569', 'en', 'driver', 3, 'active', 'Sri Lankan'),
 ('tourist@pearlpath.lk', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4J/4QZqK2O', 'John', 'Smith', '+1234567890', 'en', 'tourist', 1, 'active', 'American');
 
+INSERT INTO subscription_plans (code, name, billing_period, price) VALUES
+('premium_monthly', 'Premium Monthly', 'monthly', 2500.00),
+('premium_annual', 'Premium Annual', 'annual', 25000.00);
+
+INSERT INTO cancellation_policies (code, name, description, min_notice_hours, refund_tiers, provider_penalty_tiers) VALUES
+('flexible', 'Flexible', 'Full refund up to 12 hours before the start, half refund up to 2 hours before', 2,
+ '[{"hoursBefore": 12, "percentage": 100}, {"hoursBefore": 2, "percentage": 50}]',
+ '[{"hoursBefore": 24, "percentage": 0}, {"hoursBefore": 0, "percentage": 10}]'),
+('moderate', 'Moderate', 'Full refund up to 24 hours before the start, half refund up to 2 hours before', 2,
+ '[{"hoursBefore": 24, "percentage": 100}, {"hoursBefore": 2, "percentage": 50}]',
+ '[{"hoursBefore": 72, "percentage": 0}, {"hoursBefore": 24, "percentage": 10}, {"hoursBefore": 0, "percentage": 20}]'),
+('strict', 'Strict', 'Full refund up to 7 days before the start, half refund up to 3 days before', 24,
+ '[{"hoursBefore": 168, "percentage": 100}, {"hoursBefore": 72, "percentage": 50}]',
+ '[{"hoursBefore": 168, "percentage": 0}, {"hoursBefore": 72, "percentage": 10}, {"hoursBefore": 0, "percentage": 30}]');
+
+INSERT INTO fx_rates (currency, rate) VALUES
+('USD', 300.000000),
+('EUR', 325.000000),
+('GBP', 380.000000),
+('INR', 3.600000);
+
 -- Note: The password hash above is for 'password123' - change this in production!
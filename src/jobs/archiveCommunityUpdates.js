@@ -0,0 +1,30 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'archive-community-updates',
+  description: 'Archive community updates past their expiry date',
+  schedule: '15 * * * *',
+  lockTtlSeconds: 300,
+
+  async handler() {
+    const { data: archived, error } = await db.supabase
+      .from('community_updates')
+      .update({
+        status: 'archived',
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'active')
+      .not('expires_at', 'is', null)
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) throw error;
+
+    if (archived.length > 0) {
+      logger.info(`Archived ${archived.length} expired community updates`);
+    }
+
+    return { archived: archived.length };
+  }
+};
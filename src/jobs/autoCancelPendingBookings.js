@@ -0,0 +1,50 @@
+const { db } = require('../config/database');
+const Booking = require('../models/Booking');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'auto-cancel-pending-bookings',
+  description: 'Cancel pending bookings that were not paid within the payment window',
+  schedule: '*/5 * * * *',
+  lockTtlSeconds: 300,
+
+  async handler() {
+    const windowMinutes = parseInt(process.env.PENDING_BOOKING_TIMEOUT_MINUTES) || 60;
+    const cutoff = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+    // Rides are managed by the dispatch engine, not the payment window
+    const { data: expired, error } = await db.supabase
+      .from('bookings')
+      .select('id')
+      .eq('status', 'pending')
+      .eq('payment_status', 'pending')
+      .neq('type', 'ride')
+      .lt('created_at', cutoff.toISOString());
+
+    if (error) throw error;
+
+    let cancelled = 0;
+    for (const row of expired) {
+      // Reload with the guide and driver so the state machine can notify them
+      const booking = await Booking.findById(row.id);
+      if (!booking || booking.status !== 'pending' || booking.paymentStatus !== 'pending') continue;
+
+      try {
+        await bookingStateMachine.transition(booking, 'expire', bookingStateMachine.systemActor, {
+          reason: `Payment not received within ${windowMinutes} minutes`
+        });
+        cancelled++;
+      } catch (transitionError) {
+        // Paid or cancelled in the meantime
+        logger.warn(`Could not expire booking ${row.id}: ${transitionError.message}`);
+      }
+    }
+
+    if (cancelled > 0) {
+      logger.info(`Auto-cancelled ${cancelled} unpaid bookings`);
+    }
+
+    return { cancelled, windowMinutes };
+  }
+};
@@ -0,0 +1,73 @@
+const { db } = require('../config/database');
+const Booking = require('../models/Booking');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// Reminder windows, largest first; each has its own "sent" column so it fires once
+const REMINDERS = [
+  { hoursBefore: 24, column: 'reminder_24h_sent_at' },
+  { hoursBefore: 2, column: 'reminder_2h_sent_at' }
+];
+
+module.exports = {
+  name: 'booking-reminders',
+  description: 'Send reminders 24 hours and 2 hours before confirmed bookings start',
+  schedule: '*/10 * * * *',
+  lockTtlSeconds: 600,
+
+  async handler() {
+    const now = new Date();
+    const summary = {};
+
+    for (let i = 0; i < REMINDERS.length; i++) {
+      const { hoursBefore, column } = REMINDERS[i];
+      const windowEnd = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+
+      // Bookings inside the next smaller window get that reminder instead
+      const next = REMINDERS[i + 1];
+      const windowStart = next
+        ? new Date(now.getTime() + next.hoursBefore * 60 * 60 * 1000)
+        : now;
+
+      const { data: bookings, error } = await db.supabase
+        .from('bookings')
+        .select('*, user:users(first_name, email)')
+        .eq('status', 'confirmed')
+        .is(column, null)
+        .gt('start_date', windowStart.toISOString())
+        .lte('start_date', windowEnd.toISOString())
+        .limit(500);
+
+      if (error) throw error;
+
+      let sent = 0;
+      for (const row of bookings) {
+        // Claim the reminder first so overlapping runs never send it twice
+        const { data: claimed, error: claimError } = await db.supabase
+          .from('bookings')
+          .update({ [column]: new Date().toISOString() })
+          .eq('id', row.id)
+          .is(column, null)
+          .select('id');
+
+        if (claimError) throw claimError;
+        if (!claimed || claimed.length === 0) continue;
+
+        const booking = new Booking({
+          ...row,
+          user: { firstName: row.user?.first_name, email: row.user?.email }
+        });
+
+        await notificationService.sendBookingReminder(booking, hoursBefore);
+        sent++;
+      }
+
+      summary[`${hoursBefore}h`] = sent;
+      if (sent > 0) {
+        logger.info(`Sent ${sent} ${hoursBefore}h booking reminders`);
+      }
+    }
+
+    return summary;
+  }
+};
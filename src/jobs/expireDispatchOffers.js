@@ -0,0 +1,42 @@
+const { db } = require('../config/database');
+const dispatchService = require('../services/dispatchService');
+const logger = require('../utils/logger');
+
+// Offer timers only live in the process that made the offer. After a restart or
+// on another instance nothing fires them, so expired offers are swept here.
+module.exports = {
+  name: 'expire-dispatch-offers',
+  description: 'Time out ride offers past their expiry and offer the ride to the next driver',
+  schedule: '* * * * *',
+  lockTtlSeconds: 120,
+
+  async handler() {
+    const { data: expired, error } = await db.supabase
+      .from('dispatch_attempts')
+      .select('booking_id, driver_id')
+      .eq('status', 'offered')
+      .lt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+
+    if (error) throw error;
+
+    let timedOut = 0;
+    let failed = 0;
+    for (const attempt of expired) {
+      try {
+        // Closing the attempt is guarded, so a timer firing at the same time is harmless
+        await dispatchService.handleTimeout(attempt.booking_id, attempt.driver_id);
+        timedOut++;
+      } catch (timeoutError) {
+        failed++;
+        logger.error(`Error timing out ride offer ${attempt.booking_id}:`, timeoutError);
+      }
+    }
+
+    if (timedOut > 0) {
+      logger.info(`Timed out ${timedOut} expired ride offers`);
+    }
+
+    return { timedOut, failed };
+  }
+};
@@ -0,0 +1,12 @@
+const payoutService = require('../services/payoutService');
+
+module.exports = {
+  name: 'generate-payout-batch',
+  description: 'Group cleared guide and driver earnings into the weekly payout batch',
+  schedule: '0 2 * * 1',
+  lockTtlSeconds: 1800,
+
+  async handler() {
+    return payoutService.generateBatch({ periodEnd: new Date() });
+  }
+};
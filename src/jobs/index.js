@@ -0,0 +1,17 @@
+const jobRunner = require('./jobRunner');
+
+jobRunner
+  .register(require('./bookingReminders'))
+  .register(require('./autoCancelPendingBookings'))
+  .register(require('./expireDispatchOffers'))
+  .register(require('./archiveCommunityUpdates'))
+  .register(require('./refreshGuideRatings'))
+  .register(require('./notificationDigest'))
+  .register(require('./purgeExpiredSessions'))
+  .register(require('./kycDocumentExpiry'))
+  .register(require('./purgeOrphanedMedia'))
+  .register(require('./generatePayoutBatch'))
+  .register(require('./reconcileLedger'))
+  .register(require('./subscriptionLifecycle'));
+
+module.exports = jobRunner;
@@ -0,0 +1,217 @@
+const os = require('os');
+const cron = require('node-cron');
+const { db } = require('../config/database');
+const { handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const TIMEZONE = 'Asia/Colombo';
+
+class JobRunner {
+  constructor() {
+    this.jobs = new Map();
+    this.tasks = [];
+    this.started = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  // Register a job definition: { name, description, schedule, lockTtlSeconds, handler }
+  register(job) {
+    if (!cron.validate(job.schedule)) {
+      throw new Error(`Invalid cron schedule for job ${job.name}: ${job.schedule}`);
+    }
+
+    this.jobs.set(job.name, job);
+    return this;
+  }
+
+  start() {
+    if (this.started) return;
+
+    for (const job of this.jobs.values()) {
+      const task = cron.schedule(job.schedule, () => {
+        this.runJob(job.name, { trigger: 'schedule' }).catch(error => {
+          logger.error(`Scheduled job ${job.name} crashed:`, error);
+        });
+      }, { timezone: TIMEZONE });
+
+      this.tasks.push(task);
+    }
+
+    this.started = true;
+    logger.info(`Job runner started with ${this.jobs.size} jobs (${this.instanceId})`);
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+    this.started = false;
+  }
+
+  // Run a job under the distributed lock and record the run
+  async runJob(name, options = {}) {
+    const { trigger = 'schedule', triggeredBy = null } = options;
+
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw handleNotFoundError(`Job not found: ${name}`);
+    }
+
+    const lockToken = await this.acquireLock(name, job.lockTtlSeconds || 300);
+    if (!lockToken) {
+      logger.info(`Job ${name} skipped - already running on another instance`);
+      return { status: 'skipped', reason: 'Job is already running' };
+    }
+
+    const startedAt = Date.now();
+    let run = null;
+
+    // Everything after the lock is taken runs inside the try, so the lock is always released
+    try {
+      run = await this.recordRunStart(name, trigger, triggeredBy);
+
+      const result = await job.handler();
+      const durationMs = Date.now() - startedAt;
+
+      await this.recordRunFinish(run.id, 'succeeded', durationMs, result);
+      logger.info(`Job ${name} succeeded in ${durationMs}ms: ${JSON.stringify(result)}`);
+
+      return { status: 'succeeded', runId: run.id, durationMs, result };
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+      const runId = run ? run.id : null;
+
+      await this.recordRunFinish(runId, 'failed', durationMs, null, error.message);
+      logger.error(`Job ${name} failed:`, error);
+
+      return { status: 'failed', runId, durationMs, error: error.message };
+    } finally {
+      await this.releaseLock(name, lockToken);
+    }
+  }
+
+  // Lock row in job_locks - expires on its own if an instance dies mid-run.
+  // Returns the acquisition's token, or null when another run holds the lock
+  async acquireLock(name, ttlSeconds) {
+    const { data, error } = await db.supabase.rpc('acquire_job_lock', {
+      p_job_name: name,
+      p_owner: this.instanceId,
+      p_ttl_seconds: ttlSeconds
+    });
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  // Only releases the lock this run took, not one taken after its lease expired
+  async releaseLock(name, lockToken) {
+    try {
+      const { error } = await db.supabase.rpc('release_job_lock', {
+        p_job_name: name,
+        p_owner: this.instanceId,
+        p_token: lockToken
+      });
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error releasing lock for job ${name}:`, error);
+    }
+  }
+
+  async recordRunStart(name, trigger, triggeredBy) {
+    const { data, error } = await db.supabase
+      .from('job_runs')
+      .insert({
+        job_name: name,
+        trigger,
+        triggered_by: triggeredBy,
+        status: 'running',
+        instance_id: this.instanceId,
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Nothing to update when the run could not be recorded in the first place
+  async recordRunFinish(runId, status, durationMs, result, errorMessage = null) {
+    if (!runId) return;
+
+    try {
+      const { error } = await db.supabase
+        .from('job_runs')
+        .update({
+          status,
+          duration_ms: durationMs,
+          result: result || null,
+          error: errorMessage,
+          finished_at: new Date().toISOString()
+        })
+        .eq('id', runId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error recording job run ${runId}:`, error);
+    }
+  }
+
+  // Registered jobs with their latest run
+  async listJobs() {
+    return Promise.all(Array.from(this.jobs.values()).map(async (job) => {
+      const { data: runs, error } = await db.supabase
+        .from('job_runs')
+        .select('*')
+        .eq('job_name', job.name)
+        .order('started_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        timezone: TIMEZONE,
+        lastRun: runs[0] ? formatRun(runs[0]) : null
+      };
+    }));
+  }
+
+  async getRuns(name, limit = 20, offset = 0) {
+    if (!this.jobs.has(name)) {
+      throw handleNotFoundError(`Job not found: ${name}`);
+    }
+
+    const { data, error, count } = await db.supabase
+      .from('job_runs')
+      .select('*', { count: 'exact' })
+      .eq('job_name', name)
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { runs: data.map(formatRun), total: count };
+  }
+}
+
+// Helper Functions
+
+function formatRun(run) {
+  return {
+    id: run.id,
+    jobName: run.job_name,
+    trigger: run.trigger,
+    triggeredBy: run.triggered_by,
+    status: run.status,
+    instanceId: run.instance_id,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at,
+    durationMs: run.duration_ms,
+    result: run.result,
+    error: run.error
+  };
+}
+
+module.exports = new JobRunner();
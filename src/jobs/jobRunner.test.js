@@ -0,0 +1,80 @@
+jest.mock('../config/database', () => ({ db: { supabase: { rpc: jest.fn(), from: jest.fn() } } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { db } = require('../config/database');
+const jobRunner = require('./jobRunner');
+
+// job_runs inserts and updates resolving like supabase
+function mockRunTable() {
+  db.supabase.from.mockImplementation(() => {
+    const query = {
+      insert: () => query,
+      update: () => query,
+      select: () => query,
+      eq: async () => ({ error: null }),
+      single: async () => ({ data: { id: 'run-1' }, error: null })
+    };
+    return query;
+  });
+}
+
+describe('jobRunner.runJob', () => {
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    jobRunner.register({ name: 'test-job', schedule: '* * * * *', handler });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRunTable();
+  });
+
+  it('releases the lock with the token of its own acquisition', async () => {
+    db.supabase.rpc.mockResolvedValue({ data: 'token-1', error: null });
+    handler.mockResolvedValue({ processed: 1 });
+
+    const run = await jobRunner.runJob('test-job');
+
+    expect(run.status).toBe('succeeded');
+    expect(db.supabase.rpc).toHaveBeenLastCalledWith('release_job_lock', {
+      p_job_name: 'test-job',
+      p_owner: jobRunner.instanceId,
+      p_token: 'token-1'
+    });
+  });
+
+  it('releases the lock after a failed run', async () => {
+    db.supabase.rpc.mockResolvedValue({ data: 'token-2', error: null });
+    handler.mockRejectedValue(new Error('boom'));
+
+    const run = await jobRunner.runJob('test-job');
+
+    expect(run).toMatchObject({ status: 'failed', error: 'boom' });
+    expect(db.supabase.rpc).toHaveBeenLastCalledWith('release_job_lock', expect.objectContaining({ p_token: 'token-2' }));
+  });
+
+  it('releases the lock and reports a failure when the run cannot be recorded', async () => {
+    db.supabase.rpc.mockResolvedValue({ data: 'token-3', error: null });
+    const recordRunStart = jest.spyOn(jobRunner, 'recordRunStart').mockRejectedValue(new Error('insert failed'));
+
+    const run = await jobRunner.runJob('test-job');
+
+    expect(run).toMatchObject({ status: 'failed', runId: null, error: 'insert failed' });
+    expect(handler).not.toHaveBeenCalled();
+    expect(db.supabase.from).not.toHaveBeenCalled();
+    expect(db.supabase.rpc).toHaveBeenLastCalledWith('release_job_lock', expect.objectContaining({ p_token: 'token-3' }));
+
+    recordRunStart.mockRestore();
+  });
+
+  it('skips the run and releases nothing when another run holds the lock', async () => {
+    db.supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+    const run = await jobRunner.runJob('test-job');
+
+    expect(run.status).toBe('skipped');
+    expect(handler).not.toHaveBeenCalled();
+    expect(db.supabase.rpc).toHaveBeenCalledTimes(1);
+  });
+});
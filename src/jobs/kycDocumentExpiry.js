@@ -0,0 +1,12 @@
+const kycService = require('../services/kycService');
+
+module.exports = {
+  name: 'kyc-document-expiry',
+  description: 'Expire lapsed KYC documents, re-sync verification tiers and send renewal reminders',
+  schedule: '0 6 * * *',
+  lockTtlSeconds: 600,
+
+  async handler() {
+    return kycService.processExpiries();
+  }
+};
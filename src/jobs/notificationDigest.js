@@ -0,0 +1,78 @@
+const { db } = require('../config/database');
+const NotificationPreference = require('../models/NotificationPreference');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+const DIGEST_INTERVAL_DAYS = { daily: 1, weekly: 7 };
+
+module.exports = {
+  name: 'notification-digest',
+  description: 'Email batched community and marketing notifications to users with a digest enabled',
+  schedule: '0 8 * * *',
+  lockTtlSeconds: 1800,
+
+  async handler() {
+    const { data: pending, error } = await db.supabase
+      .from('notifications')
+      .select('id, user_id, title, message, created_at')
+      .eq('digest_status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(5000);
+
+    if (error) throw error;
+
+    const byUser = pending.reduce((groups, notification) => {
+      (groups[notification.user_id] = groups[notification.user_id] || []).push(notification);
+      return groups;
+    }, {});
+
+    let sent = 0;
+    for (const [userId, items] of Object.entries(byUser)) {
+      const { data: prefs } = await db.supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+      const preferences = new NotificationPreference(prefs || { user_id: userId });
+      const intervalDays = DIGEST_INTERVAL_DAYS[preferences.digestFrequency];
+
+      // Weekly digests wait until a week has passed since the last one
+      const lastSent = prefs?.last_digest_sent_at ? new Date(prefs.last_digest_sent_at) : null;
+      if (intervalDays && lastSent && Date.now() - lastSent.getTime() < (intervalDays * 24 - 1) * 60 * 60 * 1000) {
+        continue;
+      }
+
+      if (intervalDays) {
+        const contact = await notificationService.getUserContact(userId);
+        const delivery = await notificationService.sendEmail(
+          contact?.email,
+          `Your PearlPath ${preferences.digestFrequency} digest`,
+          items.map(item => `- ${item.title}: ${item.message}`).join('\n')
+        );
+
+        if (!delivery.success) continue;
+        sent++;
+
+        await db.supabase
+          .from('notification_preferences')
+          .update({ last_digest_sent_at: new Date().toISOString() })
+          .eq('user_id', userId);
+      }
+
+      // Items for users who turned the digest off stay in the inbox only
+      const { error: updateError } = await db.supabase
+        .from('notifications')
+        .update({ digest_status: 'sent' })
+        .in('id', items.map(item => item.id));
+
+      if (updateError) throw updateError;
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} notification digests`);
+    }
+
+    return { users: Object.keys(byUser).length, sent };
+  }
+};
@@ -0,0 +1,40 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Revoked/expired sessions are kept for a while so reuse attempts can still be traced
+const RETENTION_DAYS = 30;
+
+module.exports = {
+  name: 'purge-expired-sessions',
+  description: 'Delete expired refresh tokens and old expired or revoked sessions',
+  schedule: '45 3 * * *',
+  lockTtlSeconds: 600,
+
+  async handler() {
+    const now = new Date().toISOString();
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: tokens, error: tokenError } = await db.supabase
+      .from('refresh_tokens')
+      .delete()
+      .lt('expires_at', now)
+      .select('id');
+
+    if (tokenError) throw tokenError;
+
+    // Deleting a session cascades to its remaining refresh tokens
+    const { data: sessions, error: sessionError } = await db.supabase
+      .from('user_sessions')
+      .delete()
+      .or(`expires_at.lt.${cutoff},revoked_at.lt.${cutoff}`)
+      .select('id');
+
+    if (sessionError) throw sessionError;
+
+    if (tokens.length > 0 || sessions.length > 0) {
+      logger.info(`Purged ${tokens.length} expired refresh tokens and ${sessions.length} old sessions`);
+    }
+
+    return { refreshTokens: tokens.length, sessions: sessions.length };
+  }
+};
@@ -0,0 +1,22 @@
+const mediaService = require('../services/mediaService');
+const logger = require('../utils/logger');
+
+const ORPHAN_TTL_HOURS = parseInt(process.env.MEDIA_ORPHAN_TTL_HOURS) || 24;
+
+module.exports = {
+  name: 'purge-orphaned-media',
+  description: 'Delete uploaded media that was never attached to a POI, portfolio or community update',
+  schedule: '30 * * * *',
+  lockTtlSeconds: 600,
+
+  async handler() {
+    const olderThan = new Date(Date.now() - ORPHAN_TTL_HOURS * 60 * 60 * 1000);
+    const purged = await mediaService.purgeOrphans(olderThan);
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} orphaned media uploads`);
+    }
+
+    return { purged };
+  }
+};
@@ -0,0 +1,24 @@
+const ledgerService = require('../services/ledgerService');
+
+module.exports = {
+  name: 'reconcile-ledger',
+  description: "Reconcile yesterday's ledger postings against payments, completions, refunds, payouts and subscriptions",
+  schedule: '30 1 * * *',
+  lockTtlSeconds: 600,
+
+  async handler() {
+    // Yesterday's date in Asia/Colombo, as YYYY-MM-DD
+    const date = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Colombo' })
+      .format(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+    const report = await ledgerService.reconcile(date);
+
+    return {
+      date: report.date,
+      balanced: report.balanced,
+      discrepancies: report.discrepancies,
+      missing: Object.fromEntries(Object.entries(report.types).map(([type, totals]) => [type, totals.missing.length])),
+      unbalanced: report.unbalanced.length
+    };
+  }
+};
@@ -0,0 +1,15 @@
+const { db } = require('../config/database');
+
+module.exports = {
+  name: 'refresh-guide-ratings',
+  description: 'Recalculate guide ratings and review counts from reviews',
+  schedule: '30 2 * * *',
+  lockTtlSeconds: 900,
+
+  async handler() {
+    const { data: updated, error } = await db.supabase.rpc('refresh_guide_ratings');
+
+    if (error) throw error;
+    return { updated };
+  }
+};
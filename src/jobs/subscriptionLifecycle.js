@@ -0,0 +1,12 @@
+const subscriptionService = require('../services/subscriptionService');
+
+module.exports = {
+  name: 'subscription-lifecycle',
+  description: 'Invoice manual renewals, lapse unpaid subscriptions and downgrade drivers after the grace period',
+  schedule: '15 * * * *',
+  lockTtlSeconds: 900,
+
+  async handler() {
+    return subscriptionService.runLifecycle();
+  }
+};
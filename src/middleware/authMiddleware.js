@@ -1,5 +1,6 @@
 const { jwtUtils } = require('../utils/helpers');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
 const logger = require('../utils/logger');
 
 // Verify JWT token
@@ -35,7 +36,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (user.isTokenRevoked(decoded.iat) || !(await UserSession.isActive(decoded.sid, user.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+        statusCode: 401
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -74,8 +84,10 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwtUtils.verifyAccessToken(token);
       const user = await User.findById(decoded.id);
       
-      if (user && user.status === 'active') {
+      if (user && user.status === 'active' && !user.isTokenRevoked(decoded.iat) &&
+        await UserSession.isActive(decoded.sid, user.id)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -180,11 +192,12 @@ const requireBookingAccess = async (req, res, next) => {
       });
     }
 
-    // Allow access if user is the booking owner, guide, driver, or admin/moderator
+    // Allow access if user is the booking owner, guide, driver, or admin/moderator.
+    // guide_id and driver_id are profile IDs; the joined rows carry the owning user.
     const canAccess = 
       booking.userId === req.user.id ||
-      booking.guideId === req.user.id ||
-      booking.driverId === req.user.id ||
+      booking.guide?.user_id === req.user.id ||
+      booking.driver?.user_id === req.user.id ||
       ['admin', 'moderator'].includes(req.user.role);
 
     if (!canAccess) {
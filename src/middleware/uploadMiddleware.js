@@ -0,0 +1,54 @@
+const multer = require('multer');
+const { AppError } = require('./errorMiddleware');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MEDIA_MIME_TYPES = [...IMAGE_MIME_TYPES, 'image/gif'];
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB
+const MAX_MEDIA_FILES = 5;
+
+// Files are kept in memory - they are re-encoded before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new AppError('Only JPEG, PNG or WebP images are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// General media (POI photos, portfolio, community evidence). The declared type is only a
+// first filter - mediaService sniffs the actual bytes.
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_MEDIA_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!MEDIA_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new AppError('Only JPEG, PNG, WebP or GIF images are allowed', 415));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadMediaFiles = mediaUpload.array('files', MAX_MEDIA_FILES);
+
+// KYC documents: front image required (checked in the controller), back optional
+const uploadKycDocument = imageUpload.fields([
+  { name: 'front', maxCount: 1 },
+  { name: 'back', maxCount: 1 }
+]);
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  MEDIA_MIME_TYPES,
+  MAX_MEDIA_FILES,
+  uploadKycDocument,
+  uploadMediaFiles
+};
@@ -6,28 +6,87 @@ const validateUserRegistration = validate(require('../utils/validation').userVal
 const validateUserLogin = validate(require('../utils/validation').userValidation.login);
 const validateUserUpdate = validate(require('../utils/validation').userValidation.updateProfile);
 const validatePasswordChange = validate(require('../utils/validation').userValidation.changePassword);
+const validateForgotPassword = validate(require('../utils/validation').userValidation.forgotPassword);
+const validatePasswordReset = validate(require('../utils/validation').userValidation.resetPassword);
+const validateSendPhoneOtp = validate(require('../utils/validation').userValidation.sendPhoneOtp);
+const validateVerifyPhoneOtp = validate(require('../utils/validation').userValidation.verifyPhoneOtp);
 
 // Guide validation middleware
 const validateGuideCreation = validate(require('../utils/validation').guideValidation.create);
 const validateGuideUpdate = validate(require('../utils/validation').guideValidation.update);
 const validateGuideSearch = validateQuery(require('../utils/validation').guideValidation.search);
+const validatePortfolioItem = validate(require('../utils/validation').guideValidation.portfolioItem);
+const validateGuideAvailability = validateQuery(require('../utils/validation').guideValidation.availability);
 
 // Driver validation middleware
 const validateDriverCreation = validate(require('../utils/validation').driverValidation.create);
 const validateDriverLocationUpdate = validate(require('../utils/validation').driverValidation.updateLocation);
+const validateDriverCancellationPolicy = validate(require('../utils/validation').driverValidation.cancellationPolicy);
 
 // POI validation middleware
 const validatePOICreation = validate(require('../utils/validation').poiValidation.create);
 const validatePOISearch = validateQuery(require('../utils/validation').poiValidation.search);
+const validatePOIImage = validate(require('../utils/validation').poiValidation.addImage);
 
 // Booking validation middleware
 const validateBookingCreation = validate(require('../utils/validation').bookingValidation.create);
 const validateBookingUpdate = validate(require('../utils/validation').bookingValidation.update);
+const validateReceiptQuery = validateQuery(require('../utils/validation').bookingValidation.receipt);
 
 // Community validation middleware
 const validateCommunityUpdate = validate(require('../utils/validation').communityValidation.createUpdate);
 const validateEventCreation = validate(require('../utils/validation').communityValidation.createEvent);
 
+// Notification validation middleware
+const validateNotificationQuery = validateQuery(require('../utils/validation').notificationValidation.list);
+const validateNotificationPreferences = validate(require('../utils/validation').notificationValidation.preferences);
+
+// KYC validation middleware
+const validateKycSubmission = validate(require('../utils/validation').kycValidation.submit);
+const validateKycResubmission = validate(require('../utils/validation').kycValidation.resubmit);
+const validateKycReview = validate(require('../utils/validation').kycValidation.review);
+const validateKycQueue = validateQuery(require('../utils/validation').kycValidation.queue);
+
+// Media validation middleware
+const validateMediaUpload = validate(require('../utils/validation').mediaValidation.upload);
+
+// Payment validation middleware
+const validatePaymentRequest = validate(require('../utils/validation').paymentValidation.createRequest);
+const validateRefundRequest = validate(require('../utils/validation').paymentValidation.refund);
+const validatePaymentHistoryQuery = validateQuery(require('../utils/validation').paymentValidation.history);
+const validateWebhookQueue = validateQuery(require('../utils/validation').paymentValidation.webhookQueue);
+const validateWebhookReplay = validate(require('../utils/validation').paymentValidation.webhookReplay);
+const validateWebhookDismiss = validate(require('../utils/validation').paymentValidation.webhookDismiss);
+
+// Payout validation middleware
+const validatePayoutMethod = validate(require('../utils/validation').payoutValidation.method);
+const validateEarningsQuery = validateQuery(require('../utils/validation').payoutValidation.earningsQuery);
+const validatePayoutBatchQuery = validateQuery(require('../utils/validation').payoutValidation.batchQuery);
+const validatePayoutBatchExport = validateQuery(require('../utils/validation').payoutValidation.batchExport);
+const validatePayoutStatusUpdate = validate(require('../utils/validation').payoutValidation.statusUpdate);
+
+// Subscription validation middleware
+const validateSubscription = validate(require('../utils/validation').subscriptionValidation.subscribe);
+const validatePlanChange = validate(require('../utils/validation').subscriptionValidation.changePlan);
+
+// Ledger validation middleware
+const validateReconciliationQuery = validateQuery(require('../utils/validation').ledgerValidation.reconciliation);
+
+// Currency validation middleware
+const validateFxRate = validate(require('../utils/validation').currencyValidation.fxRate);
+
+// Cancellation policy validation middleware
+const validateCancellationPolicyCreation = validate(require('../utils/validation').cancellationPolicyValidation.create);
+const validateCancellationPolicyUpdate = validate(require('../utils/validation').cancellationPolicyValidation.update);
+
+// Itinerary validation middleware
+const validateItineraryCreation = validate(require('../utils/validation').itineraryValidation.create);
+const validateItineraryUpdate = validate(require('../utils/validation').itineraryValidation.update);
+const validateItineraryStop = validate(require('../utils/validation').itineraryValidation.stop);
+const validateItineraryStopUpdate = validate(require('../utils/validation').itineraryValidation.updateStop);
+const validateItineraryCheckout = validate(require('../utils/validation').itineraryValidation.checkout);
+const validateItineraryGeneration = validate(require('../utils/validation').itineraryValidation.generate);
+
 // Custom validation middleware
 const validateId = (req, res, next) => {
   const { id } = req.params;
@@ -45,6 +104,22 @@ const validateId = (req, res, next) => {
   next();
 };
 
+const validateOrderId = (req, res, next) => {
+  const { orderId } = req.params;
+  const { commonSchemas } = require('../utils/validation');
+  
+  const { error } = commonSchemas.orderId.validate(orderId);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid order ID format',
+      errors: [{ field: 'orderId', message: 'Order ID must look like PP_<bookingId>_<timestamp>' }]
+    });
+  }
+  
+  next();
+};
+
 const validatePagination = (req, res, next) => {
   const { page = 1, limit = 10 } = req.query;
   
@@ -234,30 +309,90 @@ module.exports = {
   validateUserLogin,
   validateUserUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateSendPhoneOtp,
+  validateVerifyPhoneOtp,
   
   // Guide validation
   validateGuideCreation,
   validateGuideUpdate,
   validateGuideSearch,
+  validatePortfolioItem,
+  validateGuideAvailability,
   
   // Driver validation
   validateDriverCreation,
   validateDriverLocationUpdate,
+  validateDriverCancellationPolicy,
   
   // POI validation
   validatePOICreation,
   validatePOISearch,
+  validatePOIImage,
   
   // Booking validation
   validateBookingCreation,
   validateBookingUpdate,
+  validateReceiptQuery,
   
   // Community validation
   validateCommunityUpdate,
   validateEventCreation,
   
+  // Notification validation
+  validateNotificationQuery,
+  validateNotificationPreferences,
+  
+  // KYC validation
+  validateKycSubmission,
+  validateKycResubmission,
+  validateKycReview,
+  validateKycQueue,
+  
+  // Media validation
+  validateMediaUpload,
+  
+  // Payment validation
+  validatePaymentRequest,
+  validateRefundRequest,
+  validatePaymentHistoryQuery,
+  validateWebhookQueue,
+  validateWebhookReplay,
+  validateWebhookDismiss,
+  
+  // Payout validation
+  validatePayoutMethod,
+  validateEarningsQuery,
+  validatePayoutBatchQuery,
+  validatePayoutBatchExport,
+  validatePayoutStatusUpdate,
+  
+  // Subscription validation
+  validateSubscription,
+  validatePlanChange,
+  
+  // Ledger validation
+  validateReconciliationQuery,
+  
+  // Currency validation
+  validateFxRate,
+  
+  // Cancellation policy validation
+  validateCancellationPolicyCreation,
+  validateCancellationPolicyUpdate,
+  
+  // Itinerary validation
+  validateItineraryCreation,
+  validateItineraryUpdate,
+  validateItineraryStop,
+  validateItineraryStopUpdate,
+  validateItineraryCheckout,
+  validateItineraryGeneration,
+  
   // Custom validation
   validateId,
+  validateOrderId,
   validatePagination,
   validateLocation,
   validateFileUpload,
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { jwtUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+class AuthToken {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.type = data.type;
+    this.expiresAt = data.expires_at;
+    this.usedAt = data.used_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Only the SHA-256 hash is stored - the raw token exists solely in the email link
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a new token; any earlier unused token of the same type is invalidated
+  static async issue(userId, type, ttlMinutes) {
+    try {
+      if (!TOKEN_TYPES.includes(type)) {
+        throw new Error(`Unknown auth token type: ${type}`);
+      }
+
+      const now = new Date().toISOString();
+
+      const { error: revokeError } = await db.supabase
+        .from('auth_tokens')
+        .update({ used_at: now })
+        .eq('user_id', userId)
+        .eq('type', type)
+        .is('used_at', null);
+
+      if (revokeError) throw revokeError;
+
+      const token = jwtUtils.generateResetToken();
+
+      const { data, error } = await db.supabase
+        .from('auth_tokens')
+        .insert({
+          user_id: userId,
+          type,
+          token_hash: AuthToken.hash(token),
+          expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+          created_at: now
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { token, record: new AuthToken(data) };
+    } catch (error) {
+      logger.error('Error issuing auth token:', error);
+      throw error;
+    }
+  }
+
+  // Atomically mark a valid token as used; returns null if unknown, expired or already used
+  static async consume(token, type) {
+    try {
+      if (!token) return null;
+
+      const { data, error } = await db.supabase
+        .from('auth_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', AuthToken.hash(token))
+        .eq('type', type)
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? new AuthToken(data[0]) : null;
+    } catch (error) {
+      logger.error('Error consuming auth token:', error);
+      throw error;
+    }
+  }
+}
+
+AuthToken.TYPES = TOKEN_TYPES;
+
+module.exports = AuthToken;
@@ -1,5 +1,7 @@
 const { db } = require('../config/database');
 const { businessUtils, dateUtils } = require('../utils/helpers');
+const CancellationPolicy = require('./CancellationPolicy');
+const BookingLeg = require('./BookingLeg');
 const logger = require('../utils/logger');
 
 class Booking {
@@ -19,6 +21,8 @@ class Booking {
     this.specialRequests = data.special_requests;
     this.totalAmount = data.total_amount;
     this.commission = data.commission || 0;
+    this.platformFee = data.platform_fee || 0;
+    this.fareAdjustment = Number(data.fare_adjustment || 0); // ride only: final fare less the quoted fare
     this.status = data.status;
     this.paymentStatus = data.payment_status;
     this.paymentMethod = data.payment_method;
@@ -27,6 +31,14 @@ class Booking {
     this.cancelledBy = data.cancelled_by;
     this.cancellationReason = data.cancellation_reason;
     this.refundAmount = data.refund_amount;
+    this.packageId = data.package_id;
+    this.cancellationPolicy = data.cancellation_policy; // policy snapshot taken at booking time
+    this.cancellationTerms = data.cancellation_terms; // refund and penalty applied when cancelled
+    this.cancellationPenalty = Number(data.cancellation_penalty || 0);
+    this.displayCurrency = data.display_currency || 'LKR';
+    this.fxRate = Number(data.fx_rate || 1);
+    this.fxRateLockedAt = data.fx_rate_locked_at;
+    this.holdExpiresAt = data.hold_expires_at;
     this.rating = data.rating;
     this.review = data.review;
     this.completedAt = data.completed_at;
@@ -35,36 +47,14 @@ class Booking {
     this.user = data.user;
     this.guide = data.guide;
     this.driver = data.driver;
+    // Provider legs of a combined order; left undefined when the query did not load them
+    this.legs = data.legs ? BookingLeg.sortByProvider(data.legs.map(leg => new BookingLeg(leg))) : undefined;
   }
 
   // Create a new booking
   static async create(bookingData) {
     try {
-      const booking = {
-        id: require('uuid').v4(),
-        user_id: bookingData.userId,
-        guide_id: bookingData.guideId || null,
-        driver_id: bookingData.driverId || null,
-        type: bookingData.type,
-        booking_reference: businessUtils.generateBookingReference(),
-        start_date: bookingData.startDate,
-        end_date: bookingData.endDate,
-        duration: bookingData.duration,
-        group_size: bookingData.groupSize,
-        pickup_location: bookingData.pickupLocation,
-        dropoff_location: bookingData.dropoffLocation || null,
-        special_requests: bookingData.specialRequests || null,
-        total_amount: bookingData.totalAmount,
-        commission: 0, // Will be calculated after payment
-        status: 'pending',
-        payment_status: 'pending',
-        payment_method: null,
-        payment_id: null,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      const createdBooking = await db.bookings.create(booking);
+      const createdBooking = await db.bookings.create(buildRecord(bookingData));
       return new Booking(createdBooking);
     } catch (error) {
       logger.error('Error creating booking:', error);
@@ -72,6 +62,46 @@ class Booking {
     }
   }
 
+  // Create a guide booking only if the guide's time (plus buffer) is free, holding it
+  // for `holdMinutes` while the traveller pays. Concurrent requests for one guide are
+  // serialised by the database; a taken slot raises 'guide_slot_unavailable'.
+  static async createWithGuideHold(bookingData, { bufferMinutes, holdMinutes }) {
+    try {
+      const { data: rows, error } = await db.supabase.rpc('reserve_guide_booking', {
+        p_booking: buildRecord(bookingData),
+        p_buffer_minutes: bufferMinutes,
+        p_hold_minutes: holdMinutes
+      });
+
+      if (error) throw error;
+      return Booking.findById(rows[0].id);
+    } catch (error) {
+      logger.error('Error reserving guide booking:', error);
+      throw error;
+    }
+  }
+
+  // Bookings that occupy a guide's time between two instants, widened by the buffer
+  static async findGuideSchedule(guideId, from, to, bufferMinutes = 0) {
+    try {
+      const bufferMs = bufferMinutes * 60 * 1000;
+      const { data, error } = await db.supabase
+        .from('bookings')
+        .select('id, guide_id, start_date, end_date, status, payment_status, hold_expires_at')
+        .eq('guide_id', guideId)
+        .in('status', ['pending', 'confirmed', 'in_progress'])
+        .lt('start_date', new Date(new Date(to).getTime() + bufferMs).toISOString())
+        .gt('end_date', new Date(new Date(from).getTime() - bufferMs).toISOString())
+        .order('start_date', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new Booking(record)).filter(booking => booking.holdsGuideSlot());
+    } catch (error) {
+      logger.error('Error finding guide schedule:', error);
+      throw error;
+    }
+  }
+
   // Find booking by ID
   static async findById(id) {
     try {
@@ -213,61 +243,30 @@ class Booking {
     }
   }
 
-  // Confirm booking
-  async confirm() {
-    try {
-      await this.update({ status: 'confirmed' });
-      this.status = 'confirmed';
-    } catch (error) {
-      logger.error('Error confirming booking:', error);
-      throw error;
-    }
-  }
-
-  // Start booking
-  async start() {
-    try {
-      await this.update({ status: 'in_progress' });
-      this.status = 'in_progress';
-    } catch (error) {
-      logger.error('Error starting booking:', error);
-      throw error;
-    }
-  }
-
-  // Complete booking
-  async complete() {
+  // Move to a new status and append the event to booking_events in one transaction.
+  // Only bookingStateMachine calls this; it checks who may do what first.
+  async transition(event, { from, paymentFrom = null, to, actorId = null, actorRole, reason = null, changes = {}, metadata = {} }) {
     try {
-      await this.update({ 
-        status: 'completed',
-        completed_at: new Date().toISOString()
+      const { data: rows, error } = await db.supabase.rpc('transition_booking', {
+        p_booking_id: this.id,
+        p_event: event,
+        p_from: from,
+        p_payment_from: paymentFrom,
+        p_to: to,
+        p_actor_id: actorId,
+        p_actor_role: actorRole,
+        p_reason: reason,
+        p_changes: changes,
+        p_metadata: metadata
       });
-      this.status = 'completed';
-      this.completedAt = new Date().toISOString();
-    } catch (error) {
-      logger.error('Error completing booking:', error);
-      throw error;
-    }
-  }
 
-  // Cancel booking
-  async cancel(cancelledBy, reason, refundAmount = 0) {
-    try {
-      await this.update({
-        status: 'cancelled',
-        cancelled_at: new Date().toISOString(),
-        cancelled_by: cancelledBy,
-        cancellation_reason: reason,
-        refund_amount: refundAmount
-      });
+      if (error) throw error;
 
-      this.status = 'cancelled';
-      this.cancelledAt = new Date().toISOString();
-      this.cancelledBy = cancelledBy;
-      this.cancellationReason = reason;
-      this.refundAmount = refundAmount;
+      const { user, guide, driver, legs } = this;
+      Object.assign(this, new Booking(rows[0]), { user, guide, driver, legs });
+      return this;
     } catch (error) {
-      logger.error('Error cancelling booking:', error);
+      logger.error('Error transitioning booking:', error);
       throw error;
     }
   }
@@ -290,27 +289,33 @@ class Booking {
     }
   }
 
-  // Calculate commission
-  calculateCommission() {
-    let commission = 0;
-    
-    if (this.guideId) {
-      const guideCommission = businessUtils.calculateGuideCommission(this.totalAmount, true);
-      commission += guideCommission;
-    }
-    
-    if (this.driverId) {
-      const driverCommission = businessUtils.calculateDriverCommission(this.totalAmount);
-      commission += driverCommission;
+  // Record the total refunded so far and the resulting payment status
+  async updateRefundTotals(refundAmount, paymentStatus) {
+    try {
+      await this.update({
+        refund_amount: refundAmount,
+        payment_status: paymentStatus
+      });
+
+      this.refundAmount = refundAmount;
+      this.paymentStatus = paymentStatus;
+    } catch (error) {
+      logger.error('Error updating refund totals:', error);
+      throw error;
     }
-    
-    return commission;
+  }
+
+  // Calculate commission from each provider's share under the commission policy
+  async calculateCommission() {
+    const commissionPolicy = require('../services/commissionPolicy');
+    const split = await commissionPolicy.splitBooking(this);
+    return split.commission;
   }
 
   // Update commission
   async updateCommission() {
     try {
-      const commission = this.calculateCommission();
+      const commission = await this.calculateCommission();
       await this.update({ commission });
       this.commission = commission;
     } catch (error) {
@@ -335,30 +340,54 @@ class Booking {
     }
   }
 
-  // Check if booking can be cancelled
+  // Policy the booking was made under; bookings from before policies follow the default
+  getCancellationPolicy() {
+    return this.cancellationPolicy || CancellationPolicy.DEFAULT_POLICY;
+  }
+
+  // Check if the traveller can still cancel under the booking's policy
   canBeCancelled() {
     const now = new Date();
     const startTime = new Date(this.startDate);
     const hoursUntilStart = (startTime - now) / (1000 * 60 * 60);
     
-    return ['pending', 'confirmed'].includes(this.status) && hoursUntilStart > 2;
+    return ['pending', 'confirmed'].includes(this.status) && hoursUntilStart > this.getCancellationPolicy().minNoticeHours;
   }
 
-  // Calculate refund amount
+  // Calculate refund amount - the terms settled at cancellation once cancelled, otherwise
+  // the traveller's refund tier for cancelling now. Includes the refunds of legs already
+  // cancelled off a combined order, so this is the total the traveller is owed.
   calculateRefundAmount() {
-    if (this.status !== 'cancelled') return 0;
+    if (!['pending', 'confirmed', 'cancelled'].includes(this.status)) return 0;
+
+    const legRefunds = (this.legs || [])
+      .filter(leg => !leg.isActive() && leg.cancellationTerms)
+      .reduce((sum, leg) => sum + leg.cancellationTerms.refundAmount, 0);
+
+    if (this.cancellationTerms) {
+      return Math.round((this.cancellationTerms.refundAmount + legRefunds) * 100) / 100;
+    }
     
-    const now = new Date();
+    const cancelledAt = this.cancelledAt ? new Date(this.cancelledAt) : new Date();
     const startTime = new Date(this.startDate);
-    const hoursUntilStart = (startTime - now) / (1000 * 60 * 60);
+    const hoursUntilStart = (startTime - cancelledAt) / (1000 * 60 * 60);
+    const percentage = CancellationPolicy.percentageFor(this.getCancellationPolicy().refundTiers, hoursUntilStart);
     
-    if (hoursUntilStart > 24) {
-      return this.totalAmount; // Full refund
-    } else if (hoursUntilStart > 2) {
-      return this.totalAmount * 0.5; // 50% refund
-    } else {
-      return 0; // No refund
-    }
+    return Math.round(this.getActiveAmount() * percentage + legRefunds * 100) / 100;
+  }
+
+  hasLegs() {
+    return Array.isArray(this.legs) && this.legs.length > 0;
+  }
+
+  getActiveLegs() {
+    return this.hasLegs() ? this.legs.filter(leg => leg.isActive()) : [];
+  }
+
+  // What the traveller still pays for: the total, less any legs cancelled off the order
+  getActiveAmount() {
+    if (!this.hasLegs()) return Number(this.totalAmount);
+    return Math.round(this.getActiveLegs().reduce((sum, leg) => sum + leg.amount, 0) * 100) / 100;
   }
 
   // Get booking duration in hours
@@ -375,6 +404,63 @@ class Booking {
     return now >= startTime && now <= endTime && this.status === 'in_progress';
   }
 
+  // Confirmed and running bookings always occupy the guide's time; pending ones only
+  // once paid or while their payment hold lasts. Mirrors booking_holds_guide_slot() in SQL.
+  holdsGuideSlot(now = new Date()) {
+    if (['confirmed', 'in_progress'].includes(this.status)) return true;
+    if (this.status !== 'pending') return false;
+
+    return this.paymentStatus === 'completed' ||
+      !this.holdExpiresAt ||
+      new Date(this.holdExpiresAt) > now;
+  }
+
+  // Renew the payment hold, failing with 'guide_slot_unavailable' if the time was taken meanwhile
+  async extendGuideHold({ bufferMinutes, holdMinutes }) {
+    try {
+      const { data: rows, error } = await db.supabase.rpc('extend_guide_hold', {
+        p_booking_id: this.id,
+        p_buffer_minutes: bufferMinutes,
+        p_hold_minutes: holdMinutes
+      });
+
+      if (error) throw error;
+      this.holdExpiresAt = rows[0].hold_expires_at;
+      return this;
+    } catch (error) {
+      logger.error('Error extending guide hold:', error);
+      throw error;
+    }
+  }
+
+  // Keep the slot without a time limit, failing with 'guide_slot_unavailable' if it was taken
+  // after the payment hold lapsed
+  async secureGuideSlot({ bufferMinutes }) {
+    try {
+      const { data: rows, error } = await db.supabase.rpc('secure_guide_slot', {
+        p_booking_id: this.id,
+        p_buffer_minutes: bufferMinutes
+      });
+
+      if (error) throw error;
+      this.holdExpiresAt = rows[0].hold_expires_at;
+      return this;
+    } catch (error) {
+      logger.error('Error securing guide slot:', error);
+      throw error;
+    }
+  }
+
+  // Amounts in the display currency at the rate locked when the booking was made
+  getDisplayPrices() {
+    const currencyService = require('../services/currencyService');
+    return currencyService.convertFields(
+      this,
+      ['totalAmount', 'platformFee', 'refundAmount'],
+      { currency: this.displayCurrency, rate: this.fxRate }
+    );
+  }
+
   // Get safe booking data
   toSafeObject() {
     return {
@@ -393,6 +479,8 @@ class Booking {
       specialRequests: this.specialRequests,
       totalAmount: this.totalAmount,
       commission: this.commission,
+      platformFee: this.platformFee,
+      fareAdjustment: this.fareAdjustment,
       status: this.status,
       paymentStatus: this.paymentStatus,
       paymentMethod: this.paymentMethod,
@@ -400,6 +488,16 @@ class Booking {
       cancelledBy: this.cancelledBy,
       cancellationReason: this.cancellationReason,
       refundAmount: this.refundAmount,
+      packageId: this.packageId,
+      cancellationPolicy: this.cancellationPolicy,
+      cancellationTerms: this.cancellationTerms,
+      cancellationPenalty: this.cancellationPenalty,
+      displayCurrency: this.displayCurrency,
+      fxRate: this.fxRate,
+      fxRateLockedAt: this.fxRateLockedAt,
+      holdExpiresAt: this.holdExpiresAt,
+      legs: this.hasLegs() ? this.legs.map(leg => leg.toSafeObject()) : [],
+      displayPrices: this.getDisplayPrices(),
       rating: this.rating,
       review: this.review,
       completedAt: this.completedAt,
@@ -439,4 +537,42 @@ class Booking {
   }
 }
 
+// Helper Functions
+
+// Row for a new pending booking
+function buildRecord(bookingData) {
+  return {
+    id: require('uuid').v4(),
+    user_id: bookingData.userId,
+    guide_id: bookingData.guideId || null,
+    driver_id: bookingData.driverId || null,
+    package_id: bookingData.packageId || null,
+    type: bookingData.type,
+    booking_reference: businessUtils.generateBookingReference(),
+    start_date: bookingData.startDate,
+    end_date: bookingData.endDate,
+    duration: bookingData.duration,
+    group_size: bookingData.groupSize,
+    pickup_location: bookingData.pickupLocation,
+    dropoff_location: bookingData.dropoffLocation || null,
+    special_requests: bookingData.specialRequests || null,
+    total_amount: bookingData.totalAmount,
+    platform_fee: 0,
+    commission: 0, // Will be calculated after payment
+    refund_amount: 0,
+    cancellation_policy: bookingData.cancellationPolicy || null,
+    cancellation_penalty: 0,
+    // Display currency rate is locked at booking time; amounts stay in LKR
+    display_currency: bookingData.displayCurrency || 'LKR',
+    fx_rate: bookingData.fxRate || 1,
+    fx_rate_locked_at: new Date().toISOString(),
+    status: 'pending',
+    payment_status: 'pending',
+    payment_method: null,
+    payment_id: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+}
+
 module.exports = Booking;
@@ -0,0 +1,82 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Status changes are written by transition_booking(); 'created' and the leg events of
+// combined orders ('leg_confirm', 'leg_cancel') are inserted directly
+const ACTOR_ROLES = ['tourist', 'guide', 'driver', 'admin', 'system'];
+
+class BookingEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.booking_id;
+    this.event = data.event;
+    this.fromStatus = data.from_status;
+    this.toStatus = data.to_status;
+    this.actorId = data.actor_id;
+    this.actorRole = data.actor_role;
+    this.reason = data.reason;
+    this.metadata = data.metadata || {};
+    this.createdAt = data.created_at;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('booking_events')
+        .insert({
+          booking_id: data.bookingId,
+          event: data.event,
+          from_status: data.fromStatus || null,
+          to_status: data.toStatus,
+          actor_id: data.actorId || null,
+          actor_role: data.actorRole,
+          reason: data.reason || null,
+          metadata: data.metadata || {},
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new BookingEvent(created);
+    } catch (error) {
+      logger.error('Error creating booking event:', error);
+      throw error;
+    }
+  }
+
+  // Oldest first, as a timeline reads
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('booking_events')
+        .select('*')
+        .eq('booking_id', bookingId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new BookingEvent(record));
+    } catch (error) {
+      logger.error('Error finding booking events:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      event: this.event,
+      fromStatus: this.fromStatus,
+      toStatus: this.toStatus,
+      actorId: this.actorId,
+      actorRole: this.actorRole,
+      reason: this.reason,
+      metadata: this.metadata,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+BookingEvent.ACTOR_ROLES = ACTOR_ROLES;
+
+module.exports = BookingEvent;
@@ -0,0 +1,114 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// A combined order has one leg per provider. The order's status still drives the trip;
+// legs track what each provider agreed to and what was taken off the order.
+const STATUSES = ['pending', 'confirmed', 'cancelled'];
+
+class BookingLeg {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.booking_id;
+    this.providerType = data.provider_type;
+    this.providerId = data.provider_id;
+    this.amount = Number(data.amount);
+    this.status = data.status;
+    this.confirmedAt = data.confirmed_at;
+    this.cancelledAt = data.cancelled_at;
+    this.cancelledBy = data.cancelled_by;
+    this.cancellationReason = data.cancellation_reason;
+    this.cancellationTerms = data.cancellation_terms;
+    this.cancellationPenalty = Number(data.cancellation_penalty || 0);
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // `legs` is a list of { providerType, providerId, amount }
+  static async createMany(bookingId, legs) {
+    try {
+      const { data, error } = await db.supabase
+        .from('booking_legs')
+        .insert(legs.map(leg => ({
+          booking_id: bookingId,
+          provider_type: leg.providerType,
+          provider_id: leg.providerId,
+          amount: leg.amount,
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })))
+        .select();
+
+      if (error) throw error;
+      return BookingLeg.sortByProvider(data.map(record => new BookingLeg(record)));
+    } catch (error) {
+      logger.error('Error creating booking legs:', error);
+      throw error;
+    }
+  }
+
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('booking_legs')
+        .select('*')
+        .eq('booking_id', bookingId);
+
+      if (error) throw error;
+      return BookingLeg.sortByProvider(data.map(record => new BookingLeg(record)));
+    } catch (error) {
+      logger.error('Error finding booking legs:', error);
+      throw error;
+    }
+  }
+
+  // Move the leg only if it is still in one of `fromStatuses`; returns null if it was not
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('booking_legs')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? new BookingLeg(data[0]) : null;
+    } catch (error) {
+      logger.error('Error updating booking leg:', error);
+      throw error;
+    }
+  }
+
+  // Guide leg first, so splits and receipts list providers in the same order as single bookings
+  static sortByProvider(legs) {
+    const order = ['guide', 'driver'];
+    return legs.sort((a, b) => order.indexOf(a.providerType) - order.indexOf(b.providerType));
+  }
+
+  isActive() {
+    return this.status !== 'cancelled';
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      providerType: this.providerType,
+      providerId: this.providerId,
+      amount: this.amount,
+      status: this.status,
+      confirmedAt: this.confirmedAt,
+      cancelledAt: this.cancelledAt,
+      cancellationReason: this.cancellationReason,
+      cancellationTerms: this.cancellationTerms,
+      cancellationPenalty: this.cancellationPenalty
+    };
+  }
+}
+
+BookingLeg.STATUSES = STATUSES;
+
+module.exports = BookingLeg;
@@ -0,0 +1,181 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// The rule bookings followed before policies existed (same tiers as the seeded 'moderate'
+// policy). Used for bookings without a snapshot, and when no policy row can be found.
+const DEFAULT_POLICY = {
+  id: null,
+  code: 'moderate',
+  name: 'Moderate',
+  minNoticeHours: 2,
+  refundTiers: [
+    { hoursBefore: 24, percentage: 100 },
+    { hoursBefore: 2, percentage: 50 }
+  ],
+  providerPenaltyTiers: [
+    { hoursBefore: 72, percentage: 0 },
+    { hoursBefore: 24, percentage: 10 },
+    { hoursBefore: 0, percentage: 20 }
+  ],
+  forceMajeureRefundPercentage: 100
+};
+
+class CancellationPolicy {
+  constructor(data) {
+    this.id = data.id;
+    this.code = data.code;
+    this.name = data.name;
+    this.description = data.description;
+    this.minNoticeHours = data.min_notice_hours;
+    this.refundTiers = data.refund_tiers || [];
+    this.providerPenaltyTiers = data.provider_penalty_tiers || [];
+    this.forceMajeureRefundPercentage = data.force_majeure_refund_percentage;
+    this.isActive = data.is_active;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(policyData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('cancellation_policies')
+        .insert({
+          code: policyData.code,
+          name: policyData.name,
+          description: policyData.description || null,
+          min_notice_hours: policyData.minNoticeHours,
+          refund_tiers: policyData.refundTiers,
+          provider_penalty_tiers: policyData.providerPenaltyTiers,
+          force_majeure_refund_percentage: policyData.forceMajeureRefundPercentage,
+          is_active: true,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return null;
+        throw error;
+      }
+
+      return new CancellationPolicy(data);
+    } catch (error) {
+      logger.error('Error creating cancellation policy:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ activeOnly = true } = {}) {
+    try {
+      let query = db.supabase
+        .from('cancellation_policies')
+        .select('*')
+        .order('min_notice_hours', { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data.map(record => new CancellationPolicy(record));
+    } catch (error) {
+      logger.error('Error finding cancellation policies:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('cancellation_policies')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new CancellationPolicy(data) : null;
+    } catch (error) {
+      logger.error('Error finding cancellation policy by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByCode(code) {
+    try {
+      const { data, error } = await db.supabase
+        .from('cancellation_policies')
+        .select('*')
+        .eq('code', code)
+        .eq('is_active', true)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new CancellationPolicy(data) : null;
+    } catch (error) {
+      logger.error('Error finding cancellation policy by code:', error);
+      throw error;
+    }
+  }
+
+  // Bookings keep their snapshot, so edits only affect bookings made afterwards
+  async update(updateData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('cancellation_policies')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      Object.assign(this, new CancellationPolicy(data));
+      return this;
+    } catch (error) {
+      logger.error('Error updating cancellation policy:', error);
+      throw error;
+    }
+  }
+
+  // Copy stored on the booking at creation
+  toSnapshot() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name,
+      minNoticeHours: this.minNoticeHours,
+      refundTiers: this.refundTiers,
+      providerPenaltyTiers: this.providerPenaltyTiers,
+      forceMajeureRefundPercentage: this.forceMajeureRefundPercentage
+    };
+  }
+
+  toSafeObject() {
+    return {
+      ...this.toSnapshot(),
+      description: this.description,
+      isActive: this.isActive
+    };
+  }
+
+  // Percentage of the first tier (largest notice first) the cancellation still qualifies for;
+  // 0 once it is past the last tier
+  static percentageFor(tiers, hoursBeforeStart) {
+    const hours = Math.max(hoursBeforeStart, 0);
+    const tier = [...(tiers || [])]
+      .sort((a, b) => b.hoursBefore - a.hoursBefore)
+      .find(candidate => hours >= candidate.hoursBefore);
+
+    return tier ? tier.percentage : 0;
+  }
+}
+
+CancellationPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = CancellationPolicy;
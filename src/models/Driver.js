@@ -1,7 +1,26 @@
 const { db } = require('../config/database');
-const { geoUtils, businessUtils } = require('../utils/helpers');
+const { geoUtils, dateUtils, businessUtils } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Fare rates (LKR) by vehicle type, used for fare estimates
+const BASE_RATES = {
+  standard: {
+    base: 300,
+    perKm: 50,
+    perMinute: 5
+  },
+  air_conditioned: {
+    base: 400,
+    perKm: 60,
+    perMinute: 6
+  },
+  luxury: {
+    base: 500,
+    perKm: 75,
+    perMinute: 8
+  }
+};
+
 class Driver {
   constructor(data) {
     this.id = data.id;
@@ -27,6 +46,9 @@ class Driver {
     this.lastLocationUpdate = data.last_location_update;
     this.verificationStatus = data.verification_status || 'pending';
     this.verificationDocuments = data.verification_documents || [];
+    this.subscriptionTier = data.subscription_tier || 'basic';
+    this.subscriptionUpdatedAt = data.subscription_updated_at;
+    this.cancellationPolicyId = data.cancellation_policy_id; // applies to pre-bookings, not rides
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
     this.user = data.user;
@@ -220,17 +242,14 @@ class Driver {
   isAvailableForRide(startTime, duration) {
     if (!this.isOnline) return false;
 
-    const startDate = new Date(startTime);
-    const dayOfWeek = startDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    
-    if (!this.availableDays.includes(dayOfWeek)) return false;
+    const start = dateUtils.toColombo(startTime);
+    if (!this.availableDays.includes(start.weekday)) return false;
 
-    const startHour = startDate.getHours();
-    const workingStart = parseInt(this.workingHours.start.split(':')[0]);
-    const workingEnd = parseInt(this.workingHours.end.split(':')[0]);
-    const endHour = startHour + duration;
+    const workingStart = dateUtils.parseTimeOfDay(this.workingHours.start);
+    const workingEnd = dateUtils.parseTimeOfDay(this.workingHours.end);
+    const end = start.minutes + Number(duration) * 60;
 
-    return startHour >= workingStart && endHour <= workingEnd;
+    return start.minutes >= workingStart && end <= workingEnd;
   }
 
   // Calculate ride price
@@ -243,6 +262,10 @@ class Driver {
     return Math.round(totalPrice * 100) / 100; // Round to 2 decimal places
   }
 
+  static getBaseRates(vehicleType) {
+    return BASE_RATES[vehicleType] || BASE_RATES.standard;
+  }
+
   // Calculate surge multiplier based on demand and conditions
   calculateSurgeMultiplier(demand = 0.5, weather = 'clear') {
     return businessUtils.calculateSurgeMultiplier(
@@ -272,6 +295,8 @@ class Driver {
       totalRides: this.totalRides,
       isOnline: this.isOnline,
       verificationStatus: this.verificationStatus,
+      subscriptionTier: this.subscriptionTier,
+      cancellationPolicyId: this.cancellationPolicyId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       user: this.user ? {
@@ -326,4 +351,6 @@ class Driver {
   }
 }
 
+Driver.BASE_RATES = BASE_RATES;
+
 module.exports = Driver;
@@ -0,0 +1,211 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'active', 'past_due', 'cancelled', 'expired'];
+const RENEWAL_METHODS = ['payhere_recurring', 'manual'];
+
+// A driver has at most one subscription in these statuses
+const LIVE_STATUSES = ['pending', 'active', 'past_due'];
+
+// Perks apply in these statuses until grace_period_ends_at
+const ENTITLED_STATUSES = ['active', 'past_due'];
+
+class DriverSubscription {
+  constructor(data) {
+    this.id = data.id;
+    this.driverId = data.driver_id;
+    this.userId = data.user_id;
+    this.planId = data.plan_id;
+    this.pendingPlanId = data.pending_plan_id;
+    this.status = data.status;
+    this.renewalMethod = data.renewal_method;
+    this.payhereSubscriptionId = data.payhere_subscription_id;
+    this.currentPeriodStart = data.current_period_start;
+    this.currentPeriodEnd = data.current_period_end;
+    this.gracePeriodEndsAt = data.grace_period_ends_at;
+    this.cancelAtPeriodEnd = data.cancel_at_period_end || false;
+    this.cancelledAt = data.cancelled_at;
+    this.endedAt = data.ended_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.plan = data.subscription_plans || null;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('driver_subscriptions')
+        .insert({
+          driver_id: data.driverId,
+          user_id: data.userId,
+          plan_id: data.planId,
+          status: 'pending',
+          renewal_method: data.renewalMethod,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select('*, subscription_plans(*)')
+        .single();
+
+      if (error) throw error;
+      return new DriverSubscription(created);
+    } catch (error) {
+      logger.error('Error creating driver subscription:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('driver_subscriptions')
+        .select('*, subscription_plans(*)')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new DriverSubscription(data) : null;
+    } catch (error) {
+      logger.error('Error finding driver subscription by ID:', error);
+      throw error;
+    }
+  }
+
+  // The pending, active or past-due subscription for a driver
+  static async findLiveByDriverId(driverId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('driver_subscriptions')
+        .select('*, subscription_plans(*)')
+        .eq('driver_id', driverId)
+        .in('status', LIVE_STATUSES)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new DriverSubscription(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding live driver subscription:', error);
+      throw error;
+    }
+  }
+
+  static async findLatestByDriverId(driverId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('driver_subscriptions')
+        .select('*, subscription_plans(*)')
+        .eq('driver_id', driverId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new DriverSubscription(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding latest driver subscription:', error);
+      throw error;
+    }
+  }
+
+  // Which of the given drivers currently have premium perks
+  static async findEntitledDriverIds(driverIds) {
+    try {
+      if (driverIds.length === 0) return [];
+
+      const { data, error } = await db.supabase
+        .from('driver_subscriptions')
+        .select('driver_id')
+        .in('driver_id', driverIds)
+        .in('status', ENTITLED_STATUSES)
+        .gt('grace_period_ends_at', new Date().toISOString());
+
+      if (error) throw error;
+      return data.map(record => record.driver_id);
+    } catch (error) {
+      logger.error('Error finding entitled drivers:', error);
+      throw error;
+    }
+  }
+
+  // Subscriptions in one of the statuses whose `field` is at or before `before`
+  static async findDue(statuses, field, before, filters = {}) {
+    try {
+      let query = db.supabase
+        .from('driver_subscriptions')
+        .select('*, subscription_plans(*)')
+        .in('status', statuses)
+        .lte(field, before.toISOString());
+
+      if (filters.renewalMethod) {
+        query = query.eq('renewal_method', filters.renewalMethod);
+      }
+      if (filters.cancelAtPeriodEnd !== undefined) {
+        query = query.eq('cancel_at_period_end', filters.cancelAtPeriodEnd);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data.map(record => new DriverSubscription(record));
+    } catch (error) {
+      logger.error('Error finding due driver subscriptions:', error);
+      throw error;
+    }
+  }
+
+  // Conditional update - only applies while the subscription is in one of fromStatuses
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('driver_subscriptions')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select('*, subscription_plans(*)');
+
+      if (error) throw error;
+      return data && data.length > 0 ? new DriverSubscription(data[0]) : null;
+    } catch (error) {
+      logger.error('Error updating driver subscription:', error);
+      throw error;
+    }
+  }
+
+  isEntitled(now = new Date()) {
+    return ENTITLED_STATUSES.includes(this.status) &&
+      Boolean(this.gracePeriodEndsAt) &&
+      new Date(this.gracePeriodEndsAt) > now;
+  }
+
+  toSafeObject() {
+    const SubscriptionPlan = require('./SubscriptionPlan');
+
+    return {
+      id: this.id,
+      driverId: this.driverId,
+      plan: this.plan ? new SubscriptionPlan(this.plan).toSafeObject() : null,
+      pendingPlanId: this.pendingPlanId,
+      status: this.status,
+      renewalMethod: this.renewalMethod,
+      currentPeriodStart: this.currentPeriodStart,
+      currentPeriodEnd: this.currentPeriodEnd,
+      gracePeriodEndsAt: this.gracePeriodEndsAt,
+      cancelAtPeriodEnd: this.cancelAtPeriodEnd,
+      cancelledAt: this.cancelledAt,
+      endedAt: this.endedAt,
+      isPremium: this.isEntitled(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+DriverSubscription.STATUSES = STATUSES;
+DriverSubscription.RENEWAL_METHODS = RENEWAL_METHODS;
+DriverSubscription.LIVE_STATUSES = LIVE_STATUSES;
+DriverSubscription.ENTITLED_STATUSES = ENTITLED_STATUSES;
+
+module.exports = DriverSubscription;
@@ -0,0 +1,76 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Each rate is the number of LKR one unit of the currency buys
+class FxRate {
+  constructor(data) {
+    this.currency = data.currency;
+    this.rate = Number(data.rate);
+    this.updatedBy = data.updated_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findAll() {
+    try {
+      const { data, error } = await db.supabase
+        .from('fx_rates')
+        .select('*')
+        .order('currency', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new FxRate(record));
+    } catch (error) {
+      logger.error('Error finding FX rates:', error);
+      throw error;
+    }
+  }
+
+  static async findByCurrency(currency) {
+    try {
+      const { data, error } = await db.supabase
+        .from('fx_rates')
+        .select('*')
+        .eq('currency', currency)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new FxRate(data) : null;
+    } catch (error) {
+      logger.error('Error finding FX rate by currency:', error);
+      throw error;
+    }
+  }
+
+  // Create or replace the rate for a currency
+  static async upsert(currency, rate, updatedBy) {
+    try {
+      const { data, error } = await db.supabase
+        .from('fx_rates')
+        .upsert({
+          currency,
+          rate,
+          updated_by: updatedBy,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'currency' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new FxRate(data);
+    } catch (error) {
+      logger.error('Error saving FX rate:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      currency: this.currency,
+      rate: this.rate,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = FxRate;
@@ -1,5 +1,5 @@
 const { db } = require('../config/database');
-const { geoUtils, businessUtils } = require('../utils/helpers');
+const { geoUtils, businessUtils, dateUtils } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 class Guide {
@@ -185,14 +185,16 @@ class Guide {
   // Add to portfolio
   async addToPortfolio(portfolioItem) {
     try {
-      const portfolio = [...this.portfolio, {
+      const item = {
         id: require('uuid').v4(),
         ...portfolioItem,
         addedAt: new Date().toISOString()
-      }];
+      };
+      const portfolio = [...this.portfolio, item];
 
       await this.update({ portfolio });
       this.portfolio = portfolio;
+      return item;
     } catch (error) {
       logger.error('Error adding to portfolio:', error);
       throw error;
@@ -236,21 +238,19 @@ class Guide {
     return geoUtils.calculateDistance(userLat, userLng, this.currentLat, this.currentLng);
   }
 
-  // Check if guide is available for booking
+  // Whether the time falls on a working day within working hours (Colombo time).
+  // Existing bookings are checked by guideAvailabilityService.
   isAvailableForBooking(startTime, duration) {
     if (!this.isAvailable) return false;
 
-    const startDate = new Date(startTime);
-    const dayOfWeek = startDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    
-    if (!this.availableDays.includes(dayOfWeek)) return false;
+    const start = dateUtils.toColombo(startTime);
+    if (!this.availableDays.includes(start.weekday)) return false;
 
-    const startHour = startDate.getHours();
-    const workingStart = parseInt(this.workingHours.start.split(':')[0]);
-    const workingEnd = parseInt(this.workingHours.end.split(':')[0]);
-    const endHour = startHour + duration;
+    const workingStart = dateUtils.parseTimeOfDay(this.workingHours.start);
+    const workingEnd = dateUtils.parseTimeOfDay(this.workingHours.end);
+    const end = start.minutes + Number(duration) * 60;
 
-    return startHour >= workingStart && endHour <= workingEnd;
+    return start.minutes >= workingStart && end <= workingEnd;
   }
 
   // Calculate booking price
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const ItineraryStop = require('./ItineraryStop');
+const { dateUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Drafts can be edited freely; checkout books the trip as one order and marks it 'booked'
+const STATUSES = ['draft', 'booked'];
+const TRAVEL_MODES = ['driving', 'walking', 'cycling'];
+
+const WITH_STOPS = '*, itinerary_stops(*, pois(*))';
+
+class Itinerary {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.title = data.title;
+    this.description = data.description;
+    this.startDate = data.start_date;
+    this.days = data.days;
+    this.groupSize = data.group_size;
+    this.travelMode = data.travel_mode;
+    this.guideId = data.guide_id;
+    this.driverId = data.driver_id;
+    this.status = data.status;
+    this.bookingId = data.booking_id;
+    this.shareToken = data.share_token;
+    // Only loaded by findById and findByShareToken
+    this.stops = data.itinerary_stops
+      ? ItineraryStop.sortBySchedule(data.itinerary_stops.map(stop => new ItineraryStop(stop)))
+      : undefined;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(itineraryData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itineraries')
+        .insert({
+          user_id: itineraryData.userId,
+          title: itineraryData.title,
+          description: itineraryData.description || null,
+          start_date: itineraryData.startDate,
+          days: itineraryData.days,
+          group_size: itineraryData.groupSize || 1,
+          travel_mode: itineraryData.travelMode || 'driving',
+          guide_id: itineraryData.guideId || null,
+          driver_id: itineraryData.driverId || null,
+          status: 'draft',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select(WITH_STOPS)
+        .single();
+
+      if (error) throw error;
+      return new Itinerary(data);
+    } catch (error) {
+      logger.error('Error creating itinerary:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itineraries')
+        .select(WITH_STOPS)
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Itinerary(data) : null;
+    } catch (error) {
+      logger.error('Error finding itinerary by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByShareToken(token) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itineraries')
+        .select(WITH_STOPS)
+        .eq('share_token', token)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Itinerary(data) : null;
+    } catch (error) {
+      logger.error('Error finding itinerary by share token:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId, { limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error, count } = await db.supabase
+        .from('itineraries')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('start_date', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { itineraries: data.map(record => new Itinerary(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding itineraries by user:', error);
+      throw error;
+    }
+  }
+
+  async update(updateData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itineraries')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .select(WITH_STOPS)
+        .single();
+
+      if (error) throw error;
+
+      Object.assign(this, new Itinerary(data));
+      return this;
+    } catch (error) {
+      logger.error('Error updating itinerary:', error);
+      throw error;
+    }
+  }
+
+  // Move the itinerary only if it is still in one of `fromStatuses`; returns null if it was not
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itineraries')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      // The stops did not change
+      const stops = this.stops;
+      Object.assign(this, new Itinerary(data[0]));
+      this.stops = stops;
+      return this;
+    } catch (error) {
+      logger.error('Error updating itinerary status:', error);
+      throw error;
+    }
+  }
+
+  // Stops are removed with the itinerary
+  async remove() {
+    try {
+      const { error } = await db.supabase
+        .from('itineraries')
+        .delete()
+        .eq('id', this.id);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error removing itinerary:', error);
+      throw error;
+    }
+  }
+
+  // A new link each time; the previous one stops working
+  async share() {
+    return this.update({ share_token: crypto.randomBytes(32).toString('hex') });
+  }
+
+  async unshare() {
+    return this.update({ share_token: null });
+  }
+
+  // Colombo calendar date (YYYY-MM-DD) of day 1, 2, ...
+  getDayDate(dayNumber) {
+    return dateUtils.toColombo(dateUtils.fromColombo(this.startDate, (dayNumber - 1) * 24 * 60 + 12 * 60)).date;
+  }
+
+  getStopsForDay(dayNumber) {
+    return (this.stops || []).filter(stop => stop.dayNumber === dayNumber);
+  }
+
+  // Shared copies leave out who made the plan and what was booked
+  toSafeObject({ shared = false } = {}) {
+    const itinerary = {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      startDate: this.startDate,
+      days: this.days,
+      groupSize: this.groupSize,
+      travelMode: this.travelMode,
+      guideId: this.guideId,
+      driverId: this.driverId,
+      stops: this.stops ? this.stops.map(stop => stop.toSafeObject()) : undefined,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+
+    if (shared) return itinerary;
+
+    return {
+      ...itinerary,
+      userId: this.userId,
+      status: this.status,
+      bookingId: this.bookingId,
+      isShared: Boolean(this.shareToken),
+      shareToken: this.shareToken
+    };
+  }
+}
+
+Itinerary.STATUSES = STATUSES;
+Itinerary.TRAVEL_MODES = TRAVEL_MODES;
+
+module.exports = Itinerary;
@@ -0,0 +1,114 @@
+const { db } = require('../config/database');
+const POI = require('./POI');
+const { dateUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// A POI visit on one day of an itinerary. `startTime` is Colombo wall-clock time ("09:30").
+class ItineraryStop {
+  constructor(data) {
+    this.id = data.id;
+    this.itineraryId = data.itinerary_id;
+    this.poiId = data.poi_id;
+    this.dayNumber = data.day_number;
+    this.startTime = data.start_time;
+    this.durationMinutes = data.duration_minutes;
+    this.notes = data.notes;
+    this.poi = data.pois ? new POI(data.pois) : null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(stopData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itinerary_stops')
+        .insert({
+          itinerary_id: stopData.itineraryId,
+          poi_id: stopData.poiId,
+          day_number: stopData.dayNumber,
+          start_time: stopData.startTime,
+          duration_minutes: stopData.durationMinutes,
+          notes: stopData.notes || null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select('*, pois(*)')
+        .single();
+
+      if (error) throw error;
+      return new ItineraryStop(data);
+    } catch (error) {
+      logger.error('Error creating itinerary stop:', error);
+      throw error;
+    }
+  }
+
+  async update(updateData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('itinerary_stops')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .select('*, pois(*)')
+        .single();
+
+      if (error) throw error;
+
+      Object.assign(this, new ItineraryStop(data));
+      return this;
+    } catch (error) {
+      logger.error('Error updating itinerary stop:', error);
+      throw error;
+    }
+  }
+
+  async remove() {
+    try {
+      const { error } = await db.supabase
+        .from('itinerary_stops')
+        .delete()
+        .eq('id', this.id);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error removing itinerary stop:', error);
+      throw error;
+    }
+  }
+
+  // Day by day, then by time of day
+  static sortBySchedule(stops) {
+    return stops.sort((a, b) =>
+      a.dayNumber - b.dayNumber ||
+      dateUtils.parseTimeOfDay(a.startTime) - dateUtils.parseTimeOfDay(b.startTime)
+    );
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      poiId: this.poiId,
+      dayNumber: this.dayNumber,
+      startTime: this.startTime,
+      durationMinutes: this.durationMinutes,
+      notes: this.notes,
+      poi: this.poi ? {
+        id: this.poi.id,
+        name: this.poi.name,
+        category: this.poi.category,
+        city: this.poi.city,
+        address: this.poi.address,
+        latitude: this.poi.latitude,
+        longitude: this.poi.longitude,
+        entryFee: this.poi.entryFee,
+        operatingHours: this.poi.operatingHours,
+        images: this.poi.images
+      } : null
+    };
+  }
+}
+
+module.exports = ItineraryStop;
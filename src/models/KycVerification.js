@@ -0,0 +1,217 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Identity documents lift a user to tier 2; professional licences to tier 3
+const DOCUMENT_TYPES = {
+  nic: { tier: 2, label: 'National Identity Card', requiresExpiry: false },
+  passport: { tier: 2, label: 'Passport', requiresExpiry: true },
+  guide_license: { tier: 3, label: 'Tourist Guide Licence', requiresExpiry: true },
+  driving_license: { tier: 3, label: 'Driving Licence', requiresExpiry: true },
+  vehicle_revenue_license: { tier: 3, label: 'Vehicle Revenue Licence', requiresExpiry: true }
+};
+
+const STATUSES = ['pending', 'approved', 'rejected', 'more_info_required', 'expired', 'superseded'];
+
+// Submissions awaiting a decision - a user cannot open a second one of the same type.
+// Approved documents can be renewed; the renewal supersedes them once approved.
+const OPEN_STATUSES = ['pending', 'more_info_required'];
+
+class KycVerification {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.tier = data.tier;
+    this.documentType = data.document_type;
+    this.documentNumber = data.document_number;
+    this.documentImage = data.document_image;
+    this.documentBackImage = data.document_back_image;
+    this.documentThumbnail = data.document_thumbnail;
+    this.documentBackThumbnail = data.document_back_thumbnail;
+    this.expiresAt = data.expires_at;
+    this.status = data.status;
+    this.reviewNotes = data.review_notes;
+    this.rejectionReason = data.rejection_reason;
+    this.reviewedBy = data.reviewed_by;
+    this.reviewedAt = data.reviewed_at;
+    this.verifiedBy = data.verified_by;
+    this.verifiedAt = data.verified_at;
+    this.expiryReminderSentAt = data.expiry_reminder_sent_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.user = data.users || null;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('kyc_verifications')
+        .insert({
+          user_id: data.userId,
+          tier: DOCUMENT_TYPES[data.documentType].tier,
+          document_type: data.documentType,
+          document_number: data.documentNumber,
+          document_image: data.documentImage,
+          document_back_image: data.documentBackImage || null,
+          document_thumbnail: data.documentThumbnail,
+          document_back_thumbnail: data.documentBackThumbnail || null,
+          expires_at: data.expiresAt || null,
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new KycVerification(created);
+    } catch (error) {
+      logger.error('Error creating KYC verification:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('kyc_verifications')
+        .select('*, users!kyc_verifications_user_id_fkey(id, first_name, last_name, email, phone, role, verification_tier)')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new KycVerification(data) : null;
+    } catch (error) {
+      logger.error('Error finding KYC verification by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('kyc_verifications')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data.map(record => new KycVerification(record));
+    } catch (error) {
+      logger.error('Error finding KYC verifications by user:', error);
+      throw error;
+    }
+  }
+
+  static async findOpenByUserAndType(userId, documentType) {
+    try {
+      const { data, error } = await db.supabase
+        .from('kyc_verifications')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('document_type', documentType)
+        .in('status', OPEN_STATUSES)
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new KycVerification(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding open KYC verification:', error);
+      throw error;
+    }
+  }
+
+  // Review queue, oldest submissions first
+  static async findQueue({ status = 'pending', documentType, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = db.supabase
+        .from('kyc_verifications')
+        .select('*, users!kyc_verifications_user_id_fkey(id, first_name, last_name, email, phone, role, verification_tier)', { count: 'exact' })
+        .eq('status', status)
+        .order('updated_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (documentType) {
+        query = query.eq('document_type', documentType);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      return { verifications: data.map(record => new KycVerification(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding KYC review queue:', error);
+      throw error;
+    }
+  }
+
+  // Apply an update only while the record is in one of the given statuses
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('kyc_verifications')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      return new KycVerification({ ...data[0], users: this.user });
+    } catch (error) {
+      logger.error('Error updating KYC verification:', error);
+      throw error;
+    }
+  }
+
+  isExpired(date = new Date()) {
+    return !!this.expiresAt && new Date(this.expiresAt) < date;
+  }
+
+  // Document numbers are masked for the owner; reviewers see them in full
+  toSafeObject() {
+    const number = String(this.documentNumber || '');
+
+    return {
+      id: this.id,
+      documentType: this.documentType,
+      documentLabel: DOCUMENT_TYPES[this.documentType]?.label,
+      documentNumber: number.length > 4 ? `${'*'.repeat(number.length - 4)}${number.slice(-4)}` : number,
+      tier: this.tier,
+      status: this.status,
+      expiresAt: this.expiresAt,
+      reviewNotes: this.reviewNotes,
+      rejectionReason: this.rejectionReason,
+      reviewedAt: this.reviewedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  toReviewObject() {
+    return {
+      ...this.toSafeObject(),
+      documentNumber: this.documentNumber,
+      reviewedBy: this.reviewedBy,
+      verifiedBy: this.verifiedBy,
+      verifiedAt: this.verifiedAt,
+      user: this.user ? {
+        id: this.user.id,
+        firstName: this.user.first_name,
+        lastName: this.user.last_name,
+        email: this.user.email,
+        phone: this.user.phone,
+        role: this.user.role,
+        verificationTier: this.user.verification_tier
+      } : null
+    };
+  }
+}
+
+KycVerification.DOCUMENT_TYPES = DOCUMENT_TYPES;
+KycVerification.STATUSES = STATUSES;
+
+module.exports = KycVerification;
@@ -0,0 +1,145 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const TYPES = ['payment', 'booking_completion', 'refund', 'chargeback', 'payout', 'subscription_payment', 'cancellation_penalty', 'cancellation_retention', 'fare_adjustment'];
+
+// Chart of accounts. Provider payables are kept per provider user.
+const ACCOUNTS = {
+  CASH: 'cash',                                 // asset: funds held with PayHere and the bank
+  CUSTOMER_FUNDS: 'customer_funds',             // liability: paid for bookings that are not completed yet
+  PROVIDER_PAYABLE: 'provider_payable',         // liability: net earnings owed to guides and drivers
+  COMMISSION_REVENUE: 'commission_revenue',     // revenue
+  PLATFORM_FEE_REVENUE: 'platform_fee_revenue', // revenue
+  SUBSCRIPTION_REVENUE: 'subscription_revenue', // revenue: driver premium subscriptions
+  PENALTY_REVENUE: 'penalty_revenue',           // revenue: penalties on provider-cancelled bookings
+  CANCELLATION_FEE_REVENUE: 'cancellation_fee_revenue', // revenue: what travellers forfeit when they cancel late
+  REFUND_EXPENSE: 'refund_expense',             // expense: refunds on bookings that were already completed
+  CHARGEBACK_EXPENSE: 'chargeback_expense'      // expense: chargebacks on bookings that were already completed
+};
+
+class LedgerTransaction {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type;
+    this.referenceId = data.reference_id;
+    this.bookingId = data.booking_id;
+    this.description = data.description;
+    this.currency = data.currency;
+    this.occurredAt = data.occurred_at;
+    this.createdAt = data.created_at;
+    this.entries = (data.ledger_entries || []).map(entry => ({
+      account: entry.account,
+      userId: entry.user_id,
+      debit: Number(entry.debit),
+      credit: Number(entry.credit)
+    }));
+  }
+
+  // Post a balanced transaction with its entries in one database call.
+  // Posting the same type and reference again returns the existing transaction.
+  static async post(data) {
+    try {
+      const { data: rows, error } = await db.supabase.rpc('post_ledger_transaction', {
+        p_type: data.type,
+        p_reference_id: data.referenceId,
+        p_booking_id: data.bookingId || null,
+        p_description: data.description || null,
+        p_currency: data.currency || 'LKR',
+        p_occurred_at: data.occurredAt || new Date().toISOString(),
+        p_entries: data.entries.map(entry => ({
+          account: entry.account,
+          user_id: entry.userId || null,
+          debit: entry.debit || 0,
+          credit: entry.credit || 0
+        }))
+      });
+
+      if (error) throw error;
+      return new LedgerTransaction(rows[0]);
+    } catch (error) {
+      logger.error('Error posting ledger transaction:', error);
+      throw error;
+    }
+  }
+
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('ledger_transactions')
+        .select('*, ledger_entries(*)')
+        .eq('booking_id', bookingId)
+        .order('occurred_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new LedgerTransaction(record));
+    } catch (error) {
+      logger.error('Error finding ledger transactions by booking:', error);
+      throw error;
+    }
+  }
+
+  static async findBetween(start, end) {
+    try {
+      const { data, error } = await db.supabase
+        .from('ledger_transactions')
+        .select('*, ledger_entries(*)')
+        .gte('occurred_at', start.toISOString())
+        .lt('occurred_at', end.toISOString())
+        .order('occurred_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new LedgerTransaction(record));
+    } catch (error) {
+      logger.error('Error finding ledger transactions by date:', error);
+      throw error;
+    }
+  }
+
+  // Debit and credit totals per account across the whole ledger
+  static async getAccountBalances() {
+    try {
+      const { data, error } = await db.supabase.rpc('ledger_account_balances');
+
+      if (error) throw error;
+      return data.map(row => ({
+        account: row.account,
+        debit: Number(row.debit),
+        credit: Number(row.credit),
+        balance: Math.round((Number(row.debit) - Number(row.credit)) * 100) / 100
+      }));
+    } catch (error) {
+      logger.error('Error fetching ledger account balances:', error);
+      throw error;
+    }
+  }
+
+  getAmount() {
+    return Math.round(this.entries.reduce((sum, entry) => sum + entry.debit, 0) * 100) / 100;
+  }
+
+  isBalanced() {
+    const debits = Math.round(this.entries.reduce((sum, entry) => sum + entry.debit, 0) * 100);
+    const credits = Math.round(this.entries.reduce((sum, entry) => sum + entry.credit, 0) * 100);
+    return debits === credits;
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      referenceId: this.referenceId,
+      bookingId: this.bookingId,
+      description: this.description,
+      amount: this.getAmount(),
+      currency: this.currency,
+      entries: this.entries,
+      occurredAt: this.occurredAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+LedgerTransaction.TYPES = TYPES;
+LedgerTransaction.ACCOUNTS = ACCOUNTS;
+
+module.exports = LedgerTransaction;
@@ -0,0 +1,166 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// What an upload is for - decides where it may be attached
+const PURPOSES = ['poi', 'portfolio', 'community'];
+const VARIANTS = ['thumb', 'medium', 'large'];
+
+class Media {
+  constructor(data) {
+    this.id = data.id;
+    this.ownerId = data.owner_id;
+    this.purpose = data.purpose;
+    this.storageDriver = data.storage_driver;
+    this.bucket = data.bucket;
+    this.variants = data.variants || {};
+    this.originalMimeType = data.original_mime_type;
+    this.originalSize = data.original_size;
+    this.width = data.width;
+    this.height = data.height;
+    this.attachedType = data.attached_type;
+    this.attachedId = data.attached_id;
+    this.attachedAt = data.attached_at;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(mediaData) {
+    try {
+      const { data, error } = await db.supabase
+        .from('media')
+        .insert({
+          id: mediaData.id,
+          owner_id: mediaData.ownerId,
+          purpose: mediaData.purpose,
+          storage_driver: mediaData.storageDriver,
+          bucket: mediaData.bucket,
+          variants: mediaData.variants,
+          original_mime_type: mediaData.originalMimeType,
+          original_size: mediaData.originalSize,
+          width: mediaData.width,
+          height: mediaData.height,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new Media(data);
+    } catch (error) {
+      logger.error('Error creating media:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('media')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Media(data) : null;
+    } catch (error) {
+      logger.error('Error finding media by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByIds(ids) {
+    try {
+      const { data, error } = await db.supabase
+        .from('media')
+        .select('*')
+        .in('id', ids);
+
+      if (error) throw error;
+      return data.map(media => new Media(media));
+    } catch (error) {
+      logger.error('Error finding media by IDs:', error);
+      throw error;
+    }
+  }
+
+  // Link uploads to the record that uses them; only unattached media can be claimed
+  static async attach(ids, attachedType, attachedId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('media')
+        .update({
+          attached_type: attachedType,
+          attached_id: attachedId,
+          attached_at: new Date().toISOString()
+        })
+        .in('id', ids)
+        .is('attached_id', null)
+        .select('id');
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      logger.error('Error attaching media:', error);
+      throw error;
+    }
+  }
+
+  // Uploads that were never attached to anything
+  static async findOrphans(olderThan, limit = 100) {
+    try {
+      const { data, error } = await db.supabase
+        .from('media')
+        .select('*')
+        .is('attached_id', null)
+        .lt('created_at', olderThan.toISOString())
+        .limit(limit);
+
+      if (error) throw error;
+      return data.map(media => new Media(media));
+    } catch (error) {
+      logger.error('Error finding orphaned media:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const { error } = await db.supabase
+        .from('media')
+        .delete()
+        .eq('id', this.id);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error deleting media:', error);
+      throw error;
+    }
+  }
+
+  isAttached() {
+    return !!this.attachedId;
+  }
+
+  getPaths() {
+    return VARIANTS.map(variant => this.variants[variant]?.path).filter(Boolean);
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      purpose: this.purpose,
+      width: this.width,
+      height: this.height,
+      urls: VARIANTS.reduce((urls, variant) => {
+        urls[variant] = this.variants[variant]?.url || null;
+        return urls;
+      }, {}),
+      attached: this.isAttached(),
+      createdAt: this.createdAt
+    };
+  }
+}
+
+Media.PURPOSES = PURPOSES;
+Media.VARIANTS = VARIANTS;
+
+module.exports = Media;
@@ -0,0 +1,157 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const CATEGORIES = ['booking', 'ride', 'account', 'community', 'marketing', 'safety'];
+const CHANNELS = ['push', 'sms', 'email', 'inApp'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const TIMEZONE = 'Asia/Colombo';
+
+// Defaults: transactional messages everywhere, no marketing SMS/email
+const DEFAULT_CHANNELS = {
+  booking: { push: true, sms: true, email: true, inApp: true },
+  ride: { push: true, sms: true, email: false, inApp: true },
+  account: { push: true, sms: false, email: true, inApp: true },
+  community: { push: true, sms: false, email: false, inApp: true },
+  marketing: { push: false, sms: false, email: false, inApp: true },
+  safety: { push: true, sms: true, email: true, inApp: true }
+};
+
+class NotificationPreference {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.channels = mergeChannels(data.channels);
+    this.quietHoursEnabled = data.quiet_hours_enabled || false;
+    this.quietHoursStart = (data.quiet_hours_start || '22:00').slice(0, 5);
+    this.quietHoursEnd = (data.quiet_hours_end || '07:00').slice(0, 5);
+    this.digestFrequency = data.digest_frequency || 'off';
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find preferences for a user, falling back to defaults when none are saved
+  static async findByUserId(userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return new NotificationPreference(data || { user_id: userId });
+    } catch (error) {
+      logger.error('Error finding notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Create or update a user's preferences
+  static async upsert(userId, updates) {
+    try {
+      const current = await NotificationPreference.findByUserId(userId);
+
+      const channels = { ...current.channels };
+      if (updates.channels) {
+        for (const [category, settings] of Object.entries(updates.channels)) {
+          channels[category] = { ...channels[category], ...settings };
+        }
+      }
+
+      const record = {
+        user_id: userId,
+        channels,
+        quiet_hours_enabled: updates.quietHours?.enabled ?? current.quietHoursEnabled,
+        quiet_hours_start: updates.quietHours?.start ?? current.quietHoursStart,
+        quiet_hours_end: updates.quietHours?.end ?? current.quietHoursEnd,
+        digest_frequency: updates.digestFrequency ?? current.digestFrequency,
+        updated_at: new Date().toISOString()
+      };
+
+      const { data, error } = await db.supabase
+        .from('notification_preferences')
+        .upsert(record, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new NotificationPreference(data);
+    } catch (error) {
+      logger.error('Error saving notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Whether a category may be delivered on a channel
+  allows(category, channel) {
+    // Safety alerts always reach the in-app inbox and live push
+    if (category === 'safety' && (channel === 'inApp' || channel === 'push')) {
+      return true;
+    }
+
+    const settings = this.channels[category] || this.channels.booking;
+    return settings[channel] !== false;
+  }
+
+  // Quiet hours are interpreted in Sri Lanka time and may span midnight
+  isQuietTime(date = new Date()) {
+    if (!this.quietHoursEnabled) return false;
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    const minute = parseInt(parts.find(p => p.type === 'minute').value);
+    const now = hour * 60 + minute;
+    const start = toMinutes(this.quietHoursStart);
+    const end = toMinutes(this.quietHoursEnd);
+
+    if (start === end) return false;
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  // Low-priority categories that are batched into the digest when enabled
+  isDigested(category) {
+    return this.digestFrequency !== 'off' && ['community', 'marketing'].includes(category);
+  }
+
+  toSafeObject() {
+    return {
+      channels: this.channels,
+      quietHours: {
+        enabled: this.quietHoursEnabled,
+        start: this.quietHoursStart,
+        end: this.quietHoursEnd,
+        timezone: TIMEZONE
+      },
+      digestFrequency: this.digestFrequency,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+NotificationPreference.CATEGORIES = CATEGORIES;
+NotificationPreference.CHANNELS = CHANNELS;
+NotificationPreference.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+// Helper Functions
+
+function mergeChannels(saved = {}) {
+  return CATEGORIES.reduce((channels, category) => {
+    channels[category] = { ...DEFAULT_CHANNELS[category], ...(saved && saved[category]) };
+    return channels;
+  }, {});
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+module.exports = NotificationPreference;
@@ -1,5 +1,5 @@
 const { db } = require('../config/database');
-const { geoUtils } = require('../utils/helpers');
+const { geoUtils, dateUtils } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 class POI {
@@ -181,21 +181,16 @@ class POI {
     return geoUtils.calculateDistance(userLat, userLng, this.latitude, this.longitude);
   }
 
-  // Check if POI is open at given time
+  // Check if POI is open at given time. Operating hours are Colombo times per weekday
+  // ('08:00 - 17:00'; '' when closed). A POI without any hours recorded is treated as always open.
   isOpenAt(time = new Date()) {
-    if (!this.operatingHours) return true;
+    if (!this.hasOperatingHours()) return true;
 
-    const dayOfWeek = time.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    const dayHours = this.operatingHours[dayOfWeek];
-    
-    if (!dayHours || dayHours === '') return false;
+    const local = dateUtils.toColombo(time);
+    const hours = parseDayHours(this.operatingHours[local.weekday]);
+    if (!hours) return false;
 
-    const currentTime = time.toTimeString().slice(0, 5); // HH:MM format
-    const [openTime, closeTime] = dayHours.split(' - ');
-    
-    if (!openTime || !closeTime) return false;
-
-    return currentTime >= openTime && currentTime <= closeTime;
+    return local.minutes >= hours.open && local.minutes <= hours.close;
   }
 
   // Get current status
@@ -210,31 +205,29 @@ class POI {
 
   // Get next open time
   getNextOpenTime(fromTime = new Date()) {
-    if (!this.operatingHours) return null;
-
-    for (let i = 0; i < 7; i++) {
-      const checkTime = new Date(fromTime);
-      checkTime.setDate(checkTime.getDate() + i);
-      
-      const dayOfWeek = checkTime.toLocaleDateString('en-US', { weekday: 'lowercase' });
-      const dayHours = this.operatingHours[dayOfWeek];
-      
-      if (dayHours && dayHours !== '') {
-        const [openTime] = dayHours.split(' - ');
-        if (openTime) {
-          const [hours, minutes] = openTime.split(':');
-          checkTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-          
-          if (checkTime > fromTime) {
-            return checkTime;
-          }
-        }
+    if (!this.hasOperatingHours()) return null;
+
+    const from = new Date(fromTime);
+    const firstDay = dateUtils.toColombo(from).date;
+
+    for (let i = 0; i < 8; i++) {
+      const day = dateUtils.toColombo(dateUtils.fromColombo(firstDay, i * 24 * 60 + 12 * 60));
+      const hours = parseDayHours(this.operatingHours[day.weekday]);
+      if (!hours) continue;
+
+      const openTime = dateUtils.fromColombo(day.date, hours.open);
+      if (openTime > from) {
+        return openTime;
       }
     }
-    
+
     return null;
   }
 
+  hasOperatingHours() {
+    return Boolean(this.operatingHours) && Object.keys(this.operatingHours).length > 0;
+  }
+
   // Get safe POI data
   toSafeObject() {
     return {
@@ -354,6 +347,62 @@ class POI {
       throw error;
     }
   }
+
+  // Active, approved POIs in a city
+  static async findByCity(city) {
+    try {
+      const { data, error } = await db.supabase
+        .from('pois')
+        .select('*')
+        .ilike('city', city)
+        .eq('status', 'active')
+        .eq('approval_status', 'approved')
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return data.map(poi => new POI(poi));
+    } catch (error) {
+      logger.error('Error finding POIs by city:', error);
+      throw error;
+    }
+  }
+
+  // Active, approved POIs inside a bounding box, in a stable order
+  static async findInArea({ minLat, maxLat, minLng, maxLng }) {
+    try {
+      const { data, error } = await db.supabase
+        .from('pois')
+        .select('*')
+        .gte('latitude', minLat)
+        .lte('latitude', maxLat)
+        .gte('longitude', minLng)
+        .lte('longitude', maxLng)
+        .eq('status', 'active')
+        .eq('approval_status', 'approved')
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return data.map(poi => new POI(poi));
+    } catch (error) {
+      logger.error('Error finding POIs in area:', error);
+      throw error;
+    }
+  }
+}
+
+// Helper Functions
+
+// '08:00 - 17:00' -> { open: 480, close: 1020 }; null when closed that day
+function parseDayHours(dayHours) {
+  if (!dayHours) return null;
+
+  const [openTime, closeTime] = dayHours.split('-').map(part => part.trim());
+  if (!openTime || !closeTime) return null;
+
+  return {
+    open: dateUtils.parseTimeOfDay(openTime),
+    close: dateUtils.parseTimeOfDay(closeTime)
+  };
 }
 
 module.exports = POI;
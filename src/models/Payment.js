@@ -0,0 +1,269 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'completed', 'canceled', 'failed', 'chargedback', 'partially_refunded', 'refunded'];
+
+// PayHere notification status_code -> payment status
+const PAYHERE_STATUS_CODES = {
+  '2': 'completed',
+  '0': 'pending',
+  '-1': 'canceled',
+  '-2': 'failed',
+  '-3': 'chargedback'
+};
+
+// Once money has moved, a late "pending" notification must not roll the status back
+const SETTLED_STATUSES = ['completed', 'chargedback', 'partially_refunded', 'refunded'];
+
+// Payments whose money was captured, including any part refunded since
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+class Payment {
+  constructor(data) {
+    this.id = data.id;
+    this.orderId = data.order_id;
+    this.bookingId = data.booking_id;
+    this.userId = data.user_id;
+    this.amount = Number(data.amount);
+    this.currency = data.currency;
+    this.gateway = data.gateway;
+    this.purpose = data.purpose || 'booking'; // 'fare_adjustment' pays the extra on a completed ride
+    this.paymentMethod = data.payment_method;
+    this.transactionId = data.transaction_id;
+    this.cardMask = data.card_mask;
+    this.cardHolderName = data.card_holder_name;
+    this.cardExpiry = data.card_expiry;
+    this.status = data.status;
+    this.statusMessage = data.status_message;
+    this.gatewayResponse = data.gateway_response;
+    this.paidAt = data.paid_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.booking = data.bookings || null;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('payments')
+        .insert({
+          order_id: data.orderId,
+          booking_id: data.bookingId,
+          user_id: data.userId,
+          amount: data.amount,
+          currency: data.currency,
+          gateway: data.gateway || 'payhere',
+          purpose: data.purpose || 'booking',
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const payment = new Payment(created);
+      await payment.addEvent('pending', { message: 'Payment request created' });
+      return payment;
+    } catch (error) {
+      logger.error('Error creating payment:', error);
+      throw error;
+    }
+  }
+
+  static async findByOrderId(orderId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payments')
+        .select('*, bookings(id, booking_reference, type, status)')
+        .eq('order_id', orderId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Payment(data) : null;
+    } catch (error) {
+      logger.error('Error finding payment by order ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payments')
+        .select('*')
+        .eq('booking_id', bookingId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(payment => new Payment(payment));
+    } catch (error) {
+      logger.error('Error finding payments by booking ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByTransactionId(transactionId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payments')
+        .select('*')
+        .eq('transaction_id', transactionId)
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new Payment(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding payment by transaction ID:', error);
+      throw error;
+    }
+  }
+
+  // A user's payments, newest first, filtered by status and creation date
+  static async findByUserId(userId, { status, startDate, endDate, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = db.supabase
+        .from('payments')
+        .select('*, bookings(id, booking_reference, type, status)', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+      if (startDate) {
+        query = query.gte('created_at', new Date(startDate).toISOString());
+      }
+      if (endDate) {
+        query = query.lte('created_at', new Date(endDate).toISOString());
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      return { payments: data.map(record => new Payment(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding payments by user:', error);
+      throw error;
+    }
+  }
+
+  // Apply a gateway status update and append it to the timeline
+  async recordStatus(status, details = {}) {
+    try {
+      const updates = {};
+
+      if (details.transactionId) updates.transaction_id = details.transactionId;
+      if (details.paymentMethod) updates.payment_method = details.paymentMethod;
+      if (details.cardMask) updates.card_mask = details.cardMask;
+      if (details.cardHolderName) updates.card_holder_name = details.cardHolderName;
+      if (details.cardExpiry) updates.card_expiry = details.cardExpiry;
+      if (details.payload) updates.gateway_response = details.payload;
+
+      const regresses = SETTLED_STATUSES.includes(this.status) && status === 'pending';
+      if (!regresses) {
+        updates.status = status;
+        updates.status_message = details.message || null;
+
+        if (status === 'completed' && !this.paidAt) {
+          updates.paid_at = new Date().toISOString();
+        }
+      }
+
+      const { data, error } = await db.supabase
+        .from('payments')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.addEvent(status, details);
+      return new Payment({ ...data, bookings: this.booking });
+    } catch (error) {
+      logger.error('Error recording payment status:', error);
+      throw error;
+    }
+  }
+
+  async addEvent(status, details = {}) {
+    const { error } = await db.supabase
+      .from('payment_events')
+      .insert({
+        payment_id: this.id,
+        status,
+        status_code: details.statusCode ?? null,
+        message: details.message || null,
+        amount: details.amount ?? null,
+        currency: details.currency || null,
+        payload: details.payload || null,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      logger.error(`Error recording payment event for ${this.id}:`, error);
+    }
+  }
+
+  async getEvents() {
+    try {
+      const { data, error } = await db.supabase
+        .from('payment_events')
+        .select('status, status_code, message, amount, currency, created_at')
+        .eq('payment_id', this.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(event => ({
+        status: event.status,
+        statusCode: event.status_code,
+        message: event.message,
+        amount: event.amount !== null ? Number(event.amount) : null,
+        currency: event.currency,
+        createdAt: event.created_at
+      }));
+    } catch (error) {
+      logger.error('Error fetching payment events:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      bookingId: this.bookingId,
+      amount: this.amount,
+      currency: this.currency,
+      gateway: this.gateway,
+      purpose: this.purpose,
+      paymentMethod: this.paymentMethod,
+      transactionId: this.transactionId,
+      cardMask: this.cardMask,
+      status: this.status,
+      statusMessage: this.statusMessage,
+      paidAt: this.paidAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      booking: this.booking ? {
+        id: this.booking.id,
+        bookingReference: this.booking.booking_reference,
+        type: this.booking.type,
+        status: this.booking.status
+      } : null
+    };
+  }
+}
+
+Payment.STATUSES = STATUSES;
+Payment.PAYHERE_STATUS_CODES = PAYHERE_STATUS_CODES;
+Payment.SETTLED_STATUSES = SETTLED_STATUSES;
+Payment.CAPTURED_STATUSES = CAPTURED_STATUSES;
+
+module.exports = Payment;
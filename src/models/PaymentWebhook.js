@@ -0,0 +1,171 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['received', 'processing', 'processed', 'duplicate', 'rejected', 'review', 'failed', 'dismissed'];
+
+// Statuses that can be re-processed by an admin replay
+const REPLAYABLE_STATUSES = ['processed', 'review', 'failed'];
+
+class PaymentWebhook {
+  constructor(data) {
+    this.id = data.id;
+    this.gateway = data.gateway;
+    this.orderId = data.order_id;
+    this.gatewayPaymentId = data.gateway_payment_id;
+    this.statusCode = data.status_code;
+    this.dedupeKey = data.dedupe_key;
+    this.payload = data.payload;
+    this.signatureValid = data.signature_valid;
+    this.status = data.status;
+    this.paymentId = data.payment_id;
+    this.reviewReason = data.review_reason;
+    this.processingError = data.processing_error;
+    this.replayCount = data.replay_count || 0;
+    this.resolvedBy = data.resolved_by;
+    this.resolvedAt = data.resolved_at;
+    this.resolutionNote = data.resolution_note;
+    this.sourceIp = data.source_ip;
+    this.receivedAt = data.received_at;
+    this.processedAt = data.processed_at;
+  }
+
+  // Store the raw notification exactly as it arrived
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('payment_webhooks')
+        .insert({
+          gateway: data.gateway,
+          order_id: data.orderId || null,
+          gateway_payment_id: data.gatewayPaymentId || null,
+          status_code: data.statusCode ?? null,
+          dedupe_key: data.dedupeKey,
+          payload: data.payload,
+          signature_valid: data.signatureValid,
+          status: data.signatureValid ? 'received' : 'rejected',
+          source_ip: data.sourceIp || null,
+          received_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new PaymentWebhook(created);
+    } catch (error) {
+      logger.error('Error storing payment webhook:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payment_webhooks')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new PaymentWebhook(data) : null;
+    } catch (error) {
+      logger.error('Error finding payment webhook by ID:', error);
+      throw error;
+    }
+  }
+
+  // Manual review queue, oldest first
+  static async findQueue({ status = 'review', orderId, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = db.supabase
+        .from('payment_webhooks')
+        .select('*', { count: 'exact' })
+        .eq('status', status)
+        .order('received_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (orderId) {
+        query = query.eq('order_id', orderId);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      return { webhooks: data.map(record => new PaymentWebhook(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding payment webhook queue:', error);
+      throw error;
+    }
+  }
+
+  // Take ownership of the notification for processing. A partial unique index on dedupe_key
+  // allows only one processing/processed/review row per payment_id + status_code, so a
+  // duplicate delivery loses here and is marked as such.
+  async claim(fromStatuses = ['received']) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payment_webhooks')
+        .update({ status: 'processing', processing_error: null })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) {
+        if (error.code === '23505') {
+          await this.transition(fromStatuses, { status: 'duplicate' });
+          return null;
+        }
+        throw error;
+      }
+
+      return data && data.length > 0 ? new PaymentWebhook(data[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming payment webhook:', error);
+      throw error;
+    }
+  }
+
+  // Apply an update only while the webhook is in one of the given statuses
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payment_webhooks')
+        .update(updates)
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? new PaymentWebhook(data[0]) : null;
+    } catch (error) {
+      logger.error('Error updating payment webhook:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      gateway: this.gateway,
+      orderId: this.orderId,
+      gatewayPaymentId: this.gatewayPaymentId,
+      statusCode: this.statusCode,
+      signatureValid: this.signatureValid,
+      status: this.status,
+      paymentId: this.paymentId,
+      reviewReason: this.reviewReason,
+      processingError: this.processingError,
+      replayCount: this.replayCount,
+      resolvedBy: this.resolvedBy,
+      resolvedAt: this.resolvedAt,
+      resolutionNote: this.resolutionNote,
+      receivedAt: this.receivedAt,
+      processedAt: this.processedAt,
+      payload: this.payload
+    };
+  }
+}
+
+PaymentWebhook.STATUSES = STATUSES;
+PaymentWebhook.REPLAYABLE_STATUSES = REPLAYABLE_STATUSES;
+
+module.exports = PaymentWebhook;
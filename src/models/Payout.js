@@ -0,0 +1,146 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'processing', 'paid', 'failed'];
+
+// Statuses an admin can still move a payout out of
+const OPEN_STATUSES = ['pending', 'processing'];
+
+class Payout {
+  constructor(data) {
+    this.id = data.id;
+    this.batchId = data.batch_id;
+    this.userId = data.user_id;
+    this.payoutMethodId = data.payout_method_id;
+    this.amount = Number(data.amount);
+    this.currency = data.currency;
+    this.earningsCount = data.earnings_count;
+    this.status = data.status;
+    this.reference = data.reference;
+    this.failureReason = data.failure_reason;
+    this.paidAt = data.paid_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.payoutMethod = data.payout_methods || null;
+    this.user = data.users || null;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('payouts')
+        .insert({
+          batch_id: data.batchId,
+          user_id: data.userId,
+          payout_method_id: data.payoutMethodId,
+          amount: data.amount,
+          currency: data.currency || 'LKR',
+          earnings_count: data.earningsCount,
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new Payout(created);
+    } catch (error) {
+      logger.error('Error creating payout:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payouts')
+        .select('*, payout_methods(*)')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Payout(data) : null;
+    } catch (error) {
+      logger.error('Error finding payout by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByBatchId(batchId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payouts')
+        .select('*, payout_methods(*), users(id, first_name, last_name, email, phone)')
+        .eq('batch_id', batchId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new Payout(record));
+    } catch (error) {
+      logger.error('Error finding payouts by batch:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId, { limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error, count } = await db.supabase
+        .from('payouts')
+        .select('*, payout_methods(*)', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { payouts: data.map(record => new Payout(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding payouts by user:', error);
+      throw error;
+    }
+  }
+
+  // Apply an update only while the payout is in one of the given statuses
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payouts')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select('*, payout_methods(*)');
+
+      if (error) throw error;
+      return data && data.length > 0 ? new Payout(data[0]) : null;
+    } catch (error) {
+      logger.error('Error updating payout:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    const PayoutMethod = require('./PayoutMethod');
+
+    return {
+      id: this.id,
+      batchId: this.batchId,
+      amount: this.amount,
+      currency: this.currency,
+      earningsCount: this.earningsCount,
+      status: this.status,
+      reference: this.reference,
+      failureReason: this.failureReason,
+      paidAt: this.paidAt,
+      createdAt: this.createdAt,
+      payoutMethod: this.payoutMethod ? new PayoutMethod(this.payoutMethod).toSafeObject() : null
+    };
+  }
+}
+
+Payout.STATUSES = STATUSES;
+Payout.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Payout;
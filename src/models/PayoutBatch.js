@@ -0,0 +1,128 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// open: payouts not yet sent; exported: bank file downloaded; completed: every payout paid or failed
+const STATUSES = ['open', 'exported', 'completed'];
+
+class PayoutBatch {
+  constructor(data) {
+    this.id = data.id;
+    this.reference = data.reference;
+    this.periodStart = data.period_start;
+    this.periodEnd = data.period_end;
+    this.status = data.status;
+    this.payoutCount = data.payout_count;
+    this.totalAmount = Number(data.total_amount);
+    this.currency = data.currency;
+    this.createdBy = data.created_by;
+    this.exportedAt = data.exported_at;
+    this.completedAt = data.completed_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('payout_batches')
+        .insert({
+          reference: data.reference,
+          period_start: data.periodStart,
+          period_end: data.periodEnd,
+          status: 'open',
+          payout_count: 0,
+          total_amount: 0,
+          currency: data.currency || 'LKR',
+          created_by: data.createdBy || null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new PayoutBatch(created);
+    } catch (error) {
+      logger.error('Error creating payout batch:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payout_batches')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new PayoutBatch(data) : null;
+    } catch (error) {
+      logger.error('Error finding payout batch by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ status, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = db.supabase
+        .from('payout_batches')
+        .select('*', { count: 'exact' })
+        .order('period_end', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      return { batches: data.map(record => new PayoutBatch(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding payout batches:', error);
+      throw error;
+    }
+  }
+
+  async update(updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payout_batches')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new PayoutBatch(data);
+    } catch (error) {
+      logger.error('Error updating payout batch:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      reference: this.reference,
+      periodStart: this.periodStart,
+      periodEnd: this.periodEnd,
+      status: this.status,
+      payoutCount: this.payoutCount,
+      totalAmount: this.totalAmount,
+      currency: this.currency,
+      exportedAt: this.exportedAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+PayoutBatch.STATUSES = STATUSES;
+
+module.exports = PayoutBatch;
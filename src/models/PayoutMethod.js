@@ -0,0 +1,180 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Bank transfers go out through the bank file; wallets are paid to the registered mobile number
+const TYPES = {
+  bank_account: { label: 'Bank account' },
+  ezcash: { label: 'Dialog eZ Cash' },
+  mcash: { label: 'Mobitel mCash' }
+};
+
+class PayoutMethod {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.type = data.type;
+    this.accountName = data.account_name;
+    this.bankCode = data.bank_code;
+    this.bankName = data.bank_name;
+    this.branchCode = data.branch_code;
+    this.accountNumber = data.account_number;
+    this.mobileNumber = data.mobile_number;
+    this.isDefault = data.is_default;
+    this.status = data.status;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(data) {
+    try {
+      const isBank = data.type === 'bank_account';
+      const { data: created, error } = await db.supabase
+        .from('payout_methods')
+        .insert({
+          user_id: data.userId,
+          type: data.type,
+          account_name: data.accountName,
+          bank_code: isBank ? data.bankCode : null,
+          bank_name: isBank ? data.bankName : null,
+          branch_code: isBank ? data.branchCode : null,
+          account_number: isBank ? data.accountNumber : null,
+          mobile_number: isBank ? null : data.mobileNumber,
+          is_default: false,
+          status: 'active',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return new PayoutMethod(created);
+    } catch (error) {
+      logger.error('Error creating payout method:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payout_methods')
+        .select('*')
+        .eq('id', id)
+        .eq('status', 'active')
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new PayoutMethod(data) : null;
+    } catch (error) {
+      logger.error('Error finding payout method by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('payout_methods')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new PayoutMethod(record));
+    } catch (error) {
+      logger.error('Error finding payout methods by user:', error);
+      throw error;
+    }
+  }
+
+  // Default methods for a set of users, keyed by user ID
+  static async findDefaultsByUserIds(userIds) {
+    try {
+      if (userIds.length === 0) return {};
+
+      const { data, error } = await db.supabase
+        .from('payout_methods')
+        .select('*')
+        .in('user_id', userIds)
+        .eq('status', 'active')
+        .eq('is_default', true);
+
+      if (error) throw error;
+      return data.reduce((methods, record) => {
+        methods[record.user_id] = new PayoutMethod(record);
+        return methods;
+      }, {});
+    } catch (error) {
+      logger.error('Error finding default payout methods:', error);
+      throw error;
+    }
+  }
+
+  async makeDefault() {
+    try {
+      const { error: clearError } = await db.supabase
+        .from('payout_methods')
+        .update({ is_default: false, updated_at: new Date().toISOString() })
+        .eq('user_id', this.userId)
+        .neq('id', this.id);
+
+      if (clearError) throw clearError;
+
+      const { error } = await db.supabase
+        .from('payout_methods')
+        .update({ is_default: true, updated_at: new Date().toISOString() })
+        .eq('id', this.id);
+
+      if (error) throw error;
+      this.isDefault = true;
+    } catch (error) {
+      logger.error('Error setting default payout method:', error);
+      throw error;
+    }
+  }
+
+  // Soft delete - past payouts keep pointing at the method they were paid to
+  async remove() {
+    try {
+      const { error } = await db.supabase
+        .from('payout_methods')
+        .update({ status: 'removed', is_default: false, updated_at: new Date().toISOString() })
+        .eq('id', this.id);
+
+      if (error) throw error;
+      this.status = 'removed';
+      this.isDefault = false;
+    } catch (error) {
+      logger.error('Error removing payout method:', error);
+      throw error;
+    }
+  }
+
+  // Account details are masked for display
+  toSafeObject() {
+    const mask = (value) => {
+      const text = String(value || '');
+      return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : text;
+    };
+
+    return {
+      id: this.id,
+      type: this.type,
+      typeLabel: TYPES[this.type]?.label,
+      accountName: this.accountName,
+      bankCode: this.bankCode,
+      bankName: this.bankName,
+      branchCode: this.branchCode,
+      accountNumber: this.accountNumber ? mask(this.accountNumber) : null,
+      mobileNumber: this.mobileNumber ? mask(this.mobileNumber) : null,
+      isDefault: this.isDefault,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+PayoutMethod.TYPES = TYPES;
+
+module.exports = PayoutMethod;
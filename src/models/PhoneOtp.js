@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const PURPOSES = ['verify', 'login'];
+
+class PhoneOtp {
+  constructor(data) {
+    this.id = data.id;
+    this.phone = data.phone;
+    this.purpose = data.purpose;
+    this.userId = data.user_id;
+    this.codeHash = data.code_hash;
+    this.attempts = data.attempts || 0;
+    this.expiresAt = data.expires_at;
+    this.consumedAt = data.consumed_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Sri Lankan numbers are stored in E.164 (+947XXXXXXXX) so both input formats share limits
+  static normalizePhone(phone) {
+    const cleaned = String(phone).replace(/[\s-]/g, '');
+    return cleaned.startsWith('0') ? `+94${cleaned.substring(1)}` : cleaned;
+  }
+
+  static generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  // Keyed hash - a leaked table must not reveal live codes
+  static hashCode(phone, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${phone}:${code}`)
+      .digest('hex');
+  }
+
+  // Most recent code sent to a phone for a purpose
+  static async findLatest(phone, purpose) {
+    try {
+      const { data, error } = await db.supabase
+        .from('phone_otps')
+        .select('*')
+        .eq('phone', PhoneOtp.normalizePhone(phone))
+        .eq('purpose', purpose)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new PhoneOtp(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding phone OTP:', error);
+      throw error;
+    }
+  }
+
+  // Create a new code; any earlier unused code for the same phone and purpose stops working
+  static async issue(phone, purpose, userId, ttlMinutes) {
+    try {
+      if (!PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown OTP purpose: ${purpose}`);
+      }
+
+      const normalizedPhone = PhoneOtp.normalizePhone(phone);
+      const now = new Date().toISOString();
+
+      const { error: supersedeError } = await db.supabase
+        .from('phone_otps')
+        .update({ expires_at: now })
+        .eq('phone', normalizedPhone)
+        .eq('purpose', purpose)
+        .is('consumed_at', null)
+        .gt('expires_at', now);
+
+      if (supersedeError) throw supersedeError;
+
+      const code = PhoneOtp.generateCode();
+
+      const { data, error } = await db.supabase
+        .from('phone_otps')
+        .insert({
+          phone: normalizedPhone,
+          purpose,
+          user_id: userId,
+          code_hash: PhoneOtp.hashCode(normalizedPhone, code),
+          attempts: 0,
+          expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+          created_at: now
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { otp: new PhoneOtp(data), code };
+    } catch (error) {
+      logger.error('Error issuing phone OTP:', error);
+      throw error;
+    }
+  }
+
+  isExpired() {
+    return !!this.consumedAt || new Date(this.expiresAt) <= new Date();
+  }
+
+  // Check a submitted code: 'verified' | 'invalid' | 'expired' | 'locked'
+  async verify(code, maxAttempts) {
+    try {
+      if (this.isExpired()) return 'expired';
+      if (this.attempts >= maxAttempts) return 'locked';
+
+      // Count the attempt first; the attempts guard makes concurrent guesses count once each
+      const { data: counted, error } = await db.supabase
+        .from('phone_otps')
+        .update({ attempts: this.attempts + 1 })
+        .eq('id', this.id)
+        .eq('attempts', this.attempts)
+        .is('consumed_at', null)
+        .select();
+
+      if (error) throw error;
+      if (!counted || counted.length === 0) return 'invalid';
+      this.attempts++;
+
+      const expected = Buffer.from(this.codeHash, 'hex');
+      const actual = Buffer.from(PhoneOtp.hashCode(this.phone, String(code)), 'hex');
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return this.attempts >= maxAttempts ? 'locked' : 'invalid';
+      }
+
+      const { data: consumed, error: consumeError } = await db.supabase
+        .from('phone_otps')
+        .update({ consumed_at: new Date().toISOString() })
+        .eq('id', this.id)
+        .is('consumed_at', null)
+        .select();
+
+      if (consumeError) throw consumeError;
+      return consumed && consumed.length > 0 ? 'verified' : 'expired';
+    } catch (error) {
+      logger.error('Error verifying phone OTP:', error);
+      throw error;
+    }
+  }
+}
+
+PhoneOtp.PURPOSES = PURPOSES;
+
+module.exports = PhoneOtp;
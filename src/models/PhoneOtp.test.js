@@ -0,0 +1,110 @@
+jest.mock('../config/database', () => ({ db: { supabase: { from: jest.fn() } } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { db } = require('../config/database');
+const PhoneOtp = require('./PhoneOtp');
+
+const PHONE = '+94771234567';
+const MAX_ATTEMPTS = 3;
+
+// Query builder resolving to the next queued result, recording every update
+function mockQueries(results) {
+  const updates = [];
+  db.supabase.from.mockImplementation(() => {
+    const query = {
+      update: jest.fn(values => {
+        updates.push(values);
+        return query;
+      }),
+      eq: jest.fn(() => query),
+      is: jest.fn(() => query),
+      select: jest.fn(() => query),
+      then: (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+    };
+    return query;
+  });
+  return updates;
+}
+
+function buildOtp(overrides = {}) {
+  return new PhoneOtp({
+    id: 'otp-1',
+    phone: PHONE,
+    purpose: 'verify',
+    user_id: 'user-1',
+    code_hash: PhoneOtp.hashCode(PHONE, '123456'),
+    attempts: 0,
+    expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+    consumed_at: null,
+    ...overrides
+  });
+}
+
+describe('PhoneOtp.verify', () => {
+  beforeEach(() => {
+    db.supabase.from.mockReset();
+  });
+
+  it('verifies the right code and consumes it', async () => {
+    const updates = mockQueries([
+      { data: [{ id: 'otp-1' }], error: null },
+      { data: [{ id: 'otp-1' }], error: null }
+    ]);
+    const otp = buildOtp();
+
+    await expect(otp.verify('123456', MAX_ATTEMPTS)).resolves.toBe('verified');
+    expect(otp.attempts).toBe(1);
+    expect(updates).toEqual([{ attempts: 1 }, { consumed_at: expect.any(String) }]);
+  });
+
+  it('counts a wrong code as an attempt', async () => {
+    const updates = mockQueries([{ data: [{ id: 'otp-1' }], error: null }]);
+    const otp = buildOtp();
+
+    await expect(otp.verify('000000', MAX_ATTEMPTS)).resolves.toBe('invalid');
+    expect(otp.attempts).toBe(1);
+    expect(updates).toEqual([{ attempts: 1 }]);
+  });
+
+  it('locks the code on the last wrong attempt', async () => {
+    mockQueries([{ data: [{ id: 'otp-1' }], error: null }]);
+    const otp = buildOtp({ attempts: MAX_ATTEMPTS - 1 });
+
+    await expect(otp.verify('000000', MAX_ATTEMPTS)).resolves.toBe('locked');
+  });
+
+  it('refuses even the right code once the attempts are used up', async () => {
+    mockQueries([]);
+    const otp = buildOtp({ attempts: MAX_ATTEMPTS });
+
+    await expect(otp.verify('123456', MAX_ATTEMPTS)).resolves.toBe('locked');
+    expect(db.supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('does not accept a guess that lost the race to count its attempt', async () => {
+    mockQueries([{ data: [], error: null }]);
+    const otp = buildOtp();
+
+    await expect(otp.verify('123456', MAX_ATTEMPTS)).resolves.toBe('invalid');
+    expect(otp.attempts).toBe(0);
+  });
+
+  it('rejects expired and consumed codes without counting an attempt', async () => {
+    mockQueries([]);
+
+    await expect(buildOtp({ expires_at: new Date(Date.now() - 1000).toISOString() }).verify('123456', MAX_ATTEMPTS))
+      .resolves.toBe('expired');
+    await expect(buildOtp({ consumed_at: new Date().toISOString() }).verify('123456', MAX_ATTEMPTS))
+      .resolves.toBe('expired');
+    expect(db.supabase.from).not.toHaveBeenCalled();
+  });
+});
+
+describe('PhoneOtp.normalizePhone', () => {
+  it('stores local and international formats the same way', () => {
+    expect(PhoneOtp.normalizePhone('077 123-4567')).toBe(PHONE);
+    expect(PhoneOtp.normalizePhone(PHONE)).toBe(PHONE);
+  });
+});
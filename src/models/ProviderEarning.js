@@ -0,0 +1,194 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// pending: still clearing; held: blocked by an incident, dispute or payment problem;
+// available: ready for the next batch; batched: on a payout; paid: settled
+const STATUSES = ['pending', 'held', 'available', 'batched', 'paid'];
+
+class ProviderEarning {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.booking_id;
+    this.userId = data.user_id;
+    this.providerType = data.provider_type;
+    this.providerId = data.provider_id;
+    this.grossAmount = Number(data.gross_amount);
+    this.commission = Number(data.commission);
+    this.netAmount = Number(data.net_amount);
+    this.currency = data.currency;
+    this.status = data.status;
+    this.holdReason = data.hold_reason;
+    this.availableAt = data.available_at;
+    this.payoutId = data.payout_id;
+    this.source = data.source || 'booking'; // 'fare_adjustment' for a ride's settled fare change
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.booking = data.bookings || null;
+  }
+
+  // Returns null when the booking has already been accrued for this provider
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('provider_earnings')
+        .insert({
+          booking_id: data.bookingId,
+          user_id: data.userId,
+          provider_type: data.providerType,
+          provider_id: data.providerId,
+          gross_amount: data.grossAmount,
+          commission: data.commission,
+          net_amount: data.netAmount,
+          currency: data.currency || 'LKR',
+          status: 'pending',
+          available_at: data.availableAt,
+          source: data.source || 'booking',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return null;
+        throw error;
+      }
+
+      return new ProviderEarning(created);
+    } catch (error) {
+      logger.error('Error creating provider earning:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId, { status, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = db.supabase
+        .from('provider_earnings')
+        .select('*, bookings(id, booking_reference, type, completed_at)', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      return { earnings: data.map(record => new ProviderEarning(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding provider earnings:', error);
+      throw error;
+    }
+  }
+
+  // Earnings that could go into a batch closing at the cutoff
+  static async findSettleable(cutoff) {
+    try {
+      const { data, error } = await db.supabase
+        .from('provider_earnings')
+        .select('*, bookings(id, payment_status, fare_adjustment, booking_legs(status))')
+        .in('status', ['pending', 'held', 'available'])
+        .lte('available_at', cutoff.toISOString());
+
+      if (error) throw error;
+      return data.map(record => new ProviderEarning(record));
+    } catch (error) {
+      logger.error('Error finding settleable earnings:', error);
+      throw error;
+    }
+  }
+
+  static async findByPayoutId(payoutId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('provider_earnings')
+        .select('*, bookings(id, booking_reference, type, completed_at)')
+        .eq('payout_id', payoutId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new ProviderEarning(record));
+    } catch (error) {
+      logger.error('Error finding earnings by payout:', error);
+      throw error;
+    }
+  }
+
+  // Bulk status change, guarded so rows already moved on by another run are left alone
+  static async updateMany(ids, fromStatuses, updates) {
+    try {
+      if (ids.length === 0) return [];
+
+      const { data, error } = await db.supabase
+        .from('provider_earnings')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .in('id', ids)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      return data.map(record => new ProviderEarning(record));
+    } catch (error) {
+      logger.error('Error updating provider earnings:', error);
+      throw error;
+    }
+  }
+
+  static async summarize(userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('provider_earnings')
+        .select('status, net_amount')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const totals = STATUSES.reduce((summary, status) => ({ ...summary, [status]: 0 }), {});
+      data.forEach(record => {
+        totals[record.status] += Number(record.net_amount);
+      });
+
+      Object.keys(totals).forEach(status => {
+        totals[status] = Math.round(totals[status] * 100) / 100;
+      });
+      return totals;
+    } catch (error) {
+      logger.error('Error summarising provider earnings:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      providerType: this.providerType,
+      grossAmount: this.grossAmount,
+      commission: this.commission,
+      netAmount: this.netAmount,
+      currency: this.currency,
+      status: this.status,
+      holdReason: this.holdReason,
+      availableAt: this.availableAt,
+      payoutId: this.payoutId,
+      source: this.source,
+      createdAt: this.createdAt,
+      booking: this.booking ? {
+        id: this.booking.id,
+        bookingReference: this.booking.booking_reference,
+        type: this.booking.type,
+        completedAt: this.booking.completed_at
+      } : null
+    };
+  }
+}
+
+ProviderEarning.STATUSES = STATUSES;
+
+module.exports = ProviderEarning;
@@ -0,0 +1,118 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 'booking' receipts are issued when a booking completes, 'payment' receipts when PayHere captures a payment
+const TYPES = ['booking', 'payment'];
+
+class Receipt {
+  constructor(data) {
+    this.id = data.id;
+    this.receiptNumber = data.receipt_number;
+    this.type = data.type;
+    this.bookingId = data.booking_id;
+    this.paymentId = data.payment_id;
+    this.userId = data.user_id;
+    this.lineItems = data.line_items || [];
+    this.subtotal = Number(data.subtotal);
+    this.platformFee = Number(data.platform_fee || 0);
+    this.total = Number(data.total);
+    this.currency = data.currency;
+    this.displayCurrency = data.display_currency || 'LKR';
+    this.fxRate = Number(data.fx_rate || 1);
+    this.paymentDetails = data.payment_details || null;
+    this.issuedAt = data.issued_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Receipt numbers come from a database sequence. Returns null if the booking or payment already has one.
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('receipts')
+        .insert({
+          type: data.type,
+          booking_id: data.bookingId,
+          payment_id: data.paymentId || null,
+          user_id: data.userId,
+          line_items: data.lineItems,
+          subtotal: data.subtotal,
+          platform_fee: data.platformFee || 0,
+          total: data.total,
+          currency: data.currency || 'LKR',
+          display_currency: data.displayCurrency || 'LKR',
+          fx_rate: data.fxRate || 1,
+          payment_details: data.paymentDetails || null,
+          issued_at: new Date().toISOString(),
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return null;
+        throw error;
+      }
+
+      return new Receipt(created);
+    } catch (error) {
+      logger.error('Error creating receipt:', error);
+      throw error;
+    }
+  }
+
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('receipts')
+        .select('*')
+        .eq('booking_id', bookingId)
+        .eq('type', 'booking')
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Receipt(data) : null;
+    } catch (error) {
+      logger.error('Error finding receipt by booking:', error);
+      throw error;
+    }
+  }
+
+  static async findByPaymentId(paymentId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('receipts')
+        .select('*')
+        .eq('payment_id', paymentId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Receipt(data) : null;
+    } catch (error) {
+      logger.error('Error finding receipt by payment:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      receiptNumber: this.receiptNumber,
+      type: this.type,
+      bookingId: this.bookingId,
+      paymentId: this.paymentId,
+      lineItems: this.lineItems,
+      subtotal: this.subtotal,
+      platformFee: this.platformFee,
+      total: this.total,
+      currency: this.currency,
+      displayCurrency: this.displayCurrency,
+      fxRate: this.fxRate,
+      paymentDetails: this.paymentDetails,
+      issuedAt: this.issuedAt
+    };
+  }
+}
+
+Receipt.TYPES = TYPES;
+
+module.exports = Receipt;
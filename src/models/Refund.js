@@ -0,0 +1,181 @@
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'processing', 'succeeded', 'failed'];
+
+// Refunds in these statuses count against the captured amount
+const COMMITTED_STATUSES = ['pending', 'processing', 'succeeded'];
+
+class Refund {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.booking_id;
+    this.requestedBy = data.requested_by;
+    this.idempotencyKey = data.idempotency_key;
+    this.amount = Number(data.amount);
+    this.currency = data.currency;
+    this.reason = data.reason;
+    this.status = data.status;
+    this.gateway = data.gateway;
+    this.gatewayPaymentId = data.gateway_payment_id;
+    this.gatewayRefundId = data.gateway_refund_id;
+    this.gatewayResponse = data.gateway_response;
+    this.failureReason = data.failure_reason;
+    this.processedAt = data.processed_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create a pending refund, or return the one already stored under the same key.
+  // The database function locks the booking so concurrent refunds cannot exceed the captured amount.
+  static async reserve(data) {
+    try {
+      const { data: rows, error } = await db.supabase.rpc('reserve_refund', {
+        p_booking_id: data.bookingId,
+        p_requested_by: data.requestedBy,
+        p_idempotency_key: data.idempotencyKey,
+        p_amount: data.amount,
+        p_captured_amount: data.capturedAmount,
+        p_currency: data.currency,
+        p_reason: data.reason,
+        p_gateway: data.gateway,
+        p_gateway_payment_id: data.gatewayPaymentId
+      });
+
+      if (error) throw error;
+      return new Refund(rows[0]);
+    } catch (error) {
+      logger.error('Error reserving refund:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('refunds')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new Refund(data) : null;
+    } catch (error) {
+      logger.error('Error finding refund by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByIdempotencyKey(requestedBy, idempotencyKey) {
+    try {
+      const { data, error } = await db.supabase
+        .from('refunds')
+        .select('*')
+        .eq('requested_by', requestedBy)
+        .eq('idempotency_key', idempotencyKey)
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? new Refund(data[0]) : null;
+    } catch (error) {
+      logger.error('Error finding refund by idempotency key:', error);
+      throw error;
+    }
+  }
+
+  static async findByBookingId(bookingId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('refunds')
+        .select('*')
+        .eq('booking_id', bookingId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data.map(record => new Refund(record));
+    } catch (error) {
+      logger.error('Error finding refunds by booking:', error);
+      throw error;
+    }
+  }
+
+  // Move to a new status only from one of the given statuses, recording the transition
+  async transition(fromStatuses, toStatus, updates = {}, note = null) {
+    try {
+      const { data, error } = await db.supabase
+        .from('refunds')
+        .update({
+          ...updates,
+          status: toStatus,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select();
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      const { error: eventError } = await db.supabase
+        .from('refund_events')
+        .insert({
+          refund_id: this.id,
+          from_status: this.status,
+          to_status: toStatus,
+          note,
+          created_at: new Date().toISOString()
+        });
+
+      if (eventError) {
+        logger.error(`Error recording refund event for ${this.id}:`, eventError);
+      }
+
+      return new Refund(data[0]);
+    } catch (error) {
+      logger.error('Error updating refund:', error);
+      throw error;
+    }
+  }
+
+  async getEvents() {
+    try {
+      const { data, error } = await db.supabase
+        .from('refund_events')
+        .select('*')
+        .eq('refund_id', this.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(event => ({
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        note: event.note,
+        createdAt: event.created_at
+      }));
+    } catch (error) {
+      logger.error('Error fetching refund events:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      amount: this.amount,
+      currency: this.currency,
+      reason: this.reason,
+      status: this.status,
+      gatewayRefundId: this.gatewayRefundId,
+      failureReason: this.failureReason,
+      processedAt: this.processedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Refund.STATUSES = STATUSES;
+Refund.COMMITTED_STATUSES = COMMITTED_STATUSES;
+
+module.exports = Refund;
@@ -0,0 +1,193 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/database');
+const { dateUtils, stringUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const TYPES = ['subscription', 'renewal', 'plan_change'];
+const STATUSES = ['open', 'paid', 'void'];
+
+// PayHere order IDs for subscription invoices carry this prefix so notifications can be routed
+const ORDER_ID_PREFIX = 'SUB_';
+
+class SubscriptionInvoice {
+  constructor(data) {
+    this.id = data.id;
+    this.invoiceNumber = data.invoice_number;
+    this.subscriptionId = data.subscription_id;
+    this.driverId = data.driver_id;
+    this.userId = data.user_id;
+    this.planId = data.plan_id;
+    this.type = data.type;
+    this.recurring = data.recurring || false;
+    this.periodStart = data.period_start;
+    this.periodEnd = data.period_end;
+    this.subtotal = Number(data.subtotal);
+    this.prorationCredit = Number(data.proration_credit || 0);
+    this.amount = Number(data.amount);
+    this.currency = data.currency;
+    this.status = data.status;
+    this.orderId = data.order_id;
+    this.gatewayPaymentId = data.gateway_payment_id;
+    this.lineItems = data.line_items || [];
+    this.dueAt = data.due_at;
+    this.paidAt = data.paid_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.plan = data.subscription_plans || null;
+  }
+
+  static async create(data) {
+    try {
+      const { data: created, error } = await db.supabase
+        .from('subscription_invoices')
+        .insert({
+          invoice_number: `INV-${dateUtils.formatDate(new Date(), 'YYYYMMDD')}-${stringUtils.generateRandomString(6).toUpperCase()}`,
+          subscription_id: data.subscriptionId,
+          driver_id: data.driverId,
+          user_id: data.userId,
+          plan_id: data.planId,
+          type: data.type,
+          recurring: data.recurring || false,
+          period_start: data.periodStart,
+          period_end: data.periodEnd,
+          subtotal: data.subtotal,
+          proration_credit: data.prorationCredit || 0,
+          amount: data.amount,
+          currency: data.currency || 'LKR',
+          status: data.status || 'open',
+          order_id: `${ORDER_ID_PREFIX}${uuidv4()}`,
+          gateway_payment_id: data.gatewayPaymentId || null,
+          line_items: data.lineItems || [],
+          due_at: data.dueAt || null,
+          paid_at: data.paidAt || null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select('*, subscription_plans(*)')
+        .single();
+
+      if (error) throw error;
+      return new SubscriptionInvoice(created);
+    } catch (error) {
+      logger.error('Error creating subscription invoice:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_invoices')
+        .select('*, subscription_plans(*)')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new SubscriptionInvoice(data) : null;
+    } catch (error) {
+      logger.error('Error finding subscription invoice by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByOrderId(orderId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_invoices')
+        .select('*, subscription_plans(*)')
+        .eq('order_id', orderId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new SubscriptionInvoice(data) : null;
+    } catch (error) {
+      logger.error('Error finding subscription invoice by order ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId, { limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error, count } = await db.supabase
+        .from('subscription_invoices')
+        .select('*, subscription_plans(*)', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { invoices: data.map(record => new SubscriptionInvoice(record)), total: count };
+    } catch (error) {
+      logger.error('Error finding subscription invoices by user:', error);
+      throw error;
+    }
+  }
+
+  static async findOpenBySubscriptionId(subscriptionId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_invoices')
+        .select('*, subscription_plans(*)')
+        .eq('subscription_id', subscriptionId)
+        .eq('status', 'open')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data.map(record => new SubscriptionInvoice(record));
+    } catch (error) {
+      logger.error('Error finding open subscription invoices:', error);
+      throw error;
+    }
+  }
+
+  // Apply an update only while the invoice is in one of the given statuses
+  async transition(fromStatuses, updates) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_invoices')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id)
+        .in('status', fromStatuses)
+        .select('*, subscription_plans(*)');
+
+      if (error) throw error;
+      return data && data.length > 0 ? new SubscriptionInvoice(data[0]) : null;
+    } catch (error) {
+      logger.error('Error updating subscription invoice:', error);
+      throw error;
+    }
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      invoiceNumber: this.invoiceNumber,
+      subscriptionId: this.subscriptionId,
+      planId: this.planId,
+      planName: this.plan ? this.plan.name : null,
+      type: this.type,
+      recurring: this.recurring,
+      periodStart: this.periodStart,
+      periodEnd: this.periodEnd,
+      lineItems: this.lineItems,
+      subtotal: this.subtotal,
+      prorationCredit: this.prorationCredit,
+      amount: this.amount,
+      currency: this.currency,
+      status: this.status,
+      orderId: this.orderId,
+      dueAt: this.dueAt,
+      paidAt: this.paidAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+SubscriptionInvoice.TYPES = TYPES;
+SubscriptionInvoice.STATUSES = STATUSES;
+SubscriptionInvoice.ORDER_ID_PREFIX = ORDER_ID_PREFIX;
+
+module.exports = SubscriptionInvoice;
@@ -0,0 +1,101 @@
+const { db } = require('../config/database');
+const { dateUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const BILLING_PERIODS = ['monthly', 'annual'];
+
+// Length of each billing period in months
+const PERIOD_MONTHS = {
+  monthly: 1,
+  annual: 12
+};
+
+class SubscriptionPlan {
+  constructor(data) {
+    this.id = data.id;
+    this.code = data.code;
+    this.name = data.name;
+    this.tier = data.tier;
+    this.billingPeriod = data.billing_period;
+    this.price = Number(data.price);
+    this.currency = data.currency;
+    this.isActive = data.is_active;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findAll({ activeOnly = true } = {}) {
+    try {
+      let query = db.supabase
+        .from('subscription_plans')
+        .select('*')
+        .order('price', { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data.map(record => new SubscriptionPlan(record));
+    } catch (error) {
+      logger.error('Error finding subscription plans:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_plans')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new SubscriptionPlan(data) : null;
+    } catch (error) {
+      logger.error('Error finding subscription plan by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByCode(code) {
+    try {
+      const { data, error } = await db.supabase
+        .from('subscription_plans')
+        .select('*')
+        .eq('code', code)
+        .eq('is_active', true)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new SubscriptionPlan(data) : null;
+    } catch (error) {
+      logger.error('Error finding subscription plan by code:', error);
+      throw error;
+    }
+  }
+
+  // End of a billing period that starts at `start`
+  getPeriodEnd(start) {
+    return dateUtils.addMonths(start, PERIOD_MONTHS[this.billingPeriod]);
+  }
+
+  toSafeObject() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name,
+      tier: this.tier,
+      billingPeriod: this.billingPeriod,
+      price: this.price,
+      currency: this.currency
+    };
+  }
+}
+
+SubscriptionPlan.BILLING_PERIODS = BILLING_PERIODS;
+
+module.exports = SubscriptionPlan;
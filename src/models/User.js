@@ -10,6 +10,7 @@ class User {
     this.lastName = data.last_name;
     this.phone = data.phone;
     this.language = data.language;
+    this.preferredCurrency = data.preferred_currency || 'LKR';
     this.role = data.role;
     this.verificationTier = data.verification_tier;
     this.status = data.status;
@@ -20,6 +21,7 @@ class User {
     this.isEmailVerified = data.is_email_verified;
     this.isPhoneVerified = data.is_phone_verified;
     this.lastLoginAt = data.last_login_at;
+    this.passwordChangedAt = data.password_changed_at;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -133,10 +135,34 @@ class User {
     }
   }
 
-  // Generate JWT tokens
-  generateTokens() {
+  // Reset password and invalidate every token issued before now
+  async resetPassword(newPassword) {
+    try {
+      const passwordChangedAt = new Date().toISOString();
+
+      await db.users.update(this.id, {
+        password: await passwordUtils.hash(newPassword),
+        password_changed_at: passwordChangedAt,
+        updated_at: passwordChangedAt
+      });
+      this.passwordChangedAt = passwordChangedAt;
+    } catch (error) {
+      logger.error('Error resetting password:', error);
+      throw error;
+    }
+  }
+
+  // Tokens issued before the last password reset are no longer valid (iat is in seconds)
+  isTokenRevoked(issuedAt) {
+    if (!this.passwordChangedAt || !issuedAt) return false;
+    return issuedAt < Math.floor(new Date(this.passwordChangedAt).getTime() / 1000);
+  }
+
+  // Generate JWT tokens bound to a session (see UserSession)
+  generateTokens(sessionId) {
     const payload = {
       id: this.id,
+      sid: sessionId,
       email: this.email,
       role: this.role,
       verificationTier: this.verificationTier
@@ -202,6 +228,22 @@ class User {
     }
   }
 
+  // Lower the tier when the documents behind it are no longer valid (e.g. expired)
+  async downgradeVerificationTier(tier) {
+    try {
+      if (tier < this.verificationTier && tier >= 1) {
+        await db.users.update(this.id, {
+          verification_tier: tier,
+          updated_at: new Date().toISOString()
+        });
+        this.verificationTier = tier;
+      }
+    } catch (error) {
+      logger.error('Error downgrading verification tier:', error);
+      throw error;
+    }
+  }
+
   // Get safe user data (without sensitive information)
   toSafeObject() {
     return {
@@ -211,6 +253,7 @@ class User {
       lastName: this.lastName,
       phone: this.phone,
       language: this.language,
+      preferredCurrency: this.preferredCurrency,
       role: this.role,
       verificationTier: this.verificationTier,
       status: this.status,
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { jwtUtils } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// One session per login (a refresh token family). Each refresh rotates the token;
+// presenting an already-rotated token revokes the whole session.
+class UserSession {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.userAgent = data.user_agent;
+    this.ipAddress = data.ip_address;
+    this.lastUsedAt = data.last_used_at;
+    this.expiresAt = data.expires_at;
+    this.revokedAt = data.revoked_at;
+    this.revokedReason = data.revoked_reason;
+    this.createdAt = data.created_at;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Start a session for a login and issue its first token pair
+  static async create(user, meta = {}) {
+    try {
+      const now = new Date().toISOString();
+
+      const { data, error } = await db.supabase
+        .from('user_sessions')
+        .insert({
+          user_id: user.id,
+          user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : null,
+          ip_address: meta.ipAddress || null,
+          last_used_at: now,
+          expires_at: now,
+          created_at: now
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const session = new UserSession(data);
+      const tokens = await session.issueTokens(user);
+
+      return { session, tokens };
+    } catch (error) {
+      logger.error('Error creating user session:', error);
+      throw error;
+    }
+  }
+
+  // Exchange a refresh token for a new pair; returns null if it is invalid, expired or reused
+  static async rotate(refreshToken, user) {
+    try {
+      const tokenHash = UserSession.hash(refreshToken);
+      const now = new Date().toISOString();
+
+      // Claim the token atomically so two concurrent refreshes cannot both succeed
+      const { data: claimed, error } = await db.supabase
+        .from('refresh_tokens')
+        .update({ used_at: now })
+        .eq('token_hash', tokenHash)
+        .is('used_at', null)
+        .select();
+
+      if (error) throw error;
+
+      if (!claimed || claimed.length === 0) {
+        await UserSession.handleReuse(tokenHash);
+        return null;
+      }
+
+      const session = await UserSession.findActiveById(claimed[0].session_id);
+      if (!session || session.userId !== user.id) {
+        return null;
+      }
+
+      const tokens = await session.issueTokens(user);
+      return { session, tokens };
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  // A known but already rotated token means it was copied - kill the whole family
+  static async handleReuse(tokenHash) {
+    const { data: existing, error } = await db.supabase
+      .from('refresh_tokens')
+      .select('session_id, user_sessions(user_id)')
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!existing) return;
+
+    logger.warn(`Refresh token reuse detected for session ${existing.session_id} (user: ${existing.user_sessions?.user_id})`);
+    await UserSession.revokeById(existing.session_id, 'token_reuse');
+  }
+
+  static async findActiveById(id) {
+    try {
+      const { data, error } = await db.supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('id', id)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? new UserSession(data) : null;
+    } catch (error) {
+      logger.error('Error finding user session:', error);
+      throw error;
+    }
+  }
+
+  static async findActiveByUserId(userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+      if (error) throw error;
+      return data.map(session => new UserSession(session));
+    } catch (error) {
+      logger.error('Error finding user sessions:', error);
+      throw error;
+    }
+  }
+
+  // Whether an access token's session is still usable
+  static async isActive(sessionId, userId) {
+    if (!sessionId) return false;
+
+    const session = await UserSession.findActiveById(sessionId);
+    return !!session && session.userId === userId;
+  }
+
+  static async revokeById(id, reason) {
+    try {
+      const { error } = await db.supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('id', id)
+        .is('revoked_at', null);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error revoking user session:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every session of a user, optionally keeping the current one
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    try {
+      let query = db.supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      if (exceptSessionId) {
+        query = query.neq('id', exceptSessionId);
+      }
+
+      const { data, error } = await query.select('id');
+
+      if (error) throw error;
+      return data ? data.length : 0;
+    } catch (error) {
+      logger.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+
+  // Sign a token pair bound to this session and store the refresh token hash
+  async issueTokens(user) {
+    const tokens = user.generateTokens(this.id);
+    const expiresAt = new Date(jwtUtils.verifyRefreshToken(tokens.refreshToken).exp * 1000).toISOString();
+    const now = new Date().toISOString();
+
+    const { error } = await db.supabase
+      .from('refresh_tokens')
+      .insert({
+        session_id: this.id,
+        token_hash: UserSession.hash(tokens.refreshToken),
+        expires_at: expiresAt,
+        created_at: now
+      });
+
+    if (error) throw error;
+
+    // Sessions slide forward with each refresh
+    const { error: sessionError } = await db.supabase
+      .from('user_sessions')
+      .update({ last_used_at: now, expires_at: expiresAt })
+      .eq('id', this.id);
+
+    if (sessionError) throw sessionError;
+
+    this.lastUsedAt = now;
+    this.expiresAt = expiresAt;
+    return tokens;
+  }
+
+  toSafeObject(currentSessionId = null) {
+    return {
+      id: this.id,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      current: this.id === currentSessionId,
+      lastUsedAt: this.lastUsedAt,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = UserSession;
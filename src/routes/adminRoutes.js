@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
-const { validateId, validatePagination } = require('../middleware/validationMiddleware');
+const { validateId, validatePagination, validateKycQueue, validateKycReview, validateWebhookQueue, validateWebhookReplay, validateWebhookDismiss, validatePayoutBatchQuery, validatePayoutBatchExport, validatePayoutStatusUpdate, validateReconciliationQuery, validateFxRate, validateCancellationPolicyCreation, validateCancellationPolicyUpdate } = require('../middleware/validationMiddleware');
 
 // User management routes
 router.get('/users', authenticateToken, requireRole('admin', 'moderator'), validatePagination, adminController.getAllUsers);
@@ -17,6 +17,37 @@ router.put('/guides/:id/verify', authenticateToken, requireRole('admin', 'modera
 router.get('/drivers', authenticateToken, requireRole('admin', 'moderator'), validatePagination, adminController.getAllDrivers);
 router.put('/drivers/:id/verify', authenticateToken, requireRole('admin', 'moderator'), validateId, adminController.verifyDriver);
 
+// KYC review routes
+router.get('/kyc', authenticateToken, requireRole('admin', 'moderator'), validateKycQueue, validatePagination, adminController.getKycQueue);
+router.get('/kyc/:id', authenticateToken, requireRole('admin', 'moderator'), validateId, adminController.getKycVerification);
+router.put('/kyc/:id/review', authenticateToken, requireRole('admin', 'moderator'), validateId, validateKycReview, adminController.reviewKycVerification);
+
+// Payment webhook review routes
+router.get('/payments/webhooks', authenticateToken, requireRole('admin'), validateWebhookQueue, validatePagination, adminController.getPaymentWebhooks);
+router.get('/payments/webhooks/:id', authenticateToken, requireRole('admin'), validateId, adminController.getPaymentWebhook);
+router.post('/payments/webhooks/:id/replay', authenticateToken, requireRole('admin'), validateId, validateWebhookReplay, adminController.replayPaymentWebhook);
+router.put('/payments/webhooks/:id/dismiss', authenticateToken, requireRole('admin'), validateId, validateWebhookDismiss, adminController.dismissPaymentWebhook);
+
+// Payout settlement routes (batches are generated by the generate-payout-batch job)
+router.get('/payouts/batches', authenticateToken, requireRole('admin'), validatePayoutBatchQuery, validatePagination, adminController.getPayoutBatches);
+router.get('/payouts/batches/:id', authenticateToken, requireRole('admin'), validateId, adminController.getPayoutBatch);
+router.get('/payouts/batches/:id/export', authenticateToken, requireRole('admin'), validateId, validatePayoutBatchExport, adminController.exportPayoutBatch);
+router.put('/payouts/:id/status', authenticateToken, requireRole('admin'), validateId, validatePayoutStatusUpdate, adminController.updatePayoutStatus);
+
+// Ledger routes (the reconcile-ledger job checks the previous day automatically)
+router.get('/ledger/accounts', authenticateToken, requireRole('admin'), adminController.getLedgerAccounts);
+router.get('/ledger/reconciliation', authenticateToken, requireRole('admin'), validateReconciliationQuery, adminController.getLedgerReconciliation);
+router.get('/ledger/bookings/:id', authenticateToken, requireRole('admin'), validateId, adminController.getBookingLedger);
+
+// Currency routes (display rates only; PayHere settles in LKR)
+router.get('/fx-rates', authenticateToken, requireRole('admin'), adminController.getFxRates);
+router.put('/fx-rates/:currency', authenticateToken, requireRole('admin'), validateFxRate, adminController.updateFxRate);
+
+// Cancellation policy routes (guides pick one per package, drivers one for pre-bookings)
+router.get('/cancellation-policies', authenticateToken, requireRole('admin'), adminController.getCancellationPolicies);
+router.post('/cancellation-policies', authenticateToken, requireRole('admin'), validateCancellationPolicyCreation, adminController.createCancellationPolicy);
+router.put('/cancellation-policies/:id', authenticateToken, requireRole('admin'), validateId, validateCancellationPolicyUpdate, adminController.updateCancellationPolicy);
+
 // Booking management routes
 router.get('/bookings', authenticateToken, requireRole('admin', 'moderator'), validatePagination, adminController.getAllBookings);
 
@@ -28,4 +59,9 @@ router.put('/reports/:id', authenticateToken, requireRole('admin', 'moderator'),
 router.get('/stats', authenticateToken, requireRole('admin'), adminController.getPlatformStats);
 router.get('/health', authenticateToken, requireRole('admin'), adminController.getSystemHealth);
 
+// Scheduled jobs
+router.get('/jobs', authenticateToken, requireRole('admin'), adminController.getJobs);
+router.get('/jobs/:name/runs', authenticateToken, requireRole('admin'), validatePagination, adminController.getJobRuns);
+router.post('/jobs/:name/run', authenticateToken, requireRole('admin'), adminController.runJob);
+
 module.exports = router;
@@ -1,27 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuth } = require('../middleware/authMiddleware');
 const {
   validateUserRegistration,
   validateUserLogin,
   validateUserUpdate,
-  validatePasswordChange
+  validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateSendPhoneOtp,
+  validateVerifyPhoneOtp,
+  validateId
 } = require('../middleware/validationMiddleware');
 
 // Public routes
 router.post('/register', validateUserRegistration, authController.register);
 router.post('/login', validateUserLogin, authController.login);
 router.post('/refresh-token', authController.refreshToken);
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password/:token', authController.resetPassword);
-router.get('/verify-email/:token', authenticateToken, authController.verifyEmail);
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+router.post('/reset-password/:token', validatePasswordReset, authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// Phone OTP - purpose 'verify' needs a logged-in user, 'login' is passwordless sign-in
+router.post('/phone/send-otp', optionalAuth, validateSendPhoneOtp, authController.sendPhoneOtp);
+router.post('/phone/verify-otp', optionalAuth, validateVerifyPhoneOtp, authController.verifyPhoneOtp);
 
 // Protected routes
 router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/profile', authenticateToken, validateUserUpdate, authController.updateProfile);
 router.put('/change-password', authenticateToken, validatePasswordChange, authController.changePassword);
 router.post('/logout', authenticateToken, authController.logout);
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions', authenticateToken, authController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, validateId, authController.revokeSession);
 router.delete('/account', authenticateToken, authController.deleteAccount);
 router.post('/resend-verification', authenticateToken, authController.resendEmailVerification);
 
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
 const { authenticateToken, requireBookingAccess } = require('../middleware/authMiddleware');
-const { validateBookingCreation, validateBookingUpdate, validateId, validatePagination } = require('../middleware/validationMiddleware');
+const { validateBookingCreation, validateBookingUpdate, validateReceiptQuery, validateId, validatePagination } = require('../middleware/validationMiddleware');
+
+// Public routes
+router.get('/cancellation-policies', bookingController.getCancellationPolicies);
 
 // Protected routes
 router.post('/', authenticateToken, validateBookingCreation, bookingController.createBooking);
@@ -12,11 +15,14 @@ router.post('/calculate-price', authenticateToken, bookingController.calculatePr
 
 // Booking-specific routes
 router.get('/:id', authenticateToken, validateId, requireBookingAccess, bookingController.getBooking);
+router.get('/:id/timeline', authenticateToken, validateId, requireBookingAccess, bookingController.getBookingTimeline);
+router.get('/:id/receipt', authenticateToken, validateId, requireBookingAccess, validateReceiptQuery, bookingController.getBookingReceipt);
 router.put('/:id', authenticateToken, validateId, requireBookingAccess, validateBookingUpdate, bookingController.updateBooking);
 router.post('/:id/confirm', authenticateToken, validateId, requireBookingAccess, bookingController.confirmBooking);
 router.post('/:id/start', authenticateToken, validateId, requireBookingAccess, bookingController.startBooking);
 router.post('/:id/complete', authenticateToken, validateId, requireBookingAccess, bookingController.completeBooking);
 router.post('/:id/cancel', authenticateToken, validateId, requireBookingAccess, bookingController.cancelBooking);
+router.post('/:id/legs/:legId/cancel', authenticateToken, validateId, requireBookingAccess, bookingController.cancelBookingLeg);
 router.post('/:id/rate', authenticateToken, validateId, requireBookingAccess, bookingController.rateBooking);
 
 module.exports = router;
@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const driverController = require('../controllers/driverController');
-const { authenticateToken, requireProfessionalAccess } = require('../middleware/authMiddleware');
-const { validateDriverCreation, validateDriverLocationUpdate, validateId } = require('../middleware/validationMiddleware');
+const { authenticateToken, optionalAuth, requireProfessionalAccess } = require('../middleware/authMiddleware');
+const { validateDriverCreation, validateDriverLocationUpdate, validateDriverCancellationPolicy, validateId } = require('../middleware/validationMiddleware');
 
 // Public routes - Tuk-Tuk Discovery
-router.get('/nearby', driverController.findNearbyDrivers);
-router.get('/:id', validateId, driverController.getDriver);
-router.post('/fare-estimate', driverController.calculateFare);
-router.post('/:id/fare', validateId, driverController.calculateDriverFare);
+router.get('/nearby', optionalAuth, driverController.findNearbyDrivers);
+router.get('/:id', optionalAuth, validateId, driverController.getDriver);
+router.post('/fare-estimate', optionalAuth, driverController.calculateFare);
+router.post('/:id/fare', optionalAuth, validateId, driverController.calculateDriverFare);
 
 // Protected routes - Driver Management
 router.post('/', authenticateToken, requireProfessionalAccess, validateDriverCreation, driverController.createDriver);
@@ -18,11 +18,11 @@ router.delete('/:id', authenticateToken, validateId, driverController.deleteDriv
 // Protected routes - Driver Operations
 router.put('/:id/online-status', authenticateToken, validateId, driverController.updateOnlineStatus);
 router.put('/:id/location', authenticateToken, validateId, validateDriverLocationUpdate, driverController.updateLocation);
+router.put('/:id/cancellation-policy', authenticateToken, validateId, validateDriverCancellationPolicy, driverController.updateCancellationPolicy);
 router.get('/:id/rides', authenticateToken, validateId, driverController.getDriverRides);
 router.get('/:id/stats', authenticateToken, validateId, driverController.getDriverStats);
 
-// Protected routes - Subscription & Earnings (Freemium/Premium)
-router.put('/:id/subscription', authenticateToken, validateId, driverController.updateSubscriptionTier);
+// Protected routes - Earnings & Premium Analytics (subscriptions live under /api/subscriptions)
 router.get('/:id/earnings', authenticateToken, validateId, driverController.getDriverEarnings);
 router.get('/:id/analytics', authenticateToken, validateId, driverController.getDriverAnalytics);
 
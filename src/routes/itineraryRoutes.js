@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const itineraryController = require('../controllers/itineraryController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { validateId, validatePagination, validateItineraryCreation, validateItineraryUpdate, validateItineraryStop, validateItineraryStopUpdate, validateItineraryCheckout, validateItineraryGeneration } = require('../middleware/validationMiddleware');
+
+// Shared itineraries are public
+router.get('/shared/:token', itineraryController.getSharedItinerary);
+
+// Itineraries
+router.get('/', authenticateToken, validatePagination, itineraryController.getItineraries);
+router.post('/', authenticateToken, validateItineraryCreation, itineraryController.createItinerary);
+router.post('/generate', authenticateToken, validateItineraryGeneration, itineraryController.generateItinerary);
+router.get('/:id', authenticateToken, validateId, itineraryController.getItinerary);
+router.put('/:id', authenticateToken, validateId, validateItineraryUpdate, itineraryController.updateItinerary);
+router.delete('/:id', authenticateToken, validateId, itineraryController.deleteItinerary);
+
+// Stops
+router.post('/:id/stops', authenticateToken, validateId, validateItineraryStop, itineraryController.addStop);
+router.put('/:id/stops/:stopId', authenticateToken, validateId, validateItineraryStopUpdate, itineraryController.updateStop);
+router.delete('/:id/stops/:stopId', authenticateToken, validateId, itineraryController.removeStop);
+
+// Sharing and checkout
+router.post('/:id/share', authenticateToken, validateId, itineraryController.shareItinerary);
+router.delete('/:id/share', authenticateToken, validateId, itineraryController.unshareItinerary);
+router.post('/:id/checkout', authenticateToken, validateId, validateItineraryCheckout, itineraryController.checkoutItinerary);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const kycController = require('../controllers/kycController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { uploadKycDocument } = require('../middleware/uploadMiddleware');
+const { validateId, validateKycSubmission, validateKycResubmission } = require('../middleware/validationMiddleware');
+
+// Multipart bodies are parsed by multer before the fields are validated
+router.get('/', authenticateToken, kycController.getKycStatus);
+router.post('/documents', authenticateToken, uploadKycDocument, validateKycSubmission, kycController.submitDocument);
+router.put('/documents/:id', authenticateToken, validateId, uploadKycDocument, validateKycResubmission, kycController.resubmitDocument);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { uploadMediaFiles } = require('../middleware/uploadMiddleware');
+const { validateId, validateMediaUpload } = require('../middleware/validationMiddleware');
+
+// Multipart bodies are parsed by multer before the fields are validated
+router.post('/', authenticateToken, uploadMediaFiles, validateMediaUpload, mediaController.uploadMedia);
+router.get('/:id', authenticateToken, validateId, mediaController.getMedia);
+router.delete('/:id', authenticateToken, validateId, mediaController.deleteMedia);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { validateId, validateNotificationQuery, validateNotificationPreferences } = require('../middleware/validationMiddleware');
+
+// All notification endpoints require authentication
+
+// Inbox
+router.get('/', authenticateToken, validateNotificationQuery, notificationController.getNotifications);
+router.get('/unread-count', authenticateToken, notificationController.getUnreadCount);
+
+// Preferences
+router.get('/preferences', authenticateToken, notificationController.getPreferences);
+router.put('/preferences', authenticateToken, validateNotificationPreferences, notificationController.updatePreferences);
+
+// Read state
+router.put('/read-all', authenticateToken, notificationController.markAllAsRead);
+router.put('/:id/read', authenticateToken, validateId, notificationController.markAsRead);
+router.delete('/:id', authenticateToken, validateId, notificationController.deleteNotification);
+
+module.exports = router;
@@ -2,18 +2,21 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { validateId, validatePagination } = require('../middleware/validationMiddleware');
+const { validateId, validateOrderId, validatePagination, validateDateRange, validatePaymentRequest, validateRefundRequest, validatePaymentHistoryQuery } = require('../middleware/validationMiddleware');
 
 // PayHere payment routes
-router.post('/create-request', authenticateToken, paymentController.createPaymentRequest);
+router.post('/create-request', authenticateToken, validatePaymentRequest, paymentController.createPaymentRequest);
 router.post('/notify', paymentController.handlePayHereNotification);
-router.get('/status/:orderId', authenticateToken, validateId, paymentController.getPaymentStatus);
+router.get('/status/:orderId', authenticateToken, validateOrderId, paymentController.getPaymentStatus);
 
 // Payment method routes
 router.get('/methods', authenticateToken, paymentController.getPaymentMethods);
+router.get('/currencies', paymentController.getCurrencies);
 
 // Payment history and refunds
-router.get('/history', authenticateToken, validatePagination, paymentController.getPaymentHistory);
-router.post('/refund', authenticateToken, paymentController.refundPayment);
+router.get('/history', authenticateToken, validatePaymentHistoryQuery, validateDateRange, validatePagination, paymentController.getPaymentHistory);
+router.get('/history/export', authenticateToken, validatePaymentHistoryQuery, validateDateRange, paymentController.exportPaymentHistory);
+router.post('/refund', authenticateToken, validateRefundRequest, paymentController.refundPayment);
+router.get('/refunds/:id', authenticateToken, validateId, paymentController.getRefund);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const { authenticateToken, requireRole, requireVerificationTier } = require('../middleware/authMiddleware');
+const { validateId, validatePagination, validatePayoutMethod, validateEarningsQuery } = require('../middleware/validationMiddleware');
+
+// Payout methods - adding one needs a verified identity
+router.get('/methods', authenticateToken, requireRole('guide', 'driver'), payoutController.getPayoutMethods);
+router.post('/methods', authenticateToken, requireRole('guide', 'driver'), requireVerificationTier(2), validatePayoutMethod, payoutController.addPayoutMethod);
+router.put('/methods/:id/default', authenticateToken, requireRole('guide', 'driver'), validateId, payoutController.setDefaultPayoutMethod);
+router.delete('/methods/:id', authenticateToken, requireRole('guide', 'driver'), validateId, payoutController.removePayoutMethod);
+
+// Earnings and payouts
+router.get('/earnings', authenticateToken, requireRole('guide', 'driver'), validateEarningsQuery, validatePagination, payoutController.getEarnings);
+router.get('/earnings/summary', authenticateToken, requireRole('guide', 'driver'), payoutController.getEarningsSummary);
+router.get('/', authenticateToken, requireRole('guide', 'driver'), validatePagination, payoutController.getPayouts);
+
+module.exports = router;
@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const poiController = require('../controllers/poiController');
 const { authenticateToken, optionalAuth, requireRole } = require('../middleware/authMiddleware');
-const { validatePOICreation, validatePOISearch, validateLocation, validateId } = require('../middleware/validationMiddleware');
+const { validatePOICreation, validatePOISearch, validatePOIImage, validateLocation, validateId } = require('../middleware/validationMiddleware');
 
 // Public routes
 router.get('/search', optionalAuth, validatePOISearch, poiController.searchPOIs);
 router.get('/nearby', optionalAuth, validateLocation, poiController.findNearbyPOIs);
-router.get('/category/:category', poiController.getPOIsByCategory);
-router.get('/:id', validateId, poiController.getPOI);
+router.get('/category/:category', optionalAuth, poiController.getPOIsByCategory);
+router.get('/:id', optionalAuth, validateId, poiController.getPOI);
 router.get('/:id/status', validateId, poiController.getPOIStatus);
 
 // Protected routes
@@ -17,7 +17,7 @@ router.put('/:id', authenticateToken, validateId, poiController.updatePOI);
 router.delete('/:id', authenticateToken, validateId, poiController.deletePOI);
 
 // POI-specific routes
-router.post('/:id/images', authenticateToken, validateId, poiController.addImage);
+router.post('/:id/images', authenticateToken, validateId, validatePOIImage, poiController.addImage);
 router.post('/:id/rate', authenticateToken, validateId, poiController.ratePOI);
 router.post('/:id/verify', authenticateToken, requireRole('admin', 'moderator'), validateId, poiController.verifyPOI);
 
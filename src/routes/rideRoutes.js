@@ -8,6 +8,7 @@ const { validateId } = require('../middleware/validationMiddleware');
 
 // Request and manage rides
 router.post('/request', authenticateToken, rideController.requestRide);
+router.get('/:id/dispatch', authenticateToken, validateId, rideController.getDispatchAttempts);
 router.put('/:id/respond', authenticateToken, validateId, rideController.respondToRideRequest);
 router.put('/:id/start', authenticateToken, validateId, rideController.startRide);
 router.put('/:id/complete', authenticateToken, validateId, rideController.completeRide);
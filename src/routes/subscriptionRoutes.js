@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+const { validateId, validatePagination, validateSubscription, validatePlanChange } = require('../middleware/validationMiddleware');
+
+// Public routes
+router.get('/plans', subscriptionController.getPlans);
+
+// Driver premium subscription
+router.get('/', authenticateToken, requireRole('driver'), subscriptionController.getSubscription);
+router.post('/', authenticateToken, requireRole('driver'), validateSubscription, subscriptionController.subscribe);
+router.put('/plan', authenticateToken, requireRole('driver'), validatePlanChange, subscriptionController.changePlan);
+router.post('/renew', authenticateToken, requireRole('driver'), subscriptionController.renewSubscription);
+router.delete('/', authenticateToken, requireRole('driver'), subscriptionController.cancelSubscription);
+
+// Invoices
+router.get('/invoices', authenticateToken, requireRole('driver'), validatePagination, subscriptionController.getInvoices);
+router.get('/invoices/:id', authenticateToken, requireRole('driver'), validateId, subscriptionController.getInvoice);
+
+module.exports = router;
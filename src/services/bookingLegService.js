@@ -0,0 +1,223 @@
+const BookingLeg = require('../models/BookingLeg');
+const BookingEvent = require('../models/BookingEvent');
+const bookingStateMachine = require('./bookingStateMachine');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const guideAvailabilityService = require('./guideAvailabilityService');
+const locationService = require('./locationService');
+const notificationService = require('./notificationService');
+const { AppError, handleConflictError, handleForbiddenError, handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Combined guide + driver orders: one booking and one payment, with a leg per provider.
+// Each provider confirms their own leg, is paid out for it, and a leg can be cancelled
+// (and refunded) on its own. The order itself still moves through bookingStateMachine.
+class BookingLegService {
+  // Legs for a new combined order, priced here like /calculate-price rather than taken
+  // from the client: the guide by the hour and group size, the driver by the route from
+  // pickup to dropoff
+  async quoteLegs(bookingData, { guide, driver }) {
+    const distance = await this.getTripDistance(bookingData.pickupLocation, bookingData.dropoffLocation);
+
+    return this.buildLegs(bookingData, {
+      guide: guide.calculatePrice(parseInt(bookingData.duration), parseInt(bookingData.groupSize)),
+      driver: driver.calculatePrice(distance, parseInt(bookingData.duration))
+    });
+  }
+
+  // Legs from amounts priced on the server, which must add up to the booking total
+  buildLegs(bookingData, amounts) {
+    const legs = [
+      { providerType: 'guide', providerId: bookingData.guideId, amount: roundAmount(amounts.guide) },
+      { providerType: 'driver', providerId: bookingData.driverId, amount: roundAmount(amounts.driver) }
+    ];
+
+    const sum = roundAmount(legs.reduce((total, leg) => total + leg.amount, 0));
+    if (sum !== roundAmount(bookingData.totalAmount)) {
+      throw new AppError(`The total amount (${roundAmount(bookingData.totalAmount).toFixed(2)}) does not match the price of this booking (${sum.toFixed(2)})`, 400);
+    }
+
+    return legs;
+  }
+
+  // Driving distance in km from pickup to dropoff; 0 without dropoff coordinates
+  async getTripDistance(pickupLocation, dropoffLocation) {
+    if (!pickupLocation || !dropoffLocation ||
+      dropoffLocation.latitude === undefined || dropoffLocation.longitude === undefined) {
+      return 0;
+    }
+
+    const route = await locationService.calculateRoute(
+      { lat: Number(pickupLocation.latitude), lng: Number(pickupLocation.longitude) },
+      { lat: Number(dropoffLocation.latitude), lng: Number(dropoffLocation.longitude) },
+      'driving'
+    );
+    return route.distance;
+  }
+
+  async createLegs(booking, legs) {
+    booking.legs = await BookingLeg.createMany(booking.id, legs);
+    return booking;
+  }
+
+  // A provider confirms their own pending leg; an admin confirms every pending leg.
+  // The order is confirmed with the last leg.
+  async confirm(booking, actor) {
+    if (booking.status !== 'pending') {
+      throw handleConflictError(`Cannot confirm a booking that is ${booking.status}`);
+    }
+
+    const isAdmin = actor.roles.includes('admin');
+    const ownLegs = booking.getActiveLegs().filter(leg => isAdmin || actor.roles.includes(leg.providerType));
+    if (ownLegs.length === 0) {
+      throw handleForbiddenError('Not allowed to confirm this booking');
+    }
+
+    const pendingLegs = ownLegs.filter(leg => leg.status === 'pending');
+    if (pendingLegs.length === 0) {
+      throw handleConflictError('Your leg of this booking is already confirmed');
+    }
+
+    // Checked before the guide's leg is confirmed, not only with the order
+    if (pendingLegs.some(leg => leg.providerType === 'guide')) {
+      await guideAvailabilityService.secureSlot(booking);
+    }
+
+    for (const leg of pendingLegs) {
+      const confirmed = await leg.transition(['pending'], {
+        status: 'confirmed',
+        confirmed_at: new Date().toISOString()
+      });
+      if (!confirmed) continue;
+
+      await this.recordLegEvent(booking, 'leg_confirm', actor, actor.roles.includes(leg.providerType) ? leg.providerType : 'admin', {
+        legId: leg.id,
+        providerType: leg.providerType
+      });
+    }
+
+    // Re-read after our own write: of two providers confirming at once, the later one sees both
+    booking.legs = await BookingLeg.findByBookingId(booking.id);
+    if (booking.getActiveLegs().some(leg => leg.status === 'pending')) {
+      logger.info(`Booking ${booking.id}: leg confirmed, waiting for the other provider`);
+      return booking;
+    }
+
+    try {
+      await bookingStateMachine.transition(booking, 'confirm', actor);
+    } catch (error) {
+      // The other provider confirmed the order first
+      if (error.statusCode !== 409) throw error;
+      logger.info(`Booking ${booking.id} was confirmed by the other provider`);
+    }
+
+    return booking;
+  }
+
+  // Cancel one leg of a combined order: the traveller, that leg's provider or an admin.
+  // Only that leg is refunded (and, for a provider, penalised) under the booking's policy.
+  // Cancelling the only remaining leg cancels the whole order.
+  async cancelLeg(booking, legId, actor, { reason = null } = {}) {
+    const leg = (booking.legs || []).find(candidate => candidate.id === legId);
+    if (!leg) {
+      throw handleNotFoundError('Booking leg not found');
+    }
+
+    if (!leg.isActive()) {
+      throw handleConflictError('This leg is already cancelled');
+    }
+
+    if (booking.getActiveLegs().length === 1) {
+      await bookingStateMachine.transition(booking, 'cancel', actor, { reason });
+      return { booking, leg: null, terms: booking.cancellationTerms };
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      throw handleConflictError(`Cannot cancel part of a booking that is ${booking.status}`);
+    }
+
+    const actorRole = ['tourist', leg.providerType, 'admin'].find(role => actor.roles.includes(role));
+    if (!actorRole) {
+      throw handleForbiddenError('Not allowed to cancel this leg');
+    }
+
+    if (actorRole === 'tourist' && !booking.canBeCancelled()) {
+      throw new AppError(`Bookings can only be cancelled more than ${booking.getCancellationPolicy().minNoticeHours} hours before the start time`, 400);
+    }
+
+    const terms = await cancellationPolicyService.assessCancellation(booking, actorRole, { leg });
+    const cancelled = await leg.transition(['pending', 'confirmed'], {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: actor.id,
+      cancellation_reason: reason,
+      cancellation_terms: terms,
+      cancellation_penalty: terms.penaltyAmount
+    });
+
+    if (!cancelled) {
+      throw handleConflictError('The booking was updated by someone else. Please refresh and try again.');
+    }
+    Object.assign(leg, cancelled);
+
+    await this.recordLegEvent(booking, 'leg_cancel', actor, actorRole, {
+      legId: leg.id,
+      providerType: leg.providerType,
+      terms
+    }, reason);
+
+    logger.info(`Booking ${booking.id}: ${leg.providerType} leg cancelled by ${actorRole}, refund ${terms.refundAmount}`);
+
+    // The committed cancellation stands even if a follow-up fails
+    try {
+      await cancellationPolicyService.applyPenalty(booking, terms, leg.id);
+    } catch (error) {
+      logger.error(`Error charging cancellation penalty for leg ${leg.id}:`, error);
+    }
+
+    try {
+      await notificationService.sendBookingLegCancelledNotification(booking, leg);
+    } catch (error) {
+      logger.error(`Error notifying cancellation of leg ${leg.id}:`, error);
+    }
+
+    booking.legs = await BookingLeg.findByBookingId(booking.id);
+    const remaining = booking.getActiveLegs();
+
+    if (remaining.length === 0) {
+      // Two legs cancelled at the same moment leave nothing booked; close the order too
+      await bookingStateMachine.transition(booking, 'cancel', actor, { reason });
+    } else if (booking.status === 'pending' && remaining.every(other => other.status === 'confirmed')) {
+      // The leg that was still waiting is gone and the rest are confirmed
+      await bookingStateMachine.transition(booking, 'confirm', bookingStateMachine.systemActor, {
+        reason: 'Remaining legs confirmed'
+      });
+    }
+
+    return { booking, leg, terms };
+  }
+
+  async recordLegEvent(booking, event, actor, actorRole, metadata, reason = null) {
+    try {
+      await BookingEvent.create({
+        bookingId: booking.id,
+        event,
+        fromStatus: booking.status,
+        toStatus: booking.status,
+        actorId: actor.id,
+        actorRole,
+        reason,
+        metadata
+      });
+    } catch (error) {
+      logger.error(`Error recording ${event} on booking ${booking.id}:`, error);
+    }
+  }
+}
+
+// Helper Functions
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+module.exports = new BookingLegService();
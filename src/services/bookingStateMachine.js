@@ -0,0 +1,288 @@
+const BookingEvent = require('../models/BookingEvent');
+const Guide = require('../models/Guide');
+const Driver = require('../models/Driver');
+const notificationService = require('./notificationService');
+const payoutService = require('./payoutService');
+const receiptService = require('./receiptService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const guideAvailabilityService = require('./guideAvailabilityService');
+const { AppError, handleConflictError, handleForbiddenError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Background jobs and the dispatch engine act as 'system'
+const SYSTEM_ACTOR = { id: null, roles: ['system'] };
+
+// Every status change a booking can go through. `actors` lists who may trigger it (in the
+// order the recorded role is picked), `preconditions` return a reason to refuse or null,
+// `prepare` returns extra changes and metadata to save with the status, and `effects` run
+// after the change is saved. `paymentFrom` is re-checked when saving.
+const TRANSITIONS = {
+  // 'system' confirms a combined order whose only unconfirmed leg was cancelled
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed',
+    actors: ['guide', 'driver', 'admin', 'system'],
+    preconditions: [legsConfirmed],
+    prepare: secureGuideSlot,
+    effects: [notify('confirmed')]
+  },
+  start: {
+    from: ['confirmed'],
+    to: 'in_progress',
+    actors: ['guide', 'driver', 'admin'],
+    preconditions: [paymentCompleted],
+    effects: [notify('started')]
+  },
+  complete: {
+    from: ['in_progress'],
+    to: 'completed',
+    actors: ['guide', 'driver', 'admin'],
+    preconditions: [],
+    effects: [updateCommission, accrueEarnings, sendInvoice, incrementCounters, notify('completed')]
+  },
+  cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    actors: ['tourist', 'guide', 'driver', 'admin'],
+    preconditions: [withinCancellationWindow, providersCancelOwnLeg],
+    prepare: settleCancellationTerms,
+    effects: [stopDispatch, applyPenalty, notify('cancelled')]
+  },
+  // Pending bookings that lapsed: unpaid within the payment window, or rides no driver took
+  expire: {
+    from: ['pending'],
+    paymentFrom: ['pending'],
+    to: 'cancelled',
+    actors: ['system'],
+    preconditions: [],
+    effects: [notify('cancelled')]
+  },
+  // Paid after the guide's payment hold lapsed and the slot was booked by someone else;
+  // the payment is refunded in full (paymentWebhookService)
+  lapse: {
+    from: ['pending'],
+    paymentFrom: ['completed'],
+    to: 'cancelled',
+    actors: ['system'],
+    preconditions: [],
+    effects: [notify('cancelled')]
+  }
+};
+
+class BookingStateMachine {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.systemActor = SYSTEM_ACTOR;
+  }
+
+  // The parts a user plays on a booking. A booking loaded with findById carries the
+  // guide and driver rows, whose user_id is the account behind them. A provider whose
+  // leg of a combined order was cancelled no longer acts on it.
+  actorFor(booking, user) {
+    const roles = [];
+    if (booking.userId === user.id) roles.push('tourist');
+    if (booking.guide && booking.guide.user_id === user.id && hasActiveLeg(booking, 'guide')) roles.push('guide');
+    if (booking.driver && booking.driver.user_id === user.id && hasActiveLeg(booking, 'driver')) roles.push('driver');
+    if (['admin', 'moderator'].includes(user.role)) roles.push('admin');
+
+    return { id: user.id, roles };
+  }
+
+  // Events the actor could trigger now, for clients deciding which buttons to show
+  getAvailableEvents(booking, actor) {
+    return Object.keys(TRANSITIONS).filter(event => {
+      const transition = TRANSITIONS[event];
+      const actorRole = transition.actors.find(role => actor.roles.includes(role));
+      return transition.from.includes(booking.status) &&
+        Boolean(actorRole) &&
+        !transition.preconditions.some(check => check(booking, actor, actorRole));
+    });
+  }
+
+  // Run a transition: check status, actor and preconditions, save the change with its event,
+  // then run the side effects. Rides pass `sideEffects: false`; the ride flow sends its own
+  // notifications and settles the final fare itself.
+  async transition(booking, event, actor, { reason = null, changes = {}, metadata = {}, sideEffects = true } = {}) {
+    const transition = TRANSITIONS[event];
+    if (!transition) {
+      throw new AppError(`Unknown booking event: ${event}`, 400);
+    }
+
+    if (!transition.from.includes(booking.status)) {
+      throw handleConflictError(`Cannot ${event} a booking that is ${booking.status}`);
+    }
+
+    if (transition.paymentFrom && !transition.paymentFrom.includes(booking.paymentStatus)) {
+      throw handleConflictError(`Cannot ${event} a booking with payment ${booking.paymentStatus}`);
+    }
+
+    const actorRole = transition.actors.find(role => actor.roles.includes(role));
+    if (!actorRole) {
+      throw handleForbiddenError(`Not allowed to ${event} this booking`);
+    }
+
+    for (const check of transition.preconditions) {
+      const refusal = check(booking, actor, actorRole);
+      if (refusal) {
+        throw new AppError(refusal, 400);
+      }
+    }
+
+    if (transition.prepare) {
+      const prepared = await transition.prepare(booking, actorRole);
+      changes = { ...prepared.changes, ...changes };
+      metadata = { ...prepared.metadata, ...metadata };
+    }
+
+    const previousStatus = booking.status;
+    try {
+      await booking.transition(event, {
+        from: transition.from,
+        paymentFrom: transition.paymentFrom || null,
+        to: transition.to,
+        actorId: actor.id,
+        actorRole,
+        reason,
+        changes,
+        metadata
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('booking_status_changed')) {
+        throw handleConflictError('The booking was updated by someone else. Please refresh and try again.');
+      }
+      throw error;
+    }
+
+    logger.info(`Booking ${booking.id}: ${previousStatus} -> ${booking.status} (${event} by ${actorRole}${actor.id ? ` ${actor.id}` : ''})`);
+
+    if (sideEffects) {
+      // The change is committed; a failed effect is logged rather than failing the request
+      for (const effect of transition.effects) {
+        try {
+          await effect(booking);
+        } catch (error) {
+          logger.error(`Error running ${event} effect for booking ${booking.id}:`, error);
+        }
+      }
+    }
+
+    return booking;
+  }
+
+  // First entry of the timeline; creation is not a transition, so it is recorded directly
+  async recordCreated(booking, actor) {
+    try {
+      await BookingEvent.create({
+        bookingId: booking.id,
+        event: 'created',
+        toStatus: booking.status,
+        actorId: actor.id,
+        actorRole: actor.roles[0]
+      });
+    } catch (error) {
+      logger.error(`Error recording creation of booking ${booking.id}:`, error);
+    }
+  }
+
+  async getTimeline(booking) {
+    return BookingEvent.findByBookingId(booking.id);
+  }
+}
+
+// Helper Functions
+
+// Rides are paid once the trip ends and its final fare is known
+function paymentCompleted(booking) {
+  if (booking.type === 'ride' || booking.paymentStatus === 'completed') return null;
+  return 'Payment must be completed before the booking can start';
+}
+
+// The notice period binds travellers only. Rides can be cancelled until the driver starts
+// the trip; guides and drivers may cancel later but pay the policy's penalty.
+function withinCancellationWindow(booking, actor, actorRole) {
+  if (booking.type === 'ride' || actorRole !== 'tourist' || booking.canBeCancelled()) return null;
+  return `Bookings can only be cancelled more than ${booking.getCancellationPolicy().minNoticeHours} hours before the start time`;
+}
+
+// Refund and penalty under the booking's policy, saved with the cancellation so they stay
+// fixed however long the refund takes
+async function settleCancellationTerms(booking, actorRole) {
+  if (booking.type === 'ride') return {};
+
+  const terms = await cancellationPolicyService.assessCancellation(booking, actorRole);
+  return {
+    changes: { cancellation_terms: terms, cancellation_penalty: terms.penaltyAmount },
+    metadata: { terms }
+  };
+}
+
+// An unpaid booking's hold may have lapsed; a provider cannot confirm a slot someone else took
+async function secureGuideSlot(booking) {
+  await guideAvailabilityService.secureSlot(booking);
+  return {};
+}
+
+// Combined orders are confirmed leg by leg (bookingLegService); the order follows the last one
+function legsConfirmed(booking) {
+  if (!booking.getActiveLegs().some(leg => leg.status === 'pending')) return null;
+  return 'Every provider must confirm their leg of this booking first';
+}
+
+// On a combined order with other legs still booked, a provider drops only their own leg
+function providersCancelOwnLeg(booking, actor, actorRole) {
+  if (!['guide', 'driver'].includes(actorRole) || booking.getActiveLegs().length <= 1) return null;
+  return 'Cancel your own leg of this booking instead';
+}
+
+function hasActiveLeg(booking, providerType) {
+  return !booking.hasLegs() || booking.getActiveLegs().some(leg => leg.providerType === providerType);
+}
+
+function notify(type) {
+  return booking => notificationService.sendBookingNotification(booking, type);
+}
+
+async function updateCommission(booking) {
+  await booking.updateCommission();
+}
+
+// A missed accrual is picked up by the next payout batch
+async function accrueEarnings(booking) {
+  await payoutService.accrueForBooking(booking);
+}
+
+// The invoice can still be downloaded from /receipt if emailing it fails
+async function sendInvoice(booking) {
+  await receiptService.sendBookingReceipt(booking);
+}
+
+async function incrementCounters(booking) {
+  if (booking.guideId) {
+    const guide = await Guide.findById(booking.guideId);
+    if (guide) {
+      await guide.incrementBookings();
+    }
+  }
+
+  if (booking.driverId) {
+    const driver = await Driver.findById(booking.driverId);
+    if (driver) {
+      await driver.incrementRides();
+    }
+  }
+}
+
+async function applyPenalty(booking) {
+  await cancellationPolicyService.applyPenalty(booking);
+}
+
+// Withdraw any outstanding driver offer for a ride still being dispatched
+async function stopDispatch(booking) {
+  if (booking.type !== 'ride') return;
+
+  // Required here because the dispatch engine itself cancels through this state machine
+  const dispatchService = require('./dispatchService');
+  await dispatchService.cancelDispatch(booking.id);
+}
+
+module.exports = new BookingStateMachine();
@@ -0,0 +1,256 @@
+const { db } = require('../config/database');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Payment = require('../models/Payment');
+const ProviderEarning = require('../models/ProviderEarning');
+const commissionPolicy = require('./commissionPolicy');
+const ledgerService = require('./ledgerService');
+const refundService = require('./refundService');
+const weatherService = require('./weatherService');
+const { handleConflictError, handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Monsoon weather is only treated as force majeure for bookings starting this soon;
+// current conditions say little about a trip further out
+const FORCE_MAJEURE_WINDOW_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+class CancellationPolicyService {
+  constructor() {
+    this.defaultPolicy = CancellationPolicy.DEFAULT_POLICY;
+  }
+
+  async getPolicies(options) {
+    return CancellationPolicy.findAll(options);
+  }
+
+  // Active policy a package or driver is being pointed at
+  async getAssignablePolicy(policyId) {
+    const policy = await CancellationPolicy.findById(policyId);
+    if (!policy || !policy.isActive) {
+      throw handleNotFoundError('Cancellation policy not found');
+    }
+    return policy;
+  }
+
+  // Snapshot for a new booking: the package's policy for guide bookings made from a package,
+  // the driver's policy for driver pre-bookings, otherwise the 'moderate' policy.
+  // Rides have no policy; they can be cancelled free of charge until the trip starts.
+  async resolveForBooking(bookingData) {
+    if (bookingData.type === 'ride') return null;
+
+    let policyId = null;
+
+    if (bookingData.packageId) {
+      const { data: pkg, error } = await db.supabase
+        .from('guide_packages')
+        .select('id, guide_id, is_active, cancellation_policy_id')
+        .eq('id', bookingData.packageId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!pkg || !pkg.is_active || pkg.guide_id !== bookingData.guideId) {
+        throw handleNotFoundError('Package not found for this guide');
+      }
+      policyId = pkg.cancellation_policy_id;
+    } else if (bookingData.type === 'driver' && bookingData.driverId) {
+      const { data: driver, error } = await db.supabase
+        .from('drivers')
+        .select('cancellation_policy_id')
+        .eq('id', bookingData.driverId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      policyId = driver ? driver.cancellation_policy_id : null;
+    }
+
+    const policy = (policyId && await CancellationPolicy.findById(policyId)) ||
+      await CancellationPolicy.findByCode(this.defaultPolicy.code);
+
+    return policy ? policy.toSnapshot() : { ...this.defaultPolicy };
+  }
+
+  // Refund and penalty for cancelling now, under the booking's snapshot.
+  // Travellers (and admins on their behalf) get the refund tier they still qualify for;
+  // a guide or driver cancelling refunds the traveller in full and owes the penalty tier
+  // on their share of the fare. Monsoon conditions at pickup set the traveller's refund to
+  // the policy's force-majeure percentage, or waive the penalty when a provider cancels.
+  // With `leg`, only that leg of a combined order is being cancelled.
+  async assessCancellation(booking, actorRole, { leg = null } = {}) {
+    const policy = booking.getCancellationPolicy();
+    const totalAmount = leg ? leg.amount : booking.getActiveAmount();
+    const hoursBeforeStart = roundHours((new Date(booking.startDate) - new Date()) / HOUR_MS);
+    const isProvider = ['guide', 'driver'].includes(actorRole);
+    const forceMajeure = await this.isForceMajeure(booking, hoursBeforeStart);
+
+    let refundPercentage;
+    let penaltyPercentage = 0;
+    let penalties = [];
+
+    if (isProvider) {
+      // The traveller never loses money because the provider backed out
+      refundPercentage = 100;
+      penaltyPercentage = forceMajeure
+        ? 0
+        : CancellationPolicy.percentageFor(policy.providerPenaltyTiers, hoursBeforeStart);
+
+      // Nothing to take a penalty from until the traveller has paid
+      if (penaltyPercentage > 0 && ['completed', 'partially_refunded'].includes(booking.paymentStatus)) {
+        const split = await commissionPolicy.splitBooking(booking);
+        penalties = split.providers
+          .filter(provider => provider.type === actorRole && provider.userId)
+          .map(provider => ({
+            providerType: provider.type,
+            providerId: provider.id,
+            userId: provider.userId,
+            amount: roundAmount(provider.grossAmount * penaltyPercentage / 100)
+          }))
+          .filter(penalty => penalty.amount > 0);
+      }
+    } else if (forceMajeure) {
+      refundPercentage = policy.forceMajeureRefundPercentage;
+    } else {
+      refundPercentage = CancellationPolicy.percentageFor(policy.refundTiers, hoursBeforeStart);
+    }
+
+    return {
+      legId: leg ? leg.id : null,
+      initiatedBy: actorRole,
+      policyCode: policy.code,
+      hoursBeforeStart,
+      forceMajeure,
+      refundPercentage,
+      refundAmount: roundAmount(totalAmount * refundPercentage / 100),
+      penaltyPercentage: penalties.length > 0 ? penaltyPercentage : 0,
+      penaltyAmount: roundAmount(penalties.reduce((sum, penalty) => sum + penalty.amount, 0)),
+      penalties
+    };
+  }
+
+  // Charge the penalty recorded on a cancelled booking (or leg) against the provider's next payout
+  async applyPenalty(booking, terms = booking.cancellationTerms, referenceId = booking.id) {
+    const penalties = terms?.penalties || [];
+    if (penalties.length === 0) return [];
+
+    const charged = [];
+    for (const penalty of penalties) {
+      const earning = await ProviderEarning.create({
+        bookingId: booking.id,
+        userId: penalty.userId,
+        providerType: penalty.providerType,
+        providerId: penalty.providerId,
+        grossAmount: 0,
+        commission: 0,
+        netAmount: -penalty.amount,
+        availableAt: new Date().toISOString()
+      });
+
+      if (earning) charged.push(earning);
+    }
+
+    // Already charged on an earlier attempt
+    if (charged.length === 0) return charged;
+
+    try {
+      await ledgerService.postCancellationPenalty(booking, penalties, referenceId);
+    } catch (error) {
+      logger.error(`Error posting cancellation penalty of booking ${booking.id} to the ledger:`, error);
+    }
+
+    logger.info(`Cancellation penalty of ${terms.penaltyAmount} charged on booking ${booking.id}`);
+    return charged;
+  }
+
+  // Once the traveller has had every refund their cancellations allow, the rest of what they
+  // paid for the cancelled part is kept: each cancelled leg keeps its amount less its refund, and
+  // a cancelled booking keeps whatever is left of the captured payment. Posting is idempotent,
+  // so this is safe to call after every refund attempt.
+  async retainCancellationFees(booking) {
+    if (!Payment.CAPTURED_STATUSES.includes(booking.paymentStatus)) return [];
+
+    const legs = (booking.legs || []).filter(leg => !leg.isActive() && leg.cancellationTerms);
+    const bookingCancelled = booking.status === 'cancelled' && Boolean(booking.cancellationTerms);
+    const refunded = roundAmount(booking.refundAmount || 0);
+    const owed = roundAmount(legs.reduce((sum, leg) => sum + leg.cancellationTerms.refundAmount, 0) +
+      (bookingCancelled ? booking.cancellationTerms.refundAmount : 0));
+
+    // A refund still to go through (or to be retried) leaves the cancellation open
+    if (refunded < owed) return [];
+
+    const retentions = legs.map(leg => ({
+      referenceId: leg.id,
+      amount: roundAmount(leg.amount - leg.cancellationTerms.refundAmount)
+    }));
+
+    if (bookingCancelled) {
+      const captured = await refundService.getCapturedAmount(booking);
+      const keptOnLegs = retentions.reduce((sum, retention) => sum + retention.amount, 0);
+      retentions.push({ referenceId: booking.id, amount: roundAmount(captured - refunded - keptOnLegs) });
+    }
+
+    const posted = [];
+    for (const retention of retentions.filter(candidate => candidate.amount > 0)) {
+      try {
+        posted.push(await ledgerService.postCancellationRetention(booking, retention.amount, retention.referenceId));
+      } catch (error) {
+        logger.error(`Error posting cancellation fee ${retention.referenceId} of booking ${booking.id} to the ledger:`, error);
+      }
+    }
+
+    return posted;
+  }
+
+  async createPolicy(policyData) {
+    const policy = await CancellationPolicy.create(policyData);
+    if (!policy) {
+      throw handleConflictError(`A cancellation policy with code ${policyData.code} already exists`);
+    }
+    return policy;
+  }
+
+  async updatePolicy(id, updates) {
+    const policy = await CancellationPolicy.findById(id);
+    if (!policy) {
+      throw handleNotFoundError('Cancellation policy not found');
+    }
+
+    const columns = {
+      name: 'name',
+      description: 'description',
+      minNoticeHours: 'min_notice_hours',
+      refundTiers: 'refund_tiers',
+      providerPenaltyTiers: 'provider_penalty_tiers',
+      forceMajeureRefundPercentage: 'force_majeure_refund_percentage',
+      isActive: 'is_active'
+    };
+
+    const updateData = {};
+    Object.keys(columns).forEach(key => {
+      if (updates[key] !== undefined) updateData[columns[key]] = updates[key];
+    });
+
+    return policy.update(updateData);
+  }
+
+  // Weather lookups fall back to simulated, non-monsoon data, so a failure never blocks a cancellation
+  async isForceMajeure(booking, hoursBeforeStart) {
+    const location = booking.pickupLocation;
+    if (hoursBeforeStart > FORCE_MAJEURE_WINDOW_HOURS || !location?.latitude || !location?.longitude) {
+      return false;
+    }
+
+    const weather = await weatherService.getCurrentWeather(location.latitude, location.longitude);
+    return Boolean(weather?.isMonsoon);
+  }
+}
+
+// Helper Functions
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 10) / 10;
+}
+
+module.exports = new CancellationPolicyService();
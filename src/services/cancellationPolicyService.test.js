@@ -0,0 +1,70 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../config/cache', () => ({ cache: {} }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./commissionPolicy', () => ({ splitBooking: jest.fn() }));
+jest.mock('./ledgerService', () => ({}));
+jest.mock('./refundService', () => ({}));
+jest.mock('./weatherService', () => ({ getCurrentWeather: jest.fn() }));
+
+const commissionPolicy = require('./commissionPolicy');
+const weatherService = require('./weatherService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A paid guide booking starting in 12 hours under a policy refunding 50% in monsoon weather
+function buildBooking() {
+  return {
+    id: 'booking-1',
+    startDate: new Date(Date.now() + 12 * HOUR_MS).toISOString(),
+    paymentStatus: 'completed',
+    pickupLocation: { latitude: 6.93, longitude: 79.85 },
+    getActiveAmount: () => 10000,
+    getCancellationPolicy: () => ({
+      code: 'strict',
+      refundTiers: [{ hoursBefore: 48, percentage: 100 }, { hoursBefore: 0, percentage: 0 }],
+      providerPenaltyTiers: [{ hoursBefore: 0, percentage: 20 }],
+      forceMajeureRefundPercentage: 50
+    })
+  };
+}
+
+describe('cancellationPolicyService.assessCancellation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    commissionPolicy.splitBooking.mockResolvedValue({
+      providers: [{ type: 'guide', id: 'guide-1', userId: 'user-9', grossAmount: 9000 }]
+    });
+  });
+
+  it('refunds the traveller in full and waives the penalty when a provider cancels in monsoon weather', async () => {
+    weatherService.getCurrentWeather.mockResolvedValue({ isMonsoon: true });
+
+    const terms = await cancellationPolicyService.assessCancellation(buildBooking(), 'guide');
+
+    expect(terms).toMatchObject({
+      forceMajeure: true,
+      refundPercentage: 100,
+      refundAmount: 10000,
+      penaltyPercentage: 0,
+      penaltyAmount: 0,
+      penalties: []
+    });
+  });
+
+  it('charges the provider penalty in normal weather', async () => {
+    weatherService.getCurrentWeather.mockResolvedValue({ isMonsoon: false });
+
+    const terms = await cancellationPolicyService.assessCancellation(buildBooking(), 'guide');
+
+    expect(terms).toMatchObject({ forceMajeure: false, refundPercentage: 100, penaltyPercentage: 20, penaltyAmount: 1800 });
+  });
+
+  it('gives a traveller cancelling in monsoon weather the force-majeure refund', async () => {
+    weatherService.getCurrentWeather.mockResolvedValue({ isMonsoon: true });
+
+    const terms = await cancellationPolicyService.assessCancellation(buildBooking(), 'tourist');
+
+    expect(terms).toMatchObject({ forceMajeure: true, refundPercentage: 50, refundAmount: 5000, penaltyAmount: 0 });
+  });
+});
@@ -0,0 +1,29 @@
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  async send({ to, subject, message, html }) {
+    // Loaded lazily so the mail transporter is only created when email is used
+    const emailService = require('../emailService');
+
+    const result = await emailService.sendEmail(
+      to,
+      subject,
+      html || `<p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>`,
+      message
+    );
+
+    return { id: result.messageId };
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,39 @@
+const logger = require('../../utils/logger');
+
+// In-memory transport for local development and tests (NOTIFICATION_TRANSPORT=fake)
+class FakeChannel {
+  constructor(name) {
+    this.name = name;
+    this.sent = [];
+    this.failures = 0;
+  }
+
+  async send(payload) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error(`Simulated ${this.name} failure`);
+    }
+
+    const record = {
+      id: require('uuid').v4(),
+      ...payload,
+      sentAt: new Date().toISOString()
+    };
+
+    this.sent.push(record);
+    logger.debug(`[fake ${this.name}] ${JSON.stringify(payload)}`);
+    return record;
+  }
+
+  // Make the next n sends fail to exercise retries
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures = 0;
+  }
+}
+
+module.exports = FakeChannel;
@@ -0,0 +1,31 @@
+const { db } = require('../../config/database');
+
+class InAppChannel {
+  constructor() {
+    this.name = 'inApp';
+  }
+
+  // Persist to the notifications table so it shows up in the user's inbox
+  async send({ userId, type, title, message, data, digestStatus }) {
+    const { data: notification, error } = await db.supabase
+      .from('notifications')
+      .insert({
+        id: require('uuid').v4(),
+        user_id: userId,
+        type,
+        title,
+        message,
+        data: data || null,
+        is_read: false,
+        digest_status: digestStatus || null,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return notification;
+  }
+}
+
+module.exports = InAppChannel;
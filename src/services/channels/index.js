@@ -0,0 +1,31 @@
+const SmsChannel = require('./smsChannel');
+const EmailChannel = require('./emailChannel');
+const InAppChannel = require('./inAppChannel');
+const FakeChannel = require('./fakeChannel');
+
+const CHANNEL_NAMES = ['sms', 'email', 'inApp'];
+
+// Build the channel registry for the configured transport
+const createChannels = (transport = process.env.NOTIFICATION_TRANSPORT) => {
+  if (transport === 'fake') {
+    return CHANNEL_NAMES.reduce((channels, name) => {
+      channels[name] = new FakeChannel(name);
+      return channels;
+    }, {});
+  }
+
+  return {
+    sms: new SmsChannel(),
+    email: new EmailChannel(),
+    inApp: new InAppChannel()
+  };
+};
+
+module.exports = {
+  CHANNEL_NAMES,
+  createChannels,
+  SmsChannel,
+  EmailChannel,
+  InAppChannel,
+  FakeChannel
+};
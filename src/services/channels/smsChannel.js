@@ -0,0 +1,50 @@
+const twilio = require('twilio');
+const logger = require('../../utils/logger');
+
+class SmsChannel {
+  constructor() {
+    this.name = 'sms';
+    this.from = process.env.TWILIO_PHONE_NUMBER;
+
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && this.from) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    } else {
+      this.client = null;
+      logger.warn('Twilio is not configured - SMS notifications are disabled');
+    }
+  }
+
+  // Sri Lankan local numbers (07XXXXXXXX) are converted to E.164 (+947XXXXXXXX)
+  normalizePhone(phone) {
+    const cleaned = String(phone).replace(/[\s-]/g, '');
+    if (cleaned.startsWith('+')) return cleaned;
+    if (cleaned.startsWith('0')) return `+94${cleaned.substring(1)}`;
+    return `+${cleaned}`;
+  }
+
+  async send({ to, message }) {
+    if (!this.client) {
+      const error = new Error('SMS channel is not configured');
+      error.retryable = false;
+      throw error;
+    }
+
+    try {
+      const result = await this.client.messages.create({
+        body: message,
+        from: this.from,
+        to: this.normalizePhone(to)
+      });
+
+      return { id: result.sid, status: result.status };
+    } catch (error) {
+      // Twilio 4xx errors (invalid number, unsubscribed) will not succeed on retry
+      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+
+// Share of each provider's fare kept by the platform, by provider type and subscription tier.
+// Guides have no subscription tiers yet, so they always use 'basic'.
+const COMMISSION_RATES = {
+  guide: { basic: 0.10 },
+  driver: { basic: 0.10, premium: 0.08 }
+};
+
+// Charged to the traveller on top of the fare for rides
+const PLATFORM_FEE_RATE = 0.05;
+
+class CommissionPolicy {
+  getCommissionRate(providerType, tier = 'basic') {
+    const rates = COMMISSION_RATES[providerType];
+    if (!rates) {
+      throw new Error(`No commission rates for provider type: ${providerType}`);
+    }
+
+    return rates[tier] !== undefined ? rates[tier] : rates.basic;
+  }
+
+  calculateCommission(amount, providerType, tier = 'basic') {
+    return roundAmount(Number(amount) * this.getCommissionRate(providerType, tier));
+  }
+
+  calculatePlatformFee(fare) {
+    return roundAmount(Number(fare) * PLATFORM_FEE_RATE);
+  }
+
+  // Split what the traveller paid into the platform fee and each provider's gross, commission and net.
+  // Combined orders split by their legs, leaving out cancelled legs; older combined bookings
+  // without legs have no per-provider price breakdown, so their fare is split evenly.
+  async splitBooking(booking) {
+    const legs = await loadLegs(booking);
+    const activeLegs = legs.filter(leg => leg.isActive());
+    const providers = [];
+
+    if (booking.guideId && (legs.length === 0 || activeLegs.some(leg => leg.providerType === 'guide'))) {
+      const Guide = require('../models/Guide');
+      const guide = await Guide.findById(booking.guideId);
+      providers.push({ type: 'guide', id: booking.guideId, userId: guide ? guide.userId : null, tier: 'basic' });
+    }
+
+    if (booking.driverId && (legs.length === 0 || activeLegs.some(leg => leg.providerType === 'driver'))) {
+      const Driver = require('../models/Driver');
+      const subscriptionService = require('./subscriptionService');
+      const driver = await Driver.findById(booking.driverId);
+      providers.push({
+        type: 'driver',
+        id: booking.driverId,
+        userId: driver ? driver.userId : null,
+        tier: driver ? await subscriptionService.getTier(booking.driverId) : 'basic'
+      });
+    }
+
+    const platformFee = roundAmount(booking.platformFee || 0);
+    const fare = roundAmount(Number(booking.totalAmount) - platformFee);
+
+    let allocated = 0;
+    const shares = providers.map((provider, index) => {
+      const leg = activeLegs.find(candidate => candidate.providerType === provider.type);
+
+      // The last provider takes the rounding remainder so even shares always add up to the fare
+      let grossAmount;
+      if (leg) {
+        grossAmount = roundAmount(leg.amount);
+      } else if (index === providers.length - 1) {
+        grossAmount = roundAmount(fare - allocated);
+      } else {
+        grossAmount = roundAmount(fare / providers.length);
+      }
+      allocated = roundAmount(allocated + grossAmount);
+
+      const rate = this.getCommissionRate(provider.type, provider.tier);
+      const commission = roundAmount(grossAmount * rate);
+
+      if (!provider.userId) {
+        logger.warn(`Booking ${booking.id}: ${provider.type} ${provider.id} not found`);
+      }
+
+      return {
+        ...provider,
+        legId: leg ? leg.id : null,
+        rate,
+        grossAmount,
+        commission,
+        netAmount: roundAmount(grossAmount - commission)
+      };
+    });
+
+    return {
+      // What the delivered services cost the traveller; less than the total once a leg is cancelled
+      total: legs.length > 0 ? roundAmount(allocated + platformFee) : roundAmount(booking.totalAmount),
+      platformFee,
+      commission: roundAmount(shares.reduce((sum, share) => sum + share.commission, 0)),
+      providers: shares
+    };
+  }
+
+  // Current rates, for display
+  getRates() {
+    return {
+      commission: COMMISSION_RATES,
+      platformFee: PLATFORM_FEE_RATE
+    };
+  }
+}
+
+// Helper Functions
+
+// Legs of a combined order, loaded when the booking came from a query that did not join them
+async function loadLegs(booking) {
+  if (booking.type !== 'combined') return [];
+  if (Array.isArray(booking.legs)) return booking.legs;
+
+  const BookingLeg = require('../models/BookingLeg');
+  return BookingLeg.findByBookingId(booking.id);
+}
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+module.exports = new CommissionPolicy();
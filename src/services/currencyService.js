@@ -0,0 +1,147 @@
+const FxRate = require('../models/FxRate');
+const { cache } = require('../config/cache');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Every price is stored and settled in LKR; other currencies are for display only
+const SETTLEMENT_CURRENCY = 'LKR';
+
+const RATES_CACHE_KEY = 'fx_rates';
+const RATES_CACHE_TTL = 300;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+class CurrencyService {
+  constructor() {
+    this.settlementCurrency = SETTLEMENT_CURRENCY;
+  }
+
+  // Map of currency code to LKR per unit, cached briefly since every priced response reads it
+  async getRates() {
+    const cached = await cache.get(RATES_CACHE_KEY);
+    if (cached) return cached;
+
+    const rates = {};
+    for (const fxRate of await FxRate.findAll()) {
+      rates[fxRate.currency] = fxRate.rate;
+    }
+
+    await cache.set(RATES_CACHE_KEY, rates, RATES_CACHE_TTL);
+    return rates;
+  }
+
+  async getSupportedCurrencies() {
+    const fxRates = await FxRate.findAll();
+
+    return {
+      settlementCurrency: SETTLEMENT_CURRENCY,
+      currencies: [
+        { currency: SETTLEMENT_CURRENCY, rate: 1, updatedAt: null },
+        ...fxRates.map(fxRate => fxRate.toSafeObject())
+      ]
+    };
+  }
+
+  // Rate to convert LKR amounts into the given currency
+  async getQuote(currency) {
+    const code = String(currency || '').toUpperCase();
+    if (code === SETTLEMENT_CURRENCY) {
+      return { currency: SETTLEMENT_CURRENCY, rate: 1 };
+    }
+
+    const rates = await this.getRates();
+    if (!rates[code]) {
+      throw new AppError(`Unsupported currency: ${currency}`, 400);
+    }
+
+    return { currency: code, rate: rates[code] };
+  }
+
+  // Display currency for a request: the first supported Accept-Currency entry, then the
+  // signed-in user's preference, then LKR. Unsupported currencies are skipped, never rejected.
+  async getQuoteForRequest(req) {
+    const candidates = [
+      ...parseAcceptCurrency(req.get('Accept-Currency')),
+      req.user && req.user.preferredCurrency
+    ].filter(Boolean);
+
+    try {
+      const rates = await this.getRates();
+      for (const currency of candidates) {
+        if (currency === SETTLEMENT_CURRENCY) break;
+        if (rates[currency]) {
+          return { currency, rate: rates[currency] };
+        }
+      }
+    } catch (error) {
+      logger.error('Error resolving display currency:', error);
+    }
+
+    return { currency: SETTLEMENT_CURRENCY, rate: 1 };
+  }
+
+  // Convert an LKR amount at a quoted (or locked) rate
+  convert(amount, quote) {
+    if (amount === null || amount === undefined) return null;
+    return roundAmount(Number(amount) / Number(quote.rate));
+  }
+
+  // Display copy of the given LKR fields of an object
+  convertFields(source, fields, quote) {
+    const converted = { currency: quote.currency, rate: quote.rate };
+    for (const field of fields) {
+      converted[field] = this.convert(source[field], quote);
+    }
+
+    return converted;
+  }
+
+  // Attach `displayPrices` to each item without touching its LKR fields
+  withDisplayPrices(items, fields, quote) {
+    return (items || []).map(item => ({
+      ...item,
+      displayPrices: this.convertFields(item, fields, quote)
+    }));
+  }
+
+  async setRate(currency, rate, adminId) {
+    const code = String(currency).toUpperCase();
+    if (!CURRENCY_PATTERN.test(code)) {
+      throw new AppError('Currency must be a 3-letter ISO code', 400);
+    }
+    if (code === SETTLEMENT_CURRENCY) {
+      throw new AppError(`${SETTLEMENT_CURRENCY} is the settlement currency and has no rate`, 400);
+    }
+
+    const fxRate = await FxRate.upsert(code, rate, adminId);
+    await cache.del(RATES_CACHE_KEY);
+
+    logger.info(`FX rate for ${code} set to ${rate} LKR by ${adminId}`);
+    return fxRate;
+  }
+}
+
+// Helper Functions
+
+// Accept-Currency: USD, EUR;q=0.8 -> ['USD', 'EUR'], highest quality first
+function parseAcceptCurrency(header) {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [code, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { currency: code.trim().toUpperCase(), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => CURRENCY_PATTERN.test(entry.currency) && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.currency);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = new CurrencyService();
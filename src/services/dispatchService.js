@@ -0,0 +1,301 @@
+const { db } = require('../config/database');
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const locationService = require('./locationService');
+const notificationService = require('./notificationService');
+const socketService = require('./socketService');
+const subscriptionService = require('./subscriptionService');
+const bookingStateMachine = require('./bookingStateMachine');
+const logger = require('../utils/logger');
+
+// Ranking weights - closer drivers matter most, then rating, then premium placement
+const RANKING_WEIGHTS = {
+  distance: 0.5,
+  rating: 0.35,
+  tier: 0.15
+};
+
+class DispatchService {
+  constructor() {
+    this.offerTimeoutSeconds = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 30;
+    this.searchRadiusKm = parseFloat(process.env.DISPATCH_SEARCH_RADIUS_KM) || 5;
+    this.maxAttempts = parseInt(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+
+    // Pending offer timers keyed by booking ID
+    this.offerTimers = new Map();
+  }
+
+  // Start dispatching a newly requested ride
+  async startDispatch(booking, options = {}) {
+    logger.info(`Dispatch started for ride ${booking.id}`);
+
+    socketService.emitRideStatus(booking.id, 'searching', { bookingStatus: 'pending' });
+
+    return this.offerNext(booking.id, { preferredDriverId: options.preferredDriverId });
+  }
+
+  // Rank eligible drivers around the pickup point
+  async rankCandidates(booking, excludeDriverIds = []) {
+    const pickup = booking.pickup_location;
+    const lat = parseFloat(pickup.latitude);
+    const lng = parseFloat(pickup.longitude);
+
+    const drivers = await Driver.findNearby(lat, lng, this.searchRadiusKm, {
+      vehicleType: booking.requested_vehicle_type,
+      maxPassengers: booking.group_size
+    });
+
+    const eligible = drivers.filter(driver =>
+      driver.isOnline &&
+      driver.verificationStatus === 'verified' &&
+      driver.currentLat && driver.currentLng &&
+      !excludeDriverIds.includes(driver.id)
+    );
+    const premiumDriverIds = await subscriptionService.getPremiumDriverIds(eligible.map(driver => driver.id));
+
+    return eligible
+      .map(driver => {
+        const distance = locationService.calculateDistance(
+          lat,
+          lng,
+          parseFloat(driver.currentLat),
+          parseFloat(driver.currentLng)
+        );
+
+        return {
+          driver,
+          distance: Math.round(distance * 100) / 100,
+          score: this.calculateScore(distance, driver, premiumDriverIds.has(driver.id))
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Score a candidate between 0 and 1
+  calculateScore(distance, driver, isPremium = false) {
+    const distanceScore = Math.max(0, 1 - distance / this.searchRadiusKm);
+    const ratingScore = (parseFloat(driver.rating) || 0) / 5;
+    const tierScore = isPremium ? 1 : 0;
+
+    const score = distanceScore * RANKING_WEIGHTS.distance +
+      ratingScore * RANKING_WEIGHTS.rating +
+      tierScore * RANKING_WEIGHTS.tier;
+
+    return Math.round(score * 10000) / 10000;
+  }
+
+  // Offer the ride to the next best driver who has not seen it yet
+  async offerNext(bookingId, options = {}) {
+    this.clearTimer(bookingId);
+
+    const { data: booking, error } = await db.supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', bookingId)
+      .single();
+
+    if (error || !booking) {
+      logger.warn(`Dispatch aborted, ride not found: ${bookingId}`);
+      return null;
+    }
+
+    if (booking.status !== 'pending') {
+      logger.info(`Dispatch stopped for ride ${bookingId} - status is ${booking.status}`);
+      return null;
+    }
+
+    const attempts = await this.getAttempts(bookingId);
+    if (attempts.length >= this.maxAttempts) {
+      return this.markExhausted(booking);
+    }
+
+    const candidates = await this.rankCandidates(booking, attempts.map(a => a.driver_id));
+    if (candidates.length === 0) {
+      return this.markExhausted(booking);
+    }
+
+    // A rider-preferred driver goes first if they are eligible
+    const preferred = options.preferredDriverId &&
+      candidates.find(c => c.driver.id === options.preferredDriverId);
+    const candidate = preferred || candidates[0];
+
+    const expiresAt = new Date(Date.now() + this.offerTimeoutSeconds * 1000);
+
+    // Only assign while the ride is still pending to avoid racing an acceptance
+    const { data: assigned, error: assignError } = await db.supabase
+      .from('bookings')
+      .update({
+        driver_id: candidate.driver.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (assignError || !assigned) {
+      logger.info(`Dispatch stopped for ride ${bookingId} - no longer pending`);
+      return null;
+    }
+
+    const { data: attempt, error: attemptError } = await db.supabase
+      .from('dispatch_attempts')
+      .insert({
+        booking_id: bookingId,
+        driver_id: candidate.driver.id,
+        attempt_number: attempts.length + 1,
+        rank_score: candidate.score,
+        distance_km: candidate.distance,
+        status: 'offered',
+        offered_at: new Date().toISOString(),
+        expires_at: expiresAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (attemptError) throw attemptError;
+
+    try {
+      await notificationService.sendRideRequest(candidate.driver.id, {
+        bookingId,
+        bookingReference: booking.booking_reference,
+        pickup: booking.pickup_location?.address,
+        distance: candidate.distance,
+        estimatedFare: booking.total_amount,
+        expiresAt: expiresAt.toISOString()
+      });
+    } catch (notifyError) {
+      // The offer still stands; the driver sees it in their pending rides
+      logger.error(`Error notifying driver ${candidate.driver.id} of ride ${bookingId}:`, notifyError);
+    }
+
+    const timer = setTimeout(() => {
+      this.handleTimeout(bookingId, candidate.driver.id).catch(timeoutError => {
+        logger.error(`Error handling dispatch timeout for ride ${bookingId}:`, timeoutError);
+      });
+    }, this.offerTimeoutSeconds * 1000);
+    timer.unref();
+    this.offerTimers.set(bookingId, timer);
+
+    logger.info(`Ride ${bookingId} offered to driver ${candidate.driver.id} (attempt ${attempt.attempt_number}, score ${candidate.score})`);
+
+    return {
+      attempt,
+      driver: candidate.driver,
+      distance: candidate.distance,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  // Driver accepted the offer; returns false if the offer already expired
+  async handleAccept(bookingId, driverId) {
+    const claimed = await this.closeAttempt(bookingId, driverId, 'accepted');
+    if (!claimed) return false;
+
+    this.clearTimer(bookingId);
+    logger.info(`Dispatch completed for ride ${bookingId} - accepted by driver ${driverId}`);
+    return true;
+  }
+
+  // Driver declined - cascade to the next candidate
+  async handleDecline(bookingId, driverId, reason) {
+    const closed = await this.closeAttempt(bookingId, driverId, 'declined', reason);
+    if (!closed) return null; // Offer already timed out and moved on
+
+    logger.info(`Ride ${bookingId} declined by driver ${driverId}, offering to next candidate`);
+    return this.offerNext(bookingId);
+  }
+
+  // Driver did not respond in time - cascade to the next candidate
+  async handleTimeout(bookingId, driverId) {
+    this.offerTimers.delete(bookingId);
+
+    const closed = await this.closeAttempt(bookingId, driverId, 'timed_out');
+    if (!closed) return null; // Driver responded just before the timer fired
+
+    logger.info(`Ride offer ${bookingId} timed out for driver ${driverId}, offering to next candidate`);
+    return this.offerNext(bookingId);
+  }
+
+  // Stop dispatching (e.g. the rider cancelled)
+  async cancelDispatch(bookingId) {
+    this.clearTimer(bookingId);
+
+    const { error } = await db.supabase
+      .from('dispatch_attempts')
+      .update({ status: 'cancelled', responded_at: new Date().toISOString() })
+      .eq('booking_id', bookingId)
+      .eq('status', 'offered');
+
+    if (error) throw error;
+  }
+
+  // Close the open attempt for a driver; returns false if it was already closed
+  async closeAttempt(bookingId, driverId, status, reason = null) {
+    const { data, error } = await db.supabase
+      .from('dispatch_attempts')
+      .update({
+        status,
+        decline_reason: reason,
+        responded_at: new Date().toISOString()
+      })
+      .eq('booking_id', bookingId)
+      .eq('driver_id', driverId)
+      .eq('status', 'offered')
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0;
+  }
+
+  async getAttempts(bookingId) {
+    const { data, error } = await db.supabase
+      .from('dispatch_attempts')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('attempt_number', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // No driver took the ride - cancel it and let the rider know
+  async markExhausted(booking) {
+    try {
+      await bookingStateMachine.transition(new Booking(booking), 'expire', bookingStateMachine.systemActor, {
+        reason: 'No drivers available',
+        changes: { driver_id: null },
+        sideEffects: false
+      });
+    } catch (error) {
+      // The rider cancelled (or a driver accepted) while the last offer ran out
+      if (error.statusCode !== 409) throw error;
+      logger.info(`Ride ${booking.id} is no longer pending, not cancelling it`);
+      return null;
+    }
+
+    try {
+      await notificationService.sendRideDeclined(booking.user_id, {
+        bookingId: booking.id,
+        reason: 'No drivers available nearby. Please try again shortly.'
+      });
+    } catch (notifyError) {
+      logger.error(`Error notifying rider of unfulfilled ride ${booking.id}:`, notifyError);
+    }
+
+    socketService.emitRideStatus(booking.id, 'no_drivers', { bookingStatus: 'cancelled' });
+
+    logger.warn(`Dispatch exhausted for ride ${booking.id}`);
+    return null;
+  }
+
+  clearTimer(bookingId) {
+    const timer = this.offerTimers.get(bookingId);
+    if (timer) {
+      clearTimeout(timer);
+      this.offerTimers.delete(bookingId);
+    }
+  }
+}
+
+module.exports = new DispatchService();
@@ -11,7 +11,7 @@ class EmailService {
       this.transporter = this.createOAuthTransporter();
     } else {
       // Use App Password for Gmail
-      this.transporter = nodemailer.createTransporter({
+      this.transporter = nodemailer.createTransport({
         service: 'gmail',
         host: process.env.SMTP_HOST || 'smtp.gmail.com',
         port: process.env.SMTP_PORT || 587,
@@ -35,7 +35,7 @@ class EmailService {
       refresh_token: process.env.SMTP_REFRESH_TOKEN,
     });
 
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       service: 'gmail',
       host: 'smtp.gmail.com',
       port: 465,
@@ -59,14 +59,15 @@ class EmailService {
     });
   }
 
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, attachments = []) {
     try {
       const mailOptions = {
         from: `"PearlPath" <${process.env.SMTP_USER}>`,
         to,
         subject,
         html,
-        text: text || this.stripHtml(html)
+        text: text || this.stripHtml(html),
+        attachments
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -155,7 +156,8 @@ class EmailService {
     return this.sendEmail(user.email, subject, html);
   }
 
-  async sendBookingConfirmationEmail(booking) {
+  // `attachments` are nodemailer attachments, e.g. the payment receipt PDF
+  async sendBookingConfirmationEmail(booking, attachments = []) {
     const subject = 'Booking Confirmed - PearlPath';
     
     const html = `
@@ -174,16 +176,40 @@ class EmailService {
         </div>
         
         <p>We'll send you a reminder before your booking starts.</p>
+        ${attachments.length > 0 ? '<p>Your payment receipt is attached.</p>' : ''}
         
         <p>Best regards,<br>The PearlPath Team</p>
       </div>
     `;
 
+    return this.sendEmail(booking.user.email, subject, html, null, attachments);
+  }
+
+  async sendBookingReceiptEmail(booking, attachments) {
+    const subject = `Your receipt for booking ${booking.bookingReference} - PearlPath`;
+    
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c5aa0;">Thanks for travelling with us!</h2>
+        <p>Dear ${booking.user.firstName},</p>
+        <p>Your booking <strong>${booking.bookingReference}</strong> is complete. The invoice for your records is attached.</p>
+        
+        <p>Best regards,<br>The PearlPath Team</p>
+      </div>
+    `;
+
+    return this.sendEmail(booking.user.email, subject, html, null, attachments);
+  }
+
+  async sendBookingReminderEmail(booking, hoursBefore = null) {
+    const { subject, html } = this.renderBookingReminderEmail(booking, hoursBefore);
     return this.sendEmail(booking.user.email, subject, html);
   }
 
-  async sendBookingReminderEmail(booking) {
-    const subject = 'Booking Reminder - PearlPath';
+  renderBookingReminderEmail(booking, hoursBefore = null) {
+    const subject = hoursBefore
+      ? `Booking Reminder - starts in ${hoursBefore} hours - PearlPath`
+      : 'Booking Reminder - PearlPath';
     
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -194,7 +220,7 @@ class EmailService {
         <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
           <h3>Booking Details</h3>
           <p><strong>Reference:</strong> ${booking.bookingReference}</p>
-          <p><strong>Start Time:</strong> ${new Date(booking.startDate).toLocaleString()}</p>
+          <p><strong>Start Time:</strong> ${new Date(booking.startDate).toLocaleString('en-GB', { timeZone: 'Asia/Colombo' })}</p>
           <p><strong>Duration:</strong> ${booking.duration} hours</p>
         </div>
         
@@ -204,7 +230,7 @@ class EmailService {
       </div>
     `;
 
-    return this.sendEmail(booking.user.email, subject, html);
+    return { subject, html };
   }
 
   stripHtml(html) {
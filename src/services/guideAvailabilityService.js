@@ -0,0 +1,173 @@
+const Booking = require('../models/Booking');
+const { dateUtils } = require('../utils/helpers');
+const { handleConflictError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Free time kept between two bookings of the same guide for travel and handover
+const BUFFER_MINUTES = parseInt(process.env.GUIDE_BOOKING_BUFFER_MINUTES) || 30;
+// How long a new, unpaid booking keeps its slot while the traveller pays
+const HOLD_MINUTES = parseInt(process.env.GUIDE_BOOKING_HOLD_MINUTES) || 15;
+
+const SLOT_MINUTES = 60;
+const MAX_CALENDAR_DAYS = 60;
+const HOUR_MS = 60 * 60 * 1000;
+
+class GuideAvailabilityService {
+  constructor() {
+    this.bufferMinutes = BUFFER_MINUTES;
+    this.holdMinutes = HOLD_MINUTES;
+  }
+
+  // Whether the guide can take a booking between two instants: working day and hours,
+  // then no other booking (or payment hold) within the buffer either side
+  async checkSlot(guide, startDate, endDate, { excludeBookingId } = {}) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (!guide.isAvailable) {
+      return { available: false, reason: 'Guide is currently unavailable' };
+    }
+
+    if (!guide.availableDays.includes(dateUtils.toColombo(start).weekday)) {
+      return { available: false, reason: 'Guide is not available on this day' };
+    }
+
+    if (!guide.isAvailableForBooking(start, (end - start) / HOUR_MS)) {
+      return {
+        available: false,
+        reason: `Outside working hours (${guide.workingHours.start} - ${guide.workingHours.end})`
+      };
+    }
+
+    const conflicts = (await Booking.findGuideSchedule(guide.id, start, end, this.bufferMinutes))
+      .filter(booking => booking.id !== excludeBookingId);
+
+    if (conflicts.length > 0) {
+      return { available: false, reason: 'Guide has another booking at this time' };
+    }
+
+    return { available: true, reason: 'Slot available' };
+  }
+
+  // Day-by-day calendar (Colombo dates) with the free start times of `slotHours`-long slots
+  async getCalendar(guide, startDate, endDate, { slotHours = SLOT_MINUTES / 60 } = {}) {
+    const firstDay = dateUtils.toColombo(startDate || new Date()).date;
+    const requestedLastDay = dateUtils.toColombo(endDate || dateUtils.fromColombo(firstDay, 30 * 24 * 60)).date;
+    const maxLastDay = dateUtils.toColombo(dateUtils.fromColombo(firstDay, (MAX_CALENDAR_DAYS - 1) * 24 * 60)).date;
+    const lastDay = requestedLastDay < maxLastDay ? requestedLastDay : maxLastDay;
+
+    const rangeStart = dateUtils.fromColombo(firstDay);
+    const rangeEnd = dateUtils.fromColombo(lastDay, 24 * 60);
+    const bookings = await Booking.findGuideSchedule(guide.id, rangeStart, rangeEnd, this.bufferMinutes);
+
+    const workingStart = dateUtils.parseTimeOfDay(guide.workingHours.start);
+    const workingEnd = dateUtils.parseTimeOfDay(guide.workingHours.end);
+    const slotMinutes = Math.round(slotHours * 60);
+    const now = new Date();
+
+    const calendar = [];
+    for (let day = firstDay; day <= lastDay; day = nextDay(day)) {
+      const dayOfWeek = dateUtils.toColombo(dateUtils.fromColombo(day, 12 * 60)).weekday;
+      const isWorkingDay = guide.availableDays.includes(dayOfWeek);
+
+      const dayStart = dateUtils.fromColombo(day);
+      const dayEnd = dateUtils.fromColombo(day, 24 * 60);
+      const hasBooking = bookings.some(booking => overlaps(booking, dayStart, dayEnd, 0));
+
+      const slots = [];
+      if (isWorkingDay && guide.isAvailable) {
+        for (let minutes = workingStart; minutes + slotMinutes <= workingEnd; minutes += SLOT_MINUTES) {
+          const slotStart = dateUtils.fromColombo(day, minutes);
+          const slotEnd = dateUtils.fromColombo(day, minutes + slotMinutes);
+
+          if (slotStart <= now) continue;
+          if (bookings.some(booking => overlaps(booking, slotStart, slotEnd, this.bufferMinutes))) continue;
+
+          slots.push({
+            time: dateUtils.formatTimeOfDay(minutes),
+            start: slotStart.toISOString(),
+            end: slotEnd.toISOString()
+          });
+        }
+      }
+
+      calendar.push({
+        date: day,
+        dayOfWeek,
+        isWorkingDay,
+        available: slots.length > 0,
+        hasBooking,
+        workingHours: isWorkingDay ? guide.workingHours : null,
+        slots
+      });
+    }
+
+    return calendar;
+  }
+
+  // Create a pending guide booking holding its slot while the traveller pays.
+  // The database re-checks the slot under a lock on the guide, so of two concurrent
+  // requests for overlapping times only one succeeds.
+  async reserveBooking(bookingData) {
+    try {
+      const booking = await Booking.createWithGuideHold(bookingData, {
+        bufferMinutes: this.bufferMinutes,
+        holdMinutes: this.holdMinutes
+      });
+
+      logger.info(`Guide ${bookingData.guideId} held until ${booking.holdExpiresAt} for booking ${booking.id}`);
+      return booking;
+    } catch (error) {
+      throw mapSlotError(error);
+    }
+  }
+
+  // Restart the hold when the traveller opens checkout, so a slow payment does not lose the slot
+  async extendHold(booking) {
+    if (!booking.guideId || booking.status !== 'pending' || booking.paymentStatus === 'completed') {
+      return booking;
+    }
+
+    try {
+      return await booking.extendGuideHold({
+        bufferMinutes: this.bufferMinutes,
+        holdMinutes: this.holdMinutes
+      });
+    } catch (error) {
+      throw mapSlotError(error);
+    }
+  }
+
+  // Re-check the slot once the booking is paid or confirmed, since its hold may have lapsed
+  // and the time been booked by someone else meanwhile. Keeps the slot if it is still free.
+  async secureSlot(booking) {
+    if (!booking.guideId) return booking;
+
+    try {
+      return await booking.secureGuideSlot({ bufferMinutes: this.bufferMinutes });
+    } catch (error) {
+      throw mapSlotError(error);
+    }
+  }
+}
+
+// Helper Functions
+
+function mapSlotError(error) {
+  if (error.message && error.message.includes('guide_slot_unavailable')) {
+    return handleConflictError('The guide has just been booked for this time. Please choose another slot.');
+  }
+  return error;
+}
+
+function overlaps(booking, start, end, bufferMinutes) {
+  const bufferMs = bufferMinutes * 60 * 1000;
+  return new Date(booking.startDate).getTime() < end.getTime() + bufferMs &&
+    new Date(booking.endDate).getTime() > start.getTime() - bufferMs;
+}
+
+function nextDay(day) {
+  return dateUtils.toColombo(dateUtils.fromColombo(day, 36 * 60)).date;
+}
+
+module.exports = new GuideAvailabilityService();
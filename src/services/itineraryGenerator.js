@@ -0,0 +1,459 @@
+const { db } = require('../config/database');
+const POI = require('../models/POI');
+const Guide = require('../models/Guide');
+const Driver = require('../models/Driver');
+const ItineraryStop = require('../models/ItineraryStop');
+const Itinerary = require('../models/Itinerary');
+const itineraryService = require('./itineraryService');
+const locationService = require('./locationService');
+const weatherService = require('./weatherService');
+const { dateUtils, geoUtils } = require('../utils/helpers');
+const { AppError, handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// How full a day gets. `maxLegMinutes` caps the drive between two stops of a day;
+// the first drive of a day may be a longer transfer to a new area.
+const PACES = {
+  relaxed: { maxStops: 2, dayStart: '09:30', dayEnd: '17:00', visitFactor: 1.25, maxLegMinutes: 60, maxTransferMinutes: 240 },
+  moderate: { maxStops: 3, dayStart: '09:00', dayEnd: '18:00', visitFactor: 1, maxLegMinutes: 90, maxTransferMinutes: 300 },
+  packed: { maxStops: 5, dayStart: '08:00', dayEnd: '19:00', visitFactor: 0.75, maxLegMinutes: 120, maxTransferMinutes: 360 }
+};
+
+// Typical visit length by POI category at a moderate pace
+const VISIT_MINUTES = {
+  temple: 60,
+  beach: 120,
+  restaurant: 60,
+  museum: 90,
+  park: 90,
+  shopping: 60,
+  nightlife: 120,
+  adventure: 180,
+  culture: 90
+};
+const DEFAULT_VISIT_MINUTES = 60;
+
+// Hotels are where travellers stay, not places to visit
+const EXCLUDED_CATEGORIES = ['hotel'];
+
+// Minutes of extra travel a matching interest is worth when picking the next stop
+const INTEREST_WEIGHT_MINUTES = 30;
+const START_TIME_STEP_MINUTES = 5;
+const MAX_SEARCH_RADIUS_KM = 400;
+const TRAVEL_MODE = 'driving';
+
+// Builds itineraries from preferences. `plan` is deterministic: it only works on the POIs
+// and guide it is given, with route estimates, seasons and fares computed locally, so the
+// same preferences and POIs always give the same itinerary.
+class ItineraryGenerator {
+  constructor() {
+    this.paces = PACES;
+  }
+
+  // Load the POIs around the start city and the guide rate, then plan
+  async generate(preferences) {
+    const pace = PACES[preferences.pace || 'moderate'];
+    const startDate = preferences.startDate || defaultStartDate();
+
+    const cityPOIs = await POI.findByCity(preferences.startCity);
+    if (cityPOIs.length === 0) {
+      throw handleNotFoundError(`No places found in ${preferences.startCity}`);
+    }
+
+    const origin = {
+      latitude: average(cityPOIs.map(poi => Number(poi.latitude))),
+      longitude: average(cityPOIs.map(poi => Number(poi.longitude)))
+    };
+
+    // As far as the day's transfers could reach over the whole trip
+    const radiusKm = Math.min(pace.maxTransferMinutes / 2 * preferences.days, MAX_SEARCH_RADIUS_KM);
+    const pois = await POI.findInArea(geoUtils.generateBoundingBox(origin.latitude, origin.longitude, radiusKm));
+
+    return this.plan({ ...preferences, startDate }, {
+      origin,
+      pois,
+      guide: await this.findGuide(preferences)
+    });
+  }
+
+  // Day by day, pick the next stop that is cheapest to reach (travel plus waiting for it
+  // to open, less a bonus per matching interest) and still fits its opening hours, the
+  // day and the budget; then reorder each day for the shortest drive. Stops in regions
+  // hit by that day's monsoon are left out.
+  async plan(preferences, { origin, pois, guide = null }) {
+    const pace = PACES[preferences.pace || 'moderate'];
+    const groupSize = preferences.groupSize || 1;
+    const rates = Driver.getBaseRates(preferences.vehicleType);
+    const budget = preferences.budget !== undefined ? Number(preferences.budget) : null;
+    const interests = (preferences.interests || []).map(interest => interest.toLowerCase());
+    const routes = new Map();
+
+    const route = async (from, to) => {
+      const key = `${from.latitude},${from.longitude}|${to.latitude},${to.longitude}`;
+      if (!routes.has(key)) {
+        routes.set(key, await locationService.calculateRoute(
+          { lat: Number(from.latitude), lng: Number(from.longitude) },
+          { lat: Number(to.latitude), lng: Number(to.longitude) },
+          TRAVEL_MODE
+        ));
+      }
+      return routes.get(key);
+    };
+
+    const candidates = pois
+      .filter(poi => poi.status === 'active' && !EXCLUDED_CATEGORIES.includes(poi.category))
+      .map(poi => ({ poi, matchedInterests: matchInterests(poi, interests) }))
+      .filter(candidate => interests.length === 0 || candidate.matchedInterests.length > 0)
+      .sort((a, b) => (a.poi.id < b.poi.id ? -1 : a.poi.id > b.poi.id ? 1 : 0));
+
+    const pricing = { pace, groupSize, rates, guide };
+    const visited = new Set();
+    const avoided = new Map();
+    const days = [];
+    let spent = 0;
+    let budgetLimited = false;
+    let position = origin;
+
+    for (let dayNumber = 1; dayNumber <= preferences.days; dayNumber++) {
+      const date = dayDate(preferences.startDate, dayNumber);
+      const noon = dateUtils.fromColombo(date, 12 * 60);
+
+      const available = candidates.filter(candidate => {
+        if (visited.has(candidate.poi.id)) return false;
+        if (!weatherService.isMonsoonAffected(candidate.poi.latitude, candidate.poi.longitude, noon)) return true;
+
+        avoided.set(candidate.poi.id, weatherService.getRegion(candidate.poi.latitude, candidate.poi.longitude));
+        return false;
+      });
+
+      const dayStart = position;
+      let stops = [];
+      let clock = dateUtils.parseTimeOfDay(pace.dayStart);
+      let dayCost = 0;
+
+      while (stops.length < pace.maxStops) {
+        let best = null;
+
+        for (const candidate of available) {
+          if (visited.has(candidate.poi.id)) continue;
+
+          const travel = await route(position, candidate.poi);
+          const maxMinutes = stops.length === 0 ? pace.maxTransferMinutes : pace.maxLegMinutes;
+          if (travel.duration > maxMinutes) continue;
+
+          const durationMinutes = visitMinutes(candidate.poi, pace);
+          const start = fitVisit(candidate.poi, date, clock + travel.duration, durationMinutes, pace);
+          if (start === null) continue;
+
+          const stop = { ...candidate, travel, start, durationMinutes };
+          const cost = costOfDay([...stops, stop], pricing);
+          if (budget !== null && spent + cost.total > budget) {
+            budgetLimited = true;
+            continue;
+          }
+
+          const rank = (start - clock) - INTEREST_WEIGHT_MINUTES * candidate.matchedInterests.length;
+          if (!best || rank < best.rank) {
+            best = { stop, rank, cost };
+          }
+        }
+
+        if (!best) break;
+
+        stops.push(best.stop);
+        visited.add(best.stop.poi.id);
+        dayCost = best.cost.total;
+        clock = best.stop.start + best.stop.durationMinutes;
+        position = best.stop.poi;
+      }
+
+      const reordered = await this.shortestOrder(stops, dayStart, date, pricing, route);
+      if (reordered && (budget === null || spent + costOfDay(reordered, pricing).total <= budget)) {
+        stops = reordered;
+        dayCost = costOfDay(stops, pricing).total;
+        position = stops[stops.length - 1].poi;
+      }
+
+      spent = roundAmount(spent + dayCost);
+      days.push({ dayNumber, date, stops, cost: costOfDay(stops, pricing) });
+    }
+
+    // Only count places the season kept out of the whole trip
+    visited.forEach(id => avoided.delete(id));
+
+    return summarize(preferences, { origin, days, guide, rates, budget, avoided, budgetLimited, pace });
+  }
+
+  // The order of a day's stops with the shortest total drive that still fits every
+  // opening time, or null when the picked order is already the shortest
+  async shortestOrder(stops, dayStart, date, pricing, route) {
+    if (stops.length < 2) return null;
+
+    let best = null;
+    let bestDistance = sumOf(stops, stop => stop.travel.distance);
+
+    for (const order of permutations(stops)) {
+      let position = dayStart;
+      let clock = dateUtils.parseTimeOfDay(pricing.pace.dayStart);
+      let distance = 0;
+      const timed = [];
+
+      for (const stop of order) {
+        const travel = await route(position, stop.poi);
+        const maxMinutes = timed.length === 0 ? pricing.pace.maxTransferMinutes : pricing.pace.maxLegMinutes;
+        const start = travel.duration > maxMinutes
+          ? null
+          : fitVisit(stop.poi, date, clock + travel.duration, stop.durationMinutes, pricing.pace);
+        if (start === null) break;
+
+        timed.push({ ...stop, travel, start });
+        distance += travel.distance;
+        clock = start + stop.durationMinutes;
+        position = stop.poi;
+      }
+
+      // Strictly shorter only, so ties keep the earlier order
+      if (timed.length === order.length && distance < bestDistance - 0.001) {
+        best = timed;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  // Save a generated plan as a draft itinerary the traveller can edit and book
+  async save(userId, preferences, generated) {
+    if (generated.summary.stops === 0) {
+      throw new AppError('No places fit these preferences, so there is nothing to save', 400);
+    }
+
+    const itinerary = await itineraryService.createItinerary(userId, {
+      title: preferences.title || `${preferences.days}-day trip from ${preferences.startCity}`,
+      startDate: generated.startDate,
+      days: preferences.days,
+      groupSize: preferences.groupSize,
+      travelMode: TRAVEL_MODE,
+      guideId: preferences.guideId
+    });
+
+    for (const day of generated.days) {
+      for (const stop of day.stops) {
+        await ItineraryStop.create({
+          itineraryId: itinerary.id,
+          poiId: stop.poiId,
+          dayNumber: day.dayNumber,
+          startTime: stop.startTime,
+          durationMinutes: stop.durationMinutes
+        });
+      }
+    }
+
+    logger.info(`Generated itinerary ${itinerary.id} saved for user: ${userId}`);
+    return Itinerary.findById(itinerary.id);
+  }
+
+  // The chosen guide, or the median rate of available guides when any guide will do
+  async findGuide({ guideId, withGuide }) {
+    if (guideId) {
+      const guide = await Guide.findById(guideId);
+      if (!guide) {
+        throw handleNotFoundError('Guide not found');
+      }
+      return guide;
+    }
+
+    if (!withGuide) return null;
+
+    const { data, error } = await db.supabase
+      .from('guides')
+      .select('hourly_rate')
+      .eq('is_available', true);
+
+    if (error) throw error;
+    if (data.length === 0) {
+      throw new AppError('No guides are available at the moment', 400);
+    }
+
+    const rates = data.map(guide => Number(guide.hourly_rate)).sort((a, b) => a - b);
+    return new Guide({ id: null, hourly_rate: rates[Math.floor(rates.length / 2)] });
+  }
+}
+
+// Helper Functions
+
+// Earliest start at or after `earliest` (minutes into the Colombo day) when the POI is
+// open for the whole visit and the visit ends within the day; null if there is none
+function fitVisit(poi, date, earliest, durationMinutes, pace) {
+  let start = Math.ceil(earliest / START_TIME_STEP_MINUTES) * START_TIME_STEP_MINUTES;
+  const arrival = dateUtils.fromColombo(date, start);
+
+  if (!poi.isOpenAt(arrival)) {
+    const nextOpen = poi.getNextOpenTime(arrival);
+    if (!nextOpen) return null;
+
+    const opening = dateUtils.toColombo(nextOpen);
+    if (opening.date !== date) return null;
+    start = opening.minutes;
+  }
+
+  const end = start + durationMinutes;
+  if (end > dateUtils.parseTimeOfDay(pace.dayEnd)) return null;
+  if (!poi.isOpenAt(dateUtils.fromColombo(date, end))) return null;
+
+  return start;
+}
+
+// Entry fees for the group, a fare per drive at the vehicle's base rates and the
+// guide's hours from the first arrival to the last departure
+function costOfDay(stops, { groupSize, rates, guide }) {
+  const entryFees = roundAmount(sumOf(stops, stop => Number(stop.poi.entryFee || 0) * groupSize));
+  const transport = roundAmount(sumOf(stops, stop =>
+    rates.base + stop.travel.distance * rates.perKm + stop.travel.duration * rates.perMinute
+  ));
+
+  let guideHours = 0;
+  if (guide && stops.length > 0) {
+    const last = stops[stops.length - 1];
+    guideHours = Math.ceil((last.start + last.durationMinutes - stops[0].start) / 60);
+  }
+  const guideAmount = guideHours > 0 ? roundAmount(guide.calculatePrice(guideHours, groupSize)) : 0;
+
+  return {
+    entryFees,
+    transport,
+    guideHours,
+    guide: guideAmount,
+    total: roundAmount(entryFees + transport + guideAmount)
+  };
+}
+
+function summarize(preferences, { origin, days, guide, rates, budget, avoided, budgetLimited, pace }) {
+  const season = weatherService.getMonsoonSeasonInfo(dateUtils.fromColombo(preferences.startDate, 12 * 60));
+  const totals = {
+    entryFees: roundAmount(sumOf(days, day => day.cost.entryFees)),
+    transport: roundAmount(sumOf(days, day => day.cost.transport)),
+    guideHours: sumOf(days, day => day.cost.guideHours),
+    guide: roundAmount(sumOf(days, day => day.cost.guide))
+  };
+  const total = roundAmount(totals.entryFees + totals.transport + totals.guide);
+  const stopCount = sumOf(days, day => day.stops.length);
+
+  const warnings = [];
+  if (stopCount === 0) {
+    warnings.push('No places fit these preferences. Try other interests, a larger budget or a different start city.');
+  }
+  days.filter(day => day.stops.length === 0 && stopCount > 0).forEach(day => {
+    warnings.push(`Nothing suitable is left for day ${day.dayNumber}; it is kept free`);
+  });
+  if (avoided.size > 0) {
+    warnings.push(`${avoided.size} place${avoided.size === 1 ? ' was' : 's were'} left out because of the ${season.season}`);
+  }
+  if (budgetLimited) {
+    warnings.push('Some places were left out to stay within the budget');
+  }
+
+  return {
+    startCity: preferences.startCity,
+    startDate: preferences.startDate,
+    origin,
+    pace: preferences.pace || 'moderate',
+    interests: preferences.interests || [],
+    season: {
+      season: season.season,
+      period: season.period,
+      affectedRegions: season.affectedRegions
+    },
+    avoidedRegions: [...new Set(avoided.values())].sort(),
+    days: days.map(day => ({
+      dayNumber: day.dayNumber,
+      date: day.date,
+      stops: day.stops.map(stop => ({
+        poiId: stop.poi.id,
+        name: stop.poi.name,
+        category: stop.poi.category,
+        city: stop.poi.city,
+        latitude: Number(stop.poi.latitude),
+        longitude: Number(stop.poi.longitude),
+        region: weatherService.getRegion(stop.poi.latitude, stop.poi.longitude),
+        matchedInterests: stop.matchedInterests,
+        startTime: dateUtils.formatTimeOfDay(stop.start),
+        durationMinutes: stop.durationMinutes,
+        entryFee: Number(stop.poi.entryFee || 0),
+        travel: stop.travel
+      })),
+      distance: roundAmount(sumOf(day.stops, stop => stop.travel.distance)),
+      travelMinutes: sumOf(day.stops, stop => stop.travel.duration),
+      cost: day.cost
+    })),
+    costs: {
+      currency: 'LKR',
+      groupSize: preferences.groupSize || 1,
+      entryFees: totals.entryFees,
+      transport: {
+        vehicleType: Driver.BASE_RATES[preferences.vehicleType] ? preferences.vehicleType : 'standard',
+        rates,
+        amount: totals.transport
+      },
+      guide: guide ? {
+        guideId: guide.id,
+        hourlyRate: Number(guide.hourlyRate),
+        hours: totals.guideHours,
+        amount: totals.guide
+      } : null,
+      total
+    },
+    budget,
+    withinBudget: budget === null || total <= budget,
+    summary: {
+      stops: stopCount,
+      distance: roundAmount(sumOf(days, day => sumOf(day.stops, stop => stop.travel.distance))),
+      travelMinutes: sumOf(days, day => sumOf(day.stops, stop => stop.travel.duration)),
+      maxStopsPerDay: pace.maxStops
+    },
+    warnings
+  };
+}
+
+// Interests match a POI's category or any of its tags
+function matchInterests(poi, interests) {
+  const labels = [poi.category, ...(poi.tags || [])].filter(Boolean).map(label => label.toLowerCase());
+  return interests.filter(interest => labels.includes(interest));
+}
+
+function visitMinutes(poi, pace) {
+  const minutes = (VISIT_MINUTES[poi.category] || DEFAULT_VISIT_MINUTES) * pace.visitFactor;
+  return Math.round(minutes / START_TIME_STEP_MINUTES) * START_TIME_STEP_MINUTES;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+// Colombo calendar date (YYYY-MM-DD) of day 1, 2, ...
+function dayDate(startDate, dayNumber) {
+  return dateUtils.toColombo(dateUtils.fromColombo(startDate, (dayNumber - 1) * 24 * 60 + 12 * 60)).date;
+}
+
+// Tomorrow in Colombo
+function defaultStartDate() {
+  return dateUtils.toColombo(dateUtils.addDays(new Date(), 1)).date;
+}
+
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function sumOf(items, valueOf) {
+  return items.reduce((total, item) => total + (Number(valueOf(item)) || 0), 0);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = new ItineraryGenerator();
@@ -0,0 +1,147 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../config/cache', () => ({ cache: {} }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./itineraryService', () => ({}));
+
+const POI = require('../models/POI');
+const Guide = require('../models/Guide');
+const itineraryGenerator = require('./itineraryGenerator');
+
+// Inland near Kurunegala (Central Region); a little further west is the Western Coast
+const ORIGIN = { latitude: 7.6, longitude: 80.3 };
+
+// Always-open POIs spread a kilometre or so apart, eastwards from `longitude`
+function buildPOIs(prefix, count, { longitude = 80.31, category = 'temple', entryFee = 500 } = {}) {
+  return Array.from({ length: count }, (item, index) => new POI({
+    id: `${prefix}-${index + 1}`,
+    name: `${prefix} ${index + 1}`,
+    category,
+    latitude: ORIGIN.latitude + index * 0.005,
+    longitude: longitude + index * 0.005,
+    city: 'Kurunegala',
+    entry_fee: entryFee,
+    operating_hours: {},
+    status: 'active'
+  }));
+}
+
+function plan(preferences, pois, guide = null) {
+  return itineraryGenerator.plan({ startCity: 'Kurunegala', startDate: '2026-03-02', days: 1, ...preferences }, {
+    origin: ORIGIN,
+    pois,
+    guide
+  });
+}
+
+function stopIds(itinerary) {
+  return itinerary.days.flatMap(day => day.stops.map(stop => stop.poiId));
+}
+
+describe('itineraryGenerator.plan', () => {
+  describe('pace', () => {
+    it.each([
+      ['relaxed', 2],
+      ['moderate', 3],
+      ['packed', 5]
+    ])('fits at most the %s number of stops into a day', async (pace, maxStops) => {
+      const itinerary = await plan({ pace }, buildPOIs('temple', 8));
+
+      expect(itinerary.summary.maxStopsPerDay).toBe(maxStops);
+      expect(itinerary.days[0].stops).toHaveLength(maxStops);
+    });
+
+    it('spends longer at each stop at a relaxed pace', async () => {
+      const relaxed = await plan({ pace: 'relaxed' }, buildPOIs('temple', 2));
+      const packed = await plan({ pace: 'packed' }, buildPOIs('temple', 2));
+
+      expect(relaxed.days[0].stops.map(stop => stop.durationMinutes)).toEqual([75, 75]);
+      expect(packed.days[0].stops.map(stop => stop.durationMinutes)).toEqual([45, 45]);
+      expect(relaxed.days[0].stops[0].startTime > packed.days[0].stops[0].startTime).toBe(true);
+    });
+
+    it('carries places that did not fit on to the next day', async () => {
+      const itinerary = await plan({ pace: 'relaxed', days: 2 }, buildPOIs('temple', 4));
+
+      expect(itinerary.days.map(day => day.stops.length)).toEqual([2, 2]);
+      expect(new Set(stopIds(itinerary)).size).toBe(4);
+    });
+  });
+
+  describe('budget', () => {
+    it('leaves places out to stay within the budget and says so', async () => {
+      const pois = buildPOIs('temple', 6, { entryFee: 1000 });
+      const unlimited = await plan({ pace: 'packed' }, pois);
+
+      const limited = await plan({ pace: 'packed', budget: 3000 }, pois);
+
+      expect(unlimited.days[0].stops).toHaveLength(5);
+      expect(limited.summary.stops).toBeGreaterThan(0);
+      expect(limited.summary.stops).toBeLessThan(5);
+      expect(limited.costs.total).toBeLessThanOrEqual(3000);
+      expect(limited.withinBudget).toBe(true);
+      expect(limited.warnings).toContain('Some places were left out to stay within the budget');
+    });
+
+    it('counts entry fees per traveller and the guide by the hour', async () => {
+      const guide = new Guide({ id: 'guide-1', hourly_rate: 1000, max_group_size: 4 });
+
+      const itinerary = await plan({ pace: 'moderate', groupSize: 2 }, buildPOIs('temple', 1), guide);
+
+      expect(itinerary.costs.entryFees).toBe(1000);
+      expect(itinerary.costs.guide).toMatchObject({ guideId: 'guide-1', hours: 1, amount: 1000 });
+      expect(itinerary.costs.total).toBe(itinerary.costs.entryFees + itinerary.costs.transport.amount + 1000);
+    });
+
+    it('plans nothing rather than overspend', async () => {
+      const itinerary = await plan({ budget: 100 }, buildPOIs('temple', 3));
+
+      expect(itinerary.summary.stops).toBe(0);
+      expect(itinerary.costs.total).toBe(0);
+      expect(itinerary.warnings).toContain('Some places were left out to stay within the budget');
+    });
+  });
+
+  describe('monsoon', () => {
+    // Inland temples and, a few kilometres west, beaches on the Western Coast
+    const pois = () => [
+      ...buildPOIs('temple', 2),
+      ...buildPOIs('beach', 2, { longitude: 80.2, category: 'beach' })
+    ];
+
+    it('leaves out regions hit by the monsoon in season', async () => {
+      const itinerary = await plan({ pace: 'packed', startDate: '2026-07-06' }, pois());
+
+      expect(itinerary.season.season).toBe('Southwest Monsoon (Yala)');
+      expect(stopIds(itinerary).sort()).toEqual(['temple-1', 'temple-2']);
+      expect(itinerary.avoidedRegions).toEqual(['Western Coast']);
+      expect(itinerary.warnings).toContain('2 places were left out because of the Southwest Monsoon (Yala)');
+    });
+
+    it('keeps those regions outside the season', async () => {
+      const itinerary = await plan({ pace: 'packed', startDate: '2026-03-02' }, pois());
+
+      expect(stopIds(itinerary).sort()).toEqual(['beach-1', 'beach-2', 'temple-1', 'temple-2']);
+      expect(itinerary.avoidedRegions).toEqual([]);
+      expect(itinerary.warnings).toEqual([]);
+    });
+
+    it('checks the season of each day of the trip', async () => {
+      // The Southwest Monsoon starts in May
+      const beaches = buildPOIs('beach', 4, { longitude: 80.2, category: 'beach' });
+
+      const itinerary = await plan({ pace: 'relaxed', startDate: '2026-04-30', days: 2 }, beaches);
+
+      expect(itinerary.days.map(day => day.stops.length)).toEqual([2, 0]);
+      expect(itinerary.avoidedRegions).toEqual(['Western Coast']);
+    });
+  });
+
+  it('gives the same itinerary for the same preferences and places in any order', async () => {
+    const pois = buildPOIs('temple', 7);
+
+    const first = await plan({ pace: 'moderate', days: 2 }, pois);
+    const second = await plan({ pace: 'moderate', days: 2 }, [...pois].reverse());
+
+    expect(second).toEqual(first);
+  });
+});
@@ -0,0 +1,484 @@
+const Itinerary = require('../models/Itinerary');
+const ItineraryStop = require('../models/ItineraryStop');
+const Booking = require('../models/Booking');
+const Guide = require('../models/Guide');
+const Driver = require('../models/Driver');
+const POI = require('../models/POI');
+const locationService = require('./locationService');
+const weatherService = require('./weatherService');
+const guideAvailabilityService = require('./guideAvailabilityService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const bookingLegService = require('./bookingLegService');
+const bookingStateMachine = require('./bookingStateMachine');
+const { dateUtils } = require('../utils/helpers');
+const { AppError, handleConflictError, handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Weather recommendations worth flagging on a day of the plan
+const WEATHER_WARNING_TYPES = ['warning', 'caution'];
+
+// Day-by-day trip plans built from POI visits. The plan (opening hours, travel between
+// stops, weather and the price of the attached guide and driver) is worked out on every
+// read, so it follows changes to the POIs and providers. Checkout books the attached
+// guide and driver for the whole trip as one order, paid through the usual booking checkout.
+class ItineraryService {
+  async createItinerary(userId, itineraryData) {
+    await this.checkProviders(itineraryData);
+    return Itinerary.create({ ...itineraryData, userId });
+  }
+
+  // Owners see their own itineraries; anyone else gets a 404
+  async getOwnItinerary(id, userId) {
+    const itinerary = await Itinerary.findById(id);
+    if (!itinerary || itinerary.userId !== userId) {
+      throw handleNotFoundError('Itinerary not found');
+    }
+    return itinerary;
+  }
+
+  async getSharedItinerary(token) {
+    const itinerary = await Itinerary.findByShareToken(token);
+    if (!itinerary) {
+      throw handleNotFoundError('Itinerary not found');
+    }
+    return itinerary;
+  }
+
+  async updateItinerary(itinerary, updates) {
+    await this.ensureEditable(itinerary);
+    await this.checkProviders(updates);
+
+    if (updates.days !== undefined && (itinerary.stops || []).some(stop => stop.dayNumber > updates.days)) {
+      throw new AppError(`Remove the stops after day ${updates.days} first`, 400);
+    }
+
+    const columns = {
+      title: 'title',
+      description: 'description',
+      startDate: 'start_date',
+      days: 'days',
+      groupSize: 'group_size',
+      travelMode: 'travel_mode',
+      guideId: 'guide_id',
+      driverId: 'driver_id'
+    };
+
+    const updateData = {};
+    Object.keys(columns).forEach(key => {
+      if (updates[key] !== undefined) updateData[columns[key]] = updates[key];
+    });
+
+    return itinerary.update(updateData);
+  }
+
+  async deleteItinerary(itinerary) {
+    await this.ensureEditable(itinerary);
+    await itinerary.remove();
+  }
+
+  async addStop(itinerary, stopData) {
+    await this.ensureEditable(itinerary);
+    this.checkDay(itinerary, stopData.dayNumber);
+    await this.getVisitablePOI(stopData.poiId);
+
+    const stop = await ItineraryStop.create({ ...stopData, itineraryId: itinerary.id });
+    itinerary.stops = ItineraryStop.sortBySchedule([...(itinerary.stops || []), stop]);
+    return stop;
+  }
+
+  async updateStop(itinerary, stopId, updates) {
+    await this.ensureEditable(itinerary);
+    const stop = this.findStop(itinerary, stopId);
+
+    if (updates.dayNumber !== undefined) this.checkDay(itinerary, updates.dayNumber);
+    if (updates.poiId !== undefined) await this.getVisitablePOI(updates.poiId);
+
+    const columns = {
+      poiId: 'poi_id',
+      dayNumber: 'day_number',
+      startTime: 'start_time',
+      durationMinutes: 'duration_minutes',
+      notes: 'notes'
+    };
+
+    const updateData = {};
+    Object.keys(columns).forEach(key => {
+      if (updates[key] !== undefined) updateData[columns[key]] = updates[key];
+    });
+
+    await stop.update(updateData);
+    ItineraryStop.sortBySchedule(itinerary.stops);
+    return stop;
+  }
+
+  async removeStop(itinerary, stopId) {
+    await this.ensureEditable(itinerary);
+    const stop = this.findStop(itinerary, stopId);
+
+    await stop.remove();
+    itinerary.stops = itinerary.stops.filter(other => other.id !== stop.id);
+  }
+
+  // Each stop checked against the POI's opening hours and the time needed to get there
+  // from the previous stop, with travel totals, entry fees, weather warnings per day and
+  // the price of the attached guide and driver
+  async buildPlan(itinerary) {
+    const days = [];
+    let previous = null;
+
+    for (let dayNumber = 1; dayNumber <= itinerary.days; dayNumber++) {
+      const date = itinerary.getDayDate(dayNumber);
+      const stops = [];
+
+      for (const stop of itinerary.getStopsForDay(dayNumber)) {
+        const arrival = dateUtils.fromColombo(date, dateUtils.parseTimeOfDay(stop.startTime));
+        const departure = new Date(arrival.getTime() + stop.durationMinutes * MINUTE_MS);
+
+        // The first stop of a day is reached from where the previous day ended
+        const travel = previous ? await this.estimateTravel(previous.stop, stop, itinerary.travelMode) : null;
+        const sameDay = Boolean(previous) && previous.stop.dayNumber === dayNumber;
+
+        stops.push({
+          ...stop.toSafeObject(),
+          arrival: arrival.toISOString(),
+          departure: departure.toISOString(),
+          travel,
+          warnings: this.checkStop(stop, arrival, departure, {
+            previousDeparture: sameDay ? previous.departure : null,
+            travel
+          })
+        });
+
+        previous = { stop, departure };
+      }
+
+      days.push({
+        dayNumber,
+        date,
+        weekday: dateUtils.toColombo(dateUtils.fromColombo(date, 12 * 60)).weekday,
+        start: stops.length > 0 ? stops[0].arrival : null,
+        end: stops.length > 0 ? stops[stops.length - 1].departure : null,
+        distance: roundAmount(sumOf(stops, stop => stop.travel?.distance)),
+        travelMinutes: sumOf(stops, stop => stop.travel?.duration),
+        entryFees: roundAmount(sumOf(stops, stop => stop.poi?.entryFee)),
+        stops,
+        weather: await this.getWeather(stops, date)
+      });
+    }
+
+    return {
+      days,
+      totals: {
+        stops: sumOf(days, day => day.stops.length),
+        distance: roundAmount(sumOf(days, day => day.distance)),
+        travelMinutes: sumOf(days, day => day.travelMinutes),
+        entryFees: roundAmount(sumOf(days, day => day.entryFees)),
+        warnings: sumOf(days, day => sumOf(day.stops, stop => stop.warnings.length) + (day.weather?.warnings.length || 0))
+      },
+      quote: await this.quote(itinerary, days)
+    };
+  }
+
+  // Book the attached guide and driver for the whole trip as one order: a guide, driver or
+  // combined booking from the start of the first planned day to the end of the last, priced
+  // per day of the plan. The traveller pays it like any other booking.
+  async checkout(itinerary, user, { displayCurrency, fxRate, specialRequests } = {}) {
+    await this.ensureEditable(itinerary);
+
+    if (!itinerary.guideId && !itinerary.driverId) {
+      throw new AppError('Add a guide or driver to the itinerary before booking it', 400);
+    }
+
+    const plan = await this.buildPlan(itinerary);
+    const plannedDays = plan.days.filter(day => day.stops.length > 0);
+    if (plannedDays.length === 0) {
+      throw new AppError('Add at least one stop before booking the itinerary', 400);
+    }
+
+    const startDate = plannedDays[0].start;
+    const endDate = plannedDays[plannedDays.length - 1].end;
+    if (new Date(startDate) <= new Date()) {
+      throw new AppError('The itinerary has already started', 400);
+    }
+
+    await this.checkAvailability(itinerary, plannedDays);
+
+    const firstStop = plannedDays[0].stops[0];
+    const lastDay = plannedDays[plannedDays.length - 1];
+    const lastStop = lastDay.stops[lastDay.stops.length - 1];
+
+    const bookingData = {
+      userId: user.id,
+      type: itinerary.guideId && itinerary.driverId ? 'combined' : (itinerary.guideId ? 'guide' : 'driver'),
+      guideId: itinerary.guideId,
+      driverId: itinerary.driverId,
+      startDate,
+      endDate,
+      duration: sumOf(plannedDays, day => serviceHours(day)),
+      groupSize: itinerary.groupSize,
+      pickupLocation: toLocation(firstStop.poi),
+      dropoffLocation: toLocation(lastStop.poi),
+      specialRequests: specialRequests || `Itinerary: ${itinerary.title}`,
+      totalAmount: plan.quote.totalAmount,
+      displayCurrency,
+      fxRate
+    };
+
+    const legs = bookingData.type === 'combined'
+      ? bookingLegService.buildLegs(bookingData, {
+        guide: plan.quote.guide.amount,
+        driver: plan.quote.driver.amount
+      })
+      : null;
+
+    bookingData.cancellationPolicy = await cancellationPolicyService.resolveForBooking(bookingData);
+
+    // Claim the itinerary first, so a double submit cannot book the trip twice
+    const claimed = await itinerary.transition(['draft'], { status: 'booked', booking_id: null });
+    if (!claimed) {
+      throw handleConflictError('This itinerary is already being booked');
+    }
+
+    let booking;
+    try {
+      // The guide's time is held for the whole trip, nights included
+      booking = bookingData.guideId
+        ? await guideAvailabilityService.reserveBooking(bookingData)
+        : await Booking.create(bookingData);
+
+      if (legs) {
+        await bookingLegService.createLegs(booking, legs);
+      }
+    } catch (error) {
+      await itinerary.transition(['booked'], { status: 'draft', booking_id: null });
+      throw error;
+    }
+
+    await itinerary.update({ booking_id: booking.id });
+    await bookingStateMachine.recordCreated(booking, bookingStateMachine.actorFor(booking, user));
+
+    logger.info(`Itinerary ${itinerary.id} booked as ${booking.type} booking ${booking.id} by user: ${user.id}`);
+
+    return { booking, plan };
+  }
+
+  // A booked itinerary is locked while its booking stands; once the booking is cancelled
+  // (or expired unpaid) it goes back to being a draft that can be changed and booked again
+  async ensureEditable(itinerary) {
+    if (itinerary.status !== 'booked') return itinerary;
+
+    const booking = itinerary.bookingId ? await Booking.findById(itinerary.bookingId) : null;
+    if (itinerary.bookingId && (!booking || booking.status === 'cancelled')) {
+      await itinerary.transition(['booked'], { status: 'draft', booking_id: null });
+      return itinerary;
+    }
+
+    throw handleConflictError('This itinerary is booked. Cancel its booking to change it.');
+  }
+
+  // Guide and driver attached to an itinerary must exist
+  async checkProviders({ guideId, driverId }) {
+    if (guideId && !(await Guide.findById(guideId))) {
+      throw handleNotFoundError('Guide not found');
+    }
+
+    if (driverId && !(await Driver.findById(driverId))) {
+      throw handleNotFoundError('Driver not found');
+    }
+  }
+
+  async getVisitablePOI(poiId) {
+    const poi = await POI.findById(poiId);
+    if (!poi || poi.status !== 'active') {
+      throw handleNotFoundError('POI not found');
+    }
+    return poi;
+  }
+
+  checkDay(itinerary, dayNumber) {
+    if (dayNumber > itinerary.days) {
+      throw new AppError(`The itinerary has ${itinerary.days} day${itinerary.days === 1 ? '' : 's'}`, 400);
+    }
+  }
+
+  findStop(itinerary, stopId) {
+    const stop = (itinerary.stops || []).find(candidate => candidate.id === stopId);
+    if (!stop) {
+      throw handleNotFoundError('Itinerary stop not found');
+    }
+    return stop;
+  }
+
+  async estimateTravel(from, to, mode) {
+    if (!from.poi || !to.poi) return null;
+
+    return locationService.calculateRoute(
+      { lat: Number(from.poi.latitude), lng: Number(from.poi.longitude) },
+      { lat: Number(to.poi.latitude), lng: Number(to.poi.longitude) },
+      mode
+    );
+  }
+
+  checkStop(stop, arrival, departure, { previousDeparture, travel }) {
+    const warnings = [];
+    const poi = stop.poi;
+
+    if (!poi || poi.status !== 'active') {
+      warnings.push({ type: 'poi_unavailable', message: 'This place is no longer listed' });
+      return warnings;
+    }
+
+    if (!poi.isOpenAt(arrival)) {
+      const nextOpenTime = poi.getNextOpenTime(arrival);
+      warnings.push({
+        type: 'closed',
+        message: `${poi.name} is closed at this time`,
+        nextOpenTime: nextOpenTime ? nextOpenTime.toISOString() : null
+      });
+    } else if (!poi.isOpenAt(departure)) {
+      warnings.push({ type: 'closes_during_visit', message: `${poi.name} closes before the visit ends` });
+    }
+
+    if (previousDeparture) {
+      const earliestArrival = new Date(previousDeparture.getTime() + (travel ? travel.duration : 0) * MINUTE_MS);
+      if (earliestArrival > arrival) {
+        warnings.push({
+          type: 'not_enough_travel_time',
+          message: `Leaves ${Math.round((earliestArrival - arrival) / MINUTE_MS)} minutes too little to get here from the previous stop`,
+          earliestArrival: earliestArrival.toISOString()
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  // Forecast between the day's first and last stop. Weather is advisory, so a failed
+  // lookup leaves the day without it rather than failing the plan.
+  async getWeather(stops, date) {
+    const located = stops.filter(stop => stop.poi);
+    if (located.length === 0) return null;
+
+    const first = located[0].poi;
+    const last = located[located.length - 1].poi;
+
+    try {
+      const journey = await weatherService.planJourneyWithWeather(
+        { lat: Number(first.latitude), lng: Number(first.longitude) },
+        { lat: Number(last.latitude), lng: Number(last.longitude) },
+        dateUtils.fromColombo(date, 12 * 60)
+      );
+
+      return {
+        forecast: journey.weather.forecast || null,
+        season: journey.monsoon.season,
+        warnings: journey.recommendations
+          .filter(recommendation => WEATHER_WARNING_TYPES.includes(recommendation.type))
+          .map(recommendation => ({
+            type: recommendation.type,
+            priority: recommendation.priority,
+            message: recommendation.message
+          })),
+        packingList: journey.packingList
+      };
+    } catch (error) {
+      logger.error(`Error getting weather for itinerary day ${date}:`, error);
+      return null;
+    }
+  }
+
+  // Guide by the hour of each planned day, driver by each day's distance and driving time
+  async quote(itinerary, days) {
+    const plannedDays = days.filter(day => day.stops.length > 0);
+    if (plannedDays.length === 0 || (!itinerary.guideId && !itinerary.driverId)) return null;
+
+    const quote = { guide: null, driver: null, totalAmount: 0 };
+
+    if (itinerary.guideId) {
+      const guide = await Guide.findById(itinerary.guideId);
+      if (guide) {
+        const hours = sumOf(plannedDays, day => serviceHours(day));
+        quote.guide = {
+          guideId: guide.id,
+          hourlyRate: guide.hourlyRate,
+          hours,
+          amount: roundAmount(sumOf(plannedDays, day => guide.calculatePrice(serviceHours(day), itinerary.groupSize)))
+        };
+      }
+    }
+
+    if (itinerary.driverId) {
+      const driver = await Driver.findById(itinerary.driverId);
+      if (driver) {
+        quote.driver = {
+          driverId: driver.id,
+          days: plannedDays.length,
+          distance: roundAmount(sumOf(plannedDays, day => day.distance)),
+          travelMinutes: sumOf(plannedDays, day => day.travelMinutes),
+          amount: roundAmount(sumOf(plannedDays, day => driver.calculatePrice(day.distance, day.travelMinutes)))
+        };
+      }
+    }
+
+    quote.totalAmount = roundAmount((quote.guide?.amount || 0) + (quote.driver?.amount || 0));
+    return quote;
+  }
+
+  // Every planned day must fit the providers' working days and hours, and the guide
+  // must be free for it
+  async checkAvailability(itinerary, plannedDays) {
+    if (itinerary.guideId) {
+      const guide = await Guide.findById(itinerary.guideId);
+      if (!guide) {
+        throw handleNotFoundError('Guide not found');
+      }
+
+      for (const day of plannedDays) {
+        const slot = await guideAvailabilityService.checkSlot(guide, day.start, day.end);
+        if (!slot.available) {
+          throw new AppError(`Guide not available on day ${day.dayNumber}: ${slot.reason}`, 400);
+        }
+      }
+    }
+
+    if (itinerary.driverId) {
+      const driver = await Driver.findById(itinerary.driverId);
+      if (!driver) {
+        throw handleNotFoundError('Driver not found');
+      }
+
+      const unavailable = plannedDays.find(day => !driver.isAvailableForRide(day.start, serviceHours(day)));
+      if (unavailable) {
+        throw new AppError(`Driver not available on day ${unavailable.dayNumber}`, 400);
+      }
+    }
+  }
+}
+
+// Helper Functions
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function sumOf(items, valueOf) {
+  return items.reduce((total, item) => total + (Number(valueOf(item)) || 0), 0);
+}
+
+// Whole hours from the first arrival to the last departure of a day
+function serviceHours(day) {
+  return Math.ceil((new Date(day.end) - new Date(day.start)) / HOUR_MS);
+}
+
+function toLocation(poi) {
+  return {
+    address: poi.address,
+    latitude: Number(poi.latitude),
+    longitude: Number(poi.longitude)
+  };
+}
+
+module.exports = new ItineraryService();
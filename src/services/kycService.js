@@ -0,0 +1,354 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/database');
+const KycVerification = require('../models/KycVerification');
+const User = require('../models/User');
+const storageService = require('./storageService');
+const notificationService = require('./notificationService');
+const { AppError, handleConflictError, handleNotFoundError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const { DOCUMENT_TYPES } = KycVerification;
+
+// Documents each role needs per tier; a group is satisfied by any one of its types
+const ROLE_REQUIREMENTS = {
+  tourist: [
+    { tier: 2, documentTypes: ['nic', 'passport'] }
+  ],
+  guide: [
+    { tier: 2, documentTypes: ['nic', 'passport'] },
+    { tier: 3, documentTypes: ['guide_license'] }
+  ],
+  driver: [
+    { tier: 2, documentTypes: ['nic', 'passport'] },
+    { tier: 3, documentTypes: ['driving_license'] },
+    { tier: 3, documentTypes: ['vehicle_revenue_license'] }
+  ]
+};
+
+const IMAGE_MAX_DIMENSION = 2000;
+const THUMBNAIL_SIZE = 320;
+
+class KycService {
+  constructor() {
+    this.bucket = process.env.KYC_STORAGE_BUCKET || 'kyc-documents';
+    this.expiryReminderDays = parseInt(process.env.KYC_EXPIRY_REMINDER_DAYS) || 30;
+  }
+
+  getRequirements(role) {
+    return ROLE_REQUIREMENTS[role] || ROLE_REQUIREMENTS.tourist;
+  }
+
+  // Re-encode an upload: applies EXIF orientation, then drops all metadata (GPS, device)
+  async processImage(buffer) {
+    try {
+      const image = sharp(buffer).rotate();
+
+      const [full, thumbnail] = await Promise.all([
+        image.clone()
+          .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 85 })
+          .toBuffer(),
+        image.clone()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 70 })
+          .toBuffer()
+      ]);
+
+      return { full, thumbnail };
+    } catch (error) {
+      logger.warn(`KYC image processing failed: ${error.message}`);
+      throw new AppError('Uploaded file is not a readable image', 400);
+    }
+  }
+
+  // Process and store one side of a document; returns the storage paths
+  async storeImage(userId, folder, side, file) {
+    const { full, thumbnail } = await this.processImage(file.buffer);
+    const basePath = `${userId}/${folder}/${side}`;
+
+    const [image, thumb] = await Promise.all([
+      storageService.upload(this.bucket, `${basePath}.jpg`, full, 'image/jpeg'),
+      storageService.upload(this.bucket, `${basePath}_thumb.jpg`, thumbnail, 'image/jpeg')
+    ]);
+
+    return { image, thumbnail: thumb };
+  }
+
+  async storeImages(userId, files) {
+    const folder = uuidv4();
+    const front = files.front ? await this.storeImage(userId, folder, 'front', files.front) : null;
+    const back = files.back ? await this.storeImage(userId, folder, 'back', files.back) : null;
+    return { front, back };
+  }
+
+  async submitDocument(user, fields, files) {
+    const { documentType, documentNumber, expiresAt } = fields;
+
+    if (!files.front) {
+      throw new AppError('Front image of the document is required', 400);
+    }
+
+    const existing = await KycVerification.findOpenByUserAndType(user.id, documentType);
+    if (existing) {
+      throw handleConflictError(`A ${DOCUMENT_TYPES[documentType].label} is already ${existing.status.replace(/_/g, ' ')}`);
+    }
+
+    const { front, back } = await this.storeImages(user.id, files);
+
+    try {
+      const verification = await KycVerification.create({
+        userId: user.id,
+        documentType,
+        documentNumber,
+        expiresAt,
+        documentImage: front.image,
+        documentThumbnail: front.thumbnail,
+        documentBackImage: back?.image,
+        documentBackThumbnail: back?.thumbnail
+      });
+
+      logger.info(`KYC document submitted: ${verification.id} (${documentType}) by user ${user.id}`);
+      return verification;
+    } catch (error) {
+      await storageService.remove(this.bucket, [front.image, front.thumbnail, back?.image, back?.thumbnail]);
+      throw error;
+    }
+  }
+
+  // Answer a request for more information - new images and/or corrected details
+  async resubmitDocument(user, id, fields, files) {
+    const verification = await KycVerification.findById(id);
+    if (!verification || verification.userId !== user.id) {
+      throw handleNotFoundError('Document not found');
+    }
+
+    if (verification.status !== 'more_info_required') {
+      throw handleConflictError('Only documents awaiting more information can be updated');
+    }
+
+    const { front, back } = await this.storeImages(user.id, files);
+
+    const updates = {
+      status: 'pending',
+      ...(fields.documentNumber && { document_number: fields.documentNumber }),
+      ...(fields.expiresAt && { expires_at: fields.expiresAt }),
+      ...(front && { document_image: front.image, document_thumbnail: front.thumbnail }),
+      ...(back && { document_back_image: back.image, document_back_thumbnail: back.thumbnail })
+    };
+
+    const updated = await verification.transition(['more_info_required'], updates);
+    if (!updated) {
+      await storageService.remove(this.bucket, [front?.image, front?.thumbnail, back?.image, back?.thumbnail]);
+      throw handleConflictError('Document was updated by someone else');
+    }
+
+    await storageService.remove(this.bucket, [
+      front && verification.documentImage,
+      front && verification.documentThumbnail,
+      back && verification.documentBackImage,
+      back && verification.documentBackThumbnail
+    ]);
+
+    logger.info(`KYC document resubmitted: ${id} by user ${user.id}`);
+    return updated;
+  }
+
+  // Reviewer decision: approve | reject | request_info
+  async review(id, reviewerId, { decision, reason, notes, expiresAt }) {
+    const verification = await KycVerification.findById(id);
+    if (!verification) {
+      throw handleNotFoundError('Document not found');
+    }
+
+    const now = new Date().toISOString();
+    const updates = {
+      reviewed_by: reviewerId,
+      reviewed_at: now,
+      review_notes: notes || null
+    };
+
+    if (decision === 'approve') {
+      const effectiveExpiry = expiresAt || verification.expiresAt;
+      if (effectiveExpiry && new Date(effectiveExpiry) < new Date()) {
+        throw new AppError('Cannot approve an expired document', 400);
+      }
+
+      Object.assign(updates, {
+        status: 'approved',
+        verified_by: reviewerId,
+        verified_at: now,
+        rejection_reason: null,
+        ...(expiresAt && { expires_at: expiresAt })
+      });
+    } else if (decision === 'reject') {
+      Object.assign(updates, { status: 'rejected', rejection_reason: reason });
+    } else {
+      Object.assign(updates, { status: 'more_info_required' });
+    }
+
+    const updated = await verification.transition(['pending'], updates);
+    if (!updated) {
+      throw handleConflictError(`Document is ${verification.status.replace(/_/g, ' ')}, not pending review`);
+    }
+
+    logger.info(`KYC document ${id} reviewed by ${reviewerId}: ${updated.status}`);
+
+    await notificationService.sendKycReviewNotification(updated.userId, updated.toSafeObject());
+
+    if (updated.status === 'approved') {
+      await this.supersedePrevious(updated);
+      await this.syncVerificationTier(updated.userId);
+    }
+
+    return updated;
+  }
+
+  // A renewed document replaces the older approved copy of the same type
+  async supersedePrevious(verification) {
+    const { error } = await db.supabase
+      .from('kyc_verifications')
+      .update({ status: 'superseded', updated_at: new Date().toISOString() })
+      .eq('user_id', verification.userId)
+      .eq('document_type', verification.documentType)
+      .eq('status', 'approved')
+      .neq('id', verification.id);
+
+    if (error) throw error;
+  }
+
+  // Highest tier the user's approved, unexpired documents support
+  calculateTier(role, verifications) {
+    const approved = new Set(
+      verifications
+        .filter(v => v.status === 'approved' && !v.isExpired())
+        .map(v => v.documentType)
+    );
+
+    let tier = 1;
+    for (const targetTier of [2, 3]) {
+      const groups = this.getRequirements(role).filter(r => r.tier <= targetTier);
+      const reachable = groups.some(r => r.tier === targetTier) &&
+        groups.every(r => r.documentTypes.some(type => approved.has(type)));
+
+      if (!reachable) break;
+      tier = targetTier;
+    }
+
+    return tier;
+  }
+
+  // Bring users.verification_tier in line with their documents
+  async syncVerificationTier(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const verifications = await KycVerification.findByUserId(userId);
+    const tier = this.calculateTier(user.role, verifications);
+
+    if (tier > user.verificationTier) {
+      await user.upgradeVerificationTier(tier);
+      await notificationService.sendVerificationNotification(userId, 'kyc', 'verified');
+      logger.info(`User ${userId} upgraded to verification tier ${tier}`);
+    } else if (tier < user.verificationTier) {
+      await user.downgradeVerificationTier(tier);
+      await notificationService.sendVerificationNotification(userId, 'kyc', 'required');
+      logger.warn(`User ${userId} downgraded to verification tier ${tier}`);
+    }
+
+    return tier;
+  }
+
+  // The user's documents plus what is still missing for their role
+  async getStatus(user) {
+    const verifications = await KycVerification.findByUserId(user.id);
+    const current = verifications.filter(v => !['rejected', 'expired', 'superseded'].includes(v.status));
+
+    const requirements = this.getRequirements(user.role).map(requirement => {
+      const candidates = current.filter(v => requirement.documentTypes.includes(v.documentType));
+      const match = candidates.find(v => v.status === 'approved') || candidates[0];
+      return {
+        tier: requirement.tier,
+        documentTypes: requirement.documentTypes,
+        status: match ? match.status : 'missing',
+        verificationId: match ? match.id : null
+      };
+    });
+
+    return {
+      verificationTier: user.verificationTier,
+      requirements,
+      documents: await Promise.all(verifications.map(async (v) => ({
+        ...v.toSafeObject(),
+        thumbnailUrl: await storageService.getSignedUrl(this.bucket, v.documentThumbnail)
+      })))
+    };
+  }
+
+  // Reviewer view with short-lived links to the full images
+  async getReviewDetails(verification) {
+    const [front, back, frontThumbnail, backThumbnail] = await Promise.all([
+      storageService.getSignedUrl(this.bucket, verification.documentImage),
+      storageService.getSignedUrl(this.bucket, verification.documentBackImage),
+      storageService.getSignedUrl(this.bucket, verification.documentThumbnail),
+      storageService.getSignedUrl(this.bucket, verification.documentBackThumbnail)
+    ]);
+
+    return {
+      ...verification.toReviewObject(),
+      images: { front, back, frontThumbnail, backThumbnail }
+    };
+  }
+
+  // Expire lapsed documents (re-syncing tiers) and remind owners of upcoming expiries
+  async processExpiries() {
+    const now = new Date();
+
+    const { data: expired, error } = await db.supabase
+      .from('kyc_verifications')
+      .update({ status: 'expired', updated_at: now.toISOString() })
+      .eq('status', 'approved')
+      .not('expires_at', 'is', null)
+      .lt('expires_at', now.toISOString())
+      .select();
+
+    if (error) throw error;
+
+    for (const record of expired) {
+      const verification = new KycVerification(record);
+      await notificationService.sendKycExpiryNotification(verification.userId, verification.toSafeObject(), true);
+    }
+
+    const affectedUsers = [...new Set(expired.map(record => record.user_id))];
+    for (const userId of affectedUsers) {
+      await this.syncVerificationTier(userId);
+    }
+
+    const reminderCutoff = new Date(now.getTime() + this.expiryReminderDays * 24 * 60 * 60 * 1000);
+
+    // Claim the reminder first so overlapping runs never send it twice
+    const { data: expiring, error: reminderError } = await db.supabase
+      .from('kyc_verifications')
+      .update({ expiry_reminder_sent_at: now.toISOString() })
+      .eq('status', 'approved')
+      .is('expiry_reminder_sent_at', null)
+      .not('expires_at', 'is', null)
+      .lt('expires_at', reminderCutoff.toISOString())
+      .select();
+
+    if (reminderError) throw reminderError;
+
+    for (const record of expiring) {
+      const verification = new KycVerification(record);
+      await notificationService.sendKycExpiryNotification(verification.userId, verification.toSafeObject(), false);
+    }
+
+    return {
+      expired: expired.length,
+      usersResynced: affectedUsers.length,
+      reminders: expiring.length
+    };
+  }
+}
+
+module.exports = new KycService();
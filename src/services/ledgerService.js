@@ -0,0 +1,354 @@
+const { db } = require('../config/database');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const { ACCOUNTS } = LedgerTransaction;
+
+// Sri Lanka has no daylight saving, so a reporting day is always midnight to midnight at +05:30
+const REPORT_UTC_OFFSET = '+05:30';
+
+class LedgerService {
+  // Money captured by the gateway is held for the traveller until the booking is completed
+  async postPayment(payment) {
+    return LedgerTransaction.post({
+      type: 'payment',
+      referenceId: payment.id,
+      bookingId: payment.bookingId,
+      description: `Payment ${payment.orderId}`,
+      currency: payment.currency,
+      occurredAt: payment.paidAt,
+      entries: [
+        { account: ACCOUNTS.CASH, debit: payment.amount },
+        { account: ACCOUNTS.CUSTOMER_FUNDS, credit: payment.amount }
+      ]
+    });
+  }
+
+  // On completion the traveller's funds become provider earnings, commission and the platform fee.
+  // `split` comes from commissionPolicy.splitBooking so the ledger matches the accrued earnings.
+  async postBookingCompletion(booking, split) {
+    return LedgerTransaction.post({
+      type: 'booking_completion',
+      referenceId: booking.id,
+      bookingId: booking.id,
+      description: `Booking ${booking.bookingReference} completed`,
+      occurredAt: booking.completedAt,
+      entries: [
+        { account: ACCOUNTS.CUSTOMER_FUNDS, debit: split.total },
+        ...split.providers.map(provider => ({
+          account: ACCOUNTS.PROVIDER_PAYABLE,
+          userId: provider.userId,
+          credit: provider.netAmount
+        })),
+        { account: ACCOUNTS.COMMISSION_REVENUE, credit: split.commission },
+        { account: ACCOUNTS.PLATFORM_FEE_REVENUE, credit: split.platformFee }
+      ].filter(entry => entry.debit || entry.credit)
+    });
+  }
+
+  // A ride's final fare differed from the quote. An extra paid separately moves from the
+  // traveller's funds to the driver and commission; a difference refunded after completion
+  // is taken back from them, so the refund expense it caused nets to zero.
+  // The reference is the adjustment payment or the refund.
+  async postFareAdjustment(booking, adjustment, referenceId) {
+    const amount = Math.abs(adjustment.amount);
+    const shares = [
+      { account: ACCOUNTS.PROVIDER_PAYABLE, userId: adjustment.userId, amount: Math.abs(adjustment.netAmount) },
+      { account: ACCOUNTS.COMMISSION_REVENUE, amount: Math.abs(adjustment.commission) }
+    ].filter(share => share.amount > 0);
+
+    const entries = adjustment.amount > 0
+      ? [
+        { account: ACCOUNTS.CUSTOMER_FUNDS, debit: amount },
+        ...shares.map(share => ({ account: share.account, userId: share.userId, credit: share.amount }))
+      ]
+      : [
+        ...shares.map(share => ({ account: share.account, userId: share.userId, debit: share.amount })),
+        { account: ACCOUNTS.REFUND_EXPENSE, credit: amount }
+      ];
+
+    return LedgerTransaction.post({
+      type: 'fare_adjustment',
+      referenceId,
+      bookingId: booking.id,
+      description: `Fare adjustment on booking ${booking.bookingReference}`,
+      entries
+    });
+  }
+
+  // Refunds come out of the traveller's funds, or out of the platform once the booking was completed
+  async postRefund(refund, booking) {
+    return LedgerTransaction.post({
+      type: 'refund',
+      referenceId: refund.id,
+      bookingId: booking.id,
+      description: `Refund for booking ${booking.bookingReference}`,
+      currency: refund.currency,
+      occurredAt: refund.processedAt,
+      entries: [
+        {
+          account: booking.status === 'completed' ? ACCOUNTS.REFUND_EXPENSE : ACCOUNTS.CUSTOMER_FUNDS,
+          debit: refund.amount
+        },
+        { account: ACCOUNTS.CASH, credit: refund.amount }
+      ]
+    });
+  }
+
+  async postChargeback(payment, booking) {
+    return LedgerTransaction.post({
+      type: 'chargeback',
+      referenceId: payment.id,
+      bookingId: payment.bookingId,
+      description: `Chargeback on payment ${payment.orderId}`,
+      currency: payment.currency,
+      entries: [
+        {
+          account: booking && booking.status === 'completed' ? ACCOUNTS.CHARGEBACK_EXPENSE : ACCOUNTS.CUSTOMER_FUNDS,
+          debit: payment.amount
+        },
+        { account: ACCOUNTS.CASH, credit: payment.amount }
+      ]
+    });
+  }
+
+  // A provider who cancels owes the penalty; it is taken out of their next payout.
+  // The reference is the booking, or the leg when one leg of a combined order was cancelled.
+  async postCancellationPenalty(booking, penalties, referenceId = booking.id) {
+    const total = sumAmounts(penalties.map(penalty => penalty.amount));
+
+    return LedgerTransaction.post({
+      type: 'cancellation_penalty',
+      referenceId,
+      bookingId: booking.id,
+      description: `Cancellation penalty on booking ${booking.bookingReference}`,
+      occurredAt: booking.cancelledAt,
+      entries: [
+        ...penalties.map(penalty => ({
+          account: ACCOUNTS.PROVIDER_PAYABLE,
+          userId: penalty.userId,
+          debit: penalty.amount
+        })),
+        { account: ACCOUNTS.PENALTY_REVENUE, credit: total }
+      ]
+    });
+  }
+
+  // What a traveller forfeits under the cancellation policy leaves their funds once the refund
+  // is settled. The reference is the booking, or the leg when one leg of a combined order was cancelled.
+  async postCancellationRetention(booking, amount, referenceId = booking.id) {
+    return LedgerTransaction.post({
+      type: 'cancellation_retention',
+      referenceId,
+      bookingId: booking.id,
+      description: `Cancellation fee kept on booking ${booking.bookingReference}`,
+      occurredAt: booking.cancelledAt,
+      entries: [
+        { account: ACCOUNTS.CUSTOMER_FUNDS, debit: amount },
+        { account: ACCOUNTS.CANCELLATION_FEE_REVENUE, credit: amount }
+      ]
+    });
+  }
+
+  async postPayout(payout) {
+    return LedgerTransaction.post({
+      type: 'payout',
+      referenceId: payout.id,
+      description: `Payout ${payout.reference || payout.id}`,
+      currency: payout.currency,
+      occurredAt: payout.paidAt,
+      entries: [
+        { account: ACCOUNTS.PROVIDER_PAYABLE, userId: payout.userId, debit: payout.amount },
+        { account: ACCOUNTS.CASH, credit: payout.amount }
+      ]
+    });
+  }
+
+  // Premium subscription invoices are earned when paid
+  async postSubscriptionPayment(invoice) {
+    return LedgerTransaction.post({
+      type: 'subscription_payment',
+      referenceId: invoice.id,
+      description: `Subscription invoice ${invoice.invoiceNumber}`,
+      currency: invoice.currency,
+      occurredAt: invoice.paidAt,
+      entries: [
+        { account: ACCOUNTS.CASH, debit: invoice.amount },
+        { account: ACCOUNTS.SUBSCRIPTION_REVENUE, credit: invoice.amount }
+      ]
+    });
+  }
+
+  // Compare one day's ledger postings against the payments, completions, refunds, payouts, subscription invoices and cancellation penalties recorded
+  // that day (YYYY-MM-DD, Asia/Colombo). Anything missing, unexpected, mismatched or unbalanced is listed.
+  async reconcile(date) {
+    // Date parsing rolls impossible days over (2024-02-30 becomes March 1st), so check the round trip
+    const calendarDay = new Date(`${date}T00:00:00Z`);
+    if (isNaN(calendarDay.getTime()) || calendarDay.toISOString().slice(0, 10) !== date) {
+      throw new AppError(`Invalid reconciliation date: ${date}`, 400);
+    }
+
+    const start = new Date(`${date}T00:00:00${REPORT_UTC_OFFSET}`);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+    const [transactions, expected] = await Promise.all([
+      LedgerTransaction.findBetween(start, end),
+      this.getExpectedPostings(start, end)
+    ]);
+
+    const types = {};
+    for (const type of Object.keys(expected)) {
+      const posted = transactions.filter(transaction => transaction.type === type);
+      const postedById = new Map(posted.map(transaction => [transaction.referenceId, transaction]));
+      const expectedIds = new Set(expected[type].map(item => item.referenceId));
+
+      const missing = expected[type].filter(item => !postedById.has(item.referenceId));
+      const mismatched = expected[type]
+        .filter(item => postedById.has(item.referenceId))
+        .map(item => ({ ...item, posted: postedById.get(item.referenceId).getAmount() }))
+        .filter(item => Math.round(item.amount * 100) !== Math.round(item.posted * 100));
+      const unexpected = posted.filter(transaction => !expectedIds.has(transaction.referenceId));
+
+      types[type] = {
+        expectedCount: expected[type].length,
+        expectedAmount: sumAmounts(expected[type].map(item => item.amount)),
+        postedCount: posted.length,
+        postedAmount: sumAmounts(posted.map(transaction => transaction.getAmount())),
+        missing,
+        mismatched,
+        unexpected: unexpected.map(transaction => ({ referenceId: transaction.referenceId, amount: transaction.getAmount() }))
+      };
+    }
+
+    const unbalanced = transactions
+      .filter(transaction => !transaction.isBalanced())
+      .map(transaction => transaction.toSafeObject());
+
+    const accounts = {};
+    transactions.forEach(transaction => {
+      transaction.entries.forEach(entry => {
+        const totals = accounts[entry.account] || (accounts[entry.account] = { debit: 0, credit: 0 });
+        totals.debit = sumAmounts([totals.debit, entry.debit]);
+        totals.credit = sumAmounts([totals.credit, entry.credit]);
+      });
+    });
+
+    const chargebacks = transactions.filter(transaction => transaction.type === 'chargeback');
+    const discrepancies = unbalanced.length + Object.values(types)
+      .reduce((count, type) => count + type.missing.length + type.mismatched.length + type.unexpected.length, 0);
+
+    const report = {
+      date,
+      balanced: discrepancies === 0,
+      discrepancies,
+      types,
+      chargebacks: {
+        count: chargebacks.length,
+        amount: sumAmounts(chargebacks.map(transaction => transaction.getAmount()))
+      },
+      unbalanced,
+      accounts
+    };
+
+    if (!report.balanced) {
+      logger.warn(`Ledger reconciliation for ${date} found ${discrepancies} discrepancies`);
+    }
+
+    return report;
+  }
+
+  // What the operational tables say should have been posted in the window
+  async getExpectedPostings(start, end) {
+    const [payments, bookings, refunds, payouts, invoices, penalties, legPenalties] = await Promise.all([
+      db.supabase
+        .from('payments')
+        .select('id, amount, paid_at')
+        .gte('paid_at', start.toISOString())
+        .lt('paid_at', end.toISOString()),
+      db.supabase
+        .from('bookings')
+        .select('id, total_amount, platform_fee, completed_at, booking_legs(amount, status)')
+        .eq('status', 'completed')
+        .gte('completed_at', start.toISOString())
+        .lt('completed_at', end.toISOString()),
+      db.supabase
+        .from('refunds')
+        .select('id, amount, processed_at')
+        .eq('status', 'succeeded')
+        .gte('processed_at', start.toISOString())
+        .lt('processed_at', end.toISOString()),
+      db.supabase
+        .from('payouts')
+        .select('id, amount, paid_at')
+        .eq('status', 'paid')
+        .gte('paid_at', start.toISOString())
+        .lt('paid_at', end.toISOString()),
+      db.supabase
+        .from('subscription_invoices')
+        .select('id, amount, paid_at')
+        .eq('status', 'paid')
+        .gt('amount', 0)
+        .gte('paid_at', start.toISOString())
+        .lt('paid_at', end.toISOString()),
+      db.supabase
+        .from('bookings')
+        .select('id, cancellation_penalty, cancelled_at')
+        .eq('status', 'cancelled')
+        .gt('cancellation_penalty', 0)
+        .gte('cancelled_at', start.toISOString())
+        .lt('cancelled_at', end.toISOString()),
+      db.supabase
+        .from('booking_legs')
+        .select('id, cancellation_penalty, cancelled_at')
+        .eq('status', 'cancelled')
+        .gt('cancellation_penalty', 0)
+        .gte('cancelled_at', start.toISOString())
+        .lt('cancelled_at', end.toISOString())
+    ]);
+
+    for (const result of [payments, bookings, refunds, payouts, invoices, penalties, legPenalties]) {
+      if (result.error) throw result.error;
+    }
+
+    const toItems = (rows, amountField) => rows.map(row => ({ referenceId: row.id, amount: Number(row[amountField]) }));
+
+    return {
+      payment: toItems(payments.data, 'amount'),
+      booking_completion: bookings.data.map(row => ({ referenceId: row.id, amount: completedAmount(row) })),
+      refund: toItems(refunds.data, 'amount'),
+      payout: toItems(payouts.data, 'amount'),
+      subscription_payment: toItems(invoices.data, 'amount'),
+      cancellation_penalty: [
+        ...toItems(penalties.data, 'cancellation_penalty'),
+        ...toItems(legPenalties.data, 'cancellation_penalty')
+      ]
+    };
+  }
+
+  async getAccountBalances() {
+    return LedgerTransaction.getAccountBalances();
+  }
+
+  async getBookingLedger(bookingId) {
+    return LedgerTransaction.findByBookingId(bookingId);
+  }
+}
+
+// Helper Functions
+
+function sumAmounts(amounts) {
+  return Math.round(amounts.reduce((sum, amount) => sum + Number(amount || 0), 0) * 100) / 100;
+}
+
+// Amount a completion posts: the total, or for a combined order its remaining legs plus the fee
+// (matches commissionPolicy.splitBooking)
+function completedAmount(booking) {
+  const legs = booking.booking_legs || [];
+  if (legs.length === 0) return Number(booking.total_amount);
+
+  const activeLegs = legs.filter(leg => leg.status !== 'cancelled');
+  return sumAmounts([...activeLegs.map(leg => leg.amount), booking.platform_fee]);
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,152 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const Media = require('../models/Media');
+const storageService = require('./storageService');
+const { fileUtils } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Longest edge of each WebP variant
+const VARIANT_SIZES = {
+  thumb: 200,
+  medium: 800,
+  large: 1600
+};
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Reject decompression bombs before sharp allocates the pixels
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class MediaService {
+  constructor() {
+    this.bucket = process.env.MEDIA_STORAGE_BUCKET || 'media';
+  }
+
+  // Resize into WebP variants. Orientation is applied and all metadata (EXIF, GPS) dropped.
+  async processImage(buffer) {
+    const type = fileUtils.sniffImageType(buffer);
+    if (!ALLOWED_IMAGE_TYPES.includes(type)) {
+      throw new AppError('Unsupported file type. Upload a JPEG, PNG, WebP or GIF image.', 415);
+    }
+
+    try {
+      const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+      const entries = await Promise.all(Object.entries(VARIANT_SIZES).map(async ([variant, size]) => {
+        const { data, info } = await image.clone()
+          .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer({ resolveWithObject: true });
+
+        return [variant, { buffer: data, width: info.width, height: info.height, size: info.size }];
+      }));
+
+      return { type, variants: Object.fromEntries(entries) };
+    } catch (error) {
+      logger.warn(`Image processing failed: ${error.message}`);
+      throw new AppError('Uploaded file is not a readable image', 400);
+    }
+  }
+
+  async upload(user, file, purpose) {
+    const { type, variants } = await this.processImage(file.buffer);
+    const mediaId = uuidv4();
+    const stored = {};
+
+    try {
+      for (const [variant, output] of Object.entries(variants)) {
+        const path = `${purpose}/${mediaId}/${variant}.webp`;
+        await storageService.upload(this.bucket, path, output.buffer, 'image/webp');
+
+        stored[variant] = {
+          path,
+          url: storageService.getPublicUrl(this.bucket, path),
+          width: output.width,
+          height: output.height,
+          size: output.size
+        };
+      }
+
+      const media = await Media.create({
+        id: mediaId,
+        ownerId: user.id,
+        purpose,
+        storageDriver: storageService.driver.name,
+        bucket: this.bucket,
+        variants: stored,
+        originalMimeType: type,
+        originalSize: file.size,
+        width: variants.large.width,
+        height: variants.large.height
+      });
+
+      logger.info(`Media uploaded: ${media.id} (${purpose}) by user ${user.id}`);
+      return media;
+    } catch (error) {
+      await storageService.remove(this.bucket, Object.values(stored).map(v => v.path));
+      throw error;
+    }
+  }
+
+  // One at a time to keep memory use flat
+  async uploadMany(user, files, purpose) {
+    const uploaded = [];
+    for (const file of files) {
+      uploaded.push(await this.upload(user, file, purpose));
+    }
+    return uploaded;
+  }
+
+  // Check that media IDs sent with a request are the caller's own, unused uploads for this purpose
+  async resolve(mediaIds, user, purpose) {
+    const ids = [...new Set(mediaIds || [])];
+    if (ids.length === 0) return [];
+
+    const found = await Media.findByIds(ids);
+    const byId = new Map(found.map(media => [media.id, media]));
+
+    const invalid = ids.filter(id => {
+      const media = byId.get(id);
+      return !media || media.ownerId !== user.id || media.purpose !== purpose || media.isAttached();
+    });
+
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid or already used media: ${invalid.join(', ')}`, 400);
+    }
+
+    return ids.map(id => byId.get(id));
+  }
+
+  async attach(mediaList, attachedType, attachedId) {
+    if (mediaList.length === 0) return;
+
+    const attached = await Media.attach(mediaList.map(media => media.id), attachedType, attachedId);
+    if (attached !== mediaList.length) {
+      logger.warn(`Only ${attached}/${mediaList.length} media attached to ${attachedType} ${attachedId}`);
+    }
+  }
+
+  // URLs stored on the owning record (POI images, community update evidence, portfolio items)
+  getUrls(mediaList, variant = 'large') {
+    return mediaList.map(media => media.variants[variant]?.url).filter(Boolean);
+  }
+
+  async deleteMedia(media) {
+    await media.delete();
+    await storageService.remove(media.bucket, media.getPaths());
+  }
+
+  // Remove uploads that were never attached
+  async purgeOrphans(olderThan) {
+    const orphans = await Media.findOrphans(olderThan);
+
+    for (const media of orphans) {
+      await this.deleteMedia(media);
+    }
+
+    return orphans.length;
+  }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,117 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('../models/Media', () => ({ create: jest.fn() }));
+jest.mock('./storageService', () => ({
+  driver: { name: 'local' },
+  upload: jest.fn(),
+  remove: jest.fn(),
+  getPublicUrl: jest.fn((bucket, path) => `https://cdn.example.com/${bucket}/${path}`)
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const storageService = require('./storageService');
+const mediaService = require('./mediaService');
+
+// Magic bytes padded to the 12 bytes the sniffer needs
+function fileWith(...bytes) {
+  return Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+}
+
+const FILES = {
+  jpeg: fileWith(0xFF, 0xD8, 0xFF, 0xE0),
+  png: fileWith(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A),
+  webp: Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), Buffer.alloc(16)]),
+  gif: Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(16)]),
+  pdf: Buffer.concat([Buffer.from('%PDF-1.7'), Buffer.alloc(16)]),
+  exe: fileWith(0x4D, 0x5A, 0x90, 0x00),
+  svg: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+};
+
+// sharp pipeline reporting each variant at its requested size
+function mockSharp() {
+  const pipeline = size => ({
+    webp: () => ({
+      toBuffer: async () => ({ data: Buffer.from('webp'), info: { width: size, height: size, size: 4 } })
+    })
+  });
+  const image = { clone: () => ({ resize: size => pipeline(size) }) };
+  sharp.mockReturnValue({ rotate: () => image });
+}
+
+describe('mediaService.processImage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSharp();
+  });
+
+  it.each(['jpeg', 'png', 'webp', 'gif'])('accepts %s images by their bytes', async name => {
+    const { type, variants } = await mediaService.processImage(FILES[name]);
+
+    expect(type).toBe(`image/${name}`);
+    expect(Object.keys(variants)).toEqual(['thumb', 'medium', 'large']);
+    expect(sharp).toHaveBeenCalledWith(FILES[name], { limitInputPixels: 50 * 1000 * 1000 });
+  });
+
+  it.each(['pdf', 'exe', 'svg'])('rejects %s files before decoding them', async name => {
+    await expect(mediaService.processImage(FILES[name])).rejects.toMatchObject({ statusCode: 415 });
+    expect(sharp).not.toHaveBeenCalled();
+  });
+
+  it('rejects empty and truncated files', async () => {
+    await expect(mediaService.processImage(Buffer.alloc(0))).rejects.toMatchObject({ statusCode: 415 });
+    await expect(mediaService.processImage(Buffer.from([0xFF, 0xD8, 0xFF]))).rejects.toMatchObject({ statusCode: 415 });
+  });
+
+  it('rejects a file with image magic bytes that does not decode', async () => {
+    sharp.mockReturnValue({
+      rotate: () => ({
+        clone: () => {
+          throw new Error('Input buffer contains unsupported image format');
+        }
+      })
+    });
+
+    await expect(mediaService.processImage(FILES.jpeg)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Uploaded file is not a readable image'
+    });
+  });
+});
+
+describe('mediaService.upload', () => {
+  const user = { id: 'user-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSharp();
+  });
+
+  it('stores the WebP variants and records the sniffed type, not the declared one', async () => {
+    Media.create.mockImplementation(async data => data);
+
+    const media = await mediaService.upload(user, { buffer: FILES.png, size: 28, mimetype: 'image/jpeg' }, 'poi');
+
+    expect(storageService.upload).toHaveBeenCalledTimes(3);
+    expect(storageService.upload).toHaveBeenCalledWith('media', expect.stringMatching(/^poi\/.+\/thumb\.webp$/), expect.any(Buffer), 'image/webp');
+    expect(media).toMatchObject({ ownerId: 'user-1', purpose: 'poi', originalMimeType: 'image/png', width: 1600 });
+  });
+
+  it('stores nothing for a rejected file', async () => {
+    await expect(mediaService.upload(user, { buffer: FILES.exe, size: 20, mimetype: 'image/png' }, 'poi'))
+      .rejects.toMatchObject({ statusCode: 415 });
+
+    expect(storageService.upload).not.toHaveBeenCalled();
+    expect(Media.create).not.toHaveBeenCalled();
+  });
+
+  it('removes the stored variants when the record cannot be saved', async () => {
+    Media.create.mockRejectedValue(new Error('insert failed'));
+
+    await expect(mediaService.upload(user, { buffer: FILES.gif, size: 22 }, 'community')).rejects.toThrow('insert failed');
+
+    const [bucket, paths] = storageService.remove.mock.calls[0];
+    expect(bucket).toBe('media');
+    expect(paths).toHaveLength(3);
+  });
+});
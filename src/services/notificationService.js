@@ -1,29 +1,174 @@
 const { db } = require('../config/database');
 const logger = require('../utils/logger');
+const { createChannels } = require('./channels');
+const socketService = require('./socketService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { cache } = require('../config/cache');
+const NotificationPreference = require('../models/NotificationPreference');
 
 class NotificationService {
-  async createNotification(userId, type, title, message, data = null) {
+  constructor() {
+    this.channels = createChannels();
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3;
+    this.retryBaseMs = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 500;
+  }
+
+  // Deliver through a single channel with exponential backoff.
+  // Never throws - a failed notification must not break the request that triggered it.
+  async deliver(channelName, payload) {
+    const channel = this.channels[channelName];
+    if (!channel) {
+      logger.error(`Unknown notification channel: ${channelName}`);
+      return { success: false, channel: channelName, attempts: 0, error: 'Unknown channel' };
+    }
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const result = await channel.send(payload);
+        return { success: true, channel: channelName, attempts: attempt, result };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Notification via ${channelName} failed (attempt ${attempt}/${this.maxAttempts}): ${error.message}`);
+
+        if (error.retryable === false || attempt === this.maxAttempts) break;
+        await sleep(this.retryBaseMs * Math.pow(2, attempt - 1));
+      }
+    }
+
+    logger.error(`Notification via ${channelName} gave up:`, lastError);
+    return { success: false, channel: channelName, error: lastError?.message };
+  }
+
+  // Persist to the in-app inbox and optionally push live to connected devices
+  async createNotification(userId, type, title, message, data = null, options = {}) {
+    const { push = true, digestStatus = null } = options;
+    const delivery = await this.deliver('inApp', { userId, type, title, message, data, digestStatus });
+
+    if (!delivery.success) {
+      return null;
+    }
+
+    logger.info(`Notification created for user ${userId}: ${title}`);
+
+    // Live push when the user has the app open
+    if (push) {
+      socketService.emitToUser(userId, 'notification:new', delivery.result);
+    }
+    this.pushUnreadCount(userId);
+
+    return delivery.result;
+  }
+
+  // Deliver a user-facing notification honouring the user's preferences.
+  // `channels` lists where this message may go; preferences, quiet hours and digest narrow it down.
+  async notify(userId, category, notification) {
+    const {
+      type = category,
+      title,
+      message,
+      data = null,
+      channels = ['inApp', 'push'],
+      smsMessage,
+      emailSubject,
+      emailHtml
+    } = notification;
+
+    const result = { notification: null, sent: [], suppressed: [] };
+
     try {
-      const notification = {
-        id: require('uuid').v4(),
-        user_id: userId,
-        type,
-        title,
-        message,
-        data: data ? JSON.stringify(data) : null,
-        is_read: false,
-        created_at: new Date().toISOString()
+      const preferences = await this.getPreferences(userId);
+      const isSafety = category === 'safety';
+      const quiet = !isSafety && preferences.isQuietTime();
+      const digested = !isSafety && preferences.isDigested(category);
+
+      const wants = (channel) => channels.includes(channel) && preferences.allows(category, channel);
+      const interrupts = (channel) => {
+        if (!wants(channel)) return false;
+        if (quiet || digested) {
+          result.suppressed.push(channel);
+          return false;
+        }
+        return true;
       };
 
-      // This would typically insert into the notifications table
-      // For now, we'll just log it
-      logger.info(`Notification created for user ${userId}: ${title}`);
+      if (wants('inApp')) {
+        result.notification = await this.createNotification(userId, type, title, message, data, {
+          push: interrupts('push'),
+          digestStatus: digested ? 'pending' : null
+        });
+        if (result.notification) result.sent.push('inApp');
+      }
+
+      const sendSms = interrupts('sms');
+      const sendEmail = interrupts('email');
 
-      return notification;
+      if (sendSms || sendEmail) {
+        const contact = await this.getUserContact(userId);
+
+        const deliveries = await Promise.all([
+          sendSms ? this.sendSMS(contact?.phone, smsMessage || `PearlPath: ${title} - ${message}`) : null,
+          sendEmail ? this.sendEmail(contact?.email, emailSubject || title, message, emailHtml) : null
+        ]);
+
+        deliveries.filter(d => d && d.success).forEach(d => result.sent.push(d.channel));
+      }
+
+      if (result.suppressed.length > 0) {
+        logger.debug(`Notification for ${userId} held back on ${result.suppressed.join(', ')} (${quiet ? 'quiet hours' : 'digest'})`);
+      }
     } catch (error) {
-      logger.error('Error creating notification:', error);
-      throw error;
+      logger.error(`Error delivering ${category} notification to ${userId}:`, error);
+    }
+
+    return result;
+  }
+
+  // Preferences are read on every notification, so keep them briefly in cache
+  async getPreferences(userId) {
+    const cacheKey = `notification_prefs:${userId}`;
+
+    try {
+      const cached = await cache.get(cacheKey);
+      if (cached) return new NotificationPreference(cached);
+
+      const preferences = await NotificationPreference.findByUserId(userId);
+      await cache.set(cacheKey, toPreferenceRow(preferences), 300);
+      return preferences;
+    } catch (error) {
+      // Fall back to defaults rather than dropping the notification
+      logger.error('Error loading notification preferences:', error);
+      return new NotificationPreference({ user_id: userId });
+    }
+  }
+
+  async clearPreferencesCache(userId) {
+    await cache.del(`notification_prefs:${userId}`);
+  }
+
+  async getUserContact(userId) {
+    const { data, error } = await db.supabase
+      .from('users')
+      .select('id, email, phone')
+      .eq('id', userId)
+      .single();
+
+    if (error || !data) return null;
+    return data;
+  }
+
+  async sendSMS(to, message) {
+    if (!to) {
+      return { success: false, channel: 'sms', error: 'No phone number' };
     }
+    return this.deliver('sms', { to, message });
+  }
+
+  async sendEmail(to, subject, message, html = null) {
+    if (!to) {
+      return { success: false, channel: 'email', error: 'No email address' };
+    }
+    return this.deliver('email', { to, subject, message, html });
   }
 
   async sendBookingNotification(booking, type) {
@@ -51,17 +196,16 @@ class NotificationService {
     }
 
     notifications.push(
-      await this.createNotification(
-        booking.userId,
-        'booking',
-        userTitle,
-        userMessage,
-        { bookingId: booking.id, type }
-      )
+      await this.notify(booking.userId, 'booking', {
+        title: userTitle,
+        message: userMessage,
+        data: { bookingId: booking.id, type },
+        channels: ['inApp', 'push', 'email']
+      })
     );
 
-    // Notify the guide if applicable
-    if (booking.guideId) {
+    // Notify the guide if applicable (guideId is the profile; the joined row has the user)
+    if (booking.guide?.user_id) {
       let guideTitle, guideMessage;
       switch (type) {
         case 'confirmed':
@@ -76,19 +220,18 @@ class NotificationService {
 
       if (guideTitle) {
         notifications.push(
-          await this.createNotification(
-            booking.guideId,
-            'booking',
-            guideTitle,
-            guideMessage,
-            { bookingId: booking.id, type }
-          )
+          await this.notify(booking.guide.user_id, 'booking', {
+            title: guideTitle,
+            message: guideMessage,
+            data: { bookingId: booking.id, type },
+            channels: ['inApp', 'push', 'sms']
+          })
         );
       }
     }
 
     // Notify the driver if applicable
-    if (booking.driverId) {
+    if (booking.driver?.user_id) {
       let driverTitle, driverMessage;
       switch (type) {
         case 'confirmed':
@@ -103,13 +246,12 @@ class NotificationService {
 
       if (driverTitle) {
         notifications.push(
-          await this.createNotification(
-            booking.driverId,
-            'booking',
-            driverTitle,
-            driverMessage,
-            { bookingId: booking.id, type }
-          )
+          await this.notify(booking.driver.user_id, 'booking', {
+            title: driverTitle,
+            message: driverMessage,
+            data: { bookingId: booking.id, type },
+            channels: ['inApp', 'push', 'sms']
+          })
         );
       }
     }
@@ -117,6 +259,49 @@ class NotificationService {
     return notifications;
   }
 
+  // One leg of a combined order was cancelled; the rest of the booking goes ahead
+  async sendBookingLegCancelledNotification(booking, leg) {
+    const provider = leg.providerType === 'guide' ? booking.guide : booking.driver;
+    const label = leg.providerType === 'guide' ? 'guide' : 'driver';
+    const notifications = [
+      await this.notify(booking.userId, 'booking', {
+        title: 'Booking Updated',
+        message: `The ${label} part of your booking ${booking.bookingReference} has been cancelled`,
+        data: { bookingId: booking.id, legId: leg.id, type: 'leg_cancelled' },
+        channels: ['inApp', 'push', 'email']
+      })
+    ];
+
+    if (provider?.user_id) {
+      notifications.push(
+        await this.notify(provider.user_id, 'booking', {
+          title: 'Booking Cancelled',
+          message: `Your part of booking ${booking.bookingReference} has been cancelled`,
+          data: { bookingId: booking.id, legId: leg.id, type: 'leg_cancelled' },
+          channels: ['inApp', 'push', 'sms']
+        })
+      );
+    }
+
+    return notifications;
+  }
+
+  // Upcoming booking reminder (24h / 2h before start)
+  async sendBookingReminder(booking, hoursBefore) {
+    const emailService = require('./emailService');
+    const { subject, html } = emailService.renderBookingReminderEmail(booking, hoursBefore);
+
+    return this.notify(booking.userId, 'booking', {
+      type: 'booking_reminder',
+      title: 'Booking Reminder',
+      message: `Your booking ${booking.bookingReference} starts in ${hoursBefore} hours`,
+      data: { bookingId: booking.id, hoursBefore },
+      channels: hoursBefore <= 2 ? ['inApp', 'push', 'sms', 'email'] : ['inApp', 'push', 'email'],
+      emailSubject: subject,
+      emailHtml: html
+    });
+  }
+
   async sendVerificationNotification(userId, type, status) {
     let title, message;
     
@@ -141,13 +326,85 @@ class NotificationService {
         break;
     }
 
-    return this.createNotification(
-      userId,
-      'verification',
+    return this.notify(userId, 'account', {
+      type: 'verification',
       title,
       message,
-      { type, status }
-    );
+      data: { type, status },
+      channels: ['inApp', 'push', 'email']
+    });
+  }
+
+  // Outcome of a KYC document review: approved | rejected | more_info_required
+  async sendKycReviewNotification(userId, verification) {
+    const label = verification.documentLabel || 'document';
+    const messages = {
+      approved: ['Document Approved', `Your ${label} has been approved`],
+      rejected: ['Document Rejected', `Your ${label} was rejected: ${verification.rejectionReason}`],
+      more_info_required: ['More Information Needed', `Please update your ${label}: ${verification.reviewNotes}`]
+    };
+    const [title, message] = messages[verification.status];
+
+    return this.notify(userId, 'account', {
+      type: 'kyc_review',
+      title,
+      message,
+      data: { verificationId: verification.id, documentType: verification.documentType, status: verification.status },
+      channels: ['inApp', 'push', 'email']
+    });
+  }
+
+  async sendKycExpiryNotification(userId, verification, expired) {
+    const label = verification.documentLabel || 'document';
+    const expiresOn = new Date(verification.expiresAt).toLocaleDateString('en-GB', { timeZone: 'Asia/Colombo' });
+
+    return this.notify(userId, 'account', {
+      type: 'kyc_expiry',
+      title: expired ? 'Document Expired' : 'Document Expiring Soon',
+      message: expired
+        ? `Your ${label} expired on ${expiresOn}. Please upload a renewed copy to keep your verification.`
+        : `Your ${label} expires on ${expiresOn}. Please upload a renewed copy before then.`,
+      data: { verificationId: verification.id, documentType: verification.documentType, expiresAt: verification.expiresAt },
+      channels: ['inApp', 'push', 'email']
+    });
+  }
+
+  async sendPayoutNotification(userId, payout) {
+    const amount = `${payout.currency} ${payout.amount.toFixed(2)}`;
+
+    return this.notify(userId, 'account', {
+      type: 'payout',
+      title: payout.status === 'paid' ? 'Payout Sent' : 'Payout Failed',
+      message: payout.status === 'paid'
+        ? `Your payout of ${amount} has been sent${payout.reference ? ` (reference ${payout.reference})` : ''}`
+        : `Your payout of ${amount} could not be completed: ${payout.failureReason}. The amount will be included in the next payout once your payout details are checked.`,
+      data: { payoutId: payout.id, status: payout.status, amount: payout.amount },
+      channels: ['inApp', 'push', 'email']
+    });
+  }
+
+  // Premium subscription lifecycle: activated | renewed | plan_changed | renewal_due | past_due | cancelled | expired
+  async sendSubscriptionNotification(userId, subscription, type, details = {}) {
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Colombo' });
+    const planName = subscription.plan ? subscription.plan.name : 'Premium';
+    const messages = {
+      activated: ['Premium Activated', `Your ${planName} subscription is active until ${formatDate(subscription.currentPeriodEnd)}`],
+      renewed: ['Premium Renewed', `Your ${planName} subscription has been renewed until ${formatDate(subscription.currentPeriodEnd)}`],
+      plan_changed: ['Premium Plan Changed', `You are now on ${planName} until ${formatDate(subscription.currentPeriodEnd)}`],
+      renewal_due: ['Premium Renewal Due', `Your ${planName} subscription ends on ${formatDate(subscription.currentPeriodEnd)}. Renew to keep your premium benefits.`],
+      past_due: ['Premium Payment Overdue', `We could not renew your ${planName} subscription. Renew before ${formatDate(subscription.gracePeriodEndsAt)} to keep your premium benefits.`],
+      cancelled: ['Premium Cancelled', `Your ${planName} subscription has been cancelled${subscription.gracePeriodEndsAt ? ` and stays active until ${formatDate(subscription.gracePeriodEndsAt)}` : ''}`],
+      expired: ['Premium Expired', `Your ${planName} subscription has ended and your account is back on the basic tier`]
+    };
+    const [title, message] = messages[type];
+
+    return this.notify(userId, 'account', {
+      type: 'subscription',
+      title,
+      message,
+      data: { subscriptionId: subscription.id, event: type, status: subscription.status, ...details },
+      channels: ['inApp', 'push', 'email']
+    });
   }
 
   async sendCommunityUpdateNotification(updateId, type) {
@@ -168,19 +425,197 @@ class NotificationService {
     logger.info(`Safety alert notification: ${alert.title}`);
   }
 
-  async getUserNotifications(userId, limit = 20, offset = 0) {
+  // Ride request offered to a driver (in-app + SMS so it is seen even with the app closed)
+  async sendRideRequest(driverId, data) {
+    try {
+      const driver = await this.getDriverContact(driverId);
+      if (!driver) {
+        logger.warn(`Ride request notification skipped - driver not found: ${driverId}`);
+        return null;
+      }
+
+      const message = `New ride request ${data.bookingReference || ''} - pickup: ${data.pickup || 'see app'}, ` +
+        `${data.distance} km trip, est. LKR ${data.estimatedFare}`;
+
+      return this.notify(driver.userId, 'ride', {
+        type: 'ride_request',
+        title: 'New Ride Request',
+        message,
+        data,
+        channels: ['inApp', 'push', 'sms'],
+        smsMessage: `PearlPath: ${message}. Open the app to accept.`
+      });
+    } catch (error) {
+      logger.error('Error sending ride request notification:', error);
+      return null;
+    }
+  }
+
+  async sendRideConfirmed(userId, data) {
+    const driverText = data.driverName ? `${data.driverName} is` : 'Your driver is';
+    return this.notify(userId, 'ride', {
+      title: 'Ride Confirmed',
+      message: `${driverText} on the way${data.eta ? ` - arriving in about ${data.eta} minutes` : ''}`,
+      data: { ...data, status: 'confirmed' },
+      channels: ['inApp', 'push', 'sms']
+    });
+  }
+
+  async sendRideDeclined(userId, data) {
+    return this.notify(userId, 'ride', {
+      title: 'Ride Not Available',
+      message: data.reason || 'Your ride request could not be fulfilled',
+      data: { ...data, status: 'cancelled' }
+    });
+  }
+
+  async sendRideStarted(userId, data) {
+    return this.notify(userId, 'ride', {
+      title: 'Ride Started',
+      message: 'Your ride has started. Share your trip link with family for extra safety.',
+      data: { ...data, status: 'in_progress' }
+    });
+  }
+
+  async sendRideCompleted(userId, data) {
+    return this.notify(userId, 'ride', {
+      title: 'Ride Completed',
+      message: `You have arrived. Final fare: LKR ${data.finalFare}. Please rate your driver.`,
+      data: { ...data, status: 'completed' }
+    });
+  }
+
+  // SOS - fan out to every channel at once; one failing channel must not block the others
+  async sendSOSAlert(alert) {
+    try {
+      const location = alert.location?.latitude && alert.location?.longitude
+        ? `https://maps.google.com/?q=${alert.location.latitude},${alert.location.longitude}`
+        : 'Location unavailable';
+
+      const message = `SOS ALERT: ${alert.userName} (${alert.userPhone || 'no phone'}) triggered an emergency on ride ${alert.bookingId}. ` +
+        `Driver: ${alert.driverName} (${alert.driverPhone || 'no phone'}), vehicle ${alert.vehicleNumber}. ` +
+        `Location: ${location}. Live tracking: ${alert.trackingLink}` +
+        (alert.message ? `. Message: ${alert.message}` : '');
+
+      const admins = await this.getSafetyTeam();
+
+      const deliveries = await Promise.allSettled([
+        this.sendSMS(process.env.SAFETY_TEAM_PHONE, message),
+        this.sendEmail(process.env.SAFETY_TEAM_EMAIL, `SOS ALERT - Ride ${alert.bookingId}`, message),
+        ...admins.map(admin => this.notify(admin.id, 'safety', {
+          type: 'sos',
+          title: 'SOS Alert',
+          message,
+          data: alert
+        }))
+      ]);
+
+      const delivered = deliveries.filter(d => d.status === 'fulfilled' && isDelivered(d.value)).length;
+      logger.info(`SOS alert for ride ${alert.bookingId} delivered on ${delivered}/${deliveries.length} channels`);
+
+      return { delivered, attempted: deliveries.length };
+    } catch (error) {
+      logger.error('Error sending SOS alert:', error);
+      return { delivered: 0, attempted: 0 };
+    }
+  }
+
+  async sendIncidentReport(incidentId, data) {
     try {
-      // This would typically query the notifications table
-      // For now, returning a placeholder response
-      const notifications = [];
+      const message = `Safety incident ${incidentId} (${data.incidentType}) reported on ride ${data.bookingId} by user ${data.reportedBy}`;
+      const admins = await this.getSafetyTeam();
+
+      const deliveries = await Promise.allSettled([
+        this.sendEmail(process.env.SAFETY_TEAM_EMAIL, `Safety incident reported - ${data.incidentType}`, message),
+        ...admins.map(admin => this.notify(admin.id, 'safety', {
+          type: 'safety_incident',
+          title: 'Safety Incident Reported',
+          message,
+          data: { incidentId, ...data }
+        }))
+      ]);
+
+      return { attempted: deliveries.length };
+    } catch (error) {
+      logger.error('Error sending incident report:', error);
+      return { attempted: 0 };
+    }
+  }
+
+  async getDriverContact(driverId) {
+    const { data, error } = await db.supabase
+      .from('drivers')
+      .select('id, user_id, users(phone, email)')
+      .eq('id', driverId)
+      .single();
+
+    if (error || !data) return null;
+
+    return {
+      userId: data.user_id,
+      phone: data.users?.phone,
+      email: data.users?.email
+    };
+  }
+
+  // Admins and moderators receive safety alerts in-app
+  async getSafetyTeam() {
+    try {
+      const { data, error } = await db.supabase
+        .from('users')
+        .select('id')
+        .in('role', ['admin', 'moderator'])
+        .eq('status', 'active');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error loading safety team:', error);
+      return [];
+    }
+  }
+
+  // Cursor-paginated inbox, newest first
+  async getUserNotifications(userId, options = {}) {
+    try {
+      const { limit = 20, cursor, type, unreadOnly = false } = options;
+
+      let query = db.supabase
+        .from('notifications')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+      if (type) {
+        query = query.eq('type', type);
+      }
+
+      if (unreadOnly) {
+        query = query.eq('is_read', false);
+      }
+
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        query = query.or(
+          `created_at.lt.${position.createdAt},and(created_at.eq.${position.createdAt},id.lt.${position.id})`
+        );
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const hasMore = data.length > limit;
+      const notifications = hasMore ? data.slice(0, limit) : data;
+      const last = notifications[notifications.length - 1];
 
       return {
         notifications,
-        total: notifications.length,
         pagination: {
           limit,
-          offset,
-          hasMore: false
+          hasMore,
+          nextCursor: hasMore && last ? encodeCursor(last) : null
         }
       };
     } catch (error) {
@@ -191,38 +626,132 @@ class NotificationService {
 
   async markAsRead(notificationId, userId) {
     try {
-      // This would typically update the notification status
-      // For now, we'll just log it
-      logger.info(`Notification marked as read: ${notificationId} for user: ${userId}`);
-      return true;
+      const { data, error } = await db.supabase
+        .from('notifications')
+        .update({ is_read: true })
+        .eq('id', notificationId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      this.pushUnreadCount(userId);
+      return data;
     } catch (error) {
       logger.error('Error marking notification as read:', error);
       throw error;
     }
   }
 
-  async markAllAsRead(userId) {
+  async markAllAsRead(userId, type = null) {
     try {
-      // This would typically update all notifications for the user
-      // For now, we'll just log it
-      logger.info(`All notifications marked as read for user: ${userId}`);
-      return true;
+      let query = db.supabase
+        .from('notifications')
+        .update({ is_read: true })
+        .eq('user_id', userId)
+        .eq('is_read', false);
+
+      if (type) {
+        query = query.eq('type', type);
+      }
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+
+      this.pushUnreadCount(userId);
+      return data.length;
     } catch (error) {
       logger.error('Error marking all notifications as read:', error);
       throw error;
     }
   }
 
+  async deleteNotification(notificationId, userId) {
+    try {
+      const { data, error } = await db.supabase
+        .from('notifications')
+        .delete()
+        .eq('id', notificationId)
+        .eq('user_id', userId)
+        .select('id, is_read');
+
+      if (error) throw error;
+      if (data.length === 0) return false;
+
+      if (!data[0].is_read) {
+        this.pushUnreadCount(userId);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error deleting notification:', error);
+      throw error;
+    }
+  }
+
   async getUnreadCount(userId) {
     try {
-      // This would typically count unread notifications
-      // For now, returning 0
-      return 0;
+      const { count, error } = await db.supabase
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('is_read', false);
+
+      if (error) throw error;
+      return count || 0;
     } catch (error) {
       logger.error('Error getting unread count:', error);
       throw error;
     }
   }
+
+  // Keep the badge on connected devices in sync
+  async pushUnreadCount(userId) {
+    if (!socketService.notifications) return;
+
+    try {
+      const unreadCount = await this.getUnreadCount(userId);
+      socketService.emitToUser(userId, 'notification:unread_count', { unreadCount });
+    } catch (error) {
+      logger.error('Error pushing unread count:', error);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Channel deliveries report `success`, preference-aware notifications report `sent`
+function isDelivered(result) {
+  if (!result) return false;
+  return result.success === true || (Array.isArray(result.sent) && result.sent.length > 0);
+}
+
+function toPreferenceRow(preferences) {
+  return {
+    user_id: preferences.userId,
+    channels: preferences.channels,
+    quiet_hours_enabled: preferences.quietHoursEnabled,
+    quiet_hours_start: preferences.quietHoursStart,
+    quiet_hours_end: preferences.quietHoursEnd,
+    digest_frequency: preferences.digestFrequency,
+    updated_at: preferences.updatedAt
+  };
+}
+
+// Cursor encodes the last seen (created_at, id) pair
+function encodeCursor(notification) {
+  return Buffer.from(`${notification.created_at}|${notification.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!createdAt || !id || isNaN(new Date(createdAt).getTime())) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  return { createdAt, id };
 }
 
 module.exports = new NotificationService();
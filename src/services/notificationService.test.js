@@ -0,0 +1,89 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../config/cache', () => ({ cache: {} }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./socketService', () => ({ emitToUser: jest.fn() }));
+
+process.env.NOTIFICATION_TRANSPORT = 'fake';
+process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+process.env.NOTIFICATION_RETRY_BASE_MS = '100';
+
+const notificationService = require('./notificationService');
+
+describe('notificationService.deliver', () => {
+  let delays;
+
+  beforeEach(() => {
+    Object.values(notificationService.channels).forEach(channel => channel.reset());
+
+    // Run backoff sleeps at once, recording how long each would have been
+    delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      delays.push(ms);
+      callback();
+      return 0;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends on the first attempt without waiting', async () => {
+    const delivery = await notificationService.deliver('sms', { to: '0771234567', message: 'Hello' });
+
+    expect(delivery).toMatchObject({ success: true, channel: 'sms', attempts: 1 });
+    expect(notificationService.channels.sms.sent).toHaveLength(1);
+    expect(delays).toEqual([]);
+  });
+
+  it('retries failed sends with exponential backoff', async () => {
+    notificationService.channels.email.failNext(2);
+
+    const delivery = await notificationService.deliver('email', { to: 'a@example.com', subject: 'Hi', message: 'Hello' });
+
+    expect(delivery).toMatchObject({ success: true, attempts: 3 });
+    expect(notificationService.channels.email.sent).toHaveLength(1);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  it('gives up after the last attempt without throwing', async () => {
+    notificationService.channels.sms.failNext(5);
+
+    const delivery = await notificationService.deliver('sms', { to: '0771234567', message: 'Hello' });
+
+    expect(delivery).toEqual({ success: false, channel: 'sms', error: 'Simulated sms failure' });
+    expect(notificationService.channels.sms.sent).toHaveLength(0);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  it('does not retry errors marked as not retryable', async () => {
+    const error = new Error('Invalid phone number');
+    error.retryable = false;
+    const send = jest.spyOn(notificationService.channels.sms, 'send').mockRejectedValue(error);
+
+    const delivery = await notificationService.deliver('sms', { to: 'bad', message: 'Hello' });
+
+    expect(delivery).toMatchObject({ success: false, error: 'Invalid phone number' });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(delays).toEqual([]);
+  });
+
+  it('reports an unknown channel', async () => {
+    const delivery = await notificationService.deliver('fax', { message: 'Hello' });
+
+    expect(delivery).toMatchObject({ success: false, attempts: 0, error: 'Unknown channel' });
+  });
+});
+
+describe('notificationService.sendSMS', () => {
+  beforeEach(() => {
+    notificationService.channels.sms.reset();
+  });
+
+  it('skips users without a phone number', async () => {
+    const delivery = await notificationService.sendSMS(null, 'Hello');
+
+    expect(delivery).toEqual({ success: false, channel: 'sms', error: 'No phone number' });
+    expect(notificationService.channels.sms.sent).toHaveLength(0);
+  });
+});
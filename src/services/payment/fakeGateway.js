@@ -0,0 +1,54 @@
+const logger = require('../../utils/logger');
+
+// In-memory gateway for local development and tests (PAYMENT_GATEWAY=fake)
+class FakeGateway {
+  constructor() {
+    this.name = 'fake';
+    this.refunds = [];
+    this.cancelledSubscriptions = [];
+    this.failures = 0;
+  }
+
+  async refund({ paymentId, amount, description }) {
+    if (this.failures > 0) {
+      this.failures--;
+      return { success: false, message: 'Simulated refund failure', raw: null };
+    }
+
+    const record = {
+      id: `fake_refund_${Date.now()}_${this.refunds.length + 1}`,
+      paymentId,
+      amount,
+      description,
+      refundedAt: new Date().toISOString()
+    };
+
+    this.refunds.push(record);
+    logger.debug(`[fake gateway] refund ${JSON.stringify(record)}`);
+    return { success: true, refundId: record.id, raw: record };
+  }
+
+  async cancelSubscription(subscriptionId) {
+    if (this.failures > 0) {
+      this.failures--;
+      return { success: false, message: 'Simulated cancellation failure', raw: null };
+    }
+
+    this.cancelledSubscriptions.push(subscriptionId);
+    logger.debug(`[fake gateway] cancelled subscription ${subscriptionId}`);
+    return { success: true, raw: { subscriptionId } };
+  }
+
+  // Make the next n gateway calls fail
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  reset() {
+    this.refunds = [];
+    this.cancelledSubscriptions = [];
+    this.failures = 0;
+  }
+}
+
+module.exports = FakeGateway;
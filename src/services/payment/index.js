@@ -0,0 +1,20 @@
+const PayHereGateway = require('./payhereGateway');
+const FakeGateway = require('./fakeGateway');
+
+const GATEWAY_NAMES = ['payhere', 'fake'];
+
+// Pick the payment gateway for the environment (PAYMENT_GATEWAY=payhere|fake)
+const createPaymentGateway = (gateway = process.env.PAYMENT_GATEWAY || 'payhere') => {
+  if (gateway === 'fake') {
+    return new FakeGateway();
+  }
+
+  return new PayHereGateway();
+};
+
+module.exports = {
+  GATEWAY_NAMES,
+  createPaymentGateway,
+  PayHereGateway,
+  FakeGateway
+};
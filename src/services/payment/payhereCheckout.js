@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+const SANDBOX_CHECKOUT_URL = 'https://sandbox.payhere.lk/pay/checkout';
+const LIVE_CHECKOUT_URL = 'https://www.payhere.lk/pay/checkout';
+
+// PayHere recurring periods for each billing period
+const RECURRENCE = {
+  monthly: '1 Month',
+  annual: '1 Year'
+};
+
+const getCheckoutUrl = () => (process.env.NODE_ENV === 'production' ? LIVE_CHECKOUT_URL : SANDBOX_CHECKOUT_URL);
+
+// Signed form fields for a PayHere checkout. Pass `recurrence` (monthly/annual) to start a
+// recurring agreement that PayHere charges until it is cancelled.
+const buildCheckout = ({ orderId, amount, currency = 'LKR', items, user, address, custom = [], recurrence }) => {
+  const merchantId = process.env.PAYHERE_MERCHANT_ID;
+
+  const paymentData = {
+    merchant_id: merchantId,
+    return_url: process.env.PAYHERE_RETURN_URL || `${process.env.FRONTEND_URL}/payment/success`,
+    cancel_url: process.env.PAYHERE_CANCEL_URL || `${process.env.FRONTEND_URL}/payment/cancel`,
+    notify_url: process.env.PAYHERE_NOTIFY_URL || `${process.env.BASE_URL}/api/payments/notify`,
+    first_name: user.firstName,
+    last_name: user.lastName,
+    email: user.email,
+    phone: user.phone,
+    address: address || 'Colombo, Sri Lanka',
+    city: 'Colombo',
+    country: 'Sri Lanka',
+    order_id: orderId,
+    items,
+    currency,
+    amount: Number(amount).toFixed(2)
+  };
+
+  custom.slice(0, 2).forEach((value, index) => {
+    paymentData[`custom_${index + 1}`] = value;
+  });
+
+  if (recurrence) {
+    paymentData.recurrence = RECURRENCE[recurrence];
+    paymentData.duration = 'Forever';
+  }
+
+  const hashString =
+    merchantId +
+    orderId +
+    paymentData.amount +
+    currency +
+    paymentData.first_name +
+    paymentData.last_name +
+    paymentData.email +
+    paymentData.phone +
+    paymentData.address +
+    paymentData.city +
+    paymentData.country +
+    process.env.PAYHERE_MERCHANT_SECRET;
+
+  paymentData.hash = crypto.createHash('sha1').update(hashString).digest('hex').toUpperCase();
+
+  return { paymentData, payHereUrl: getCheckoutUrl() };
+};
+
+module.exports = {
+  RECURRENCE,
+  buildCheckout,
+  getCheckoutUrl
+};
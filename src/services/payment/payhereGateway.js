@@ -0,0 +1,88 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const SANDBOX_API_URL = 'https://sandbox.payhere.lk/merchant/v1';
+const LIVE_API_URL = 'https://www.payhere.lk/merchant/v1';
+
+// PayHere Merchant API (OAuth client credentials from the merchant portal)
+class PayHereGateway {
+  constructor() {
+    this.name = 'payhere';
+    this.appId = process.env.PAYHERE_APP_ID;
+    this.appSecret = process.env.PAYHERE_APP_SECRET;
+    this.baseUrl = process.env.NODE_ENV === 'production' ? LIVE_API_URL : SANDBOX_API_URL;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    if (!this.appId || !this.appSecret) {
+      throw new Error('PayHere Merchant API credentials are not configured');
+    }
+
+    const credentials = Buffer.from(`${this.appId}:${this.appSecret}`).toString('base64');
+    const response = await axios.post(`${this.baseUrl}/oauth/token`, 'grant_type=client_credentials', {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+
+    // Refresh a minute early so a token never expires mid-request
+    this.accessToken = response.data.access_token;
+    this.tokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  // Refund a captured payment; omit amount for a full refund
+  async refund({ paymentId, amount, description }) {
+    const token = await this.getAccessToken();
+    const body = { payment_id: paymentId, description };
+
+    if (amount !== undefined && amount !== null) {
+      body.amount = Number(amount).toFixed(2);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/payment/refund`, body, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    if (response.data.status !== 1) {
+      logger.warn(`PayHere refund rejected for payment ${paymentId}: ${response.data.msg}`);
+      return { success: false, message: response.data.msg, raw: response.data };
+    }
+
+    return { success: true, refundId: String(response.data.data), raw: response.data };
+  }
+
+  // Stop a recurring agreement so PayHere charges no further installments
+  async cancelSubscription(subscriptionId) {
+    const token = await this.getAccessToken();
+
+    const response = await axios.post(`${this.baseUrl}/subscription/cancel`, { subscription_id: subscriptionId }, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    if (response.data.status !== 1) {
+      logger.warn(`PayHere subscription cancel rejected for ${subscriptionId}: ${response.data.msg}`);
+      return { success: false, message: response.data.msg, raw: response.data };
+    }
+
+    return { success: true, raw: response.data };
+  }
+}
+
+module.exports = PayHereGateway;
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const PaymentWebhook = require('../models/PaymentWebhook');
+const ledgerService = require('./ledgerService');
+const subscriptionService = require('./subscriptionService');
+const receiptService = require('./receiptService');
+const refundService = require('./refundService');
+const guideAvailabilityService = require('./guideAvailabilityService');
+const { handleNotFoundError, AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Notifications that move money must match the amount and currency we charged
+const AMOUNT_CHECKED_STATUSES = ['completed', 'chargedback'];
+
+class PaymentWebhookService {
+  // PayHere md5sig: MD5(merchant_id + order_id + payhere_amount + payhere_currency + status_code + MD5(secret))
+  verifyPayHereSignature(payload) {
+    const secret = process.env.PAYHERE_MERCHANT_SECRET || '';
+    const hashedSecret = crypto.createHash('md5').update(secret).digest('hex').toUpperCase();
+
+    const expected = crypto.createHash('md5')
+      .update(`${payload.merchant_id}${payload.order_id}${payload.payhere_amount}${payload.payhere_currency}${payload.status_code}${hashedSecret}`)
+      .digest('hex')
+      .toUpperCase();
+
+    const received = String(payload.md5sig || '').toUpperCase();
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected)) &&
+      payload.merchant_id === process.env.PAYHERE_MERCHANT_ID;
+  }
+
+  // Store, verify and process an inbound PayHere notification
+  async receivePayHere(payload, meta = {}) {
+    const webhook = await PaymentWebhook.create({
+      gateway: 'payhere',
+      orderId: payload.order_id,
+      gatewayPaymentId: payload.payment_id,
+      statusCode: Number.isNaN(Number(payload.status_code)) ? null : Number(payload.status_code),
+      // Recurring notifications can repeat a payment ID and status with a different message type
+      dedupeKey: `payhere:${payload.payment_id}:${payload.status_code}${payload.message_type ? `:${payload.message_type}` : ''}`,
+      payload,
+      signatureValid: this.verifyPayHereSignature(payload),
+      sourceIp: meta.ip
+    });
+
+    if (!webhook.signatureValid) {
+      logger.warn(`Rejected PayHere notification ${webhook.id} for order ${payload.order_id}: invalid signature`);
+      return webhook;
+    }
+
+    const claimed = await webhook.claim(['received']);
+    if (!claimed) {
+      logger.info(`Duplicate PayHere notification ${webhook.id} ignored (payment ${payload.payment_id}, status ${payload.status_code})`);
+      return PaymentWebhook.findById(webhook.id);
+    }
+
+    return this.process(claimed);
+  }
+
+  // Re-run a stored notification, e.g. after a bug fix or once a mismatch has been checked
+  async replay(id, adminId, { acceptAmountMismatch = false, note } = {}) {
+    const webhook = await PaymentWebhook.findById(id);
+    if (!webhook) {
+      throw handleNotFoundError('Webhook not found');
+    }
+
+    if (!webhook.signatureValid || !PaymentWebhook.REPLAYABLE_STATUSES.includes(webhook.status)) {
+      throw new AppError(`Webhook in status '${webhook.status}' cannot be replayed`, 400);
+    }
+
+    const claimed = await webhook.claim([webhook.status]);
+    if (!claimed) {
+      throw new AppError('Webhook is already being processed', 409);
+    }
+
+    const replayed = await claimed.transition(['processing'], {
+      replay_count: webhook.replayCount + 1,
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note || null
+    });
+
+    logger.info(`Payment webhook ${id} replayed by admin ${adminId}${acceptAmountMismatch ? ' (amount mismatch accepted)' : ''}`);
+    return this.process(replayed || claimed, { acceptAmountMismatch });
+  }
+
+  // Close a queued notification without applying it
+  async dismiss(id, adminId, note) {
+    const webhook = await PaymentWebhook.findById(id);
+    if (!webhook) {
+      throw handleNotFoundError('Webhook not found');
+    }
+
+    const dismissed = await webhook.transition(['review', 'failed'], {
+      status: 'dismissed',
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note
+    });
+
+    if (!dismissed) {
+      throw new AppError(`Webhook in status '${webhook.status}' cannot be dismissed`, 400);
+    }
+
+    return dismissed;
+  }
+
+  // Apply a claimed notification to its payment and booking
+  async process(webhook, { acceptAmountMismatch = false } = {}) {
+    const payload = webhook.payload;
+
+    try {
+      if (subscriptionService.ownsOrder(payload.order_id)) {
+        return await this.processSubscription(webhook, { acceptAmountMismatch });
+      }
+
+      const payment = await Payment.findByOrderId(payload.order_id);
+      if (!payment) {
+        return this.flagForReview(webhook, `Unknown order ID ${payload.order_id}`);
+      }
+
+      const paymentStatus = Payment.PAYHERE_STATUS_CODES[payload.status_code];
+      if (!paymentStatus) {
+        return this.flagForReview(webhook, `Unknown status code ${payload.status_code}`, payment.id);
+      }
+
+      if (AMOUNT_CHECKED_STATUSES.includes(paymentStatus) && !acceptAmountMismatch) {
+        const mismatch = this.findAmountMismatch(payment, payload);
+        if (mismatch) {
+          return this.flagForReview(webhook, mismatch, payment.id);
+        }
+      }
+
+      const updated = await payment.recordStatus(paymentStatus, {
+        statusCode: Number(payload.status_code),
+        message: payload.status_message,
+        transactionId: payload.payment_id,
+        paymentMethod: payload.method,
+        cardMask: payload.card_no,
+        cardHolderName: payload.card_holder_name,
+        cardExpiry: payload.card_expiry,
+        amount: payload.payhere_amount,
+        currency: payload.payhere_currency,
+        payload
+      });
+
+      // Mirror the latest attempt onto the booking. A fare adjustment is settled on its own
+      // payment and leaves the booking's payment status alone.
+      const Booking = require('../models/Booking');
+      const booking = await Booking.findById(payment.bookingId);
+
+      if (booking && payment.purpose === 'booking') {
+        // A late notification for an abandoned attempt must not overwrite a settled booking
+        const settled = Payment.SETTLED_STATUSES.includes(booking.paymentStatus);
+        if (!settled || booking.paymentId === payload.payment_id) {
+          await booking.updatePaymentStatus(updated.status, 'payhere', payload.payment_id);
+        }
+      } else if (!booking) {
+        logger.error(`Booking not found for payment ${payment.id}: ${payment.bookingId}`);
+      }
+
+      await this.postToLedger(updated, booking);
+
+      if (updated.status === 'completed' && booking) {
+        if (payment.purpose === 'booking' && await this.secureGuideSlot(booking)) {
+          await this.sendReceipt(updated, booking);
+        }
+        await this.settleFareAdjustment(updated, booking);
+      }
+
+      logger.info(`PayHere payment ${updated.status} for booking: ${payment.bookingId}, order: ${payload.order_id}, payment: ${payload.payment_id}`);
+
+      return await webhook.transition(['processing'], {
+        status: 'processed',
+        payment_id: payment.id,
+        review_reason: null,
+        processed_at: new Date().toISOString()
+      }) || webhook;
+    } catch (error) {
+      await webhook.transition(['processing'], {
+        status: 'failed',
+        processing_error: error.message,
+        processed_at: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  // Subscription invoices are paid through the same PayHere notify URL
+  async processSubscription(webhook, options) {
+    const result = await subscriptionService.applyPayHereNotification(webhook.payload, options);
+    if (result.review) {
+      return this.flagForReview(webhook, result.review);
+    }
+
+    return await webhook.transition(['processing'], {
+      status: 'processed',
+      review_reason: null,
+      processed_at: new Date().toISOString()
+    }) || webhook;
+  }
+
+  // A failed posting is logged and shows up in the daily ledger reconciliation
+  async postToLedger(payment, booking) {
+    try {
+      if (payment.status === 'completed') {
+        await ledgerService.postPayment(payment);
+      } else if (payment.status === 'chargedback') {
+        await ledgerService.postChargeback(payment, booking);
+      }
+    } catch (error) {
+      logger.error(`Error posting payment ${payment.id} to the ledger:`, error);
+    }
+  }
+
+  // A payment that arrives after the guide's payment hold lapsed keeps the booking only if
+  // nobody took the slot meanwhile. Otherwise the booking is cancelled and refunded in full;
+  // a failed refund can be retried via POST /api/payments/refund. Returns whether it was kept.
+  async secureGuideSlot(booking) {
+    if (!booking.guideId || booking.status !== 'pending') return true;
+
+    try {
+      await guideAvailabilityService.secureSlot(booking);
+      return true;
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+    }
+
+    const bookingStateMachine = require('./bookingStateMachine');
+    const reason = 'The guide was booked by someone else before the payment arrived';
+    await bookingStateMachine.transition(booking, 'lapse', bookingStateMachine.systemActor, { reason });
+    logger.warn(`Booking ${booking.id} lapsed: ${reason}`);
+
+    try {
+      await refundService.refundBooking(booking, {
+        reason,
+        idempotencyKey: `booking-lapse:${booking.id}`,
+        requestedBy: booking.userId
+      });
+    } catch (error) {
+      logger.error(`Error refunding lapsed booking ${booking.id}:`, error);
+    }
+
+    return false;
+  }
+
+  // A ride whose final fare differed from the quote: the paid extra goes to the driver, or the
+  // difference is refunded once the quoted total is captured. Failures are logged; the refund
+  // is idempotent and can be retried from the booking.
+  async settleFareAdjustment(payment, booking) {
+    try {
+      if (payment.purpose === 'fare_adjustment') {
+        const payoutService = require('./payoutService');
+        await payoutService.accrueFareAdjustment(booking, { referenceId: payment.id, amount: payment.amount });
+      } else if (booking.fareAdjustment < 0) {
+        await refundService.refundFareAdjustment(booking);
+      }
+    } catch (error) {
+      logger.error(`Error settling the fare adjustment of booking ${booking.id}:`, error);
+    }
+  }
+
+  // A failed receipt email is logged; the traveller can still download it from the booking
+  async sendReceipt(payment, booking) {
+    try {
+      await receiptService.sendPaymentReceipt(payment, booking);
+    } catch (error) {
+      logger.error(`Error sending receipt for payment ${payment.id}:`, error);
+    }
+  }
+
+  findAmountMismatch(payment, payload) {
+    const receivedCents = Math.round(parseFloat(payload.payhere_amount) * 100);
+    const expectedCents = Math.round(payment.amount * 100);
+
+    if (receivedCents !== expectedCents || payload.payhere_currency !== payment.currency) {
+      return `Expected ${payment.amount.toFixed(2)} ${payment.currency}, received ${payload.payhere_amount} ${payload.payhere_currency}`;
+    }
+
+    return null;
+  }
+
+  async flagForReview(webhook, reason, paymentId = null) {
+    logger.warn(`Payment webhook ${webhook.id} queued for review: ${reason}`);
+
+    return await webhook.transition(['processing'], {
+      status: 'review',
+      review_reason: reason,
+      payment_id: paymentId,
+      processed_at: new Date().toISOString()
+    }) || webhook;
+  }
+}
+
+module.exports = new PaymentWebhookService();
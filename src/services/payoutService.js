@@ -0,0 +1,355 @@
+const { db } = require('../config/database');
+const ProviderEarning = require('../models/ProviderEarning');
+const PayoutMethod = require('../models/PayoutMethod');
+const PayoutBatch = require('../models/PayoutBatch');
+const Payout = require('../models/Payout');
+const commissionPolicy = require('./commissionPolicy');
+const ledgerService = require('./ledgerService');
+const { dateUtils, stringUtils } = require('../utils/helpers');
+const { handleNotFoundError, AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Days after completion before earnings can be paid out (drivers same day, guides T+3)
+const CLEARING_DAYS = { driver: 0, guide: 3 };
+
+const MINIMUM_PAYOUT = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT) || 1000;
+
+// Completed bookings this far back are re-checked for missing accruals on every batch run
+const ACCRUAL_LOOKBACK_DAYS = 30;
+
+const OPEN_INCIDENT_STATUSES = ['open', 'under_review'];
+const OPEN_REPORT_STATUSES = ['pending', 'under_review'];
+
+class PayoutService {
+  // Record what each provider earned on a completed booking (once per booking and provider)
+  // and post the completion to the ledger from the same split
+  async accrueForBooking(booking) {
+    if (booking.status !== 'completed') return [];
+    if (!booking.guideId && !booking.driverId) return [];
+
+    const split = await commissionPolicy.splitBooking(booking);
+    const completedAt = booking.completedAt ? new Date(booking.completedAt) : new Date();
+    const accrued = [];
+
+    for (const provider of split.providers) {
+      if (!provider.userId) {
+        logger.warn(`Cannot accrue earnings for booking ${booking.id}: ${provider.type} ${provider.id} not found`);
+        continue;
+      }
+
+      const earning = await ProviderEarning.create({
+        bookingId: booking.id,
+        userId: provider.userId,
+        providerType: provider.type,
+        providerId: provider.id,
+        grossAmount: provider.grossAmount,
+        commission: provider.commission,
+        netAmount: provider.netAmount,
+        availableAt: dateUtils.addDays(completedAt, CLEARING_DAYS[provider.type]).toISOString()
+      });
+
+      if (earning) accrued.push(earning);
+    }
+
+    try {
+      await ledgerService.postBookingCompletion(booking, split);
+    } catch (error) {
+      logger.error(`Error posting completion of booking ${booking.id} to the ledger:`, error);
+    }
+
+    return accrued;
+  }
+
+  // Add (or, when negative, take back) a ride's settled fare adjustment to the driver's earnings,
+  // at their commission rate, and post it to the ledger. `referenceId` is the adjustment
+  // payment or the refund that settled it; both steps are idempotent.
+  async accrueFareAdjustment(booking, { referenceId, amount }) {
+    const Driver = require('../models/Driver');
+    const subscriptionService = require('./subscriptionService');
+
+    const driver = booking.driverId ? await Driver.findById(booking.driverId) : null;
+    if (!driver) {
+      logger.warn(`Cannot accrue fare adjustment for booking ${booking.id}: driver not found`);
+      return null;
+    }
+
+    const commission = commissionPolicy.calculateCommission(amount, 'driver', await subscriptionService.getTier(driver.id));
+    const netAmount = Math.round((amount - commission) * 100) / 100;
+
+    const earning = await ProviderEarning.create({
+      bookingId: booking.id,
+      userId: driver.userId,
+      providerType: 'driver',
+      providerId: driver.id,
+      grossAmount: amount,
+      commission,
+      netAmount,
+      availableAt: new Date().toISOString(),
+      source: 'fare_adjustment'
+    });
+
+    try {
+      await ledgerService.postFareAdjustment(booking, { amount, commission, netAmount, userId: driver.userId }, referenceId);
+    } catch (error) {
+      logger.error(`Error posting fare adjustment of booking ${booking.id} to the ledger:`, error);
+    }
+
+    return earning;
+  }
+
+  // Catch completed bookings whose accrual was missed (e.g. a crash right after completion)
+  async accrueMissing(since) {
+    const Booking = require('../models/Booking');
+
+    const { data: bookings, error } = await db.supabase
+      .from('bookings')
+      .select('*, provider_earnings(id, source)')
+      .eq('status', 'completed')
+      .gte('completed_at', since.toISOString());
+
+    if (error) throw error;
+
+    let accrued = 0;
+    // A settled fare adjustment does not count as the booking's own accrual
+    const missed = bookings.filter(booking => !booking.provider_earnings.some(earning => earning.source === 'booking'));
+    for (const row of missed) {
+      accrued += (await this.accrueForBooking(new Booking(row))).length;
+    }
+
+    return accrued;
+  }
+
+  // Reason each booking's earnings must wait, keyed by booking ID
+  async findHolds(earnings) {
+    const bookingIds = [...new Set(earnings.map(earning => earning.bookingId))];
+    const holds = {};
+    if (bookingIds.length === 0) return holds;
+
+    // Cancellation penalties (negative earnings) sit on refunded bookings and are never held for payment
+    earnings.filter(earning => earning.netAmount >= 0).forEach(earning => {
+      const paymentStatus = earning.booking?.payment_status;
+      if (paymentStatus && paymentStatus !== 'completed' && !isRefundedByDesign(earning.booking)) {
+        holds[earning.bookingId] = `Payment is ${paymentStatus.replace(/_/g, ' ')}`;
+      }
+    });
+
+    const { data: reports, error: reportError } = await db.supabase
+      .from('reports')
+      .select('reported_booking_id')
+      .in('reported_booking_id', bookingIds)
+      .in('status', OPEN_REPORT_STATUSES);
+
+    if (reportError) throw reportError;
+    reports.forEach(report => {
+      holds[report.reported_booking_id] = 'Open dispute on booking';
+    });
+
+    const { data: incidents, error: incidentError } = await db.supabase
+      .from('safety_incidents')
+      .select('booking_id')
+      .in('booking_id', bookingIds)
+      .in('status', OPEN_INCIDENT_STATUSES);
+
+    if (incidentError) throw incidentError;
+    incidents.forEach(incident => {
+      holds[incident.booking_id] = 'Open safety incident on booking';
+    });
+
+    return holds;
+  }
+
+  // Apply holds and releases, then group available earnings into one payout per provider
+  async generateBatch({ periodEnd = new Date(), createdBy = null } = {}) {
+    const accrued = await this.accrueMissing(dateUtils.addDays(periodEnd, -ACCRUAL_LOOKBACK_DAYS));
+
+    const earnings = await ProviderEarning.findSettleable(periodEnd);
+    const holds = await this.findHolds(earnings);
+
+    const toHold = earnings.filter(earning => holds[earning.bookingId] && earning.holdReason !== holds[earning.bookingId]);
+    const toRelease = earnings.filter(earning => !holds[earning.bookingId] && earning.status !== 'available');
+
+    for (const reason of new Set(toHold.map(earning => holds[earning.bookingId]))) {
+      const ids = toHold.filter(earning => holds[earning.bookingId] === reason).map(earning => earning.id);
+      await ProviderEarning.updateMany(ids, ['pending', 'held', 'available'], { status: 'held', hold_reason: reason });
+    }
+    await ProviderEarning.updateMany(toRelease.map(earning => earning.id), ['pending', 'held'], { status: 'available', hold_reason: null });
+
+    const available = earnings.filter(earning => !holds[earning.bookingId]);
+    const byUser = available.reduce((groups, earning) => {
+      (groups[earning.userId] = groups[earning.userId] || []).push(earning);
+      return groups;
+    }, {});
+
+    const methods = await PayoutMethod.findDefaultsByUserIds(Object.keys(byUser));
+    const summary = {
+      batchId: null,
+      accrued,
+      held: Object.keys(holds).length,
+      payouts: 0,
+      totalAmount: 0,
+      missingPayoutMethod: 0,
+      belowMinimum: 0
+    };
+
+    let batch = null;
+    for (const [userId, userEarnings] of Object.entries(byUser)) {
+      const amount = roundAmount(userEarnings.reduce((sum, earning) => sum + earning.netAmount, 0));
+
+      if (!methods[userId]) {
+        summary.missingPayoutMethod++;
+        continue;
+      }
+      if (amount < MINIMUM_PAYOUT) {
+        summary.belowMinimum++;
+        continue;
+      }
+
+      if (!batch) {
+        batch = await PayoutBatch.create({
+          reference: `PO-${dateUtils.formatDate(periodEnd, 'YYYYMMDD')}-${stringUtils.generateRandomString(4).toUpperCase()}`,
+          periodStart: dateUtils.addDays(periodEnd, -7).toISOString(),
+          periodEnd: periodEnd.toISOString(),
+          createdBy
+        });
+      }
+
+      const payout = await Payout.create({
+        batchId: batch.id,
+        userId,
+        payoutMethodId: methods[userId].id,
+        amount,
+        earningsCount: userEarnings.length
+      });
+
+      const moved = await ProviderEarning.updateMany(userEarnings.map(earning => earning.id), ['available'], {
+        status: 'batched',
+        payout_id: payout.id
+      });
+
+      // Anything that changed underneath us stays out of this payout
+      const movedAmount = roundAmount(moved.reduce((sum, earning) => sum + earning.netAmount, 0));
+      if (moved.length !== userEarnings.length) {
+        await payout.transition(['pending'], { amount: movedAmount, earnings_count: moved.length });
+      }
+
+      summary.payouts++;
+      summary.totalAmount = roundAmount(summary.totalAmount + movedAmount);
+    }
+
+    if (batch) {
+      batch = await batch.update({ payout_count: summary.payouts, total_amount: summary.totalAmount });
+      summary.batchId = batch.id;
+      logger.info(`Payout batch ${batch.reference}: ${summary.payouts} payouts totalling ${summary.totalAmount}`);
+    }
+
+    return summary;
+  }
+
+  // Bank/wallet transfer file for a batch; exporting marks its pending payouts as sent
+  async exportBatch(batchId, { type } = {}) {
+    const batch = await PayoutBatch.findById(batchId);
+    if (!batch) {
+      throw handleNotFoundError('Payout batch not found');
+    }
+
+    const payouts = (await Payout.findByBatchId(batchId))
+      .filter(payout => payout.status !== 'failed')
+      .filter(payout => !type || payout.payoutMethod?.type === type);
+
+    const csv = stringUtils.toCsv(
+      ['Payout ID', 'Method', 'Beneficiary Name', 'Bank Code', 'Bank Name', 'Branch Code', 'Account Number', 'Mobile Number', 'Amount', 'Currency', 'Reference'],
+      payouts.map(payout => [
+        payout.id,
+        payout.payoutMethod?.type,
+        payout.payoutMethod?.account_name,
+        payout.payoutMethod?.bank_code,
+        payout.payoutMethod?.bank_name,
+        payout.payoutMethod?.branch_code,
+        payout.payoutMethod?.account_number,
+        payout.payoutMethod?.mobile_number,
+        payout.amount.toFixed(2),
+        payout.currency,
+        `${batch.reference}-${payout.id.slice(0, 8).toUpperCase()}`
+      ])
+    );
+
+    for (const payout of payouts.filter(payout => payout.status === 'pending')) {
+      await payout.transition(['pending'], { status: 'processing' });
+    }
+
+    if (batch.status === 'open') {
+      await batch.update({ status: 'exported', exported_at: new Date().toISOString() });
+    }
+
+    return { batch, csv };
+  }
+
+  // Record the bank's outcome for a payout. Failed payouts release their earnings into the next batch.
+  async updatePayoutStatus(payoutId, { status, reference, failureReason }, adminId) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+      throw handleNotFoundError('Payout not found');
+    }
+
+    const updates = status === 'paid'
+      ? { status, reference: reference || null, paid_at: new Date().toISOString() }
+      : { status, failure_reason: failureReason };
+
+    const updated = await payout.transition(Payout.OPEN_STATUSES, updates);
+    if (!updated) {
+      throw new AppError(`Payout is already ${payout.status}`, 400);
+    }
+
+    const earningIds = (await ProviderEarning.findByPayoutId(payoutId)).map(earning => earning.id);
+    if (status === 'paid') {
+      await ProviderEarning.updateMany(earningIds, ['batched'], { status: 'paid' });
+    } else {
+      await ProviderEarning.updateMany(earningIds, ['batched'], { status: 'available', payout_id: null });
+    }
+
+    if (status === 'paid') {
+      try {
+        await ledgerService.postPayout(updated);
+      } catch (error) {
+        logger.error(`Error posting payout ${payoutId} to the ledger:`, error);
+      }
+    }
+
+    await this.completeBatchIfSettled(payout.batchId);
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendPayoutNotification(updated.userId, updated);
+    } catch (error) {
+      logger.error(`Error sending payout notification for ${payoutId}:`, error);
+    }
+
+    logger.info(`Payout ${payoutId} marked ${status} by admin: ${adminId}`);
+    return updated;
+  }
+
+  async completeBatchIfSettled(batchId) {
+    const payouts = await Payout.findByBatchId(batchId);
+    if (payouts.some(payout => Payout.OPEN_STATUSES.includes(payout.status))) return;
+
+    const batch = await PayoutBatch.findById(batchId);
+    if (batch && batch.status !== 'completed') {
+      await batch.update({ status: 'completed', completed_at: new Date().toISOString() });
+    }
+  }
+}
+
+// Helper Functions
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+// A combined order refunded in part because one of its legs was cancelled, or a ride
+// refunded the difference when its final fare came in under the quote
+function isRefundedByDesign(booking) {
+  return booking.payment_status === 'partially_refunded' &&
+    ((booking.booking_legs || []).some(leg => leg.status === 'cancelled') || Number(booking.fare_adjustment) < 0);
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const Receipt = require('../models/Receipt');
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const commissionPolicy = require('./commissionPolicy');
+const currencyService = require('./currencyService');
+const emailService = require('./emailService');
+const translationService = require('./translationService');
+const { dateUtils } = require('../utils/helpers');
+const { handleNotFoundError, AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Sinhala and Tamil need a font with those scripts; Helvetica only covers Latin.
+// Defaults are where Debian/Ubuntu's fonts-noto-core installs them. checkFonts() stops
+// the app at startup when one is missing, rather than sending receipts in the wrong language.
+const SCRIPT_FONTS = {
+  si: process.env.RECEIPT_FONT_SINHALA || '/usr/share/fonts/truetype/noto/NotoSansSinhala-Regular.ttf',
+  ta: process.env.RECEIPT_FONT_TAMIL || '/usr/share/fonts/truetype/noto/NotoSansTamil-Regular.ttf'
+};
+
+// A payment receipt can be issued once the payment has been captured, even if it was refunded later
+const RECEIPTABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+class ReceiptService {
+  // Every script font must be installed so each supported language can be rendered
+  checkFonts() {
+    const missing = Object.entries(SCRIPT_FONTS).filter(([, fontPath]) => !fs.existsSync(fontPath));
+
+    if (missing.length > 0) {
+      const list = missing.map(([language, fontPath]) => `'${language}' (${fontPath})`).join(', ');
+      throw new Error(`Receipt fonts not found for ${list}. Install fonts-noto-core or set RECEIPT_FONT_SINHALA / RECEIPT_FONT_TAMIL.`);
+    }
+  }
+
+  // Invoice for a completed booking: the fare split per provider and the service fee
+  async issueForBooking(booking) {
+    if (booking.status !== 'completed') {
+      throw new AppError('An invoice is issued once the booking is completed', 400);
+    }
+
+    const existing = await Receipt.findByBookingId(booking.id);
+    if (existing) return existing;
+
+    const { lineItems, subtotal, platformFee } = await buildLineItems(booking);
+
+    const receipt = await Receipt.create({
+      type: 'booking',
+      bookingId: booking.id,
+      userId: booking.userId,
+      lineItems,
+      subtotal,
+      platformFee,
+      total: roundAmount(booking.totalAmount),
+      displayCurrency: booking.displayCurrency,
+      fxRate: booking.fxRate
+    });
+
+    // Lost a race with another request; theirs holds the number
+    return receipt || Receipt.findByBookingId(booking.id);
+  }
+
+  // Receipt for a captured PayHere payment, with the method and transaction it was paid by
+  async issueForPayment(payment, booking) {
+    const existing = await Receipt.findByPaymentId(payment.id);
+    if (existing) return existing;
+
+    const { lineItems, subtotal, platformFee } = await buildLineItems(booking);
+
+    const receipt = await Receipt.create({
+      type: 'payment',
+      bookingId: booking.id,
+      paymentId: payment.id,
+      userId: payment.userId,
+      lineItems,
+      subtotal,
+      platformFee,
+      total: payment.amount,
+      currency: payment.currency,
+      displayCurrency: booking.displayCurrency,
+      fxRate: booking.fxRate,
+      paymentDetails: {
+        orderId: payment.orderId,
+        transactionId: payment.transactionId,
+        paymentMethod: payment.paymentMethod,
+        cardMask: payment.cardMask,
+        paidAt: payment.paidAt || new Date().toISOString()
+      }
+    });
+
+    return receipt || Receipt.findByPaymentId(payment.id);
+  }
+
+  // Receipt PDF for GET /api/bookings/:id/receipt. Without a type, completed bookings get
+  // their invoice and anything else the receipt for the payment that settled it.
+  async getBookingReceipt(booking, { type, lang } = {}) {
+    const receiptType = type || (booking.status === 'completed' ? 'booking' : 'payment');
+
+    let receipt;
+    if (receiptType === 'booking') {
+      receipt = await this.issueForBooking(booking);
+    } else {
+      const payment = booking.paymentId ? await Payment.findByTransactionId(booking.paymentId) : null;
+      if (!payment || !RECEIPTABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        throw handleNotFoundError('No payment receipt until the booking is paid');
+      }
+      receipt = await this.issueForPayment(payment, booking);
+    }
+
+    const pdf = await this.renderPdf(receipt, booking, lang || booking.user?.language);
+
+    return { receipt, pdf, filename: `${receipt.receiptNumber}.pdf` };
+  }
+
+  // Email the payment receipt with the booking confirmation, once per payment
+  async sendPaymentReceipt(payment, booking) {
+    if (await Receipt.findByPaymentId(payment.id)) return;
+
+    const receipt = await this.issueForPayment(payment, booking);
+    const pdf = await this.renderPdf(receipt, booking, booking.user?.language);
+
+    await emailService.sendBookingConfirmationEmail(booking.toSafeObject(), [
+      { filename: `${receipt.receiptNumber}.pdf`, content: pdf, contentType: 'application/pdf' }
+    ]);
+
+    logger.info(`Payment receipt ${receipt.receiptNumber} sent for booking ${booking.id}`);
+  }
+
+  // Email the invoice when a booking completes, once per booking
+  async sendBookingReceipt(booking) {
+    if (await Receipt.findByBookingId(booking.id)) return;
+
+    const receipt = await this.issueForBooking(booking);
+    const pdf = await this.renderPdf(receipt, booking, booking.user?.language);
+
+    await emailService.sendBookingReceiptEmail(booking.toSafeObject(), [
+      { filename: `${receipt.receiptNumber}.pdf`, content: pdf, contentType: 'application/pdf' }
+    ]);
+
+    logger.info(`Booking invoice ${receipt.receiptNumber} sent for booking ${booking.id}`);
+  }
+
+  // Render a receipt in English, Sinhala or Tamil. Refunds are read at render time so a
+  // downloaded copy always shows what has been returned so far.
+  async renderPdf(receipt, booking, lang) {
+    const language = resolveLanguage(lang);
+    const labels = translationService.getReceiptLabels(language);
+    const money = amount => translationService.formatCurrency(amount, language);
+
+    const refunds = (await Refund.findByBookingId(booking.id))
+      .filter(refund => refund.status === 'succeeded');
+    const refunded = roundAmount(refunds.reduce((sum, refund) => sum + Number(refund.amount), 0));
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: receipt.receiptNumber } });
+    const fonts = registerFonts(doc, language);
+    const done = collect(doc);
+
+    doc.font(fonts.bold).fontSize(20).text('PearlPath');
+    doc.font(fonts.regular).fontSize(14)
+      .text(receipt.type === 'booking' ? labels.bookingReceipt : labels.paymentReceipt);
+    doc.moveDown();
+
+    doc.fontSize(10);
+    const customer = booking.user ? `${booking.user.first_name} ${booking.user.last_name}` : '';
+    row(doc, fonts, labels.receiptNumber, receipt.receiptNumber);
+    row(doc, fonts, labels.issuedAt, formatDate(receipt.issuedAt, language));
+    row(doc, fonts, labels.bookingReference, booking.bookingReference);
+    row(doc, fonts, labels.billedTo, customer);
+    row(doc, fonts, labels.serviceDate, formatDate(booking.startDate, language));
+
+    if (receipt.paymentDetails) {
+      const details = receipt.paymentDetails;
+      const method = [details.paymentMethod, details.cardMask].filter(Boolean).join(' ');
+      row(doc, fonts, labels.paymentMethod, method || '-');
+      row(doc, fonts, labels.transactionId, details.transactionId || '-');
+      row(doc, fonts, labels.paidAt, formatDate(details.paidAt, language));
+    }
+
+    doc.moveDown();
+    rule(doc);
+    row(doc, fonts, labels.description, labels.amount, { bold: true });
+    rule(doc);
+
+    for (const item of receipt.lineItems) {
+      const label = (labels[item.kind] || labels.service).replace('{hours}', item.hours);
+      row(doc, fonts, label, money(item.amount));
+    }
+
+    rule(doc);
+    row(doc, fonts, labels.total, money(receipt.total), { bold: true });
+
+    if (refunds.length > 0) {
+      doc.moveDown(0.5);
+      row(doc, fonts, labels.refunds, '', { bold: true });
+      for (const refund of refunds) {
+        row(doc, fonts, `${labels.refund} ${formatDate(refund.processedAt || refund.createdAt, language)}`, `-${money(refund.amount)}`);
+      }
+      row(doc, fonts, labels.netPaid, money(roundAmount(receipt.total - refunded)), { bold: true });
+    }
+
+    doc.moveDown();
+    if (receipt.displayCurrency !== currencyService.settlementCurrency) {
+      const displayTotal = currencyService.convert(receipt.total - refunded, {
+        currency: receipt.displayCurrency,
+        rate: receipt.fxRate
+      });
+      doc.font(fonts.regular).text(
+        labels.displayAmount.replace('{amount}', `${receipt.displayCurrency} ${displayTotal.toFixed(2)}`)
+      );
+    }
+    doc.font(fonts.regular).text(labels.settlementNote);
+    doc.moveDown();
+    doc.text(labels.thankYou);
+
+    doc.end();
+    return done;
+  }
+}
+
+// Helper Functions
+
+// Line items are stored as kinds and amounts; labels are applied when rendering
+async function buildLineItems(booking) {
+  const split = await commissionPolicy.splitBooking(booking);
+
+  // Every leg of a combined order is listed at its booked price; cancelled legs show up as refunds
+  const shares = booking.hasLegs()
+    ? booking.legs.map(leg => ({ type: leg.providerType, grossAmount: leg.amount }))
+    : split.providers;
+
+  const lineItems = shares.map(share => ({
+    kind: booking.type === 'ride' ? 'ride' : share.type,
+    hours: share.type === 'guide' ? booking.duration : null,
+    amount: share.grossAmount
+  }));
+
+  const subtotal = roundAmount(Number(booking.totalAmount) - split.platformFee);
+  if (lineItems.length === 0) {
+    lineItems.push({ kind: booking.type === 'ride' ? 'ride' : 'service', hours: null, amount: subtotal });
+  }
+
+  if (split.platformFee > 0) {
+    lineItems.push({ kind: 'platform_fee', hours: null, amount: split.platformFee });
+  }
+
+  return { lineItems, subtotal, platformFee: split.platformFee };
+}
+
+function resolveLanguage(lang) {
+  return translationService.isValidLanguage(lang) ? lang : translationService.getDefaultLanguage();
+}
+
+function registerFonts(doc, language) {
+  if (!SCRIPT_FONTS[language]) {
+    return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+  }
+
+  doc.registerFont('script', SCRIPT_FONTS[language]);
+  return { regular: 'script', bold: 'script' };
+}
+
+function row(doc, fonts, label, value, { bold = false } = {}) {
+  const y = doc.y;
+  doc.font(bold ? fonts.bold : fonts.regular);
+  doc.text(label, 50, y, { width: 330 });
+  const labelBottom = doc.y;
+  doc.text(String(value), 380, y, { width: 165, align: 'right' });
+  doc.x = 50;
+  doc.y = Math.max(labelBottom, doc.y) + 2;
+}
+
+function rule(doc) {
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
+  doc.y += 4;
+}
+
+function collect(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+function formatDate(date, language) {
+  return date ? dateUtils.formatDate(date, translationService.getDateFormat(language)) : '-';
+}
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+module.exports = new ReceiptService();
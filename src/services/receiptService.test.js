@@ -0,0 +1,50 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../models/Receipt', () => ({ findByPaymentId: jest.fn(), create: jest.fn() }));
+jest.mock('./commissionPolicy', () => ({ splitBooking: jest.fn() }));
+jest.mock('./currencyService', () => ({ settlementCurrency: 'LKR' }));
+jest.mock('./emailService', () => ({}));
+
+const fs = require('fs');
+const Receipt = require('../models/Receipt');
+const commissionPolicy = require('./commissionPolicy');
+const receiptService = require('./receiptService');
+
+describe('receiptService.checkFonts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes when every script font is installed', () => {
+    jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+
+    expect(() => receiptService.checkFonts()).not.toThrow();
+  });
+
+  it('names the languages whose font is missing', () => {
+    jest.spyOn(fs, 'existsSync').mockImplementation(fontPath => !fontPath.includes('Tamil'));
+
+    expect(() => receiptService.checkFonts()).toThrow(/'ta' \(.*NotoSansTamil-Regular\.ttf\)/);
+  });
+});
+
+describe('receiptService.issueForPayment', () => {
+  it('lists the fare and service fee but not the platform commission', async () => {
+    Receipt.findByPaymentId.mockResolvedValue(null);
+    Receipt.create.mockImplementation(async data => data);
+    commissionPolicy.splitBooking.mockResolvedValue({
+      providers: [{ type: 'guide', grossAmount: 4000 }],
+      platformFee: 200,
+      commission: 600
+    });
+    const booking = { id: 'booking-1', type: 'guide', duration: 4, totalAmount: 4200, hasLegs: () => false };
+
+    const receipt = await receiptService.issueForPayment({ id: 'payment-1', amount: 4200, currency: 'LKR' }, booking);
+
+    expect(receipt.lineItems).toEqual([
+      { kind: 'guide', hours: 4, amount: 4000 },
+      { kind: 'platform_fee', hours: null, amount: 200 }
+    ]);
+    expect(receipt).not.toHaveProperty('commission');
+  });
+});
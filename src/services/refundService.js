@@ -0,0 +1,215 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const { createPaymentGateway } = require('./payment');
+const ledgerService = require('./ledgerService');
+const { AppError, handleConflictError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Payment statuses with captured money that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+class RefundService {
+  constructor() {
+    this.gateway = createPaymentGateway();
+  }
+
+  hasRefundablePayment(booking) {
+    return REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus) && Boolean(booking.paymentId);
+  }
+
+  // What the gateway actually captured for the booking, which can differ from its total.
+  // Fare adjustment payments are settled on their own and are not part of it.
+  async getCapturedAmount(booking) {
+    const payments = await Payment.findByBookingId(booking.id);
+    return sumAmounts(payments.filter(payment => payment.purpose === 'booking' && Payment.CAPTURED_STATUSES.includes(payment.status)));
+  }
+
+  // Amount still available to refund, optionally capped by a policy entitlement
+  async getRefundableAmount(booking, limit = null) {
+    const refunds = await Refund.findByBookingId(booking.id);
+    const committed = sumAmounts(refunds.filter(refund => Refund.COMMITTED_STATUSES.includes(refund.status)));
+    const captured = await this.getCapturedAmount(booking);
+    const ceiling = limit === null ? captured : Math.min(roundAmount(limit), captured);
+
+    return Math.max(roundAmount(ceiling - committed), 0);
+  }
+
+  // Refund all or part of a booking's captured payment.
+  // Repeating a request with the same idempotency key returns the original refund.
+  async refundBooking(booking, { amount, reason, idempotencyKey, requestedBy, limit = null }) {
+    const existing = await Refund.findByIdempotencyKey(requestedBy, idempotencyKey);
+    if (existing) {
+      return this.replay(existing, booking, amount);
+    }
+
+    if (!this.hasRefundablePayment(booking)) {
+      throw new AppError('Booking has no captured payment to refund', 400);
+    }
+
+    const refundable = await this.getRefundableAmount(booking, limit);
+    const refundAmount = amount === undefined || amount === null ? refundable : roundAmount(amount);
+
+    if (refundable <= 0) {
+      throw new AppError('Nothing left to refund on this booking', 400);
+    }
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new AppError(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`, 400);
+    }
+
+    let refund;
+    try {
+      refund = await Refund.reserve({
+        bookingId: booking.id,
+        requestedBy,
+        idempotencyKey,
+        amount: refundAmount,
+        capturedAmount: await this.getCapturedAmount(booking),
+        currency: 'LKR',
+        reason,
+        gateway: this.gateway.name,
+        gatewayPaymentId: booking.paymentId
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('refund_exceeds_captured_amount')) {
+        throw handleConflictError('Another refund on this booking was processed first. Please review the remaining amount.');
+      }
+      throw error;
+    }
+
+    // A concurrent request with the same key may have reserved first
+    if (refund.amount !== refundAmount || refund.status !== 'pending') {
+      return this.replay(refund, booking, amount);
+    }
+
+    return { refund: await this.process(refund, booking), replayed: false };
+  }
+
+  // A completed ride whose final fare came in under the quote gets the difference back,
+  // once its payment is captured. The driver's earnings are reduced by the same amount.
+  async refundFareAdjustment(booking) {
+    if (booking.status !== 'completed' || booking.fareAdjustment >= 0 || !this.hasRefundablePayment(booking)) {
+      return null;
+    }
+
+    const { refund } = await this.refundBooking(booking, {
+      amount: -booking.fareAdjustment,
+      reason: 'Final fare lower than quoted',
+      idempotencyKey: `fare-adjustment-${booking.id}`,
+      requestedBy: booking.userId
+    });
+
+    if (refund.status === 'succeeded') {
+      const payoutService = require('./payoutService');
+      await payoutService.accrueFareAdjustment(booking, { referenceId: refund.id, amount: booking.fareAdjustment });
+    }
+
+    return refund;
+  }
+
+  async replay(refund, booking, amount) {
+    const amountMatches = amount === undefined || amount === null || roundAmount(amount) === refund.amount;
+
+    if (refund.bookingId !== booking.id || !amountMatches) {
+      throw handleConflictError('Idempotency key has already been used for a different refund');
+    }
+
+    // The original request stopped before reaching the gateway - finish it now
+    if (refund.status === 'pending') {
+      return { refund: await this.process(refund, booking), replayed: true };
+    }
+
+    return { refund, replayed: true };
+  }
+
+  // Send a pending refund to the gateway and record the outcome
+  async process(refund, booking) {
+    const processing = await refund.transition(['pending'], 'processing', {}, `Sent to ${this.gateway.name}`);
+    if (!processing) {
+      // Another request claimed it; report its current state
+      return Refund.findById(refund.id);
+    }
+
+    let result;
+    try {
+      const captured = await this.getCapturedAmount(booking);
+      result = await this.gateway.refund({
+        paymentId: processing.gatewayPaymentId,
+        amount: processing.amount < captured ? processing.amount : null,
+        description: processing.reason
+      });
+    } catch (error) {
+      logger.error(`Gateway error refunding booking ${booking.id}:`, error);
+      result = {
+        success: false,
+        message: error.response?.data?.msg || error.message,
+        raw: error.response?.data || null
+      };
+    }
+
+    const processedAt = new Date().toISOString();
+
+    if (!result.success) {
+      const failed = await processing.transition(['processing'], 'failed', {
+        failure_reason: result.message,
+        gateway_response: result.raw,
+        processed_at: processedAt
+      }, result.message);
+
+      logger.warn(`Refund ${refund.id} failed for booking ${booking.id}: ${result.message}`);
+      return failed || processing;
+    }
+
+    const succeeded = await processing.transition(['processing'], 'succeeded', {
+      gateway_refund_id: result.refundId,
+      gateway_response: result.raw,
+      processed_at: processedAt
+    }, `Gateway refund ${result.refundId}`);
+
+    await this.syncBookingRefunds(booking);
+
+    try {
+      await ledgerService.postRefund(succeeded || processing, booking);
+    } catch (error) {
+      logger.error(`Error posting refund ${refund.id} to the ledger:`, error);
+    }
+
+    logger.info(`Refund ${refund.id} of ${processing.amount} succeeded for booking ${booking.id}`);
+    return succeeded || processing;
+  }
+
+  // Mirror the succeeded refunds onto the booking's refund amount and payment status
+  async syncBookingRefunds(booking) {
+    const refunds = await Refund.findByBookingId(booking.id);
+    const refunded = sumAmounts(refunds.filter(refund => refund.status === 'succeeded'));
+
+    if (refunded <= 0) return booking;
+
+    const paymentStatus = refunded >= await this.getCapturedAmount(booking) ? 'refunded' : 'partially_refunded';
+    await booking.updateRefundTotals(refunded, paymentStatus);
+
+    const payment = await Payment.findByTransactionId(booking.paymentId);
+    if (payment) {
+      await payment.recordStatus(paymentStatus, {
+        message: `Refunded ${refunded.toFixed(2)} in total`,
+        amount: refunded,
+        currency: payment.currency
+      });
+    }
+
+    return booking;
+  }
+}
+
+// Helper Functions
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+// Total of refunds or payments
+function sumAmounts(items) {
+  return roundAmount(items.reduce((total, item) => total + item.amount, 0));
+}
+
+module.exports = new RefundService();
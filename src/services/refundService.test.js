@@ -0,0 +1,229 @@
+jest.mock('../config/database', () => ({ db: {} }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./ledgerService', () => ({ postRefund: jest.fn() }));
+
+process.env.PAYMENT_GATEWAY = 'fake';
+
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const ledgerService = require('./ledgerService');
+const refundService = require('./refundService');
+
+const gateway = refundService.gateway;
+
+// In-memory refunds table behaving like reserve_refund(): one refund per requester and key,
+// and committed refunds never above the captured amount
+let rows;
+
+function mockRefundTable() {
+  rows = [];
+
+  jest.spyOn(Refund, 'reserve').mockImplementation(async data => {
+    const existing = rows.find(row => row.requested_by === data.requestedBy && row.idempotency_key === data.idempotencyKey);
+    if (existing) return new Refund(existing);
+
+    const committed = rows
+      .filter(row => row.booking_id === data.bookingId && Refund.COMMITTED_STATUSES.includes(row.status))
+      .reduce((sum, row) => sum + row.amount, 0);
+    if (Math.round((committed + data.amount) * 100) > Math.round(data.capturedAmount * 100)) {
+      throw new Error('refund_exceeds_captured_amount');
+    }
+
+    const row = {
+      id: `refund-${rows.length + 1}`,
+      booking_id: data.bookingId,
+      requested_by: data.requestedBy,
+      idempotency_key: data.idempotencyKey,
+      amount: data.amount,
+      currency: data.currency,
+      reason: data.reason,
+      status: 'pending',
+      gateway: data.gateway,
+      gateway_payment_id: data.gatewayPaymentId
+    };
+    rows.push(row);
+    return new Refund(row);
+  });
+
+  jest.spyOn(Refund, 'findById').mockImplementation(async id => {
+    const row = rows.find(candidate => candidate.id === id);
+    return row ? new Refund(row) : null;
+  });
+  jest.spyOn(Refund, 'findByIdempotencyKey').mockImplementation(async (requestedBy, key) => {
+    const row = rows.find(candidate => candidate.requested_by === requestedBy && candidate.idempotency_key === key);
+    return row ? new Refund(row) : null;
+  });
+  jest.spyOn(Refund, 'findByBookingId').mockImplementation(async bookingId =>
+    rows.filter(row => row.booking_id === bookingId).map(row => new Refund(row)));
+
+  jest.spyOn(Refund.prototype, 'transition').mockImplementation(async function (fromStatuses, toStatus, updates = {}) {
+    const row = rows.find(candidate => candidate.id === this.id);
+    if (!fromStatuses.includes(row.status)) return null;
+
+    Object.assign(row, updates, { status: toStatus });
+    return new Refund(row);
+  });
+}
+
+// A booking paid with one captured PayHere payment
+function buildBooking({ totalAmount = 1000, captured = [1000] } = {}) {
+  jest.spyOn(Payment, 'findByBookingId').mockResolvedValue(captured.map((amount, index) => new Payment({
+    id: `payment-${index + 1}`,
+    booking_id: 'booking-1',
+    amount,
+    status: 'completed',
+    purpose: 'booking'
+  })));
+
+  const booking = {
+    id: 'booking-1',
+    bookingReference: 'PP-1',
+    status: 'cancelled',
+    totalAmount,
+    paymentStatus: 'completed',
+    paymentId: 'payhere-1',
+    refundAmount: 0,
+    updateRefundTotals: jest.fn(async (refundAmount, paymentStatus) => {
+      booking.refundAmount = refundAmount;
+      booking.paymentStatus = paymentStatus;
+    })
+  };
+  return booking;
+}
+
+function refund(booking, options) {
+  return refundService.refundBooking(booking, { reason: 'Cancelled', requestedBy: 'user-1', ...options });
+}
+
+describe('refundService.refundBooking', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    gateway.reset();
+    mockRefundTable();
+    jest.spyOn(Payment, 'findByTransactionId').mockResolvedValue(null);
+  });
+
+  it('refunds the whole captured amount when no amount is given', async () => {
+    const booking = buildBooking();
+
+    const { refund: result, replayed } = await refund(booking, { idempotencyKey: 'key-1' });
+
+    expect(replayed).toBe(false);
+    expect(result).toMatchObject({ status: 'succeeded', amount: 1000 });
+    expect(gateway.refunds).toEqual([expect.objectContaining({ paymentId: 'payhere-1', amount: null })]);
+    expect(booking.updateRefundTotals).toHaveBeenCalledWith(1000, 'refunded');
+    expect(ledgerService.postRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends partial refunds to the gateway with their amount', async () => {
+    const booking = buildBooking();
+
+    await refund(booking, { idempotencyKey: 'key-1', amount: 250 });
+
+    expect(gateway.refunds[0].amount).toBe(250);
+    expect(booking.updateRefundTotals).toHaveBeenCalledWith(250, 'partially_refunded');
+    await expect(refundService.getRefundableAmount(booking)).resolves.toBe(750);
+  });
+
+  it('never refunds more than is left of the captured amount', async () => {
+    const booking = buildBooking();
+    await refund(booking, { idempotencyKey: 'key-1', amount: 600 });
+
+    await expect(refund(booking, { idempotencyKey: 'key-2', amount: 400.01 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Refund amount must be between 0.01 and 400.00' });
+    await expect(refund(booking, { idempotencyKey: 'key-3', amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+
+    // The rest, after which the booking counts as refunded
+    await refund(booking, { idempotencyKey: 'key-4' });
+    expect(booking.paymentStatus).toBe('refunded');
+    await expect(refund(booking, { idempotencyKey: 'key-5' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(gateway.refunds.map(record => record.amount)).toEqual([600, 400]);
+  });
+
+  it('caps the refund at the captured payments, not the booking total', async () => {
+    const booking = buildBooking({ totalAmount: 1000, captured: [800] });
+
+    const { refund: result } = await refund(booking, { idempotencyKey: 'key-1' });
+
+    expect(result.amount).toBe(800);
+    await expect(refund(booking, { idempotencyKey: 'key-2', amount: 100 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('caps the refund at the policy limit', async () => {
+    const booking = buildBooking();
+
+    const { refund: result } = await refund(booking, { idempotencyKey: 'key-1', limit: 500 });
+
+    expect(result.amount).toBe(500);
+    await expect(refund(booking, { idempotencyKey: 'key-2', amount: 501, limit: 500 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('returns the original refund when a key is repeated', async () => {
+    const booking = buildBooking();
+    const first = await refund(booking, { idempotencyKey: 'key-1', amount: 300 });
+
+    const repeated = await refund(booking, { idempotencyKey: 'key-1', amount: 300 });
+
+    expect(repeated.replayed).toBe(true);
+    expect(repeated.refund.id).toBe(first.refund.id);
+    expect(gateway.refunds).toHaveLength(1);
+  });
+
+  it('rejects a repeated key with a different amount', async () => {
+    const booking = buildBooking();
+    await refund(booking, { idempotencyKey: 'key-1', amount: 300 });
+
+    await expect(refund(booking, { idempotencyKey: 'key-1', amount: 200 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(gateway.refunds).toHaveLength(1);
+  });
+
+  it('finishes a refund that was reserved but never sent when its key is repeated', async () => {
+    const booking = buildBooking();
+    rows.push({
+      id: 'refund-stuck',
+      booking_id: booking.id,
+      requested_by: 'user-1',
+      idempotency_key: 'key-1',
+      amount: 100,
+      status: 'pending',
+      gateway_payment_id: booking.paymentId
+    });
+
+    const { refund: result, replayed } = await refund(booking, { idempotencyKey: 'key-1', amount: 100 });
+
+    expect(replayed).toBe(true);
+    expect(result).toMatchObject({ id: 'refund-stuck', status: 'succeeded' });
+    expect(gateway.refunds).toHaveLength(1);
+  });
+
+  it('records a gateway failure and frees the amount for another attempt', async () => {
+    const booking = buildBooking();
+    gateway.failNext(1);
+
+    const { refund: failed } = await refund(booking, { idempotencyKey: 'key-1', amount: 400 });
+
+    expect(failed).toMatchObject({ status: 'failed', failureReason: 'Simulated refund failure' });
+    expect(booking.updateRefundTotals).not.toHaveBeenCalled();
+    expect(ledgerService.postRefund).not.toHaveBeenCalled();
+    await expect(refundService.getRefundableAmount(booking)).resolves.toBe(1000);
+
+    const { refund: retried } = await refund(booking, { idempotencyKey: 'key-2', amount: 400 });
+    expect(retried.status).toBe('succeeded');
+  });
+
+  it('reports a concurrent refund that used up the amount first', async () => {
+    const booking = buildBooking();
+    Refund.reserve.mockRejectedValueOnce(new Error('refund_exceeds_captured_amount'));
+
+    await expect(refund(booking, { idempotencyKey: 'key-1', amount: 500 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses bookings without a captured payment', async () => {
+    const booking = buildBooking();
+    booking.paymentStatus = 'pending';
+
+    await expect(refund(booking, { idempotencyKey: 'key-1' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Refund.reserve).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,182 @@
+const { Server } = require('socket.io');
+const { jwtUtils } = require('../utils/helpers');
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+class SocketService {
+  constructor() {
+    this.io = null;
+    this.rides = null;
+    this.notifications = null;
+  }
+
+  // Attach socket.io to the HTTP server
+  initialize(server, options = {}) {
+    this.io = new Server(server, {
+      cors: {
+        origin: options.corsOrigins || '*',
+        credentials: true
+      }
+    });
+
+    // Ride tracking namespace - rider and driver share a room per booking
+    this.rides = this.io.of('/rides');
+    this.rides.use((socket, next) => this.authenticate(socket, next));
+    this.rides.on('connection', (socket) => this.handleRideConnection(socket));
+
+    // Personal notification feed - each socket joins its user's room
+    this.notifications = this.io.of('/notifications');
+    this.notifications.use((socket, next) => this.authenticate(socket, next));
+    this.notifications.on('connection', (socket) => {
+      socket.join(this.getUserRoom(socket.user.id));
+      logger.debug(`Notification socket connected: ${socket.id} (user: ${socket.user.id})`);
+    });
+
+    logger.info('Socket.io initialized (namespaces: /rides, /notifications)');
+    return this.io;
+  }
+
+  // Authenticate socket handshake with the same access token used by the REST API
+  async authenticate(socket, next) {
+    try {
+      const authHeader = socket.handshake.headers?.authorization;
+      const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+      if (!token) {
+        return next(new Error('Access token required'));
+      }
+
+      const decoded = jwtUtils.verifyAccessToken(token);
+      const User = require('../models/User');
+      const UserSession = require('../models/UserSession');
+      const user = await User.findById(decoded.id);
+
+      if (!user || user.status !== 'active' || user.isTokenRevoked(decoded.iat) ||
+        !(await UserSession.isActive(decoded.sid, user.id))) {
+        return next(new Error('Invalid token'));
+      }
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      logger.warn(`Socket authentication failed: ${error.message}`);
+      next(new Error('Authentication failed'));
+    }
+  }
+
+  handleRideConnection(socket) {
+    const userId = socket.user.id;
+    logger.debug(`Ride socket connected: ${socket.id} (user: ${userId})`);
+
+    // Join the room for a ride the user is part of
+    socket.on('ride:join', async (payload = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const { bookingId } = payload;
+        if (!bookingId) {
+          return respond({ success: false, message: 'bookingId is required' });
+        }
+
+        const { data: booking, error } = await db.supabase
+          .from('bookings')
+          .select('id, user_id, driver_id, status, type, pickup_location, dropoff_location, drivers(user_id, current_lat, current_lng, last_location_update)')
+          .eq('id', bookingId)
+          .single();
+
+        if (error || !booking || booking.type !== 'ride') {
+          return respond({ success: false, message: 'Ride not found' });
+        }
+
+        const isRider = booking.user_id === userId;
+        const isDriver = booking.drivers?.user_id === userId;
+
+        if (!isRider && !isDriver) {
+          return respond({ success: false, message: 'Access denied' });
+        }
+
+        socket.join(this.getRideRoom(bookingId));
+        logger.info(`User ${userId} joined ride room ${bookingId} as ${isDriver ? 'driver' : 'rider'}`);
+
+        respond({
+          success: true,
+          role: isDriver ? 'driver' : 'rider',
+          ride: {
+            id: booking.id,
+            status: booking.status,
+            pickup: booking.pickup_location,
+            dropoff: booking.dropoff_location,
+            driverLocation: booking.drivers?.current_lat && booking.drivers?.current_lng ? {
+              latitude: booking.drivers.current_lat,
+              longitude: booking.drivers.current_lng,
+              lastUpdate: booking.drivers.last_location_update
+            } : null
+          }
+        });
+      } catch (error) {
+        logger.error('Error joining ride room:', error);
+        respond({ success: false, message: 'Could not join ride' });
+      }
+    });
+
+    socket.on('ride:leave', (payload = {}) => {
+      if (payload.bookingId) {
+        socket.leave(this.getRideRoom(payload.bookingId));
+      }
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug(`Ride socket disconnected: ${socket.id} (${reason})`);
+    });
+  }
+
+  getRideRoom(bookingId) {
+    return `ride:${bookingId}`;
+  }
+
+  // Push an event to everyone tracking a ride
+  emitToRide(bookingId, event, payload) {
+    if (!this.rides) return false;
+
+    try {
+      this.rides.to(this.getRideRoom(bookingId)).emit(event, {
+        bookingId,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error emitting ${event} for ride ${bookingId}:`, error);
+      return false;
+    }
+  }
+
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  // Push an event to all of a user's connected devices
+  emitToUser(userId, event, payload) {
+    if (!this.notifications) return false;
+
+    try {
+      this.notifications.to(this.getUserRoom(userId)).emit(event, payload);
+      return true;
+    } catch (error) {
+      logger.error(`Error emitting ${event} to user ${userId}:`, error);
+      return false;
+    }
+  }
+
+  // Convenience wrapper for ride status changes (accepted, started, completed, cancelled)
+  emitRideStatus(bookingId, status, data = {}) {
+    return this.emitToRide(bookingId, 'ride:status', { status, ...data });
+  }
+
+  // Convenience wrapper for driver position updates
+  emitRideLocation(bookingId, location, data = {}) {
+    return this.emitToRide(bookingId, 'ride:location', { location, ...data });
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,20 @@
+const LocalDriver = require('./localDriver');
+const SupabaseDriver = require('./supabaseDriver');
+
+const DRIVER_NAMES = ['local', 'supabase'];
+
+// Pick the storage backend for the environment (STORAGE_DRIVER=local|supabase)
+const createStorageDriver = (driver = process.env.STORAGE_DRIVER || 'supabase') => {
+  if (driver === 'local') {
+    return new LocalDriver();
+  }
+
+  return new SupabaseDriver();
+};
+
+module.exports = {
+  DRIVER_NAMES,
+  createStorageDriver,
+  LocalDriver,
+  SupabaseDriver
+};
@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk storage for development and tests (STORAGE_DRIVER=local).
+// Files are served from /uploads without access checks - never use it for private data in production.
+class LocalDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.UPLOAD_PATH || 'uploads');
+    this.baseUrl = (options.baseUrl ?? process.env.BASE_URL ?? '').replace(/\/$/, '');
+  }
+
+  // Keep every file inside the upload root
+  resolve(bucket, filePath) {
+    const target = path.resolve(this.root, bucket, filePath);
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage path: ${bucket}/${filePath}`);
+    }
+    return target;
+  }
+
+  async upload(bucket, filePath, buffer) {
+    const target = this.resolve(bucket, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer, { flag: 'wx' });
+    return filePath;
+  }
+
+  async remove(bucket, paths) {
+    await Promise.all(paths.map(filePath => fs.rm(this.resolve(bucket, filePath), { force: true })));
+  }
+
+  getPublicUrl(bucket, filePath) {
+    return `${this.baseUrl}/uploads/${bucket}/${filePath}`;
+  }
+
+  async getSignedUrl(bucket, filePath) {
+    return this.getPublicUrl(bucket, filePath);
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,44 @@
+const { supabaseAdmin } = require('../../config/supabase');
+
+// Supabase Storage (production). Uses the service role client so private buckets stay private.
+class SupabaseDriver {
+  constructor() {
+    this.name = 'supabase';
+  }
+
+  getClient() {
+    if (!supabaseAdmin) {
+      throw new Error('Supabase storage requires SUPABASE_SERVICE_ROLE_KEY');
+    }
+    return supabaseAdmin.storage;
+  }
+
+  async upload(bucket, path, buffer, contentType) {
+    const { data, error } = await this.getClient()
+      .from(bucket)
+      .upload(path, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+    return data.path;
+  }
+
+  async remove(bucket, paths) {
+    const { error } = await this.getClient().from(bucket).remove(paths);
+    if (error) throw error;
+  }
+
+  getPublicUrl(bucket, path) {
+    return this.getClient().from(bucket).getPublicUrl(path).data.publicUrl;
+  }
+
+  async getSignedUrl(bucket, path, expiresIn) {
+    const { data, error } = await this.getClient()
+      .from(bucket)
+      .createSignedUrl(path, expiresIn);
+
+    if (error) throw error;
+    return data.signedUrl;
+  }
+}
+
+module.exports = SupabaseDriver;
@@ -0,0 +1,49 @@
+const { createStorageDriver } = require('./storage');
+const logger = require('../utils/logger');
+
+// File storage behind a pluggable driver (local disk in development, Supabase Storage in production).
+// Private buckets are only exposed through short-lived signed URLs.
+class StorageService {
+  constructor() {
+    this.driver = createStorageDriver();
+    this.signedUrlTtlSeconds = parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 300;
+  }
+
+  async upload(bucket, path, buffer, contentType) {
+    try {
+      return await this.driver.upload(bucket, path, buffer, contentType);
+    } catch (error) {
+      logger.error(`Error uploading ${bucket}/${path}:`, error);
+      throw error;
+    }
+  }
+
+  getPublicUrl(bucket, path) {
+    return path ? this.driver.getPublicUrl(bucket, path) : null;
+  }
+
+  async getSignedUrl(bucket, path, expiresIn = this.signedUrlTtlSeconds) {
+    if (!path) return null;
+
+    try {
+      return await this.driver.getSignedUrl(bucket, path, expiresIn);
+    } catch (error) {
+      logger.error(`Error signing URL for ${bucket}/${path}:`, error);
+      return null;
+    }
+  }
+
+  // Best effort - orphaned files are logged rather than failing the request
+  async remove(bucket, paths) {
+    const targets = paths.filter(Boolean);
+    if (targets.length === 0) return;
+
+    try {
+      await this.driver.remove(bucket, targets);
+    } catch (error) {
+      logger.error(`Error removing files from ${bucket}:`, error);
+    }
+  }
+}
+
+module.exports = new StorageService();
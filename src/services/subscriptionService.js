@@ -0,0 +1,654 @@
+const { db } = require('../config/database');
+const Driver = require('../models/Driver');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const DriverSubscription = require('../models/DriverSubscription');
+const SubscriptionInvoice = require('../models/SubscriptionInvoice');
+const Payment = require('../models/Payment');
+const { createPaymentGateway } = require('./payment');
+const { buildCheckout } = require('./payment/payhereCheckout');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+const commissionPolicy = require('./commissionPolicy');
+const { dateUtils } = require('../utils/helpers');
+const { handleNotFoundError, handleConflictError, AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Days a lapsed subscription keeps its perks while the driver renews
+const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3;
+
+// Manual renewals get their invoice and a reminder this many days before the period ends
+const RENEWAL_NOTICE_DAYS = parseInt(process.env.SUBSCRIPTION_RENEWAL_NOTICE_DAYS) || 5;
+
+// Unpaid sign-ups are dropped after this long
+const PENDING_TTL_HOURS = 24;
+
+// Subscription statuses an invoice may be paid into, by invoice type
+const PAYABLE_STATUSES = {
+  subscription: ['pending'],
+  renewal: ['active', 'past_due'],
+  plan_change: ['active']
+};
+
+// PayHere recurring notifications that change the agreement rather than move money
+const RECURRING_ENDED_MESSAGES = ['RECURRING_STOPPED', 'RECURRING_COMPLETE'];
+
+class SubscriptionService {
+  constructor() {
+    this.gateway = createPaymentGateway();
+  }
+
+  // Premium perks follow the subscription, not the tier stored on the driver
+  async getTier(driverId) {
+    if (!driverId) return 'basic';
+
+    const entitled = await DriverSubscription.findEntitledDriverIds([driverId]);
+    return entitled.includes(driverId) ? 'premium' : 'basic';
+  }
+
+  async getPremiumDriverIds(driverIds) {
+    return new Set(await DriverSubscription.findEntitledDriverIds(driverIds));
+  }
+
+  getPremiumPerks() {
+    return {
+      priorityInSearch: true,
+      featuredPlacement: true,
+      detailedAnalytics: true,
+      commissionRate: commissionPolicy.getCommissionRate('driver', 'premium'),
+      basicCommissionRate: commissionPolicy.getCommissionRate('driver', 'basic')
+    };
+  }
+
+  async getPlans() {
+    return SubscriptionPlan.findAll();
+  }
+
+  // The driver's live subscription, or the most recent one when none is live
+  async getSubscription(userId) {
+    const driver = await this.getDriver(userId);
+    const subscription = await DriverSubscription.findLiveByDriverId(driver.id) ||
+      await DriverSubscription.findLatestByDriverId(driver.id);
+
+    return { driver, subscription };
+  }
+
+  // Start a subscription. It stays pending until the first invoice is paid.
+  async subscribe(user, { planCode, renewalMethod = 'manual' }) {
+    const driver = await this.getDriver(user.id);
+    const plan = await this.getPlan(planCode);
+
+    const live = await DriverSubscription.findLiveByDriverId(driver.id);
+    if (live && live.status !== 'pending') {
+      throw handleConflictError('Driver already has a premium subscription');
+    }
+
+    // A new sign-up replaces an unpaid one
+    if (live) {
+      await this.closeSubscription(live, 'cancelled');
+    }
+
+    const subscription = await DriverSubscription.create({
+      driverId: driver.id,
+      userId: user.id,
+      planId: plan.id,
+      renewalMethod
+    });
+
+    const now = new Date();
+    const periodEnd = plan.getPeriodEnd(now);
+    const invoice = await SubscriptionInvoice.create({
+      subscriptionId: subscription.id,
+      driverId: driver.id,
+      userId: user.id,
+      planId: plan.id,
+      type: 'subscription',
+      recurring: renewalMethod === 'payhere_recurring',
+      periodStart: now.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      subtotal: plan.price,
+      amount: plan.price,
+      currency: plan.currency,
+      lineItems: [planLineItem(plan, now, periodEnd)],
+      dueAt: dateUtils.addHours(now, PENDING_TTL_HOURS).toISOString()
+    });
+
+    logger.info(`Driver ${driver.id} started ${plan.code} subscription ${subscription.id}`);
+
+    return { subscription, invoice, checkout: this.buildInvoiceCheckout(invoice, plan, user) };
+  }
+
+  // Upgrades apply now and are charged the new price less the unused part of the current period.
+  // Cheaper plans take over at the next renewal. Either way the plan is renewed manually from then on,
+  // since a PayHere agreement is fixed to the price it was started with.
+  async changePlan(user, { planCode }) {
+    const driver = await this.getDriver(user.id);
+    const subscription = await DriverSubscription.findLiveByDriverId(driver.id);
+
+    if (!subscription || subscription.status !== 'active') {
+      throw new AppError('Only an active subscription can change plans', 400);
+    }
+
+    const currentPlan = new SubscriptionPlan(subscription.plan);
+    const newPlan = await this.getPlan(planCode);
+
+    if (newPlan.id === currentPlan.id) {
+      throw new AppError('Subscription is already on this plan', 400);
+    }
+
+    await this.voidOpenInvoices(subscription, ['plan_change', 'renewal']);
+
+    if (newPlan.price <= currentPlan.price) {
+      await this.cancelAgreement(subscription);
+
+      const scheduled = await subscription.transition(['active'], {
+        pending_plan_id: newPlan.id,
+        renewal_method: 'manual',
+        payhere_subscription_id: null
+      });
+
+      logger.info(`Subscription ${subscription.id} moves to ${newPlan.code} at ${subscription.currentPeriodEnd}`);
+      return { subscription: scheduled || subscription, invoice: null, checkout: null };
+    }
+
+    const now = new Date();
+    const periodEnd = newPlan.getPeriodEnd(now);
+    const prorationCredit = this.calculateProrationCredit(subscription, currentPlan, now);
+    const amount = roundAmount(newPlan.price - prorationCredit);
+
+    const invoice = await SubscriptionInvoice.create({
+      subscriptionId: subscription.id,
+      driverId: driver.id,
+      userId: user.id,
+      planId: newPlan.id,
+      type: 'plan_change',
+      periodStart: now.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      subtotal: newPlan.price,
+      prorationCredit,
+      amount,
+      currency: newPlan.currency,
+      lineItems: [
+        planLineItem(newPlan, now, periodEnd),
+        { description: `Unused time on ${currentPlan.name}`, amount: -prorationCredit }
+      ],
+      dueAt: dateUtils.addHours(now, PENDING_TTL_HOURS).toISOString()
+    });
+
+    logger.info(`Subscription ${subscription.id} upgrade to ${newPlan.code} invoiced: ${amount} (credit ${prorationCredit})`);
+
+    return { subscription, invoice, checkout: this.buildInvoiceCheckout(invoice, newPlan, user) };
+  }
+
+  // Unused share of the current period's price, credited against an upgrade
+  calculateProrationCredit(subscription, plan, now = new Date()) {
+    const start = new Date(subscription.currentPeriodStart).getTime();
+    const end = new Date(subscription.currentPeriodEnd).getTime();
+    const remaining = Math.min(Math.max(end - now.getTime(), 0), end - start);
+
+    return end > start ? roundAmount(plan.price * remaining / (end - start)) : 0;
+  }
+
+  // Invoice (or re-issue) the next period for a manually renewed subscription
+  async renew(user) {
+    const driver = await this.getDriver(user.id);
+    const subscription = await DriverSubscription.findLiveByDriverId(driver.id);
+
+    if (!subscription || !PAYABLE_STATUSES.renewal.includes(subscription.status)) {
+      throw new AppError('No subscription to renew', 400);
+    }
+
+    if (subscription.status === 'active' && subscription.renewalMethod === 'payhere_recurring') {
+      throw new AppError('Subscription renews automatically through PayHere', 400);
+    }
+
+    const invoice = await this.getOrCreateRenewalInvoice(subscription);
+    const plan = await SubscriptionPlan.findById(invoice.planId);
+
+    return { subscription, invoice, checkout: this.buildInvoiceCheckout(invoice, plan, user) };
+  }
+
+  // Active subscriptions run to the end of the paid period; unpaid or lapsed ones end now
+  async cancel(user) {
+    const driver = await this.getDriver(user.id);
+    const subscription = await DriverSubscription.findLiveByDriverId(driver.id);
+
+    if (!subscription) {
+      throw handleNotFoundError('No subscription to cancel');
+    }
+
+    if (subscription.status !== 'active') {
+      return this.closeSubscription(subscription, 'cancelled');
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new AppError('Subscription is already cancelled', 400);
+    }
+
+    await this.voidOpenInvoices(subscription);
+    await this.cancelAgreement(subscription);
+
+    const cancelled = await subscription.transition(['active'], {
+      cancel_at_period_end: true,
+      cancelled_at: new Date().toISOString(),
+      grace_period_ends_at: subscription.currentPeriodEnd,
+      pending_plan_id: null,
+      payhere_subscription_id: null
+    });
+
+    if (!cancelled) {
+      throw new AppError('Subscription changed while cancelling, please try again', 409);
+    }
+
+    logger.info(`Subscription ${subscription.id} cancelled at period end ${subscription.currentPeriodEnd}`);
+    await notificationService.sendSubscriptionNotification(cancelled.userId, cancelled, 'cancelled');
+
+    return cancelled;
+  }
+
+  async getInvoices(userId, options) {
+    return SubscriptionInvoice.findByUserId(userId, options);
+  }
+
+  async getInvoice(userId, invoiceId) {
+    const invoice = await SubscriptionInvoice.findById(invoiceId);
+    if (!invoice || invoice.userId !== userId) {
+      throw handleNotFoundError('Invoice not found');
+    }
+
+    return invoice;
+  }
+
+  ownsOrder(orderId) {
+    return typeof orderId === 'string' && orderId.startsWith(SubscriptionInvoice.ORDER_ID_PREFIX);
+  }
+
+  // Apply a verified PayHere notification for a subscription invoice.
+  // Returns { review: reason } when a person needs to look at it.
+  async applyPayHereNotification(payload, { acceptAmountMismatch = false } = {}) {
+    const invoice = await SubscriptionInvoice.findByOrderId(payload.order_id);
+    if (!invoice) {
+      return { review: `Unknown order ID ${payload.order_id}` };
+    }
+
+    const subscription = await DriverSubscription.findById(invoice.subscriptionId);
+    const messageType = payload.message_type;
+
+    if (RECURRING_ENDED_MESSAGES.includes(messageType)) {
+      if (subscription && subscription.payhereSubscriptionId) {
+        await subscription.transition(DriverSubscription.LIVE_STATUSES, {
+          renewal_method: 'manual',
+          payhere_subscription_id: null
+        });
+        logger.info(`PayHere agreement ended for subscription ${subscription.id}, switched to manual renewal`);
+      }
+      return { invoice };
+    }
+
+    if (messageType === 'RECURRING_INSTALLMENT_FAILED') {
+      // The lifecycle job moves the subscription to past_due if no installment arrives by the period end
+      logger.warn(`PayHere installment failed for subscription ${invoice.subscriptionId}: ${payload.status_message}`);
+      return { invoice };
+    }
+
+    const paymentStatus = Payment.PAYHERE_STATUS_CODES[payload.status_code];
+    if (!paymentStatus) {
+      return { review: `Unknown status code ${payload.status_code}` };
+    }
+
+    if (paymentStatus === 'chargedback') {
+      return { review: `Chargeback on subscription invoice ${invoice.invoiceNumber}` };
+    }
+
+    if (paymentStatus !== 'completed') {
+      logger.info(`Subscription invoice ${invoice.invoiceNumber} payment ${paymentStatus}`);
+      return { invoice };
+    }
+
+    if (messageType === 'RECURRING_INSTALLMENT_SUCCESS') {
+      return this.applyInstallment(subscription, invoice, payload, acceptAmountMismatch);
+    }
+
+    if (invoice.status === 'paid') {
+      return { invoice };
+    }
+
+    if (invoice.status === 'void') {
+      return { review: `Payment received for void invoice ${invoice.invoiceNumber}` };
+    }
+
+    if (!subscription || !PAYABLE_STATUSES[invoice.type].includes(subscription.status)) {
+      return { review: `Payment received for ${subscription ? subscription.status : 'missing'} subscription ${invoice.subscriptionId}` };
+    }
+
+    if (!acceptAmountMismatch) {
+      const mismatch = findAmountMismatch(invoice.amount, invoice.currency, payload);
+      if (mismatch) return { review: mismatch };
+    }
+
+    const paidAt = new Date();
+    const updates = {
+      status: 'paid',
+      paid_at: paidAt.toISOString(),
+      gateway_payment_id: payload.payment_id
+    };
+
+    // A new period starts when it is paid for, not when it was invoiced
+    if (invoice.type !== 'renewal') {
+      updates.period_start = paidAt.toISOString();
+      updates.period_end = new SubscriptionPlan(invoice.plan).getPeriodEnd(paidAt).toISOString();
+    }
+
+    const paid = await invoice.transition(['open'], updates);
+
+    if (!paid) {
+      return { invoice };
+    }
+
+    await this.applyPaidInvoice(subscription, paid, payload);
+    return { invoice: paid };
+  }
+
+  // A recurring charge for the next period arrives against the original sign-up order
+  async applyInstallment(subscription, invoice, payload, acceptAmountMismatch) {
+    if (!subscription || !PAYABLE_STATUSES.renewal.includes(subscription.status)) {
+      return { review: `Installment received for ${subscription ? subscription.status : 'missing'} subscription ${invoice.subscriptionId}` };
+    }
+
+    const plan = new SubscriptionPlan(subscription.plan);
+
+    if (!acceptAmountMismatch) {
+      const mismatch = findAmountMismatch(plan.price, plan.currency, payload);
+      if (mismatch) return { review: mismatch };
+    }
+
+    const periodStart = new Date(subscription.currentPeriodEnd);
+    const periodEnd = plan.getPeriodEnd(periodStart);
+
+    let renewal;
+    try {
+      renewal = await SubscriptionInvoice.create({
+        subscriptionId: subscription.id,
+        driverId: subscription.driverId,
+        userId: subscription.userId,
+        planId: plan.id,
+        type: 'renewal',
+        recurring: true,
+        periodStart: periodStart.toISOString(),
+        periodEnd: periodEnd.toISOString(),
+        subtotal: plan.price,
+        amount: plan.price,
+        currency: plan.currency,
+        status: 'paid',
+        gatewayPaymentId: payload.payment_id,
+        lineItems: [planLineItem(plan, periodStart, periodEnd)],
+        paidAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // Installment already recorded
+      if (error.code === '23505') return { invoice };
+      throw error;
+    }
+
+    await this.applyPaidInvoice(subscription, renewal, payload);
+    return { invoice: renewal };
+  }
+
+  // Move the subscription onto the period and plan a paid invoice covers
+  async applyPaidInvoice(subscription, invoice, payload) {
+    const periodEnd = new Date(invoice.periodEnd);
+    const updates = {
+      status: 'active',
+      plan_id: invoice.planId,
+      pending_plan_id: null,
+      current_period_start: invoice.periodStart,
+      current_period_end: invoice.periodEnd,
+      grace_period_ends_at: dateUtils.addDays(periodEnd, GRACE_DAYS).toISOString(),
+      cancel_at_period_end: false,
+      cancelled_at: null
+    };
+
+    if (invoice.type === 'subscription') {
+      updates.payhere_subscription_id = invoice.recurring ? payload.subscription_id || null : null;
+    } else if (!invoice.recurring) {
+      // Paying by hand (or upgrading) replaces any PayHere agreement
+      await this.cancelAgreement(subscription);
+      updates.renewal_method = 'manual';
+      updates.payhere_subscription_id = null;
+    }
+
+    const updated = await subscription.transition(PAYABLE_STATUSES[invoice.type], updates);
+    if (!updated) {
+      logger.error(`Subscription ${subscription.id} changed before invoice ${invoice.invoiceNumber} could be applied`);
+      return null;
+    }
+
+    await this.voidOpenInvoices(updated);
+    await this.syncDriverTier(updated.driverId, 'premium');
+
+    try {
+      await ledgerService.postSubscriptionPayment(invoice);
+    } catch (error) {
+      logger.error(`Error posting subscription invoice ${invoice.invoiceNumber} to the ledger:`, error);
+    }
+
+    logger.info(`Subscription ${updated.id} paid through ${invoice.periodEnd} (invoice ${invoice.invoiceNumber})`);
+    const events = { subscription: 'activated', renewal: 'renewed', plan_change: 'plan_changed' };
+    await notificationService.sendSubscriptionNotification(updated.userId, updated, events[invoice.type], { invoiceId: invoice.id });
+
+    return updated;
+  }
+
+  // Hourly housekeeping: drop unpaid sign-ups, invoice manual renewals, lapse ended periods,
+  // expire subscriptions past their grace period and keep the driver tier in step
+  async runLifecycle(now = new Date()) {
+    const summary = { pendingExpired: 0, renewalsInvoiced: 0, lapsed: 0, ended: 0, expired: 0, driversDowngraded: 0 };
+
+    const stale = await DriverSubscription.findDue(['pending'], 'created_at', dateUtils.addHours(now, -PENDING_TTL_HOURS));
+    for (const subscription of stale) {
+      if (await this.closeSubscription(subscription, 'expired', { notify: false })) summary.pendingExpired++;
+    }
+
+    const renewing = await DriverSubscription.findDue(['active'], 'current_period_end', dateUtils.addDays(now, RENEWAL_NOTICE_DAYS), {
+      renewalMethod: 'manual',
+      cancelAtPeriodEnd: false
+    });
+    for (const subscription of renewing) {
+      const open = await SubscriptionInvoice.findOpenBySubscriptionId(subscription.id);
+      if (open.some(invoice => invoice.type === 'renewal')) continue;
+
+      const invoice = await this.getOrCreateRenewalInvoice(subscription);
+      await notificationService.sendSubscriptionNotification(subscription.userId, subscription, 'renewal_due', { invoiceId: invoice.id });
+      summary.renewalsInvoiced++;
+    }
+
+    const periodEnded = await DriverSubscription.findDue(['active'], 'current_period_end', now);
+    for (const subscription of periodEnded) {
+      if (subscription.cancelAtPeriodEnd) {
+        if (await this.closeSubscription(subscription, 'cancelled')) summary.ended++;
+        continue;
+      }
+
+      const lapsed = await subscription.transition(['active'], { status: 'past_due' });
+      if (lapsed) {
+        summary.lapsed++;
+        await notificationService.sendSubscriptionNotification(lapsed.userId, lapsed, 'past_due');
+      }
+    }
+
+    const graceOver = await DriverSubscription.findDue(['past_due'], 'grace_period_ends_at', now);
+    for (const subscription of graceOver) {
+      if (await this.closeSubscription(subscription, 'expired')) summary.expired++;
+    }
+
+    summary.driversDowngraded = await this.syncDriverTiers();
+
+    return summary;
+  }
+
+  // Drivers still marked premium without an entitled subscription go back to basic
+  async syncDriverTiers() {
+    const { data, error } = await db.supabase
+      .from('drivers')
+      .select('id')
+      .eq('subscription_tier', 'premium');
+
+    if (error) throw error;
+
+    const driverIds = data.map(driver => driver.id);
+    const premium = await this.getPremiumDriverIds(driverIds);
+    const downgrade = driverIds.filter(id => !premium.has(id));
+
+    for (const driverId of downgrade) {
+      await this.syncDriverTier(driverId, 'basic');
+    }
+
+    return downgrade.length;
+  }
+
+  // End a subscription now: void its invoices, stop any PayHere agreement and drop the perks
+  async closeSubscription(subscription, status, { notify = true } = {}) {
+    const wasEntitled = subscription.status !== 'pending';
+
+    const closed = await subscription.transition(DriverSubscription.LIVE_STATUSES, {
+      status,
+      ended_at: new Date().toISOString(),
+      cancelled_at: status === 'cancelled' ? subscription.cancelledAt || new Date().toISOString() : subscription.cancelledAt,
+      grace_period_ends_at: wasEntitled ? new Date().toISOString() : null,
+      pending_plan_id: null,
+      payhere_subscription_id: null
+    });
+
+    if (!closed) return null;
+
+    await this.voidOpenInvoices(closed);
+    await this.cancelAgreement(subscription);
+
+    if (wasEntitled) {
+      await this.syncDriverTier(closed.driverId, 'basic');
+      if (notify) {
+        await notificationService.sendSubscriptionNotification(closed.userId, closed, 'expired');
+      }
+    }
+
+    logger.info(`Subscription ${closed.id} ${status}`);
+    return closed;
+  }
+
+  async getOrCreateRenewalInvoice(subscription) {
+    const open = await SubscriptionInvoice.findOpenBySubscriptionId(subscription.id);
+    const existing = open.find(invoice => invoice.type === 'renewal');
+    if (existing) return existing;
+
+    const plan = await SubscriptionPlan.findById(subscription.pendingPlanId || subscription.planId);
+    const periodStart = new Date(subscription.currentPeriodEnd);
+    const periodEnd = plan.getPeriodEnd(periodStart);
+
+    return SubscriptionInvoice.create({
+      subscriptionId: subscription.id,
+      driverId: subscription.driverId,
+      userId: subscription.userId,
+      planId: plan.id,
+      type: 'renewal',
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      subtotal: plan.price,
+      amount: plan.price,
+      currency: plan.currency,
+      lineItems: [planLineItem(plan, periodStart, periodEnd)],
+      dueAt: subscription.currentPeriodEnd
+    });
+  }
+
+  async voidOpenInvoices(subscription, types = null) {
+    const open = await SubscriptionInvoice.findOpenBySubscriptionId(subscription.id);
+
+    for (const invoice of open) {
+      if (!types || types.includes(invoice.type)) {
+        await invoice.transition(['open'], { status: 'void' });
+      }
+    }
+  }
+
+  // A failed cancellation is logged; PayHere notifications for a closed subscription go to review
+  async cancelAgreement(subscription) {
+    if (!subscription.payhereSubscriptionId) return false;
+
+    try {
+      const result = await this.gateway.cancelSubscription(subscription.payhereSubscriptionId);
+      if (!result.success) {
+        logger.error(`PayHere agreement ${subscription.payhereSubscriptionId} for subscription ${subscription.id} not cancelled: ${result.message}`);
+      }
+      return result.success;
+    } catch (error) {
+      logger.error(`Error cancelling PayHere agreement for subscription ${subscription.id}:`, error);
+      return false;
+    }
+  }
+
+  // Mirror the tier onto the driver for listings and older clients
+  async syncDriverTier(driverId, tier) {
+    const driver = await Driver.findById(driverId);
+    if (!driver || driver.subscriptionTier === tier) return;
+
+    await driver.update({
+      subscription_tier: tier,
+      subscription_updated_at: new Date().toISOString()
+    });
+  }
+
+  buildInvoiceCheckout(invoice, plan, user) {
+    return buildCheckout({
+      orderId: invoice.orderId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      items: `${plan.name} (${invoice.invoiceNumber})`,
+      user,
+      custom: [invoice.id, user.id],
+      recurrence: invoice.recurring ? plan.billingPeriod : undefined
+    });
+  }
+
+  async getDriver(userId) {
+    const driver = await Driver.findByUserId(userId);
+    if (!driver) {
+      throw handleNotFoundError('Driver profile not found');
+    }
+
+    return driver;
+  }
+
+  async getPlan(code) {
+    const plan = await SubscriptionPlan.findByCode(code);
+    if (!plan) {
+      throw handleNotFoundError('Subscription plan not found');
+    }
+
+    return plan;
+  }
+}
+
+// Helper Functions
+
+function planLineItem(plan, periodStart, periodEnd) {
+  return {
+    description: `${plan.name} (${dateUtils.formatDate(periodStart)} to ${dateUtils.formatDate(periodEnd)})`,
+    amount: plan.price
+  };
+}
+
+function findAmountMismatch(amount, currency, payload) {
+  const receivedCents = Math.round(parseFloat(payload.payhere_amount) * 100);
+  const expectedCents = Math.round(Number(amount) * 100);
+
+  if (receivedCents !== expectedCents || payload.payhere_currency !== currency) {
+    return `Expected ${Number(amount).toFixed(2)} ${currency}, received ${payload.payhere_amount} ${payload.payhere_currency}`;
+  }
+
+  return null;
+}
+
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+module.exports = new SubscriptionService();
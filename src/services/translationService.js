@@ -175,7 +175,96 @@ class TranslationService {
   // Format currency for display
   formatCurrency(amount, lang) {
     const format = this.getCurrencyFormat(lang);
-    return format.replace('{amount}', amount.toLocaleString());
+    return format.replace('{amount}', Number(amount).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }));
+  }
+
+  // Labels printed on receipts and invoices
+  getReceiptLabels(lang) {
+    const labels = {
+      'en': {
+        bookingReceipt: 'Booking Invoice',
+        paymentReceipt: 'Payment Receipt',
+        receiptNumber: 'Receipt No.',
+        issuedAt: 'Issued',
+        bookingReference: 'Booking reference',
+        billedTo: 'Billed to',
+        serviceDate: 'Service date',
+        description: 'Description',
+        amount: 'Amount',
+        guide: 'Guide service ({hours} h)',
+        driver: 'Driver service',
+        ride: 'Tuk-tuk ride',
+        service: 'Travel service',
+        platform_fee: 'Service fee',
+        total: 'Total',
+        refunds: 'Refunds',
+        refund: 'Refund',
+        netPaid: 'Net paid',
+        paymentMethod: 'Payment method',
+        transactionId: 'Transaction ID',
+        paidAt: 'Paid on',
+        displayAmount: 'Approx. {amount} at the rate locked when booked',
+        settlementNote: 'All amounts are charged in Sri Lankan Rupees (LKR).',
+        thankYou: 'Thank you for travelling with PearlPath.'
+      },
+      'si': {
+        bookingReceipt: 'වෙන්කිරීම් ඉන්වොයිසිය',
+        paymentReceipt: 'ගෙවීම් රිසිට්පත',
+        receiptNumber: 'රිසිට්පත් අංකය',
+        issuedAt: 'නිකුත් කළ දිනය',
+        bookingReference: 'වෙන්කිරීම් යොමු අංකය',
+        billedTo: 'ගෙවන්නා',
+        serviceDate: 'සේවා දිනය',
+        description: 'විස්තරය',
+        amount: 'මුදල',
+        guide: 'මාර්ගෝපදේශක සේවාව (පැය {hours})',
+        driver: 'රියදුරු සේවාව',
+        ride: 'ත්‍රිරෝද රථ ගමන',
+        service: 'සංචාරක සේවාව',
+        platform_fee: 'සේවා ගාස්තුව',
+        total: 'මුළු මුදල',
+        refunds: 'ආපසු ගෙවීම්',
+        refund: 'ආපසු ගෙවීම',
+        netPaid: 'ශුද්ධ ගෙවීම',
+        paymentMethod: 'ගෙවීම් ක්‍රමය',
+        transactionId: 'ගනුදෙනු අංකය',
+        paidAt: 'ගෙවූ දිනය',
+        displayAmount: 'වෙන්කළ දින ස්ථිර කළ අනුපාතයට ආසන්න වශයෙන් {amount}',
+        settlementNote: 'සියලු මුදල් ශ්‍රී ලංකා රුපියල් (LKR) වලින් අය කෙරේ.',
+        thankYou: 'PearlPath සමඟ සංචාරය කිරීම ගැන ස්තුතියි.'
+      },
+      'ta': {
+        bookingReceipt: 'முன்பதிவு விலைப்பட்டியல்',
+        paymentReceipt: 'கட்டண ரசீது',
+        receiptNumber: 'ரசீது எண்',
+        issuedAt: 'வழங்கிய தேதி',
+        bookingReference: 'முன்பதிவு குறிப்பு எண்',
+        billedTo: 'பெறுநர்',
+        serviceDate: 'சேவை தேதி',
+        description: 'விவரம்',
+        amount: 'தொகை',
+        guide: 'வழிகாட்டி சேவை ({hours} மணி)',
+        driver: 'ஓட்டுநர் சேவை',
+        ride: 'முச்சக்கர வண்டி பயணம்',
+        service: 'பயண சேவை',
+        platform_fee: 'சேவைக் கட்டணம்',
+        total: 'மொத்தம்',
+        refunds: 'பணத்திருப்பங்கள்',
+        refund: 'பணத்திருப்பம்',
+        netPaid: 'நிகர செலுத்திய தொகை',
+        paymentMethod: 'கட்டண முறை',
+        transactionId: 'பரிவர்த்தனை எண்',
+        paidAt: 'செலுத்திய தேதி',
+        displayAmount: 'முன்பதிவின்போது நிர்ணயிக்கப்பட்ட விகிதத்தில் தோராயமாக {amount}',
+        settlementNote: 'அனைத்து தொகைகளும் இலங்கை ரூபாயில் (LKR) வசூலிக்கப்படுகின்றன.',
+        thankYou: 'PearlPath உடன் பயணித்ததற்கு நன்றி.'
+      }
+    };
+
+    return labels[lang] || labels[this.defaultLanguage];
   }
 }
 
@@ -1,6 +1,19 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { cache } = require('../config/cache');
+const { dateUtils } = require('../utils/helpers');
+
+// Rough bounding boxes for the regions named in the monsoon season info, checked in order:
+// the north above 8.7°N, the east coast from 81.2°E, the south coast below 6.4°N, the west
+// coast up to 80.25°E, the hill country below 7.5°N and the cultural triangle above it
+const REGIONS = [
+  { name: 'Northern Region', contains: (lat) => lat >= 8.7 },
+  { name: 'Eastern Coast', contains: (lat, lng) => lng >= 81.2 },
+  { name: 'Southern Coast', contains: (lat) => lat < 6.4 },
+  { name: 'Western Coast', contains: (lat, lng) => lng <= 80.25 },
+  { name: 'Central Highlands', contains: (lat) => lat < 7.5 },
+  { name: 'Central Region', contains: () => true }
+];
 
 class WeatherService {
   constructor() {
@@ -258,10 +271,9 @@ class WeatherService {
     return mostCommon;
   }
 
-  // Get monsoon season info for Sri Lanka
-  getMonsoonSeasonInfo() {
-    const now = new Date();
-    const month = now.getMonth() + 1; // 1-12
+  // Get monsoon season info for Sri Lanka on a date (default today), by the Colombo month
+  getMonsoonSeasonInfo(date = new Date()) {
+    const month = parseInt(dateUtils.toColombo(date).date.slice(5, 7)); // 1-12
 
     // Southwest Monsoon (Yala): May to September
     if (month >= 5 && month <= 9) {
@@ -310,6 +322,16 @@ class WeatherService {
     };
   }
 
+  // Which of the season info's regions a point lies in
+  getRegion(lat, lng) {
+    return REGIONS.find(region => region.contains(Number(lat), Number(lng))).name;
+  }
+
+  // Whether a point lies in a region the monsoon of that date hits
+  isMonsoonAffected(lat, lng, date = new Date()) {
+    return this.getMonsoonSeasonInfo(date).affectedRegions.includes(this.getRegion(lat, lng));
+  }
+
   // Simulated weather for development/testing
   getSimulatedWeather(lat, lng) {
     const hour = new Date().getHours();
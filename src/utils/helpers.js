@@ -3,6 +3,8 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const moment = require('moment');
 
+const COLOMBO_UTC_OFFSET_MINUTES = 330;
+
 // Password utilities
 const passwordUtils = {
   async hash(password) {
@@ -31,8 +33,10 @@ const jwtUtils = {
       expiresIn: process.env.JWT_EXPIRES_IN || '7d'
     });
 
+    // Unique jwtid so every rotated refresh token is distinct
     const refreshToken = jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET, {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d'
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d',
+      jwtid: crypto.randomBytes(16).toString('hex')
     });
 
     return { accessToken, refreshToken };
@@ -116,6 +120,18 @@ const stringUtils = {
       result += chars.charAt(Math.floor(Math.random() * chars.length));
     }
     return result;
+  },
+
+  // RFC 4180 CSV; cells starting with =, +, - or @ are prefixed so spreadsheets don't run them as formulas
+  toCsv(headers, rows) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
   }
 };
 
@@ -129,6 +145,11 @@ const dateUtils = {
     return moment(date).add(days, 'days').toDate();
   },
 
+  // Clamps to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+  addMonths(date, months) {
+    return moment(date).add(months, 'months').toDate();
+  },
+
   addHours(date, hours) {
     return moment(date).add(hours, 'hours').toDate();
   },
@@ -149,6 +170,35 @@ const dateUtils = {
     const start = moment(startDate);
     const end = moment(endDate);
     return end.diff(start, 'minutes');
+  },
+
+  // Sri Lanka stays on UTC+05:30 all year, so Colombo wall-clock time is a fixed offset from UTC
+  toColombo(date) {
+    const local = moment(date).utcOffset(COLOMBO_UTC_OFFSET_MINUTES);
+    return {
+      date: local.format('YYYY-MM-DD'),
+      weekday: local.format('dddd').toLowerCase(),
+      minutes: local.hours() * 60 + local.minutes()
+    };
+  },
+
+  // The instant at `minutes` past midnight on a Colombo calendar day (YYYY-MM-DD)
+  fromColombo(date, minutes = 0) {
+    return moment.utc(date, 'YYYY-MM-DD')
+      .add(minutes - COLOMBO_UTC_OFFSET_MINUTES, 'minutes')
+      .toDate();
+  },
+
+  // "09:30" -> 570
+  parseTimeOfDay(time) {
+    const [hours, minutes = '0'] = String(time).split(':');
+    return parseInt(hours) * 60 + parseInt(minutes);
+  },
+
+  // 570 -> "09:30"
+  formatTimeOfDay(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
   }
 };
 
@@ -175,6 +225,26 @@ const fileUtils = {
     const videoExtensions = ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm'];
     const ext = this.getFileExtension(filename);
     return videoExtensions.includes(ext);
+  },
+
+  // Detect the real image type from magic bytes - never trust the client's MIME type or extension
+  sniffImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+      return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+      return 'image/png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return 'image/webp';
+    }
+    if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+      return 'image/gif';
+    }
+
+    return null;
   }
 };
 
@@ -237,16 +307,6 @@ const validationUtils = {
 
 // Business logic utilities
 const businessUtils = {
-  calculateGuideCommission(amount, isVerified = true) {
-    const commissionRate = isVerified ? 0.10 : 0.15; // 10% for verified, 15% for unverified
-    return amount * commissionRate;
-  },
-
-  calculateDriverCommission(amount) {
-    const commissionRate = 0.05; // 5% for drivers
-    return amount * commissionRate;
-  },
-
   calculateSurgeMultiplier(time, weather, demand) {
     let multiplier = 1.0;
     
@@ -13,9 +13,11 @@ const commonSchemas = {
   price: Joi.number().min(0).precision(2),
   rating: Joi.number().min(1).max(5),
   language: Joi.string().valid('en', 'si', 'ta').required(),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).required(),
   userRole: Joi.string().valid('tourist', 'contributor', 'guide', 'driver', 'moderator', 'admin').required(),
   verificationTier: Joi.number().min(1).max(3),
-  status: Joi.string().valid('active', 'inactive', 'pending', 'suspended', 'verified', 'rejected').required()
+  status: Joi.string().valid('active', 'inactive', 'pending', 'suspended', 'verified', 'rejected').required(),
+  orderId: Joi.string().pattern(/^PP_[0-9a-fA-F-]{36}_\d{13}$/).required()
 };
 
 // User validation schemas
@@ -42,6 +44,7 @@ const userValidation = {
     lastName: commonSchemas.name.optional(),
     phone: commonSchemas.phone.optional(),
     language: commonSchemas.language.optional(),
+    preferredCurrency: commonSchemas.currency.optional(),
     bio: commonSchemas.description.optional(),
     profileImage: Joi.string().uri().optional(),
     dateOfBirth: Joi.date().max('now').optional(),
@@ -51,6 +54,25 @@ const userValidation = {
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: commonSchemas.password
+  }),
+
+  forgotPassword: Joi.object({
+    email: commonSchemas.email
+  }),
+
+  resetPassword: Joi.object({
+    newPassword: commonSchemas.password
+  }),
+
+  sendPhoneOtp: Joi.object({
+    phone: commonSchemas.phone,
+    purpose: Joi.string().valid('verify', 'login').default('verify')
+  }),
+
+  verifyPhoneOtp: Joi.object({
+    phone: commonSchemas.phone,
+    code: Joi.string().pattern(/^[0-9]{6}$/).required(),
+    purpose: Joi.string().valid('verify', 'login').default('verify')
   })
 };
 
@@ -95,6 +117,12 @@ const guideValidation = {
     }).optional()
   }),
 
+  portfolioItem: Joi.object({
+    title: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(500).optional(),
+    mediaIds: Joi.array().items(commonSchemas.id).min(1).max(10).required()
+  }),
+
   search: Joi.object({
     lat: commonSchemas.latitude,
     lng: commonSchemas.longitude,
@@ -106,6 +134,13 @@ const guideValidation = {
     minPrice: commonSchemas.price.optional(),
     maxPrice: commonSchemas.price.optional(),
     availableToday: Joi.boolean().default(false)
+  }),
+
+  // Calendar range (capped at 60 days) and the slot length in hours
+  availability: Joi.object({
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+    duration: Joi.number().integer().min(1).max(12).optional()
   })
 };
 
@@ -135,6 +170,11 @@ const driverValidation = {
   updateLocation: Joi.object({
     lat: commonSchemas.latitude,
     lng: commonSchemas.longitude
+  }),
+
+  // Policy for pre-bookings; null goes back to the default
+  cancellationPolicy: Joi.object({
+    cancellationPolicyId: commonSchemas.id.allow(null)
   })
 };
 
@@ -162,10 +202,14 @@ const poiValidation = {
     }).optional(),
     bestTimeToVisit: Joi.string().max(100).optional(),
     accessibility: Joi.string().max(200).optional(),
-    images: Joi.array().items(Joi.string().uri()).max(10).optional(),
+    mediaIds: Joi.array().items(commonSchemas.id).max(10).optional(),
     tags: Joi.array().items(Joi.string().max(20)).max(10).optional()
   }),
 
+  addImage: Joi.object({
+    mediaId: commonSchemas.id
+  }),
+
   search: Joi.object({
     lat: commonSchemas.latitude,
     lng: commonSchemas.longitude,
@@ -192,6 +236,12 @@ const bookingValidation = {
       then: Joi.required(),
       otherwise: Joi.optional()
     }),
+    // Book one of the guide's packages; the package's cancellation policy applies
+    packageId: commonSchemas.id.when('type', {
+      is: Joi.string().valid('guide', 'combined'),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
     startDate: Joi.date().min('now').required(),
     endDate: Joi.date().min(Joi.ref('startDate')).required(),
     duration: Joi.number().min(1).max(24).required(),
@@ -207,12 +257,18 @@ const bookingValidation = {
       longitude: commonSchemas.longitude.optional()
     }).optional(),
     specialRequests: Joi.string().max(500).optional(),
+    // Combined orders must match the server's price from /calculate-price
     totalAmount: commonSchemas.price.required()
   }),
 
+  // Status changes go through /confirm, /start, /complete and /cancel
   update: Joi.object({
-    status: Joi.string().valid('pending', 'confirmed', 'in_progress', 'completed', 'cancelled').optional(),
     specialRequests: Joi.string().max(500).optional()
+  }),
+
+  receipt: Joi.object({
+    type: Joi.string().valid('booking', 'payment').optional(),
+    lang: Joi.string().valid('en', 'si', 'ta').optional()
   })
 };
 
@@ -229,7 +285,7 @@ const communityValidation = {
     }).required(),
     severity: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
     expiresAt: Joi.date().min('now').optional(),
-    images: Joi.array().items(Joi.string().uri()).max(5).optional(),
+    mediaIds: Joi.array().items(commonSchemas.id).min(1).max(5).required(),
     tags: Joi.array().items(Joi.string().max(20)).max(5).optional()
   }),
 
@@ -252,6 +308,270 @@ const communityValidation = {
   })
 };
 
+// Notification validation schemas
+const notificationValidation = {
+  list: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(200).optional(),
+    type: Joi.string().max(50).optional(),
+    unread: Joi.boolean().optional()
+  }),
+
+  preferences: Joi.object({
+    channels: Joi.object().pattern(
+      Joi.string().valid('booking', 'ride', 'account', 'community', 'marketing', 'safety'),
+      Joi.object({
+        push: Joi.boolean(),
+        sms: Joi.boolean(),
+        email: Joi.boolean(),
+        inApp: Joi.boolean()
+      })
+    ).optional(),
+    quietHours: Joi.object({
+      enabled: Joi.boolean().optional(),
+      start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+      end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+    }).optional(),
+    digestFrequency: Joi.string().valid('off', 'daily', 'weekly').optional()
+  }).min(1)
+};
+
+// KYC validation schemas
+const kycDocumentTypes = ['nic', 'passport', 'guide_license', 'driving_license', 'vehicle_revenue_license'];
+
+const kycValidation = {
+  submit: Joi.object({
+    documentType: Joi.string().valid(...kycDocumentTypes).required(),
+    documentNumber: Joi.string().trim().min(4).max(50).required(),
+    expiresAt: Joi.date().greater('now').when('documentType', {
+      is: 'nic',
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+  }),
+
+  resubmit: Joi.object({
+    documentNumber: Joi.string().trim().min(4).max(50).optional(),
+    expiresAt: Joi.date().greater('now').optional()
+  }),
+
+  review: Joi.object({
+    decision: Joi.string().valid('approve', 'reject', 'request_info').required(),
+    reason: Joi.string().max(500).when('decision', { is: 'reject', then: Joi.required() }),
+    notes: Joi.string().max(1000).when('decision', { is: 'request_info', then: Joi.required() }),
+    expiresAt: Joi.date().optional()
+  }),
+
+  queue: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'more_info_required', 'expired', 'superseded').default('pending'),
+    documentType: Joi.string().valid(...kycDocumentTypes).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+// Media validation schemas
+const mediaValidation = {
+  upload: Joi.object({
+    purpose: Joi.string().valid('poi', 'portfolio', 'community').required()
+  })
+};
+
+// Payment validation schemas
+const paymentValidation = {
+  createRequest: Joi.object({
+    bookingId: commonSchemas.id,
+    purpose: Joi.string().valid('booking', 'fare_adjustment').optional()
+  }),
+
+  refund: Joi.object({
+    bookingId: commonSchemas.id,
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().trim().min(5).max(500).required()
+  }),
+
+  history: Joi.object({
+    status: Joi.string().valid('pending', 'completed', 'canceled', 'failed', 'chargedback', 'partially_refunded', 'refunded').optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  webhookQueue: Joi.object({
+    status: Joi.string().valid('received', 'processing', 'processed', 'duplicate', 'rejected', 'review', 'failed', 'dismissed').optional(),
+    orderId: Joi.string().max(100).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  webhookReplay: Joi.object({
+    acceptAmountMismatch: Joi.boolean().optional(),
+    note: Joi.string().trim().max(500).when('acceptAmountMismatch', { is: true, then: Joi.required() })
+  }),
+
+  webhookDismiss: Joi.object({
+    note: Joi.string().trim().min(5).max(500).required()
+  })
+};
+
+// Payout validation schemas
+const payoutValidation = {
+  method: Joi.object({
+    type: Joi.string().valid('bank_account', 'ezcash', 'mcash').required(),
+    accountName: Joi.string().trim().min(2).max(100).required(),
+    bankCode: Joi.string().pattern(/^\d{4}$/).when('type', { is: 'bank_account', then: Joi.required(), otherwise: Joi.forbidden() }),
+    bankName: Joi.string().trim().max(100).when('type', { is: 'bank_account', then: Joi.required(), otherwise: Joi.forbidden() }),
+    branchCode: Joi.string().pattern(/^\d{3}$/).when('type', { is: 'bank_account', then: Joi.required(), otherwise: Joi.forbidden() }),
+    accountNumber: Joi.string().pattern(/^\d{6,20}$/).when('type', { is: 'bank_account', then: Joi.required(), otherwise: Joi.forbidden() }),
+    mobileNumber: Joi.string().pattern(/^(\+94|0)7[0-9]{8}$/).when('type', { is: 'bank_account', then: Joi.forbidden(), otherwise: Joi.required() }),
+    isDefault: Joi.boolean().optional()
+  }),
+
+  earningsQuery: Joi.object({
+    status: Joi.string().valid('pending', 'held', 'available', 'batched', 'paid').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  batchQuery: Joi.object({
+    status: Joi.string().valid('open', 'exported', 'completed').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  batchExport: Joi.object({
+    type: Joi.string().valid('bank_account', 'ezcash', 'mcash').optional()
+  }),
+
+  statusUpdate: Joi.object({
+    status: Joi.string().valid('paid', 'failed').required(),
+    reference: Joi.string().trim().max(100).optional(),
+    failureReason: Joi.string().trim().max(500).when('status', { is: 'failed', then: Joi.required(), otherwise: Joi.forbidden() })
+  })
+};
+
+// Subscription validation schemas
+const subscriptionValidation = {
+  subscribe: Joi.object({
+    planCode: Joi.string().trim().max(50).required(),
+    renewalMethod: Joi.string().valid('payhere_recurring', 'manual').default('manual')
+  }),
+
+  changePlan: Joi.object({
+    planCode: Joi.string().trim().max(50).required()
+  })
+};
+
+// Ledger validation schemas
+const ledgerValidation = {
+  reconciliation: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  })
+};
+
+// Currency validation schemas
+const currencyValidation = {
+  // LKR per unit of the currency
+  fxRate: Joi.object({
+    rate: Joi.number().positive().precision(6).required()
+  })
+};
+
+// Cancellation policy validation schemas
+const cancellationTier = Joi.object({
+  hoursBefore: Joi.number().integer().min(0).max(8760).required(),
+  percentage: Joi.number().integer().min(0).max(100).required()
+});
+
+const cancellationPolicyValidation = {
+  create: Joi.object({
+    code: Joi.string().lowercase().pattern(/^[a-z0-9_]+$/).max(30).required(),
+    name: Joi.string().min(2).max(100).required(),
+    description: commonSchemas.description.optional(),
+    minNoticeHours: Joi.number().integer().min(0).max(720).optional(),
+    refundTiers: Joi.array().items(cancellationTier).unique('hoursBefore').max(10).required(),
+    providerPenaltyTiers: Joi.array().items(cancellationTier).unique('hoursBefore').max(10).optional(),
+    forceMajeureRefundPercentage: Joi.number().integer().min(0).max(100).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    description: commonSchemas.description.allow('').optional(),
+    minNoticeHours: Joi.number().integer().min(0).max(720).optional(),
+    refundTiers: Joi.array().items(cancellationTier).unique('hoursBefore').max(10).optional(),
+    providerPenaltyTiers: Joi.array().items(cancellationTier).unique('hoursBefore').max(10).optional(),
+    forceMajeureRefundPercentage: Joi.number().integer().min(0).max(100).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+};
+
+// Itinerary validation schemas
+const itineraryDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+const itineraryTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+const itineraryValidation = {
+  create: Joi.object({
+    title: Joi.string().min(2).max(200).required(),
+    description: commonSchemas.description.optional(),
+    startDate: itineraryDate.required(),
+    days: Joi.number().integer().min(1).max(30).required(),
+    groupSize: Joi.number().integer().min(1).max(20).optional(),
+    travelMode: Joi.string().valid('driving', 'walking', 'cycling').optional(),
+    guideId: commonSchemas.id.optional(),
+    driverId: commonSchemas.id.optional()
+  }),
+
+  // Send null to detach the guide or driver
+  update: Joi.object({
+    title: Joi.string().min(2).max(200).optional(),
+    description: commonSchemas.description.allow('').optional(),
+    startDate: itineraryDate.optional(),
+    days: Joi.number().integer().min(1).max(30).optional(),
+    groupSize: Joi.number().integer().min(1).max(20).optional(),
+    travelMode: Joi.string().valid('driving', 'walking', 'cycling').optional(),
+    guideId: commonSchemas.id.allow(null).optional(),
+    driverId: commonSchemas.id.allow(null).optional()
+  }).min(1),
+
+  // startTime is Colombo time on the stop's day
+  stop: Joi.object({
+    poiId: commonSchemas.id,
+    dayNumber: Joi.number().integer().min(1).max(30).required(),
+    startTime: itineraryTime.required(),
+    durationMinutes: Joi.number().integer().min(15).max(720).required(),
+    notes: Joi.string().max(500).optional()
+  }),
+
+  updateStop: Joi.object({
+    poiId: commonSchemas.id.optional(),
+    dayNumber: Joi.number().integer().min(1).max(30).optional(),
+    startTime: itineraryTime.optional(),
+    durationMinutes: Joi.number().integer().min(15).max(720).optional(),
+    notes: Joi.string().max(500).allow('').optional()
+  }).min(1),
+
+  checkout: Joi.object({
+    specialRequests: Joi.string().max(500).optional()
+  }),
+
+  // Budget is the trip total in LKR; set save to keep the result as a draft itinerary
+  generate: Joi.object({
+    startCity: Joi.string().min(2).max(100).required(),
+    startDate: itineraryDate.optional(),
+    days: Joi.number().integer().min(1).max(14).required(),
+    interests: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+    budget: commonSchemas.price.optional(),
+    pace: Joi.string().valid('relaxed', 'moderate', 'packed').optional(),
+    groupSize: Joi.number().integer().min(1).max(20).optional(),
+    vehicleType: Joi.string().valid('standard', 'air_conditioned', 'luxury').optional(),
+    guideId: commonSchemas.id.optional(),
+    withGuide: Joi.boolean().optional(),
+    save: Joi.boolean().optional(),
+    title: Joi.string().min(2).max(200).optional()
+  })
+};
+
 // Validation middleware
 const validate = (schema) => {
   return (req, res, next) => {
@@ -296,6 +616,16 @@ module.exports = {
   poiValidation,
   bookingValidation,
   communityValidation,
+  notificationValidation,
+  kycValidation,
+  mediaValidation,
+  paymentValidation,
+  payoutValidation,
+  subscriptionValidation,
+  ledgerValidation,
+  currencyValidation,
+  cancellationPolicyValidation,
+  itineraryValidation,
   validate,
   validateQuery
 };